@@ -0,0 +1,746 @@
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentWritten,
+} = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const logger = require('firebase-functions/logger');
+const { initializeApp } = require('firebase-admin/app');
+const { verifyTransaction, isValidSignature } = require('./lib/paystack');
+const { PaymentError, fulfillCoursePayment } = require('./lib/payments');
+const { isBundleTransaction, fulfillBundlePayment } = require('./lib/bundles');
+const {
+  isGiftTransaction,
+  fulfillGiftPayment,
+  createCohortCodes,
+  redeemAccessCode,
+} = require('./lib/accessCodes');
+const {
+  RefundError,
+  getRefundEligibility,
+  requestRefund,
+  resolveRefund,
+} = require('./lib/refunds');
+const {
+  OrganizationError,
+  isSeatTransaction,
+  fulfillSeatPayment,
+  inviteMembers,
+  acceptInvite,
+  assignSeat,
+  reclaimSeat,
+  removeMember,
+} = require('./lib/organizations');
+const {
+  AdminError,
+  setUserRole,
+  setUserSuspended,
+  resolveInstructorApplication,
+} = require('./lib/admin');
+const {
+  CertificateError,
+  issueCertificate,
+  assignVerificationCode,
+  storeCertificatePdf,
+  getCertificatePdf,
+  revokeCertificate,
+} = require('./lib/certificates');
+const { QuizError, submitQuiz, migrateQuizKeys } = require('./lib/quizzes');
+const { completeLesson, migrateProgress } = require('./lib/progress');
+const { getPlatformSettings } = require('./lib/settings');
+const {
+  backfillCourseStatus,
+  recordEnrollmentCurriculum,
+  syncEnrollmentCurricula,
+} = require('./lib/courses');
+const {
+  isMembershipTransaction,
+  fulfillMembershipPayment,
+  recordSubscription,
+  markMembershipStatus,
+  enrollWithMembership,
+  cancelMembership,
+} = require('./lib/memberships');
+const {
+  notifyNewEnrollment,
+  notifyDiscussionReply,
+  notifyCourseChanges,
+  notifyExpiringAccess,
+} = require('./lib/notifications');
+
+initializeApp();
+
+// The exchange rates, tax rate and membership plans the app prices with. Public,
+// like the catalog that uses them.
+exports.getPlatformSettings = onCall(async () => {
+  try {
+    return await getPlatformSettings();
+  } catch (error) {
+    logger.error('Error loading platform settings', { error: error.message });
+    throw new HttpsError('internal', 'Failed to load the platform settings.');
+  }
+});
+
+// Called by PaymentForm once the Paystack modal reports success. The browser's
+// word is not trusted: the reference is re-verified with Paystack before the
+// payment and enrollment are written. Bundle purchases pass a bundleId instead
+// of a courseId; gift purchases get a code to pass on instead of an enrollment,
+// and seat purchases add seats to the buyer's organization.
+exports.verifyPayment = onCall(async (request) => {
+  const { reference, courseId, bundleId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to verify a payment.');
+  }
+  if (!reference || !(courseId || bundleId)) {
+    throw new HttpsError('invalid-argument', 'A payment reference and course are required.');
+  }
+
+  let transaction;
+  try {
+    transaction = await verifyTransaction(reference);
+  } catch (error) {
+    logger.error('Paystack verification failed', { reference, error: error.message });
+    throw new HttpsError('unavailable', 'Could not verify the payment with Paystack.');
+  }
+
+  const { metadata = {} } = transaction;
+  const isForItem = bundleId ? metadata.bundleId === bundleId : metadata.courseId === courseId;
+  if (metadata.userId !== request.auth.uid || !isForItem) {
+    throw new HttpsError('permission-denied', 'This payment does not belong to you or this course.');
+  }
+
+  try {
+    if (bundleId) {
+      return await fulfillBundlePayment(transaction, 'callback');
+    }
+    if (isSeatTransaction(transaction)) {
+      return await fulfillSeatPayment(transaction, 'callback');
+    }
+    return isGiftTransaction(transaction)
+      ? await fulfillGiftPayment(transaction, 'callback')
+      : await fulfillCoursePayment(transaction, 'callback');
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error fulfilling payment', { reference, error: error.message });
+    throw new HttpsError('internal', 'Failed to record the payment.');
+  }
+});
+
+// Paystack webhook. Covers students who close the tab before the callback runs,
+// and is the only way membership renewals and cancellations arrive.
+exports.paystackWebhook = onRequest(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  if (!isValidSignature(req.rawBody, req.get('x-paystack-signature'))) {
+    res.status(401).send('Invalid signature');
+    return;
+  }
+
+  const event = req.body || {};
+
+  try {
+    switch (event.event) {
+      case 'charge.success': {
+        if (!event.data?.reference) break;
+        // Verify again rather than trusting the payload's amount and status
+        const transaction = await verifyTransaction(event.data.reference);
+        if (isMembershipTransaction(transaction)) {
+          await fulfillMembershipPayment(transaction, 'webhook');
+        } else if (isBundleTransaction(transaction)) {
+          await fulfillBundlePayment(transaction, 'webhook');
+        } else if (isSeatTransaction(transaction)) {
+          await fulfillSeatPayment(transaction, 'webhook');
+        } else if (isGiftTransaction(transaction)) {
+          await fulfillGiftPayment(transaction, 'webhook');
+        } else {
+          await fulfillCoursePayment(transaction, 'webhook');
+        }
+        break;
+      }
+      case 'subscription.create':
+        await recordSubscription(event.data || {});
+        break;
+      case 'subscription.not_renew':
+      case 'subscription.disable':
+        await markMembershipStatus(event.data || {}, 'cancelled');
+        break;
+      case 'invoice.payment_failed':
+        await markMembershipStatus(event.data?.subscription || event.data || {}, 'past_due');
+        break;
+      default:
+        break;
+    }
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Error handling Paystack webhook', { event: event.event, reference: event.data?.reference, error: error.message });
+    // Paystack retries non-2xx responses; only worth it when the failure was transient
+    res.sendStatus(error instanceof PaymentError ? 200 : 500);
+  }
+});
+
+// Called by the membership page once the Paystack modal reports success for
+// the first charge of a subscription. Renewals arrive through the webhook.
+exports.verifyMembershipPayment = onCall(async (request) => {
+  const { reference } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to verify a payment.');
+  }
+  if (!reference) {
+    throw new HttpsError('invalid-argument', 'A payment reference is required.');
+  }
+
+  let transaction;
+  try {
+    transaction = await verifyTransaction(reference);
+  } catch (error) {
+    logger.error('Paystack verification failed', { reference, error: error.message });
+    throw new HttpsError('unavailable', 'Could not verify the payment with Paystack.');
+  }
+
+  if (transaction.metadata?.userId !== request.auth.uid || !isMembershipTransaction(transaction)) {
+    throw new HttpsError('permission-denied', 'This payment does not belong to you or is not for a membership.');
+  }
+
+  try {
+    return await fulfillMembershipPayment(transaction, 'callback');
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error fulfilling membership payment', { reference, error: error.message });
+    throw new HttpsError('internal', 'Failed to record the payment.');
+  }
+});
+
+// Members join included courses without paying for them
+exports.enrollWithMembership = onCall(async (request) => {
+  const { courseId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to enroll.');
+  }
+  if (!courseId) {
+    throw new HttpsError('invalid-argument', 'A course is required.');
+  }
+
+  try {
+    return await enrollWithMembership(request.auth.uid, courseId);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error enrolling with membership', { courseId, error: error.message });
+    throw new HttpsError('internal', 'Failed to enroll in the course.');
+  }
+});
+
+exports.cancelMembership = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to cancel a membership.');
+  }
+
+  try {
+    return await cancelMembership(request.auth.uid);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error cancelling membership', { error: error.message });
+    throw new HttpsError('internal', 'Failed to cancel the membership. Please try again.');
+  }
+});
+
+// Students enroll with a gift or cohort code from the /redeem page
+exports.redeemAccessCode = onCall(async (request) => {
+  const { code } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to redeem a code.');
+  }
+
+  try {
+    return await redeemAccessCode(request.auth.uid, code);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error redeeming access code', { error: error.message });
+    throw new HttpsError('internal', 'Failed to redeem the code. Please try again.');
+  }
+});
+
+// Instructors mint free access codes to one of their courses for a cohort
+exports.createAccessCodes = onCall(async (request) => {
+  const { courseId, count, label, expiresAt } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to create codes.');
+  }
+  if (!courseId) {
+    throw new HttpsError('invalid-argument', 'A course is required.');
+  }
+
+  try {
+    return await createCohortCodes(request.auth.uid, courseId, count, { label, expiresAt });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error creating access codes', { courseId, error: error.message });
+    throw new HttpsError('internal', 'Failed to create the codes. Please try again.');
+  }
+});
+
+// Organization admins invite people by email; the invitation is accepted from
+// the invitee's organization page once they sign in with that address
+exports.inviteOrgMembers = onCall(async (request) => {
+  const { organizationId, emails } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to invite members.');
+  }
+  if (!organizationId) {
+    throw new HttpsError('invalid-argument', 'An organization is required.');
+  }
+
+  try {
+    return await inviteMembers(request.auth.uid, organizationId, emails);
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error inviting organization members', { organizationId, error: error.message });
+    throw new HttpsError('internal', 'Failed to send the invitations. Please try again.');
+  }
+});
+
+exports.acceptOrgInvite = onCall(async (request) => {
+  const { organizationId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to accept an invitation.');
+  }
+  if (!organizationId) {
+    throw new HttpsError('invalid-argument', 'An organization is required.');
+  }
+
+  try {
+    return await acceptInvite(request.auth.uid, request.auth.token.email, organizationId);
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error accepting organization invite', { organizationId, error: error.message });
+    throw new HttpsError('internal', 'Failed to accept the invitation. Please try again.');
+  }
+});
+
+exports.removeOrgMember = onCall(async (request) => {
+  const { memberId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to remove a member.');
+  }
+  if (!memberId) {
+    throw new HttpsError('invalid-argument', 'A member is required.');
+  }
+
+  try {
+    return await removeMember(request.auth.uid, memberId);
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error removing organization member', { memberId, error: error.message });
+    throw new HttpsError('internal', 'Failed to remove the member. Please try again.');
+  }
+});
+
+// Admins give a member one of the organization's seats, which enrolls them
+exports.assignSeat = onCall(async (request) => {
+  const { organizationId, courseId, userId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to assign a seat.');
+  }
+  if (!organizationId || !courseId || !userId) {
+    throw new HttpsError('invalid-argument', 'An organization, course and member are required.');
+  }
+
+  try {
+    return await assignSeat(request.auth.uid, organizationId, courseId, userId);
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error assigning seat', { organizationId, courseId, error: error.message });
+    throw new HttpsError('internal', 'Failed to assign the seat. Please try again.');
+  }
+});
+
+exports.reclaimSeat = onCall(async (request) => {
+  const { assignmentId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to reclaim a seat.');
+  }
+  if (!assignmentId) {
+    throw new HttpsError('invalid-argument', 'A seat is required.');
+  }
+
+  try {
+    return await reclaimSeat(request.auth.uid, assignmentId);
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error reclaiming seat', { assignmentId, error: error.message });
+    throw new HttpsError('internal', 'Failed to reclaim the seat. Please try again.');
+  }
+});
+
+// The payment history shows the refund limits and offers a refund on the
+// payments that qualify
+exports.getRefundEligibility = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to see your refund options.');
+  }
+
+  try {
+    return await getRefundEligibility(request.auth.uid);
+  } catch (error) {
+    logger.error('Error checking refund eligibility', { error: error.message });
+    throw new HttpsError('internal', 'Failed to check which payments can be refunded.');
+  }
+});
+
+// Students ask for a refund from their payment history. Eligibility (the
+// refund window and how much of the course was completed) is decided here.
+exports.requestRefund = onCall(async (request) => {
+  const { paymentId, reason } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to request a refund.');
+  }
+  if (!paymentId) {
+    throw new HttpsError('invalid-argument', 'A payment is required.');
+  }
+
+  try {
+    return await requestRefund(request.auth.uid, paymentId, reason);
+  } catch (error) {
+    if (error instanceof RefundError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error requesting refund', { paymentId, error: error.message });
+    throw new HttpsError('internal', 'Failed to request the refund.');
+  }
+});
+
+// The instructor of the course approves or denies a refund request
+exports.resolveRefund = onCall(async (request) => {
+  const { refundId, approve, note } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to resolve a refund.');
+  }
+  if (!refundId || typeof approve !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'A refund request and a decision are required.');
+  }
+
+  try {
+    return await resolveRefund(request.auth.uid, refundId, approve, note);
+  } catch (error) {
+    if (error instanceof RefundError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error resolving refund', { refundId, error: error.message });
+    throw new HttpsError('internal', 'Failed to refund the payment. Please try again.');
+  }
+});
+
+// Students submit quiz answers here; they are graded against the answer keys,
+// which the browser never sees, and the attempt limit is enforced
+exports.submitQuiz = onCall(async (request) => {
+  const { courseId, lessonId, answers } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to take a quiz.');
+  }
+  if (!courseId || !lessonId || typeof answers !== 'object' || answers === null) {
+    throw new HttpsError('invalid-argument', 'A course, lesson and answers are required.');
+  }
+
+  try {
+    return await submitQuiz(request.auth.uid, courseId, lessonId, answers);
+  } catch (error) {
+    if (error instanceof QuizError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error submitting quiz', { courseId, lessonId, error: error.message });
+    throw new HttpsError('internal', 'Failed to submit the quiz. Please try again.');
+  }
+});
+
+// The lesson player asks for the certificate once every lesson is complete;
+// completion and the grade are checked here from the progress and quiz records
+exports.issueCertificate = onCall(async (request) => {
+  const { enrollmentId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to get a certificate.');
+  }
+  if (!enrollmentId) {
+    throw new HttpsError('invalid-argument', 'An enrollment is required.');
+  }
+
+  try {
+    return await issueCertificate(request.auth.uid, enrollmentId);
+  } catch (error) {
+    if (error instanceof CertificateError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error issuing certificate', { enrollmentId, error: error.message });
+    throw new HttpsError('internal', 'Failed to issue the certificate. Please try again.');
+  }
+});
+
+// Certificates issued before verification codes existed get one when shared
+// or downloaded
+exports.assignVerificationCode = onCall(async (request) => {
+  const { certificateId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to share a certificate.');
+  }
+  if (!certificateId) {
+    throw new HttpsError('invalid-argument', 'A certificate is required.');
+  }
+
+  try {
+    return await assignVerificationCode(request.auth.uid, certificateId);
+  } catch (error) {
+    if (error instanceof CertificateError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error assigning verification code', { certificateId, error: error.message });
+    throw new HttpsError('internal', 'Failed to create the certificate link. Please try again.');
+  }
+});
+
+// Every certificate gets its PDF rendered and stored as soon as it is issued
+exports.onCertificateCreated = onDocumentCreated('certificates/{certificateId}', async (event) => {
+  await storeCertificatePdf(event.params.certificateId);
+});
+
+// Downloads use the stored PDF; certificates from before it was stored get
+// theirs rendered on the first download
+exports.getCertificatePdf = onCall(async (request) => {
+  const { certificateId } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to download a certificate.');
+  }
+  if (!certificateId) {
+    throw new HttpsError('invalid-argument', 'A certificate is required.');
+  }
+
+  try {
+    return await getCertificatePdf(request.auth.uid, certificateId);
+  } catch (error) {
+    if (error instanceof CertificateError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error rendering certificate PDF', { certificateId, error: error.message });
+    throw new HttpsError('internal', 'Failed to generate the certificate PDF. Please try again.');
+  }
+});
+
+// An admin or the course's instructor revokes a certificate from its
+// verification page
+exports.revokeCertificate = onCall(async (request) => {
+  const { certificateId, reason } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to revoke a certificate.');
+  }
+  if (!certificateId) {
+    throw new HttpsError('invalid-argument', 'A certificate is required.');
+  }
+
+  try {
+    return await revokeCertificate(request.auth.uid, certificateId, reason);
+  } catch (error) {
+    if (error instanceof CertificateError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error revoking certificate', { certificateId, error: error.message });
+    throw new HttpsError('internal', 'Failed to revoke the certificate. Please try again.');
+  }
+});
+
+// Students only save the segments they watched; whether the lesson is complete
+// is decided here, and the first completion is marked on their enrollment and
+// counted on the course
+exports.onProgressWritten = onDocumentWritten('progress/{progressId}', async (event) => {
+  await completeLesson(event.data.before.data(), event.data.after.data());
+});
+
+// Notifications for changes made in the browser. Users can only mark their own
+// notifications as read, so they are written here. Free enrollments also get
+// their curriculum snapshot.
+exports.onEnrollmentCreated = onDocumentCreated('enrollments/{enrollmentId}', async (event) => {
+  const enrollment = event.data.data();
+  await recordEnrollmentCurriculum(event.params.enrollmentId, enrollment);
+  await notifyNewEnrollment(enrollment);
+});
+
+exports.onDiscussionCreated = onDocumentCreated('discussions/{discussionId}', async (event) => {
+  await notifyDiscussionReply(event.params.discussionId, event.data.data());
+});
+
+// Course edits also refresh the curriculum snapshot on the course's enrollments
+exports.onCourseUpdated = onDocumentUpdated('courses/{courseId}', async (event) => {
+  const { courseId } = event.params;
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  await syncEnrollmentCurricula(courseId, before, after);
+  await notifyCourseChanges(courseId, before, after);
+});
+
+// Daily warning to students whose course access ends within a few days
+exports.notifyExpiringAccess = onSchedule('every day 08:00', async () => {
+  const sent = await notifyExpiringAccess();
+  logger.info('Sent access expiry warnings', { sent });
+});
+
+// Admin console: role changes and suspensions
+exports.setUserRole = onCall(async (request) => {
+  const { userId, role } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to change roles.');
+  }
+  if (!userId || !role) {
+    throw new HttpsError('invalid-argument', 'A user and role are required.');
+  }
+
+  try {
+    return await setUserRole(request.auth.uid, userId, role);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error changing user role', { userId, error: error.message });
+    throw new HttpsError('internal', 'Failed to change the role. Please try again.');
+  }
+});
+
+exports.setUserSuspended = onCall(async (request) => {
+  const { userId, suspended, reason } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to suspend users.');
+  }
+  if (!userId || typeof suspended !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'A user and a decision are required.');
+  }
+
+  try {
+    return await setUserSuspended(request.auth.uid, userId, suspended, reason);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error suspending user', { userId, error: error.message });
+    throw new HttpsError('internal', 'Failed to update the account. Please try again.');
+  }
+});
+
+// Admins approve or reject applications to teach
+exports.resolveInstructorApplication = onCall(async (request) => {
+  const { applicationId, approve, note } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to review applications.');
+  }
+  if (!applicationId || typeof approve !== 'boolean') {
+    throw new HttpsError('invalid-argument', 'An application and a decision are required.');
+  }
+
+  try {
+    return await resolveInstructorApplication(request.auth.uid, applicationId, approve, note);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error resolving instructor application', { applicationId, error: error.message });
+    throw new HttpsError('internal', 'Failed to review the application. Please try again.');
+  }
+});
+
+// One-off: mark courses from before the publishing workflow as published, a
+// page per call
+exports.backfillCourseStatus = onCall(async (request) => {
+  const { cursor = null } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to run migrations.');
+  }
+
+  try {
+    return await backfillCourseStatus(request.auth.uid, cursor);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error backfilling course status', { cursor, error: error.message });
+    throw new HttpsError('internal', 'Failed to update the courses. Please try again.');
+  }
+});
+
+// One-off: move quiz answer keys out of course documents, a page per call
+exports.migrateQuizKeys = onCall(async (request) => {
+  const { cursor = null } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to run migrations.');
+  }
+
+  try {
+    return await migrateQuizKeys(request.auth.uid, cursor);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error migrating quiz keys', { cursor, error: error.message });
+    throw new HttpsError('internal', 'Failed to move the quiz answers. Please try again.');
+  }
+});
+
+// One-off: fold legacy lesson progress into one record per student and lesson
+exports.migrateProgress = onCall(async (request) => {
+  const { cursor = null } = request.data || {};
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'You must be logged in to run migrations.');
+  }
+
+  try {
+    return await migrateProgress(request.auth.uid, cursor);
+  } catch (error) {
+    if (error instanceof AdminError) {
+      throw new HttpsError('failed-precondition', error.message);
+    }
+    logger.error('Error migrating progress', { cursor, error: error.message });
+    throw new HttpsError('internal', 'Failed to migrate progress. Please try again.');
+  }
+});
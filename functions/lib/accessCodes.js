@@ -0,0 +1,440 @@
+// Redeemable enrollment codes, stored in `accessCodes/{code}`. Two kinds share
+// the same redemption path:
+//
+//   gift    bought through PaymentForm for someone else; carries the payment,
+//           so the instructor's revenue is counted when it is redeemed
+//   cohort  minted free in bulk by an instructor for a class or team
+//
+// Each code enrolls one student, once.
+
+const crypto = require('crypto');
+const logger = require('firebase-functions/logger');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const {
+  PaymentError,
+  TAX_RATE,
+  formatReceiptNumber,
+  isEnrollmentRevoked,
+} = require('./payments');
+const { getCurriculumSnapshot } = require('./courses');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+  getCoursePrice,
+} = require('./pricing');
+const { sendMail } = require('./mail');
+const { toDate } = require('./dates');
+
+const ACCESS_CODE_TYPES = {
+  gift: 'gift',
+  cohort: 'cohort',
+};
+
+// The code generator form caps the count at the same number
+const MAX_CODES_PER_BATCH = 500;
+
+// No 0/O or 1/I, so codes survive being read aloud or retyped from an email
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const formatCode = (characters) => characters.match(/.{1,4}/g).join('-');
+
+const generateCode = () => formatCode(
+  Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')
+);
+
+// Accepts codes typed with or without dashes, spaces or lower case
+const normalizeAccessCode = (code) => {
+  const characters = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return characters.length === CODE_LENGTH ? formatCode(characters) : characters;
+};
+
+/**
+ * Whether a verified transaction buys a gift rather than the payer's own enrollment
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @returns {boolean} Whether it is a gift purchase
+ */
+const isGiftTransaction = (transaction) => transaction.metadata?.type === 'gift';
+
+const sendGiftEmail = async (code, gift) => {
+  const redeemUrl = `${APP_URL}/redeem?code=${encodeURIComponent(code)}`;
+  const greeting = gift.recipientName ? `Hi ${gift.recipientName},` : 'Hi,';
+  const lines = [
+    greeting,
+    '',
+    `${gift.buyerName || 'Someone'} has given you the course "${gift.courseTitle}".`,
+    ...(gift.message ? ['', gift.message] : []),
+    '',
+    `Your code is ${code}. Sign in and redeem it at ${redeemUrl}`,
+  ];
+
+  await sendMail({
+    to: gift.recipientEmail,
+    subject: `You've been given ${gift.courseTitle}`,
+    text: lines.join('\n'),
+  });
+};
+
+/**
+ * Records a verified gift purchase and issues the code the recipient redeems.
+ * Safe to call more than once per reference, like fulfillCoursePayment. The
+ * code is emailed to the recipient when the buyer gave an address.
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @param {string} source Which path fulfilled it, 'callback' or 'webhook'
+ * @returns {Promise<Object>} The payment id and the gift code
+ */
+const fulfillGiftPayment = async (transaction, source) => {
+  const { reference, metadata = {} } = transaction;
+  const { userId, courseId } = metadata;
+
+  if (transaction.status !== 'success') {
+    throw new PaymentError(`Transaction ${reference} was not successful`);
+  }
+  if (!userId || !courseId) {
+    throw new PaymentError(`Transaction ${reference} is missing its user or course`);
+  }
+
+  const db = getFirestore();
+  const paymentRef = db.collection('payments').doc(reference);
+  const courseRef = db.collection('courses').doc(courseId);
+  const code = generateCode();
+  const codeRef = db.collection('accessCodes').doc(code);
+
+  const result = await db.runTransaction(async (tx) => {
+    const existingPayment = await tx.get(paymentRef);
+    if (existingPayment.exists) {
+      return { paymentId: paymentRef.id, code: existingPayment.data().giftCode, alreadyProcessed: true };
+    }
+
+    const courseSnap = await tx.get(courseRef);
+    if (!courseSnap.exists) {
+      throw new PaymentError(`Course ${courseId} not found`);
+    }
+    const course = courseSnap.data();
+
+    const { currency } = transaction;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new PaymentError(`Payments in ${currency} are not supported`);
+    }
+    // Like a course checkout, a gift checkout records the currency it priced in
+    if (metadata.currency && metadata.currency !== currency) {
+      throw new PaymentError(`Checkout was priced in ${metadata.currency} but paid in ${currency}`);
+    }
+
+    const ratesSnap = await tx.get(db.collection('settings').doc('exchangeRates'));
+    const rates = { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) };
+
+    const paidAt = transaction.paid_at ? new Date(transaction.paid_at) : new Date();
+    const price = getCoursePrice(course, paidAt, currency, rates);
+    const expectedAmount = Math.round(price * 100);
+    if (transaction.amount < expectedAmount) {
+      throw new PaymentError(`Paid ${transaction.amount} but the course costs ${expectedAmount}`);
+    }
+
+    const userSnap = await tx.get(db.collection('users').doc(userId));
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    const counterRef = db.collection('counters').doc('receipts');
+    const counter = await tx.get(counterRef);
+    const receiptSequence = (counter.exists ? counter.data().value || 0 : 0) + 1;
+
+    const amount = transaction.amount / 100;
+    const normalizedAmount = toBaseAmount(amount, currency, rates);
+    const recipient = {
+      name: String(metadata.recipientName || '').slice(0, 200) || null,
+      email: String(metadata.recipientEmail || '').slice(0, 320) || null,
+    };
+    const message = String(metadata.giftMessage || '').slice(0, 1000);
+
+    tx.set(counterRef, { value: receiptSequence }, { merge: true });
+
+    tx.set(paymentRef, {
+      type: 'gift',
+      userId,
+      courseId,
+      instructorId: course.instructorId || null,
+      courseTitle: course.title,
+      giftCode: code,
+      recipient,
+      receiptNumber: formatReceiptNumber(receiptSequence, paidAt),
+      buyer: {
+        name: user.name || user.displayName || null,
+        email: user.email || transaction.customer?.email || null,
+      },
+      amount,
+      originalAmount: price,
+      discountAmount: 0,
+      coupon: null,
+      exchangeRate: getExchangeRate(currency, rates),
+      normalizedAmount,
+      normalizedCurrency: BASE_CURRENCY,
+      taxRate: TAX_RATE,
+      taxAmount: Math.round((amount - amount / (1 + TAX_RATE)) * 100) / 100,
+      currency,
+      status: 'succeeded',
+      paymentMethod: `Paystack - ${currency}`,
+      channel: transaction.channel || null,
+      reference,
+      transaction: transaction.id || null,
+      verifiedBy: source,
+      createdAt: FieldValue.serverTimestamp(),
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    tx.create(codeRef, {
+      code,
+      type: ACCESS_CODE_TYPES.gift,
+      courseId,
+      courseTitle: course.title,
+      instructorId: course.instructorId || null,
+      createdBy: userId,
+      paymentId: reference,
+      paidAmount: amount,
+      paidCurrency: currency,
+      paidAmountNormalized: normalizedAmount,
+      recipientName: recipient.name,
+      recipientEmail: recipient.email,
+      message,
+      status: 'active',
+      redeemedBy: null,
+      expiresAt: null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return {
+      paymentId: paymentRef.id,
+      code,
+      alreadyProcessed: false,
+      gift: {
+        recipientName: recipient.name,
+        recipientEmail: recipient.email,
+        message,
+        courseTitle: course.title,
+        buyerName: user.name || user.displayName || null,
+      },
+    };
+  });
+
+  const { gift, ...response } = result;
+  if (gift?.recipientEmail) {
+    // The gift is paid for either way; a failed email leaves the code on the buyer's payment history
+    try {
+      await sendGiftEmail(result.code, gift);
+      await codeRef.update({ emailedAt: FieldValue.serverTimestamp() });
+    } catch (error) {
+      logger.error('Failed to email gift code', { reference, error: error.message });
+    }
+  }
+  return response;
+};
+
+/**
+ * Mints free access codes to one of an instructor's courses
+ * @param {string} instructorId The instructor
+ * @param {string} courseId The course
+ * @param {number} count How many codes, up to MAX_CODES_PER_BATCH
+ * @param {Object} options A label for the batch and an optional expiry
+ * @returns {Promise<Object>} The batch id and the codes
+ */
+const createCohortCodes = async (instructorId, courseId, count, { label = '', expiresAt = null } = {}) => {
+  const quantity = Math.floor(Number(count));
+  if (!(quantity >= 1 && quantity <= MAX_CODES_PER_BATCH)) {
+    throw new PaymentError(`Create between 1 and ${MAX_CODES_PER_BATCH} codes at a time`);
+  }
+
+  const db = getFirestore();
+  const courseSnap = await db.collection('courses').doc(courseId).get();
+  if (!courseSnap.exists || courseSnap.data().isDeleted || courseSnap.data().instructorId !== instructorId) {
+    throw new PaymentError('Course not found');
+  }
+  const course = courseSnap.data();
+
+  const expiry = toDate(expiresAt);
+  if (expiresAt && (!expiry || expiry < new Date())) {
+    throw new PaymentError('The expiry date must be in the future');
+  }
+
+  const batchId = db.collection('accessCodes').doc().id;
+  const codes = new Set();
+  while (codes.size < quantity) {
+    codes.add(generateCode());
+  }
+
+  const batch = db.batch();
+  codes.forEach(code => {
+    // create() fails the whole batch on the (unlikely) clash with an existing code
+    batch.create(db.collection('accessCodes').doc(code), {
+      code,
+      type: ACCESS_CODE_TYPES.cohort,
+      courseId,
+      courseTitle: course.title,
+      instructorId,
+      createdBy: instructorId,
+      batchId,
+      label: String(label).slice(0, 200),
+      status: 'active',
+      redeemedBy: null,
+      expiresAt: expiry,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+
+  return { batchId, codes: [...codes] };
+};
+
+/**
+ * Enrolls a student with a gift or cohort code
+ * @param {string} userId The student redeeming it
+ * @param {string} rawCode The code as typed
+ * @returns {Promise<Object>} The course and enrollment ids
+ */
+const redeemAccessCode = async (userId, rawCode) => {
+  const code = normalizeAccessCode(rawCode);
+  if (!code) {
+    throw new PaymentError('Enter a code');
+  }
+
+  const db = getFirestore();
+  const codeRef = db.collection('accessCodes').doc(code);
+
+  return db.runTransaction(async (tx) => {
+    const codeSnap = await tx.get(codeRef);
+    if (!codeSnap.exists) {
+      throw new PaymentError('That code is not valid');
+    }
+    const accessCode = codeSnap.data();
+    if (accessCode.redeemedBy) {
+      throw new PaymentError(accessCode.redeemedBy === userId
+        ? 'You have already redeemed this code'
+        : 'This code has already been used');
+    }
+    if (accessCode.status !== 'active') {
+      throw new PaymentError('This code is no longer valid');
+    }
+    const expiresAt = toDate(accessCode.expiresAt);
+    if (expiresAt && expiresAt < new Date()) {
+      throw new PaymentError('This code has expired');
+    }
+
+    const courseRef = db.collection('courses').doc(accessCode.courseId);
+    const [courseSnap, userSnap] = await Promise.all([
+      tx.get(courseRef),
+      tx.get(db.collection('users').doc(userId)),
+    ]);
+    if (!courseSnap.exists || courseSnap.data().isDeleted) {
+      throw new PaymentError('The course for this code is no longer available');
+    }
+    const course = courseSnap.data();
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    const existing = await tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', userId)
+        .where('courseId', '==', accessCode.courseId)
+        .limit(1)
+    );
+    const existingEnrollment = existing.empty ? null : existing.docs[0].data();
+    if (existingEnrollment && !isEnrollmentRevoked(existingEnrollment) && existingEnrollment.accessType !== 'membership') {
+      throw new PaymentError('You already have access to this course');
+    }
+
+    // Gifts carry what the buyer paid, so the instructor's revenue counts it
+    const paidFields = accessCode.type === ACCESS_CODE_TYPES.gift
+      ? {
+        paidAmount: accessCode.paidAmount,
+        paidCurrency: accessCode.paidCurrency,
+        paidAmountNormalized: accessCode.paidAmountNormalized,
+        paymentId: accessCode.paymentId,
+      }
+      : { paidAmount: 0, paymentId: null };
+
+    const enrollmentRef = existing.empty ? db.collection('enrollments').doc() : existing.docs[0].ref;
+    if (existingEnrollment) {
+      tx.update(enrollmentRef, {
+        ...paidFields,
+        status: 'active',
+        accessType: 'purchase',
+        accessExpiresAt: null,
+        revokedAt: null,
+        refundId: null,
+        accessCode: code,
+      });
+      // Membership enrollments were already counted
+      if (isEnrollmentRevoked(existingEnrollment)) {
+        tx.update(courseRef, { enrollmentCount: FieldValue.increment(1) });
+      }
+    } else {
+      tx.set(enrollmentRef, {
+        userId,
+        courseId: accessCode.courseId,
+        enrolledAt: FieldValue.serverTimestamp(),
+        progress: {},
+        ...paidFields,
+        accessCode: code,
+        userRole: user.role || 'student',
+        courseData: {
+          title: course.title,
+          ...getCurriculumSnapshot(course),
+        },
+      });
+      tx.update(courseRef, {
+        enrollmentCount: FieldValue.increment(1),
+        lastActivity: FieldValue.serverTimestamp(),
+      });
+    }
+
+    tx.update(codeRef, {
+      status: 'redeemed',
+      redeemedBy: userId,
+      redeemedByName: user.name || user.displayName || null,
+      redeemedAt: FieldValue.serverTimestamp(),
+      enrollmentId: enrollmentRef.id,
+    });
+
+    if (accessCode.type === ACCESS_CODE_TYPES.gift) {
+      // A refund of the gift now revokes the recipient's enrollment
+      tx.update(db.collection('payments').doc(accessCode.paymentId), { enrollmentId: enrollmentRef.id });
+      tx.set(db.collection('notifications').doc(), {
+        userId: accessCode.createdBy,
+        type: 'gift_redeemed',
+        title: 'Gift redeemed',
+        message: `${user.name || user.displayName || 'Your recipient'} redeemed your gift of ${course.title}`,
+        link: '/payments/history',
+        data: { courseId: accessCode.courseId, paymentId: accessCode.paymentId },
+        read: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    if (course.instructorId) {
+      tx.set(db.collection('notifications').doc(), {
+        userId: course.instructorId,
+        type: 'new_enrollment',
+        title: 'New enrollment',
+        message: `${user.name || user.displayName || 'A student'} enrolled in ${course.title} with a code`,
+        link: '/dashboard/students',
+        data: { courseId: accessCode.courseId, studentId: userId },
+        read: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    return { courseId: accessCode.courseId, enrollmentId: enrollmentRef.id };
+  });
+};
+
+module.exports = {
+  ACCESS_CODE_TYPES,
+  MAX_CODES_PER_BATCH,
+  normalizeAccessCode,
+  isGiftTransaction,
+  fulfillGiftPayment,
+  createCohortCodes,
+  redeemAccessCode,
+};
@@ -0,0 +1,158 @@
+// Platform administration: role changes, account suspension and instructor
+// applications. Admins are users whose `users` document has role 'admin'; the
+// first one is set by hand from the Firebase console.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+
+// The roles the admin console offers
+const USER_ROLES = ['student', 'instructor', 'admin'];
+
+// Raised when an admin action is not allowed
+class AdminError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdminError';
+  }
+}
+
+/**
+ * Throws unless the user is a platform admin
+ * @param {string} userId The caller
+ */
+const assertAdmin = async (userId) => {
+  const userSnap = await getFirestore().collection('users').doc(userId).get();
+  if (!userSnap.exists || userSnap.data().role !== 'admin' || userSnap.data().suspended) {
+    throw new AdminError('Only platform admins can do this');
+  }
+};
+
+const getTargetUser = async (db, adminId, userId) => {
+  if (userId === adminId) {
+    throw new AdminError('You cannot change your own account');
+  }
+  const userRef = db.collection('users').doc(userId);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) {
+    throw new AdminError('User not found');
+  }
+  return { ref: userRef, ...userSnap.data() };
+};
+
+/**
+ * Changes a user's role
+ * @param {string} adminId The admin making the change
+ * @param {string} userId The user
+ * @param {string} role One of USER_ROLES
+ * @returns {Promise<Object>} The user id and new role
+ */
+const setUserRole = async (adminId, userId, role) => {
+  await assertAdmin(adminId);
+  if (!USER_ROLES.includes(role)) {
+    throw new AdminError(`Unknown role ${role}`);
+  }
+
+  const db = getFirestore();
+  const user = await getTargetUser(db, adminId, userId);
+  await user.ref.update({
+    role,
+    roleUpdatedBy: adminId,
+    roleUpdatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return { userId, role };
+};
+
+/**
+ * Suspends a user, or lifts a suspension. Suspended users cannot sign in and
+ * are signed out of existing sessions.
+ * @param {string} adminId The admin making the change
+ * @param {string} userId The user
+ * @param {boolean} suspended Whether the account should be suspended
+ * @param {string} reason Shown to other admins
+ * @returns {Promise<Object>} The user id and whether it is suspended
+ */
+const setUserSuspended = async (adminId, userId, suspended, reason = '') => {
+  await assertAdmin(adminId);
+
+  const db = getFirestore();
+  const user = await getTargetUser(db, adminId, userId);
+
+  await getAuth().updateUser(userId, { disabled: suspended });
+  if (suspended) {
+    await getAuth().revokeRefreshTokens(userId);
+  }
+
+  await user.ref.update({
+    suspended,
+    suspendedReason: suspended ? String(reason).slice(0, 500) : null,
+    suspendedBy: suspended ? adminId : null,
+    suspendedAt: suspended ? FieldValue.serverTimestamp() : null,
+  });
+
+  return { userId, suspended };
+};
+
+/**
+ * Approves or rejects an application to teach. Approval makes the applicant
+ * an instructor; either way they are notified.
+ * @param {string} adminId The admin deciding
+ * @param {string} applicationId The application, keyed by the applicant's user id
+ * @param {boolean} approve Whether to approve it
+ * @param {string} note Optional feedback for the applicant
+ * @returns {Promise<Object>} The application id and its new status
+ */
+const resolveInstructorApplication = async (adminId, applicationId, approve, note = '') => {
+  await assertAdmin(adminId);
+
+  const db = getFirestore();
+  const applicationRef = db.collection('instructorApplications').doc(applicationId);
+
+  return db.runTransaction(async (tx) => {
+    const applicationSnap = await tx.get(applicationRef);
+    if (!applicationSnap.exists) {
+      throw new AdminError('Application not found');
+    }
+    const application = applicationSnap.data();
+    if (application.status !== 'pending') {
+      throw new AdminError('This application has already been reviewed');
+    }
+
+    const status = approve ? 'approved' : 'rejected';
+    const reviewNote = String(note).slice(0, 1000);
+
+    tx.update(applicationRef, {
+      status,
+      reviewNote,
+      reviewedBy: adminId,
+      reviewedAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(db.collection('users').doc(application.userId), {
+      instructorStatus: status,
+      ...(approve && { role: 'instructor' }),
+    });
+    tx.set(db.collection('notifications').doc(), {
+      userId: application.userId,
+      type: 'instructor_application',
+      title: approve ? 'You are now an instructor' : 'Instructor application not approved',
+      message: approve
+        ? `Your application to teach was approved. You can create your first course now.${reviewNote ? ` ${reviewNote}` : ''}`
+        : `Your application to teach was not approved.${reviewNote ? ` ${reviewNote}` : ''}`,
+      link: approve ? '/courses/create' : '/profile',
+      data: { applicationId, status },
+      read: false,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return { applicationId, status };
+  });
+};
+
+module.exports = {
+  USER_ROLES,
+  AdminError,
+  assertAdmin,
+  setUserRole,
+  setUserSuspended,
+  resolveInstructorApplication,
+};
@@ -0,0 +1,261 @@
+// Course bundles: a set of one instructor's courses sold for a single price.
+// One Paystack charge pays for the whole bundle; fulfilling it writes a single
+// payment and an enrollment for every included course the student doesn't
+// already have.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const {
+  PaymentError,
+  TAX_RATE,
+  formatReceiptNumber,
+  isEnrollmentRevoked,
+} = require('./payments');
+const { getCurriculumSnapshot } = require('./courses');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+  getCoursePrice,
+  getBundlePrice,
+} = require('./pricing');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whether a verified transaction pays for a bundle rather than a single course
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @returns {boolean} Whether it is a bundle purchase
+ */
+const isBundleTransaction = (transaction) =>
+  transaction.metadata?.type === 'bundle' || !!transaction.metadata?.bundleId;
+
+// Splits the amount paid across the courses in proportion to their own prices,
+// so per-course revenue still adds up to what the student paid
+const splitAmount = (amount, courses, at, currency, rates) => {
+  const listPrices = courses.map(course => getCoursePrice(course, at, currency, rates));
+  const total = listPrices.reduce((sum, price) => sum + price, 0);
+
+  let remaining = amount;
+  return listPrices.map((price, index) => {
+    if (index === listPrices.length - 1) return roundAmount(remaining);
+    const share = roundAmount(total > 0 ? amount * (price / total) : amount / listPrices.length);
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Records a verified bundle payment and enrolls the payer in each of its
+ * courses. Safe to call more than once per reference, like fulfillCoursePayment.
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @param {string} source Which path fulfilled it, 'callback' or 'webhook'
+ * @returns {Promise<Object>} The payment id and the enrollment ids
+ */
+const fulfillBundlePayment = async (transaction, source) => {
+  const { reference, metadata = {} } = transaction;
+  const { userId, bundleId } = metadata;
+
+  if (transaction.status !== 'success') {
+    throw new PaymentError(`Transaction ${reference} was not successful`);
+  }
+  if (!userId || !bundleId) {
+    throw new PaymentError(`Transaction ${reference} is missing its user or bundle`);
+  }
+
+  const db = getFirestore();
+  const paymentRef = db.collection('payments').doc(reference);
+  const bundleRef = db.collection('bundles').doc(bundleId);
+
+  return db.runTransaction(async (tx) => {
+    const existingPayment = await tx.get(paymentRef);
+    if (existingPayment.exists) {
+      return {
+        paymentId: paymentRef.id,
+        enrollmentIds: existingPayment.data().enrollmentIds || [],
+        alreadyProcessed: true,
+      };
+    }
+
+    // A bundle hidden or deleted after the student started paying is still honoured
+    const bundleSnap = await tx.get(bundleRef);
+    if (!bundleSnap.exists) {
+      throw new PaymentError(`Bundle ${bundleId} not found`);
+    }
+    const bundle = bundleSnap.data();
+
+    const { currency } = transaction;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new PaymentError(`Payments in ${currency} are not supported`);
+    }
+
+    const ratesSnap = await tx.get(db.collection('settings').doc('exchangeRates'));
+    const rates = { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) };
+
+    const price = getBundlePrice(bundle, currency, rates);
+    const expectedAmount = Math.round(price * 100);
+    if (transaction.amount < expectedAmount) {
+      throw new PaymentError(`Paid ${transaction.amount} but the bundle costs ${expectedAmount}`);
+    }
+
+    const courseIds = bundle.courseIds || [];
+    const courseRefs = courseIds.map(courseId => db.collection('courses').doc(courseId));
+    const courseSnaps = await Promise.all(courseRefs.map(courseRef => tx.get(courseRef)));
+    // The rules only allow bundling your own courses; never enroll anyone in
+    // someone else's through a bundle that got past them
+    const foreignCourse = courseSnaps.find(courseSnap =>
+      courseSnap.exists && courseSnap.data().instructorId !== bundle.instructorId);
+    if (foreignCourse) {
+      throw new PaymentError(`Bundle ${bundleId} includes course ${foreignCourse.id}, which its instructor does not teach`);
+    }
+    const existingEnrollments = await Promise.all(courseIds.map(courseId => tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', userId)
+        .where('courseId', '==', courseId)
+        .limit(1)
+    )));
+
+    const userSnap = await tx.get(db.collection('users').doc(userId));
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    const counterRef = db.collection('counters').doc('receipts');
+    const counter = await tx.get(counterRef);
+    const receiptSequence = (counter.exists ? counter.data().value || 0 : 0) + 1;
+
+    const paidAt = transaction.paid_at ? new Date(transaction.paid_at) : new Date();
+
+    // Courses the student already has paid access to are skipped; everything
+    // else (new, revoked, or only open through a membership or a seat) is bought now
+    const purchases = courseIds
+      .map((courseId, index) => ({
+        courseId,
+        courseRef: courseRefs[index],
+        course: courseSnaps[index].exists ? courseSnaps[index].data() : null,
+        existing: existingEnrollments[index].empty ? null : existingEnrollments[index].docs[0],
+      }))
+      .filter(({ course, existing }) => {
+        if (!course || course.isDeleted) return false;
+        if (!existing) return true;
+        const enrollment = existing.data();
+        return isEnrollmentRevoked(enrollment) || ['membership', 'organization'].includes(enrollment.accessType);
+      });
+
+    const amount = transaction.amount / 100;
+    const shares = splitAmount(amount, purchases.map(({ course }) => course), paidAt, currency, rates);
+    const enrollmentIds = [];
+
+    tx.set(counterRef, { value: receiptSequence }, { merge: true });
+
+    purchases.forEach(({ courseId, courseRef, course, existing }, index) => {
+      const paidFields = {
+        paidAmount: shares[index],
+        paidCurrency: currency,
+        paidAmountNormalized: toBaseAmount(shares[index], currency, rates),
+        paymentId: reference,
+        bundleId,
+      };
+
+      if (existing) {
+        tx.update(existing.ref, {
+          ...paidFields,
+          status: 'active',
+          accessType: 'purchase',
+          accessExpiresAt: null,
+          organizationId: null,
+          seatAssignmentId: null,
+          revokedAt: null,
+          refundId: null,
+        });
+        // Membership and seat enrollments were already counted
+        if (isEnrollmentRevoked(existing.data())) {
+          tx.update(courseRef, { enrollmentCount: FieldValue.increment(1) });
+        }
+        enrollmentIds.push(existing.id);
+        return;
+      }
+
+      const enrollmentRef = db.collection('enrollments').doc();
+      tx.set(enrollmentRef, {
+        userId,
+        courseId,
+        enrolledAt: FieldValue.serverTimestamp(),
+        progress: {},
+        ...paidFields,
+        userRole: user.role || 'student',
+        courseData: {
+          title: course.title,
+          ...getCurriculumSnapshot(course),
+        },
+      });
+      tx.update(courseRef, {
+        enrollmentCount: FieldValue.increment(1),
+        lastActivity: FieldValue.serverTimestamp(),
+      });
+      enrollmentIds.push(enrollmentRef.id);
+    });
+
+    const listPrice = roundAmount(courseSnaps.reduce((sum, courseSnap) => (
+      courseSnap.exists ? sum + getCoursePrice(courseSnap.data(), paidAt, currency, rates) : sum
+    ), 0));
+
+    tx.set(paymentRef, {
+      type: 'bundle',
+      userId,
+      bundleId,
+      courseIds: purchases.map(({ courseId }) => courseId),
+      instructorId: bundle.instructorId || null,
+      courseTitle: bundle.title,
+      enrollmentIds,
+      receiptNumber: formatReceiptNumber(receiptSequence, paidAt),
+      buyer: {
+        name: user.name || user.displayName || null,
+        email: user.email || transaction.customer?.email || null,
+      },
+      amount,
+      originalAmount: Math.max(price, listPrice),
+      discountAmount: Math.max(0, roundAmount(listPrice - amount)),
+      coupon: null,
+      exchangeRate: getExchangeRate(currency, rates),
+      normalizedAmount: toBaseAmount(amount, currency, rates),
+      normalizedCurrency: BASE_CURRENCY,
+      taxRate: TAX_RATE,
+      taxAmount: roundAmount(amount - amount / (1 + TAX_RATE)),
+      currency,
+      status: 'succeeded',
+      paymentMethod: `Paystack - ${currency}`,
+      channel: transaction.channel || null,
+      reference,
+      transaction: transaction.id || null,
+      verifiedBy: source,
+      createdAt: FieldValue.serverTimestamp(),
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    tx.update(bundleRef, { salesCount: FieldValue.increment(1) });
+
+    if (bundle.instructorId) {
+      tx.set(db.collection('notifications').doc(), {
+        userId: bundle.instructorId,
+        type: 'new_enrollment',
+        title: 'New bundle sale',
+        message: `${user.name || user.displayName || 'A student'} bought the ${bundle.title} bundle`,
+        link: '/dashboard/students',
+        data: { bundleId, studentId: userId },
+        read: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    return {
+      paymentId: paymentRef.id,
+      enrollmentIds,
+      alreadyProcessed: false,
+    };
+  });
+};
+
+module.exports = {
+  isBundleTransaction,
+  fulfillBundlePayment,
+};
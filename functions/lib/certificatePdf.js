@@ -0,0 +1,351 @@
+// Renders certificates to PDF, one layout per template offered in the course
+// form (CreateCourse). The file is stored by storeCertificatePdf in
+// ./certificates.
+
+const { jsPDF } = require('jspdf');
+const logger = require('firebase-functions/logger');
+const { toDate } = require('./dates');
+
+// A4 landscape, in millimetres
+const PAGE_WIDTH = 297;
+const PAGE_HEIGHT = 210;
+
+const hexToRgb = (hex) => {
+  const value = (hex || '#1E40AF').replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  const number = parseInt(full, 16);
+  if (Number.isNaN(number)) return [30, 64, 175];
+  return [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+};
+
+// Mix a color with white to get a soft tint for backgrounds
+const tint = ([r, g, b], amount) => [
+  Math.round(r + (255 - r) * amount),
+  Math.round(g + (255 - g) * amount),
+  Math.round(b + (255 - b) * amount),
+];
+
+const formatGrade = (grade) =>
+  grade !== null && grade !== undefined && grade !== '' ? `${grade}%` : 'Pass';
+
+/**
+ * Loads a remote image as a data URL so it can be embedded in the PDF
+ * @param {string} url The image URL
+ * @returns {Promise<Object|null>} The data URL and image format, or null if it cannot be loaded
+ */
+const loadImage = async (url) => {
+  if (!url) return null;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const type = response.headers.get('content-type') || 'image/jpeg';
+    const data = Buffer.from(await response.arrayBuffer()).toString('base64');
+    const format = type.includes('png') ? 'PNG' : 'JPEG';
+    return { dataUrl: `data:${type};base64,${data}`, format };
+  } catch (error) {
+    logger.warn('Could not load certificate image', { url, error: error.message });
+    return null;
+  }
+};
+
+const drawImageFit = (pdf, image, x, y, maxWidth, maxHeight) => {
+  if (!image) return;
+  try {
+    const { width, height } = pdf.getImageProperties(image.dataUrl);
+    const scale = Math.min(maxWidth / width, maxHeight / height);
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    pdf.addImage(image.dataUrl, image.format, x - drawWidth / 2, y, drawWidth, drawHeight);
+  } catch (error) {
+    logger.warn('Could not draw certificate image', { error: error.message });
+  }
+};
+
+const drawSignatureBlock = (pdf, data, x, y, color) => {
+  if (data.signature) {
+    drawImageFit(pdf, data.signature, x, y - 16, 50, 14);
+  }
+  pdf.setDrawColor(...color);
+  pdf.setLineWidth(0.4);
+  pdf.line(x - 30, y, x + 30, y);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(75, 85, 99);
+  if (data.showInstructorName) {
+    pdf.text(data.instructorName, x, y + 6, { align: 'center' });
+  }
+  pdf.setFontSize(8);
+  pdf.text('Instructor', x, y + (data.showInstructorName ? 11 : 6), { align: 'center' });
+};
+
+const drawDetails = (pdf, data, x, y, align = 'center') => {
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(75, 85, 99);
+  pdf.text(`Date: ${data.date}`, x, y, { align });
+  pdf.text(`Grade: ${data.grade}`, x, y + 6, { align });
+};
+
+const drawFooter = (pdf, data) => {
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(107, 114, 128);
+  const verification = data.verificationCode ? `  |  Verification code: ${data.verificationCode}` : '';
+  pdf.text(`Certificate ID: ${data.certificateId}${verification}`, PAGE_WIDTH / 2, PAGE_HEIGHT - 10, { align: 'center' });
+};
+
+const layouts = {
+  default: (pdf, data) => {
+    const { color } = data;
+    pdf.setDrawColor(...color);
+    pdf.setLineWidth(2);
+    pdf.rect(10, 10, PAGE_WIDTH - 20, PAGE_HEIGHT - 20);
+    pdf.setLineWidth(0.5);
+    pdf.rect(14, 14, PAGE_WIDTH - 28, PAGE_HEIGHT - 28);
+
+    drawImageFit(pdf, data.logo, PAGE_WIDTH / 2, 22, 40, 18);
+
+    pdf.setFont('times', 'bold');
+    pdf.setFontSize(34);
+    pdf.setTextColor(...color);
+    pdf.text('Certificate of Completion', PAGE_WIDTH / 2, 55, { align: 'center' });
+
+    pdf.setFont('times', 'normal');
+    pdf.setFontSize(14);
+    pdf.setTextColor(55, 65, 81);
+    pdf.text('This certifies that', PAGE_WIDTH / 2, 75, { align: 'center' });
+
+    pdf.setFont('times', 'bold');
+    pdf.setFontSize(28);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(data.studentName, PAGE_WIDTH / 2, 92, { align: 'center' });
+
+    pdf.setFont('times', 'normal');
+    pdf.setFontSize(14);
+    pdf.setTextColor(55, 65, 81);
+    pdf.text('has successfully completed the course', PAGE_WIDTH / 2, 106, { align: 'center' });
+
+    pdf.setFont('times', 'bold');
+    pdf.setFontSize(20);
+    pdf.setTextColor(...color);
+    pdf.text(pdf.splitTextToSize(data.courseName, 220), PAGE_WIDTH / 2, 120, { align: 'center' });
+
+    drawDetails(pdf, data, 70, 160);
+    drawSignatureBlock(pdf, data, PAGE_WIDTH - 70, 165, color);
+    drawFooter(pdf, data);
+  },
+
+  modern: (pdf, data) => {
+    const { color } = data;
+    pdf.setFillColor(...color);
+    pdf.rect(0, 0, 70, PAGE_HEIGHT, 'F');
+    pdf.setFillColor(...tint(color, 0.85));
+    pdf.rect(70, 0, 4, PAGE_HEIGHT, 'F');
+
+    drawImageFit(pdf, data.logo, 35, 20, 44, 24);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.setTextColor(255, 255, 255);
+    pdf.text('CERTIFICATE', 35, 120, { align: 'center' });
+    pdf.setFont('helvetica', 'normal');
+    pdf.text('OF COMPLETION', 35, 127, { align: 'center' });
+
+    const left = 90;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(12);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text('PROUDLY PRESENTED TO', left, 50);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(32);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(data.studentName, left, 68);
+
+    pdf.setDrawColor(...color);
+    pdf.setLineWidth(1);
+    pdf.line(left, 75, left + 60, 75);
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(12);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('for successfully completing', left, 90);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(20);
+    pdf.setTextColor(...color);
+    pdf.text(pdf.splitTextToSize(data.courseName, 180), left, 102);
+
+    drawDetails(pdf, data, left, 150, 'left');
+    drawSignatureBlock(pdf, data, PAGE_WIDTH - 55, 165, color);
+    drawFooter(pdf, data);
+  },
+
+  elegant: (pdf, data) => {
+    const { color } = data;
+    pdf.setFillColor(...tint(color, 0.93));
+    pdf.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
+    pdf.setDrawColor(...color);
+    pdf.setLineWidth(1.2);
+    pdf.rect(12, 12, PAGE_WIDTH - 24, PAGE_HEIGHT - 24);
+    pdf.setLineWidth(0.3);
+    pdf.rect(16, 16, PAGE_WIDTH - 32, PAGE_HEIGHT - 32);
+
+    // Corner ornaments
+    [[16, 16], [PAGE_WIDTH - 16, 16], [16, PAGE_HEIGHT - 16], [PAGE_WIDTH - 16, PAGE_HEIGHT - 16]].forEach(([x, y]) => {
+      pdf.setFillColor(...color);
+      pdf.circle(x, y, 3, 'F');
+    });
+
+    drawImageFit(pdf, data.logo, PAGE_WIDTH / 2, 24, 36, 16);
+
+    pdf.setFont('times', 'italic');
+    pdf.setFontSize(38);
+    pdf.setTextColor(...color);
+    pdf.text('Certificate of Achievement', PAGE_WIDTH / 2, 60, { align: 'center' });
+
+    pdf.setFont('times', 'italic');
+    pdf.setFontSize(14);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('This is to certify that', PAGE_WIDTH / 2, 78, { align: 'center' });
+
+    pdf.setFont('times', 'bolditalic');
+    pdf.setFontSize(30);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(data.studentName, PAGE_WIDTH / 2, 96, { align: 'center' });
+
+    pdf.setFont('times', 'italic');
+    pdf.setFontSize(14);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('has completed with distinction', PAGE_WIDTH / 2, 110, { align: 'center' });
+
+    pdf.setFont('times', 'bold');
+    pdf.setFontSize(20);
+    pdf.setTextColor(...color);
+    pdf.text(pdf.splitTextToSize(data.courseName, 200), PAGE_WIDTH / 2, 124, { align: 'center' });
+
+    drawDetails(pdf, data, 75, 160);
+    drawSignatureBlock(pdf, data, PAGE_WIDTH - 75, 165, color);
+    drawFooter(pdf, data);
+  },
+
+  minimal: (pdf, data) => {
+    const { color } = data;
+    pdf.setDrawColor(...color);
+    pdf.setLineWidth(1.5);
+    pdf.line(30, 30, PAGE_WIDTH - 30, 30);
+
+    if (data.logo) {
+      drawImageFit(pdf, data.logo, PAGE_WIDTH - 45, 36, 30, 12);
+    }
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(11);
+    pdf.setTextColor(107, 114, 128);
+    pdf.text('CERTIFICATE OF COMPLETION', 30, 45);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(30);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(data.studentName, 30, 80);
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(13);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('completed', 30, 95);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.setTextColor(...color);
+    pdf.text(pdf.splitTextToSize(data.courseName, 230), 30, 108);
+
+    drawDetails(pdf, data, 30, 160, 'left');
+    drawSignatureBlock(pdf, data, PAGE_WIDTH - 70, 165, color);
+    drawFooter(pdf, data);
+  },
+
+  creative: (pdf, data) => {
+    const { color } = data;
+    const light = tint(color, 0.7);
+    pdf.setFillColor(...color);
+    pdf.triangle(0, 0, 90, 0, 0, 70, 'F');
+    pdf.triangle(PAGE_WIDTH, PAGE_HEIGHT, PAGE_WIDTH - 90, PAGE_HEIGHT, PAGE_WIDTH, PAGE_HEIGHT - 70, 'F');
+    pdf.setFillColor(...light);
+    pdf.triangle(0, 0, 120, 0, 0, 40, 'F');
+    pdf.triangle(PAGE_WIDTH, PAGE_HEIGHT, PAGE_WIDTH - 120, PAGE_HEIGHT, PAGE_WIDTH, PAGE_HEIGHT - 40, 'F');
+
+    drawImageFit(pdf, data.logo, PAGE_WIDTH - 40, 15, 40, 18);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(40);
+    pdf.setTextColor(...color);
+    pdf.text('WELL DONE!', PAGE_WIDTH / 2, 58, { align: 'center' });
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(13);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('This certificate is awarded to', PAGE_WIDTH / 2, 76, { align: 'center' });
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(30);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(data.studentName, PAGE_WIDTH / 2, 94, { align: 'center' });
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(13);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text('for completing', PAGE_WIDTH / 2, 108, { align: 'center' });
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(20);
+    pdf.setTextColor(...color);
+    pdf.text(pdf.splitTextToSize(data.courseName, 200), PAGE_WIDTH / 2, 122, { align: 'center' });
+
+    drawDetails(pdf, data, 80, 160);
+    drawSignatureBlock(pdf, data, PAGE_WIDTH - 80, 165, color);
+    drawFooter(pdf, data);
+  },
+};
+
+/**
+ * Lays out a certificate using its template
+ * @param {Object} certificate The certificate document, including its id
+ * @returns {Promise<Buffer>} The PDF file
+ */
+const renderCertificatePdf = async (certificate) => {
+  const [logo, signature] = await Promise.all([
+    loadImage(certificate.templateLogo),
+    loadImage(certificate.instructorSignatureUrl),
+  ]);
+
+  const data = {
+    certificateId: certificate.id,
+    verificationCode: certificate.verificationCode,
+    studentName: certificate.userName || 'Student',
+    courseName: certificate.courseName || 'Course',
+    instructorName: certificate.instructorName || 'Course Instructor',
+    showInstructorName: certificate.showInstructorName !== false,
+    grade: formatGrade(certificate.grade),
+    date: (toDate(certificate.completedAt) || new Date()).toLocaleDateString('en-US', {
+      year: 'numeric', month: 'long', day: 'numeric',
+    }),
+    color: hexToRgb(certificate.templateColor),
+    logo,
+    signature,
+  };
+
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  pdf.setProperties({
+    title: `${data.courseName} - Certificate`,
+    subject: `Certificate of completion for ${data.studentName}`,
+  });
+
+  const layout = layouts[certificate.templateId] || layouts.default;
+  layout(pdf, data);
+
+  return Buffer.from(pdf.output('arraybuffer'));
+};
+
+module.exports = {
+  renderCertificatePdf,
+};
@@ -0,0 +1,264 @@
+// Certificates of completion. They are issued here, once every lesson of an
+// enrollment is complete, and revoked here by an admin or the course's
+// instructor; the public verification page relies on nobody else being able
+// to write them. Each is keyed by its enrollment id, so an enrollment is only
+// ever issued one. Its PDF is rendered here too and kept in Cloud Storage.
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { getCourseGrade } = require('./quizzes');
+const { isEnrollmentActive } = require('./enrollments');
+const { renderCertificatePdf } = require('./certificatePdf');
+
+// normalizeVerificationCode in src/utils/certificates.js expects this alphabet
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Raised when a certificate cannot be issued or revoked
+class CertificateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CertificateError';
+  }
+}
+
+const createVerificationCode = () => {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const getPdfFile = (certificateId) => getStorage().bucket().file(`certificates/${certificateId}.pdf`);
+
+const generateUniqueVerificationCode = async (db) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = createVerificationCode();
+    const existing = await db.collection('certificates').where('verificationCode', '==', code).limit(1).get();
+    if (existing.empty) return code;
+  }
+  throw new Error('Could not generate a unique verification code');
+};
+
+/**
+ * Issues the certificate for one of the student's enrollments, once every
+ * lesson has a completed progress record. Asking again is harmless.
+ * @param {string} userId The student
+ * @param {string} enrollmentId The enrollment that was completed
+ * @returns {Promise<Object>} The certificate id and whether it was issued now
+ */
+const issueCertificate = async (userId, enrollmentId) => {
+  const db = getFirestore();
+  const enrollmentRef = db.collection('enrollments').doc(enrollmentId);
+  const certificateRef = db.collection('certificates').doc(enrollmentId);
+
+  const enrollmentSnap = await enrollmentRef.get();
+  const enrollment = enrollmentSnap.exists ? enrollmentSnap.data() : null;
+  if (!enrollment || enrollment.userId !== userId) {
+    throw new CertificateError('Enrollment not found');
+  }
+  if (!isEnrollmentActive(enrollment)) {
+    throw new CertificateError('This enrollment no longer gives access to the course');
+  }
+
+  const courseSnap = await db.collection('courses').doc(enrollment.courseId).get();
+  if (!courseSnap.exists) {
+    throw new CertificateError('Course not found');
+  }
+  const course = courseSnap.data();
+  const lessons = course.lessons || [];
+
+  const [progressSnap, attemptsSnap, userSnap] = await Promise.all([
+    db.collection('progress').where('userId', '==', userId).where('courseId', '==', enrollment.courseId).get(),
+    db.collection('quizAttempts').where('userId', '==', userId).where('courseId', '==', enrollment.courseId).get(),
+    db.collection('users').doc(userId).get(),
+  ]);
+
+  const completedLessonIds = new Set(progressSnap.docs
+    .filter(progressDoc => progressDoc.data().completed)
+    .map(progressDoc => progressDoc.data().lessonId));
+  if (!lessons.length || !lessons.every(lesson => completedLessonIds.has(lesson.id))) {
+    throw new CertificateError('Complete every lesson to earn the certificate');
+  }
+
+  const user = userSnap.exists ? userSnap.data() : {};
+  const template = course.certificateTemplate || {};
+  const grade = getCourseGrade(lessons, attemptsSnap.docs.map(attemptDoc => attemptDoc.data()));
+  const verificationCode = await generateUniqueVerificationCode(db);
+
+  const issued = await db.runTransaction(async (tx) => {
+    const existing = await tx.get(certificateRef);
+    if (existing.exists) return false;
+
+    tx.set(certificateRef, {
+      enrollmentId,
+      userId,
+      courseId: enrollment.courseId,
+      courseName: course.title || 'Course',
+      userName: user.name || user.displayName || user.email || 'Student',
+      grade,
+      instructorName: template.instructorName || course.instructorName || 'Course Instructor',
+      showInstructorName: template.showInstructorName !== false,
+      instructorSignatureUrl: template.instructorSignatureUrl || null,
+      templateId: template.templateId || 'default',
+      templateColor: template.color || '#1E40AF',
+      templateLogo: template.logo || null,
+      completedAt: FieldValue.serverTimestamp(),
+      createdAt: FieldValue.serverTimestamp(),
+      verificationCode,
+      status: 'valid',
+    });
+    tx.update(enrollmentRef, {
+      certificateId: certificateRef.id,
+      completedAt: FieldValue.serverTimestamp(),
+    });
+    tx.set(db.collection('achievements').doc(), {
+      userId,
+      title: 'Course Completed',
+      description: grade !== null ? `Completed ${course.title} with ${grade}% score` : `Completed ${course.title}`,
+      type: 'course_completion',
+      certificateId: certificateRef.id,
+      earnedAt: FieldValue.serverTimestamp(),
+    });
+    tx.set(db.collection('notifications').doc(), {
+      userId,
+      type: 'certificate_issued',
+      title: 'Certificate issued',
+      message: `Congratulations! Your certificate for ${course.title} is ready.`,
+      link: '/achievements/certificates',
+      data: { courseId: enrollment.courseId, certificateId: certificateRef.id },
+      read: false,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+
+  return { certificateId: certificateRef.id, issued };
+};
+
+/**
+ * Gives one of the student's certificates issued before verification codes
+ * existed its own code
+ * @param {string} userId The student
+ * @param {string} certificateId The certificate
+ * @returns {Promise<Object>} The verification code
+ */
+const assignVerificationCode = async (userId, certificateId) => {
+  const db = getFirestore();
+  const certificateRef = db.collection('certificates').doc(certificateId);
+  const certificateSnap = await certificateRef.get();
+  if (!certificateSnap.exists || certificateSnap.data().userId !== userId) {
+    throw new CertificateError('Certificate not found');
+  }
+  if (certificateSnap.data().verificationCode) {
+    return { verificationCode: certificateSnap.data().verificationCode };
+  }
+
+  const verificationCode = await generateUniqueVerificationCode(db);
+  await certificateRef.update({ verificationCode });
+  return { verificationCode };
+};
+
+/**
+ * Renders a certificate's PDF, stores it in Cloud Storage and saves its
+ * download URL on the certificate as `pdfUrl`. Revoked certificates are not
+ * rendered.
+ * @param {string} certificateId The certificate
+ * @returns {Promise<string|null>} The download URL
+ */
+const storeCertificatePdf = async (certificateId) => {
+  const db = getFirestore();
+  const certificateRef = db.collection('certificates').doc(certificateId);
+  const certificateSnap = await certificateRef.get();
+  if (!certificateSnap.exists || certificateSnap.data().status === 'revoked') return null;
+
+  const file = getPdfFile(certificateId);
+  // The same kind of token getDownloadURL hands out in the browser
+  const token = crypto.randomUUID();
+  await file.save(await renderCertificatePdf({ id: certificateId, ...certificateSnap.data() }), {
+    metadata: {
+      contentType: 'application/pdf',
+      metadata: { firebaseStorageDownloadTokens: token },
+    },
+  });
+
+  const pdfUrl = `https://firebasestorage.googleapis.com/v0/b/${file.bucket.name}/o/`
+    + `${encodeURIComponent(file.name)}?alt=media&token=${token}`;
+  await certificateRef.update({ pdfUrl, pdfGeneratedAt: FieldValue.serverTimestamp() });
+  return pdfUrl;
+};
+
+/**
+ * The stored PDF of one of the student's certificates, rendered now if it
+ * has not been yet. Certificates issued before the PDFs were stored may carry
+ * a `pdfUrl` from elsewhere; only one with `pdfGeneratedAt` is reused.
+ * @param {string} userId The student
+ * @param {string} certificateId The certificate
+ * @returns {Promise<Object>} The download URL
+ */
+const getCertificatePdf = async (userId, certificateId) => {
+  const db = getFirestore();
+  const certificateSnap = await db.collection('certificates').doc(certificateId).get();
+  if (!certificateSnap.exists || certificateSnap.data().userId !== userId) {
+    throw new CertificateError('Certificate not found');
+  }
+  const certificate = certificateSnap.data();
+  if (certificate.status === 'revoked') {
+    throw new CertificateError('This certificate has been revoked');
+  }
+  if (certificate.pdfUrl && certificate.pdfGeneratedAt) {
+    return { pdfUrl: certificate.pdfUrl };
+  }
+  return { pdfUrl: await storeCertificatePdf(certificateId) };
+};
+
+/**
+ * Marks a certificate as revoked so the verification page flags it. Only an
+ * admin or the instructor of the certificate's course can.
+ * @param {string} callerId The admin or instructor
+ * @param {string} certificateId The certificate
+ * @param {string} reason Why, shown on the verification page
+ * @returns {Promise<Object>} The certificate id
+ */
+const revokeCertificate = async (callerId, certificateId, reason = '') => {
+  const db = getFirestore();
+  const certificateRef = db.collection('certificates').doc(certificateId);
+  const certificateSnap = await certificateRef.get();
+  if (!certificateSnap.exists) {
+    throw new CertificateError('Certificate not found');
+  }
+  const certificate = certificateSnap.data();
+  if (certificate.status === 'revoked') {
+    throw new CertificateError('This certificate has already been revoked');
+  }
+
+  const [callerSnap, courseSnap] = await Promise.all([
+    db.collection('users').doc(callerId).get(),
+    db.collection('courses').doc(certificate.courseId).get(),
+  ]);
+  const caller = callerSnap.exists ? callerSnap.data() : {};
+  const isAdmin = caller.role === 'admin' && !caller.suspended;
+  const isInstructor = courseSnap.exists && courseSnap.data().instructorId === callerId;
+  if (!isAdmin && !isInstructor) {
+    throw new CertificateError('Only an admin or the course instructor can revoke this certificate');
+  }
+
+  await certificateRef.update({
+    status: 'revoked',
+    revokedReason: String(reason || '').trim(),
+    revokedBy: callerId,
+    revokedAt: FieldValue.serverTimestamp(),
+    pdfUrl: null,
+  });
+  // A revoked certificate can no longer be downloaded
+  await getPdfFile(certificateId).delete({ ignoreNotFound: true });
+  return { certificateId };
+};
+
+module.exports = {
+  CertificateError,
+  issueCertificate,
+  assignVerificationCode,
+  storeCertificatePdf,
+  getCertificatePdf,
+  revokeCertificate,
+};
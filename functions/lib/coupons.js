@@ -0,0 +1,49 @@
+// Server copy of the coupon rules in src/utils/coupons.js: the browser uses
+// its copy to show the discounted price, this one decides what Paystack must
+// actually have charged.
+
+const { toDate } = require('./dates');
+
+const normalizeCouponCode = (code) =>
+  String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+
+const applyCoupon = (price, coupon) => {
+  if (!coupon) return price;
+  const discount = coupon.type === 'percent'
+    ? price * (Number(coupon.value) / 100)
+    : Number(coupon.value);
+  return Math.max(0, Math.round((price - discount) * 100) / 100);
+};
+
+/**
+ * Checks whether a coupon can be used by a student on a course
+ * @param {Object} coupon The coupon document data
+ * @param {Object} context courseId, course, userId, price before the coupon and the moment of purchase
+ * @returns {string|null} Why the coupon cannot be used, or null if it can
+ */
+const getCouponError = (coupon, { courseId, course, userId, price, at = new Date() }) => {
+  if (!coupon || coupon.active === false) return 'Coupon is not valid';
+  if (coupon.instructorId !== course.instructorId) return 'Coupon does not belong to this course';
+  if (coupon.courseIds?.length && !coupon.courseIds.includes(courseId)) {
+    return 'Coupon does not apply to this course';
+  }
+
+  const expiresAt = toDate(coupon.expiresAt);
+  if (expiresAt && at > expiresAt) return 'Coupon has expired';
+
+  if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) {
+    return 'Coupon has reached its usage limit';
+  }
+  if (coupon.perUserLimit && (coupon.usageByUser?.[userId] || 0) >= coupon.perUserLimit) {
+    return 'Coupon was already used by this student';
+  }
+  if (applyCoupon(price, coupon) <= 0) return 'Coupon cannot cover the full price';
+
+  return null;
+};
+
+module.exports = {
+  normalizeCouponCode,
+  applyCoupon,
+  getCouponError,
+};
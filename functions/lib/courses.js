@@ -0,0 +1,123 @@
+// Course maintenance. Courses created before the publishing workflow have no
+// `status`; the app treats them as published, but catalog queries on
+// `status == 'published'` cannot find them until it is written. Enrollments
+// keep a snapshot of their course's curriculum, written only here: when the
+// enrollment is created and whenever the course's sections or lessons change.
+// Students cannot edit their enrollments.
+
+const { getFirestore, FieldPath } = require('firebase-admin/firestore');
+const { assertAdmin } = require('./admin');
+
+// Documents per call, within a write batch's 500 operations
+const PAGE_SIZE = 400;
+
+// Flat courses from before sections existed; the app shows them the same way
+// (normalizeCourseStructure in src/utils/courseStructure.js)
+const DEFAULT_SECTION = { id: 'default', title: 'Course Content' };
+
+/**
+ * The curriculum snapshot stored on enrollments. Course lessons are saved in
+ * curriculum order.
+ * @param {Object} course The course document
+ * @returns {Object} Sections and lesson summaries
+ */
+const getCurriculumSnapshot = (course = {}) => {
+  const sections = course.sections?.length ? course.sections : [DEFAULT_SECTION];
+  return {
+    sections: sections.map(section => ({ id: section.id, title: section.title })),
+    lessons: (course.lessons || []).map(lesson => ({
+      id: lesson.id,
+      title: lesson.title,
+      duration: lesson.duration ?? null,
+      sectionId: lesson.sectionId || DEFAULT_SECTION.id,
+    })),
+  };
+};
+
+/**
+ * Gives an enrollment made in the browser (a free course) its curriculum
+ * snapshot. Enrollments made by the functions already have one.
+ * @param {string} enrollmentId The new enrollment
+ * @param {Object} enrollment Its data
+ * @returns {Promise<boolean>} Whether the snapshot was written
+ */
+const recordEnrollmentCurriculum = async (enrollmentId, enrollment) => {
+  if (enrollment.courseData) return false;
+
+  const db = getFirestore();
+  const courseSnap = await db.collection('courses').doc(enrollment.courseId).get();
+  if (!courseSnap.exists) return false;
+
+  const course = courseSnap.data();
+  await db.collection('enrollments').doc(enrollmentId).update({
+    courseData: { title: course.title, ...getCurriculumSnapshot(course) },
+  });
+  return true;
+};
+
+/**
+ * Refreshes the curriculum snapshot on every enrollment in a course when its
+ * sections or lessons changed. Student progress on the enrollments is kept.
+ * @param {string} courseId The course
+ * @param {Object} before The course before the update
+ * @param {Object} after The course after the update
+ * @returns {Promise<number>} Enrollments updated
+ */
+const syncEnrollmentCurricula = async (courseId, before, after) => {
+  const curriculum = getCurriculumSnapshot(after);
+  const previous = getCurriculumSnapshot(before);
+  if (JSON.stringify(curriculum) === JSON.stringify(previous)) return 0;
+
+  const db = getFirestore();
+  const snapshot = await db.collection('enrollments').where('courseId', '==', courseId).get();
+  for (let i = 0; i < snapshot.docs.length; i += PAGE_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + PAGE_SIZE).forEach(enrollmentDoc => {
+      batch.update(enrollmentDoc.ref, {
+        'courseData.sections': curriculum.sections,
+        'courseData.lessons': curriculum.lessons,
+      });
+    });
+    await batch.commit();
+  }
+  return snapshot.size;
+};
+
+/**
+ * Marks one page of status-less courses as published. Call again with the
+ * returned cursor until `done`; an interrupted run resumes from its cursor.
+ * @param {string} adminId The admin running it
+ * @param {string|null} cursor The last course id of the previous page
+ * @returns {Promise<Object>} Courses updated, the next cursor and whether done
+ */
+const backfillCourseStatus = async (adminId, cursor = null) => {
+  await assertAdmin(adminId);
+
+  const db = getFirestore();
+  let pageQuery = db.collection('courses').orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+  if (cursor) pageQuery = pageQuery.startAfter(cursor);
+  const snapshot = await pageQuery.get();
+
+  const batch = db.batch();
+  let updated = 0;
+  snapshot.docs.forEach(courseDoc => {
+    if (courseDoc.data().status) return;
+    batch.update(courseDoc.ref, { status: 'published' });
+    updated += 1;
+  });
+  if (updated > 0) await batch.commit();
+
+  return {
+    updated,
+    cursor: snapshot.empty ? cursor : snapshot.docs[snapshot.docs.length - 1].id,
+    done: snapshot.size < PAGE_SIZE,
+  };
+};
+
+module.exports = {
+  PAGE_SIZE,
+  getCurriculumSnapshot,
+  recordEnrollmentCurriculum,
+  backfillCourseStatus,
+  syncEnrollmentCurricula,
+};
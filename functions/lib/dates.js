@@ -0,0 +1,18 @@
+// Dates as they are stored: Firestore Timestamps, Dates, ISO strings or
+// milliseconds.
+
+/**
+ * Turns a stored date into a Date
+ * @param {*} value A Timestamp, Date, string or number
+ * @returns {Date|null} The date, or null when there is none or it is invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  toDate,
+};
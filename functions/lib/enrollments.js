@@ -0,0 +1,23 @@
+// Enrollments outlive access to their course: refunded ones and reclaimed
+// seats keep their status, and membership ones expire (`accessExpiresAt`).
+// The same check as src/utils/enrollments.js.
+
+const { toDate } = require('./dates');
+
+/**
+ * Whether an enrollment currently grants access to its course. Enrollments
+ * created before statuses existed have none and are active.
+ * @param {Object} enrollment The enrollment document
+ * @param {Date} at The moment to check
+ * @returns {boolean} Whether it is active
+ */
+const isEnrollmentActive = (enrollment, at = new Date()) => {
+  if (!enrollment) return false;
+  if (enrollment.status && enrollment.status !== 'active') return false;
+  const expiresAt = toDate(enrollment.accessExpiresAt);
+  return !expiresAt || at < expiresAt;
+};
+
+module.exports = {
+  isEnrollmentActive,
+};
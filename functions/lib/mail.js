@@ -0,0 +1,70 @@
+// Outgoing email behind a small adapter interface, so the provider can be
+// swapped without touching the code that sends mail. MAIL_ADAPTER picks one of
+// the built-in adapters; setMailAdapter plugs in any object with a `send`
+// method (a provider SDK wrapper, or a stub in the emulator).
+//
+//   log      (default) writes the message to the functions log
+//   webhook  POSTs the message as JSON to MAIL_WEBHOOK_URL, e.g. a Zapier,
+//            Make or provider relay endpoint
+
+const logger = require('firebase-functions/logger');
+
+const logAdapter = {
+  send: async (message) => {
+    logger.info('Email not sent (log adapter)', message);
+    return { id: null };
+  },
+};
+
+const webhookAdapter = {
+  send: async (message) => {
+    const url = process.env.MAIL_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('MAIL_WEBHOOK_URL is not configured');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}` }),
+      },
+      body: JSON.stringify({ from: process.env.MAIL_FROM || null, ...message }),
+    });
+    if (!response.ok) {
+      throw new Error(`Mail webhook failed with status ${response.status}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    return { id: body.id || null };
+  },
+};
+
+const ADAPTERS = {
+  log: logAdapter,
+  webhook: webhookAdapter,
+};
+
+let customAdapter = null;
+
+/**
+ * Replaces the configured adapter
+ * @param {Object|null} adapter An object with `send(message)`, or null to go back to MAIL_ADAPTER
+ */
+const setMailAdapter = (adapter) => {
+  customAdapter = adapter;
+};
+
+const getMailAdapter = () =>
+  customAdapter || ADAPTERS[process.env.MAIL_ADAPTER] || logAdapter;
+
+/**
+ * Sends an email through the current adapter
+ * @param {Object} message `to`, `subject`, `text` and optionally `html`
+ * @returns {Promise<Object>} The provider's message id, when it returns one
+ */
+const sendMail = (message) => getMailAdapter().send(message);
+
+module.exports = {
+  setMailAdapter,
+  sendMail,
+};
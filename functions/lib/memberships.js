@@ -0,0 +1,370 @@
+// All-access memberships billed through Paystack subscriptions. The first
+// charge arrives like any other payment (callback and webhook); renewals only
+// arrive as `charge.success` webhooks for the same Paystack customer. Each paid
+// period pushes `memberships/{userId}.currentPeriodEnd` forward, and the
+// enrollments made with the membership expire with it.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const {
+  PaymentError,
+  TAX_RATE,
+  formatReceiptNumber,
+  isEnrollmentRevoked,
+} = require('./payments');
+const { getCurriculumSnapshot } = require('./courses');
+const { disableSubscription } = require('./paystack');
+const {
+  BASE_CURRENCY,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+} = require('./pricing');
+const { toDate } = require('./dates');
+
+// Served to the membership page by getPlatformSettings (./settings). Plan codes
+// come from the plans created on the Paystack dashboard.
+const MEMBERSHIP_PLANS = {
+  monthly: {
+    id: 'monthly',
+    label: 'Monthly membership',
+    price: Number(process.env.MEMBERSHIP_MONTHLY_PRICE ?? 19),
+    currency: process.env.MEMBERSHIP_CURRENCY || 'USD',
+    planCode: process.env.PAYSTACK_PLAN_MONTHLY || 'PLN_monthly',
+    period: 'month',
+    months: 1,
+  },
+  annual: {
+    id: 'annual',
+    label: 'Annual membership',
+    price: Number(process.env.MEMBERSHIP_ANNUAL_PRICE ?? 190),
+    currency: process.env.MEMBERSHIP_CURRENCY || 'USD',
+    planCode: process.env.PAYSTACK_PLAN_ANNUAL || 'PLN_annual',
+    period: 'year',
+    months: 12,
+  },
+};
+
+// Renewal webhooks can land a little after the period ends
+const GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + months);
+  return next;
+};
+
+const getPlanCode = (transaction) =>
+  (typeof transaction.plan === 'string' ? transaction.plan : transaction.plan?.plan_code)
+  || transaction.plan_object?.plan_code
+  || null;
+
+const findPlanByCode = (planCode) =>
+  Object.values(MEMBERSHIP_PLANS).find(plan => plan.planCode === planCode) || null;
+
+/**
+ * Whether a verified transaction pays for a membership rather than a course
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @returns {boolean} Whether it is a membership charge
+ */
+const isMembershipTransaction = (transaction) =>
+  transaction.metadata?.type === 'membership' || !!findPlanByCode(getPlanCode(transaction));
+
+/**
+ * Whether a membership grants access at a moment
+ * @param {Object} membership The membership document
+ * @param {Date} at The moment to check
+ * @returns {boolean} Whether it is active
+ */
+const isMembershipActive = (membership, at = new Date()) => {
+  const periodEnd = toDate(membership?.currentPeriodEnd);
+  return !!periodEnd && at.getTime() < periodEnd.getTime() + GRACE_PERIOD_MS;
+};
+
+/**
+ * Records a verified membership charge and extends the member's access. Safe to
+ * call more than once per reference, like fulfillCoursePayment.
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @param {string} source Which path fulfilled it, 'callback' or 'webhook'
+ * @returns {Promise<Object>} The payment id and the new period end
+ */
+const fulfillMembershipPayment = async (transaction, source) => {
+  const { reference, metadata = {} } = transaction;
+
+  if (transaction.status !== 'success') {
+    throw new PaymentError(`Transaction ${reference} was not successful`);
+  }
+
+  const plan = findPlanByCode(getPlanCode(transaction)) || MEMBERSHIP_PLANS[metadata.planId];
+  if (!plan) {
+    throw new PaymentError(`Transaction ${reference} is not for a known membership plan`);
+  }
+  if (transaction.currency !== plan.currency) {
+    throw new PaymentError(`Expected a ${plan.currency} payment but received ${transaction.currency}`);
+  }
+  if (transaction.amount < Math.round(plan.price * 100)) {
+    throw new PaymentError(`Paid ${transaction.amount} but the ${plan.id} plan costs ${plan.price * 100}`);
+  }
+
+  const db = getFirestore();
+  const customerCode = transaction.customer?.customer_code || null;
+
+  // Renewals don't carry the original metadata; find the member by customer
+  let { userId } = metadata;
+  if (!userId && customerCode) {
+    const byCustomer = await db.collection('memberships')
+      .where('customerCode', '==', customerCode)
+      .limit(1)
+      .get();
+    userId = byCustomer.empty ? null : byCustomer.docs[0].id;
+  }
+  if (!userId) {
+    throw new PaymentError(`Transaction ${reference} is missing its member`);
+  }
+
+  const paymentRef = db.collection('payments').doc(reference);
+  const membershipRef = db.collection('memberships').doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const existingPayment = await tx.get(paymentRef);
+    if (existingPayment.exists) {
+      return { paymentId: paymentRef.id, alreadyProcessed: true };
+    }
+
+    const membershipSnap = await tx.get(membershipRef);
+    const membership = membershipSnap.exists ? membershipSnap.data() : null;
+    const userSnap = await tx.get(db.collection('users').doc(userId));
+    const user = userSnap.exists ? userSnap.data() : {};
+    const memberEnrollments = await tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', userId)
+        .where('accessType', '==', 'membership')
+    );
+    const counterRef = db.collection('counters').doc('receipts');
+    const counter = await tx.get(counterRef);
+    const receiptSequence = (counter.exists ? counter.data().value || 0 : 0) + 1;
+    const ratesSnap = await tx.get(db.collection('settings').doc('exchangeRates'));
+    const rates = { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) };
+
+    // A renewal extends the current period; a lapsed member starts a new one
+    const paidAt = transaction.paid_at ? new Date(transaction.paid_at) : new Date();
+    const previousEnd = toDate(membership?.currentPeriodEnd);
+    const periodStart = previousEnd && previousEnd > paidAt ? previousEnd : paidAt;
+    const currentPeriodEnd = addMonths(periodStart, plan.months);
+
+    const amount = transaction.amount / 100;
+
+    tx.set(counterRef, { value: receiptSequence }, { merge: true });
+
+    tx.set(paymentRef, {
+      type: 'membership',
+      userId,
+      planId: plan.id,
+      courseTitle: plan.label,
+      receiptNumber: formatReceiptNumber(receiptSequence, paidAt),
+      buyer: {
+        name: user.name || user.displayName || null,
+        email: user.email || transaction.customer?.email || null,
+      },
+      amount,
+      originalAmount: plan.price,
+      discountAmount: 0,
+      coupon: null,
+      exchangeRate: getExchangeRate(transaction.currency, rates),
+      normalizedAmount: toBaseAmount(amount, transaction.currency, rates),
+      normalizedCurrency: BASE_CURRENCY,
+      taxRate: TAX_RATE,
+      taxAmount: Math.round((amount - amount / (1 + TAX_RATE)) * 100) / 100,
+      currency: transaction.currency,
+      status: 'succeeded',
+      paymentMethod: `Paystack - ${transaction.currency}`,
+      channel: transaction.channel || null,
+      reference,
+      transaction: transaction.id || null,
+      verifiedBy: source,
+      periodStart,
+      periodEnd: currentPeriodEnd,
+      createdAt: FieldValue.serverTimestamp(),
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    tx.set(membershipRef, {
+      userId,
+      planId: plan.id,
+      status: 'active',
+      customerCode: customerCode || membership?.customerCode || null,
+      currentPeriodEnd,
+      lastPaymentId: reference,
+      startedAt: membership?.startedAt || FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    // Courses joined with the membership stay open for the new period
+    const accessExpiresAt = new Date(currentPeriodEnd.getTime() + GRACE_PERIOD_MS);
+    memberEnrollments.docs.forEach(enrollmentDoc => {
+      tx.update(enrollmentDoc.ref, { accessExpiresAt });
+    });
+
+    return { paymentId: paymentRef.id, currentPeriodEnd: currentPeriodEnd.toISOString(), alreadyProcessed: false };
+  });
+};
+
+/**
+ * Stores the Paystack subscription behind a membership, from the
+ * `subscription.create` webhook. Needed later to cancel it.
+ * @param {Object} subscription The webhook's subscription data
+ */
+const recordSubscription = async (subscription) => {
+  const customerCode = subscription.customer?.customer_code;
+  if (!customerCode) return;
+
+  const db = getFirestore();
+  const snapshot = await db.collection('memberships')
+    .where('customerCode', '==', customerCode)
+    .limit(1)
+    .get();
+  if (snapshot.empty) return;
+
+  await snapshot.docs[0].ref.update({
+    subscriptionCode: subscription.subscription_code || null,
+    emailToken: subscription.email_token || null,
+    nextPaymentDate: subscription.next_payment_date ? new Date(subscription.next_payment_date) : null,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Marks a membership as no longer renewing. Access continues until the end of
+ * the period already paid for, then lapses on its own.
+ * @param {Object} subscription The webhook's subscription data
+ * @param {string} status 'cancelled' or 'past_due'
+ */
+const markMembershipStatus = async (subscription, status) => {
+  const db = getFirestore();
+  const field = subscription.subscription_code ? 'subscriptionCode' : 'customerCode';
+  const value = subscription.subscription_code || subscription.customer?.customer_code;
+  if (!value) return;
+
+  const snapshot = await db.collection('memberships').where(field, '==', value).limit(1).get();
+  if (snapshot.empty) return;
+
+  await snapshot.docs[0].ref.update({ status, updatedAt: FieldValue.serverTimestamp() });
+};
+
+/**
+ * Enrolls a member in a course included in the membership, without a payment.
+ * The enrollment expires with the membership.
+ * @param {string} userId The member
+ * @param {string} courseId The course
+ * @returns {Promise<Object>} The enrollment id
+ */
+const enrollWithMembership = async (userId, courseId) => {
+  const db = getFirestore();
+  const courseRef = db.collection('courses').doc(courseId);
+  const membershipRef = db.collection('memberships').doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [courseSnap, membershipSnap, userSnap] = await Promise.all([
+      tx.get(courseRef),
+      tx.get(membershipRef),
+      tx.get(db.collection('users').doc(userId)),
+    ]);
+    const existing = await tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', userId)
+        .where('courseId', '==', courseId)
+        .limit(1)
+    );
+
+    if (!courseSnap.exists || courseSnap.data().isDeleted) {
+      throw new PaymentError('Course not found');
+    }
+    const course = courseSnap.data();
+    if (!course.includedInMembership) {
+      throw new PaymentError('This course is not included in the membership');
+    }
+    const membership = membershipSnap.exists ? membershipSnap.data() : null;
+    if (!isMembershipActive(membership)) {
+      throw new PaymentError('Your membership is not active');
+    }
+
+    const accessExpiresAt = new Date(toDate(membership.currentPeriodEnd).getTime() + GRACE_PERIOD_MS);
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    if (!existing.empty) {
+      const enrollment = existing.docs[0].data();
+      // Already owns the course outright, or is already in through the membership
+      if (enrollment.accessType !== 'membership' && !isEnrollmentRevoked(enrollment)) {
+        return { enrollmentId: existing.docs[0].id, alreadyEnrolled: true };
+      }
+      tx.update(existing.docs[0].ref, {
+        status: 'active',
+        accessType: 'membership',
+        accessExpiresAt,
+        revokedAt: null,
+      });
+      return { enrollmentId: existing.docs[0].id, alreadyEnrolled: false };
+    }
+
+    const enrollmentRef = db.collection('enrollments').doc();
+    tx.set(enrollmentRef, {
+      userId,
+      courseId,
+      enrolledAt: FieldValue.serverTimestamp(),
+      progress: {},
+      paidAmount: 0,
+      accessType: 'membership',
+      accessExpiresAt,
+      userRole: user.role || 'student',
+      courseData: {
+        title: course.title,
+        ...getCurriculumSnapshot(course),
+      },
+    });
+    tx.update(courseRef, {
+      enrollmentCount: FieldValue.increment(1),
+      lastActivity: FieldValue.serverTimestamp(),
+    });
+
+    return { enrollmentId: enrollmentRef.id, alreadyEnrolled: false };
+  });
+};
+
+/**
+ * Stops a member's subscription from renewing on Paystack. They keep access
+ * until the end of the period already paid for.
+ * @param {string} userId The member
+ * @returns {Promise<Object>} When access ends
+ */
+const cancelMembership = async (userId) => {
+  const db = getFirestore();
+  const membershipRef = db.collection('memberships').doc(userId);
+  const membershipSnap = await membershipRef.get();
+  const membership = membershipSnap.exists ? membershipSnap.data() : null;
+
+  if (!isMembershipActive(membership) || membership.status === 'cancelled') {
+    throw new PaymentError('You have no membership to cancel');
+  }
+  if (!membership.subscriptionCode || !membership.emailToken) {
+    throw new PaymentError('Your subscription is still being set up. Please try again in a few minutes.');
+  }
+
+  await disableSubscription(membership.subscriptionCode, membership.emailToken);
+  await membershipRef.update({
+    status: 'cancelled',
+    cancelledAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return { accessEndsAt: toDate(membership.currentPeriodEnd).toISOString() };
+};
+
+module.exports = {
+  MEMBERSHIP_PLANS,
+  isMembershipTransaction,
+  isMembershipActive,
+  fulfillMembershipPayment,
+  recordSubscription,
+  markMembershipStatus,
+  enrollWithMembership,
+  cancelMembership,
+};
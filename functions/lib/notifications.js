@@ -0,0 +1,233 @@
+// Notifications that follow from changes made in the browser: a free
+// enrollment, a discussion reply, a course update or review, and course access
+// about to end. They are written here, from Firestore triggers and a daily
+// schedule, because firestore.rules only lets users mark their own
+// notifications as read. Notifications about payments, refunds and the like
+// are written by the functions that handle them.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { toDate } = require('./dates');
+const { isEnrollmentActive } = require('./enrollments');
+
+// Days before `accessibleUntil` or an enrollment's `accessExpiresAt` that
+// students are warned
+const ACCESS_EXPIRY_WARNING_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const buildNotification = (userId, { type, title, message, link = null, data = {} }) => ({
+  userId,
+  type,
+  title,
+  message,
+  link,
+  data,
+  read: false,
+  createdAt: FieldValue.serverTimestamp(),
+});
+
+/**
+ * Sends the same notification to many users in batched writes
+ * @param {Array<string>} userIds The recipients
+ * @param {Object} notification Type, title, message, optional link and extra data
+ * @returns {Promise<number>} How many were sent
+ */
+const notifyUsers = async (userIds, notification) => {
+  const db = getFirestore();
+  const recipients = [...new Set(userIds.filter(Boolean))];
+
+  for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    recipients.slice(i, i + BATCH_SIZE).forEach(userId => {
+      batch.set(db.collection('notifications').doc(), buildNotification(userId, notification));
+    });
+    await batch.commit();
+  }
+  return recipients.length;
+};
+
+/**
+ * Tells the instructor about a student enrolling in a free course. Enrollments
+ * made by the payment, code, seat and membership functions have an
+ * `accessType` and are announced by those functions.
+ * @param {Object} enrollment The new enrollment
+ */
+const notifyNewEnrollment = async (enrollment) => {
+  if (enrollment.accessType) return;
+
+  const db = getFirestore();
+  const [courseSnap, studentSnap] = await Promise.all([
+    db.collection('courses').doc(enrollment.courseId).get(),
+    db.collection('users').doc(enrollment.userId).get(),
+  ]);
+  if (!courseSnap.exists) return;
+
+  const course = courseSnap.data();
+  const student = studentSnap.exists ? studentSnap.data() : {};
+  await notifyUsers([course.instructorId], {
+    type: 'new_enrollment',
+    title: 'New enrollment',
+    message: `${student.name || student.displayName || 'A student'} enrolled in ${course.title}`,
+    link: '/dashboard/students',
+    data: { courseId: enrollment.courseId, studentId: enrollment.userId },
+  });
+};
+
+/**
+ * Tells the author of a discussion message about a reply to it
+ * @param {string} replyId The new message
+ * @param {Object} reply The new message's data
+ */
+const notifyDiscussionReply = async (replyId, reply) => {
+  if (!reply.parentId) return;
+
+  const db = getFirestore();
+  const [parentSnap, courseSnap] = await Promise.all([
+    db.collection('discussions').doc(reply.parentId).get(),
+    db.collection('courses').doc(reply.courseId).get(),
+  ]);
+  if (!parentSnap.exists) return;
+
+  const authorId = parentSnap.data().userId;
+  if (authorId === reply.userId) return;
+
+  const courseTitle = courseSnap.exists ? courseSnap.data().title : null;
+  await notifyUsers([authorId], {
+    type: 'discussion_reply',
+    title: 'New reply to your discussion',
+    message: `${reply.userName || 'Someone'} replied in ${courseTitle || 'a course discussion'}: "${String(reply.message || '').slice(0, 80)}"`,
+    link: `/community/discussion/${reply.courseId}/${reply.parentId}`,
+    data: { courseId: reply.courseId, discussionId: reply.parentId, replyId },
+  });
+};
+
+const getMillis = (value) => toDate(value)?.getTime() || 0;
+
+/**
+ * Announces a new version of a course to its students, and an admin's review
+ * decision to its instructor
+ * @param {string} courseId The course
+ * @param {Object} before The course before the update
+ * @param {Object} after The course after the update
+ */
+const notifyCourseChanges = async (courseId, before, after) => {
+  const db = getFirestore();
+
+  if ((after.version || 0) > (before.version || 0) && after.versionHistory?.length) {
+    const enrollmentsSnap = await db.collection('enrollments').where('courseId', '==', courseId).get();
+    const changelog = String(after.versionHistory[0].changelog || '');
+    await notifyUsers(enrollmentsSnap.docs.map(enrollmentDoc => enrollmentDoc.data().userId), {
+      type: 'course_update',
+      title: `${after.title} has been updated`,
+      message: `Version ${after.version}: ${changelog.split('\n')[0]}`,
+      link: `/courses/${courseId}`,
+      data: { courseId, version: after.version },
+    });
+  }
+
+  if (after.reviewedAt && getMillis(after.reviewedAt) !== getMillis(before.reviewedAt)) {
+    const approved = after.status === 'published';
+    const note = after.reviewNote ? ` ${after.reviewNote}` : '';
+    await notifyUsers([after.instructorId], {
+      type: 'course_reviewed',
+      title: approved ? `${after.title} is published` : `${after.title} needs changes`,
+      message: approved
+        ? `Your course is now listed in the catalog.${note}`
+        : `Your course was sent back to draft.${note}`,
+      link: approved ? `/courses/${courseId}` : `/courses/create/${courseId}`,
+      data: { courseId, approved },
+    });
+  }
+};
+
+/**
+ * Warns students whose access to an enrolled course closes within
+ * ACCESS_EXPIRY_WARNING_DAYS: either the course's `accessibleUntil` or the
+ * enrollment's own `accessExpiresAt`. Memberships that will renew are left
+ * alone. Each student, course and closing date is only notified once, so
+ * running it more than once a day is harmless.
+ * @param {Date} now The time of the run
+ * @returns {Promise<number>} How many notifications were sent
+ */
+const notifyExpiringAccess = async (now = new Date()) => {
+  const db = getFirestore();
+  const windowEnd = new Date(now.getTime() + ACCESS_EXPIRY_WARNING_DAYS * DAY_MS);
+  // Keyed by notification id, so a student warned for both reasons gets one
+  const warnings = new Map();
+  const warn = (userId, courseId, course, closesAt) => {
+    const closingDay = closesAt.toISOString().split('T')[0];
+    const id = `${userId}_access-expiring-${courseId}-${closingDay}`;
+    if (!warnings.has(id)) warnings.set(id, { userId, courseId, title: course.title, closesAt });
+  };
+
+  const coursesSnap = await db.collection('courses')
+    .where('accessibleUntil', '>', now)
+    .where('accessibleUntil', '<=', windowEnd)
+    .get();
+  for (const courseDoc of coursesSnap.docs) {
+    const course = courseDoc.data();
+    if (course.isDeleted) continue;
+
+    const enrollmentsSnap = await db.collection('enrollments').where('courseId', '==', courseDoc.id).get();
+    enrollmentsSnap.docs
+      .filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data(), now))
+      .forEach(enrollmentDoc => warn(enrollmentDoc.data().userId, courseDoc.id, course, toDate(course.accessibleUntil)));
+  }
+
+  const enrollmentsSnap = await db.collection('enrollments')
+    .where('accessExpiresAt', '>', now)
+    .where('accessExpiresAt', '<=', windowEnd)
+    .get();
+  const courses = new Map();
+  for (const enrollmentDoc of enrollmentsSnap.docs) {
+    const enrollment = enrollmentDoc.data();
+    if (!isEnrollmentActive(enrollment, now)) continue;
+    if (enrollment.accessType === 'membership') {
+      const membershipSnap = await db.collection('memberships').doc(enrollment.userId).get();
+      if (membershipSnap.data()?.status === 'active') continue;
+    }
+
+    if (!courses.has(enrollment.courseId)) {
+      courses.set(enrollment.courseId, await db.collection('courses').doc(enrollment.courseId).get());
+    }
+    const courseSnap = courses.get(enrollment.courseId);
+    if (!courseSnap.exists || courseSnap.data().isDeleted) continue;
+    warn(enrollment.userId, enrollment.courseId, courseSnap.data(), toDate(enrollment.accessExpiresAt));
+  }
+
+  const entries = [...warnings.entries()];
+  let sent = 0;
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const refs = entries.slice(i, i + BATCH_SIZE).map(([id, warning]) => ({
+      warning,
+      ref: db.collection('notifications').doc(id),
+    }));
+    const existing = await Promise.all(refs.map(({ ref }) => ref.get()));
+
+    const batch = db.batch();
+    let writes = 0;
+    refs.forEach(({ warning, ref }, index) => {
+      if (existing[index].exists) return;
+      batch.set(ref, buildNotification(warning.userId, {
+        type: 'access_expiring',
+        title: 'Course access ending soon',
+        message: `Your access to ${warning.title} ends on ${warning.closesAt.toLocaleDateString('en-US')}.`,
+        link: `/courses/${warning.courseId}`,
+        data: { courseId: warning.courseId },
+      }));
+      writes += 1;
+    });
+    if (writes > 0) await batch.commit();
+    sent += writes;
+  }
+  return sent;
+};
+
+module.exports = {
+  ACCESS_EXPIRY_WARNING_DAYS,
+  notifyNewEnrollment,
+  notifyDiscussionReply,
+  notifyCourseChanges,
+  notifyExpiringAccess,
+};
@@ -0,0 +1,542 @@
+// Organizations buy course seats in bulk for their people. An organization has
+// one admin, who pays for seats, invites members by email and assigns seats to
+// them. Each seat becomes an ordinary enrollment that references the
+// organization, so reclaiming it only switches that enrollment off and frees
+// the seat for someone else.
+//
+//   organizations/{orgId}                         name, adminId, memberIds and
+//                                                 seats.{courseId}.{purchased, assigned}
+//   orgMembers/{orgId}_{email}                    an invitation, then a membership
+//   seatAssignments/{orgId}_{courseId}_{userId}   who holds which seat
+
+const logger = require('firebase-functions/logger');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const {
+  PaymentError,
+  TAX_RATE,
+  formatReceiptNumber,
+  isEnrollmentRevoked,
+} = require('./payments');
+const { getCurriculumSnapshot } = require('./courses');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+  getSeatsPrice,
+} = require('./pricing');
+const { sendMail } = require('./mail');
+
+// The seat purchase form offers the same maximum
+const MAX_SEATS_PER_PURCHASE = 500;
+const MAX_INVITES_PER_REQUEST = 100;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Raised for requests an organization admin or member can fix themselves
+class OrganizationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrganizationError';
+  }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const getMemberId = (organizationId, email) => `${organizationId}_${normalizeEmail(email)}`;
+
+const getAssignmentId = (organizationId, courseId, userId) => `${organizationId}_${courseId}_${userId}`;
+
+const getAdminOrganization = async (db, adminId, organizationId) => {
+  const orgSnap = await db.collection('organizations').doc(organizationId).get();
+  if (!orgSnap.exists || orgSnap.data().adminId !== adminId) {
+    throw new OrganizationError('Organization not found');
+  }
+  return { ref: orgSnap.ref, ...orgSnap.data() };
+};
+
+/**
+ * Whether a verified transaction buys seats for an organization
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @returns {boolean} Whether it is a seat purchase
+ */
+const isSeatTransaction = (transaction) => transaction.metadata?.type === 'seats';
+
+/**
+ * Records a verified seat purchase and adds the seats to the organization.
+ * Safe to call more than once per reference, like fulfillCoursePayment.
+ * @param {Object} transaction The transaction from Paystack's verify endpoint
+ * @param {string} source Which path fulfilled it, 'callback' or 'webhook'
+ * @returns {Promise<Object>} The payment and organization ids
+ */
+const fulfillSeatPayment = async (transaction, source) => {
+  const { reference, metadata = {} } = transaction;
+  const { userId, courseId, organizationId } = metadata;
+  const quantity = Math.floor(Number(metadata.quantity));
+
+  if (transaction.status !== 'success') {
+    throw new PaymentError(`Transaction ${reference} was not successful`);
+  }
+  if (!userId || !courseId || !organizationId) {
+    throw new PaymentError(`Transaction ${reference} is missing its user, course or organization`);
+  }
+  if (!(quantity >= 1 && quantity <= MAX_SEATS_PER_PURCHASE)) {
+    throw new PaymentError(`Transaction ${reference} has an invalid seat count`);
+  }
+
+  const db = getFirestore();
+  const paymentRef = db.collection('payments').doc(reference);
+  const courseRef = db.collection('courses').doc(courseId);
+  const orgRef = db.collection('organizations').doc(organizationId);
+
+  return db.runTransaction(async (tx) => {
+    const existingPayment = await tx.get(paymentRef);
+    if (existingPayment.exists) {
+      return { paymentId: paymentRef.id, organizationId, alreadyProcessed: true };
+    }
+
+    const [courseSnap, orgSnap] = await Promise.all([tx.get(courseRef), tx.get(orgRef)]);
+    if (!courseSnap.exists) {
+      throw new PaymentError(`Course ${courseId} not found`);
+    }
+    // Seats are bought by the admin; anyone else's payment has nowhere to go
+    if (!orgSnap.exists || orgSnap.data().adminId !== userId) {
+      throw new PaymentError(`Organization ${organizationId} not found for ${userId}`);
+    }
+    const course = courseSnap.data();
+
+    const { currency } = transaction;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new PaymentError(`Payments in ${currency} are not supported`);
+    }
+
+    const ratesSnap = await tx.get(db.collection('settings').doc('exchangeRates'));
+    const rates = { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) };
+
+    const paidAt = transaction.paid_at ? new Date(transaction.paid_at) : new Date();
+    const price = getSeatsPrice(course, quantity, paidAt, currency, rates);
+    const expectedAmount = Math.round(price * 100);
+    if (transaction.amount < expectedAmount) {
+      throw new PaymentError(`Paid ${transaction.amount} but ${quantity} seats cost ${expectedAmount}`);
+    }
+
+    const userSnap = await tx.get(db.collection('users').doc(userId));
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    const counterRef = db.collection('counters').doc('receipts');
+    const counter = await tx.get(counterRef);
+    const receiptSequence = (counter.exists ? counter.data().value || 0 : 0) + 1;
+
+    const amount = transaction.amount / 100;
+
+    tx.set(counterRef, { value: receiptSequence }, { merge: true });
+
+    tx.set(paymentRef, {
+      type: 'seats',
+      userId,
+      courseId,
+      organizationId,
+      organizationName: orgSnap.data().name,
+      quantity,
+      instructorId: course.instructorId || null,
+      courseTitle: course.title,
+      receiptNumber: formatReceiptNumber(receiptSequence, paidAt),
+      buyer: {
+        name: user.name || user.displayName || null,
+        email: user.email || transaction.customer?.email || null,
+      },
+      amount,
+      originalAmount: price,
+      discountAmount: 0,
+      coupon: null,
+      exchangeRate: getExchangeRate(currency, rates),
+      normalizedAmount: toBaseAmount(amount, currency, rates),
+      normalizedCurrency: BASE_CURRENCY,
+      taxRate: TAX_RATE,
+      taxAmount: Math.round((amount - amount / (1 + TAX_RATE)) * 100) / 100,
+      currency,
+      status: 'succeeded',
+      paymentMethod: `Paystack - ${currency}`,
+      channel: transaction.channel || null,
+      reference,
+      transaction: transaction.id || null,
+      verifiedBy: source,
+      createdAt: FieldValue.serverTimestamp(),
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    tx.update(orgRef, {
+      [`seats.${courseId}.purchased`]: FieldValue.increment(quantity),
+      [`seats.${courseId}.courseTitle`]: course.title,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    if (course.instructorId) {
+      tx.set(db.collection('notifications').doc(), {
+        userId: course.instructorId,
+        type: 'new_enrollment',
+        title: 'New team purchase',
+        message: `${orgSnap.data().name} bought ${quantity} seats for ${course.title}`,
+        link: '/payments/payouts',
+        data: { courseId, organizationId },
+        read: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    return { paymentId: paymentRef.id, organizationId, alreadyProcessed: false };
+  });
+};
+
+const sendInviteEmail = async (email, organization, adminName) => {
+  await sendMail({
+    to: email,
+    subject: `Join ${organization.name} on ModernLMS`,
+    text: [
+      'Hi,',
+      '',
+      `${adminName || 'Your team admin'} has invited you to join ${organization.name}.`,
+      `Sign in or create an account with this email address, then accept the invitation at ${APP_URL}/organization`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Invites people to an organization by email. Addresses already invited or
+ * already members are skipped.
+ * @param {string} adminId The organization's admin
+ * @param {string} organizationId The organization
+ * @param {Array<string>} emails Addresses to invite
+ * @returns {Promise<Object>} The addresses invited and skipped
+ */
+const inviteMembers = async (adminId, organizationId, emails = []) => {
+  const db = getFirestore();
+  const organization = await getAdminOrganization(db, adminId, organizationId);
+
+  const addresses = [...new Set((Array.isArray(emails) ? emails : []).map(normalizeEmail))].filter(Boolean);
+  if (addresses.length === 0) {
+    throw new OrganizationError('Enter at least one email address');
+  }
+  if (addresses.length > MAX_INVITES_PER_REQUEST) {
+    throw new OrganizationError(`Invite up to ${MAX_INVITES_PER_REQUEST} people at a time`);
+  }
+  const invalid = addresses.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalid.length) {
+    throw new OrganizationError(`Not a valid email address: ${invalid.join(', ')}`);
+  }
+
+  const adminSnap = await db.collection('users').doc(adminId).get();
+  const adminName = adminSnap.exists ? adminSnap.data().name || adminSnap.data().displayName : null;
+
+  const invited = [];
+  const skipped = [];
+  for (const email of addresses) {
+    const memberRef = db.collection('orgMembers').doc(getMemberId(organizationId, email));
+    const memberSnap = await memberRef.get();
+    if (memberSnap.exists && memberSnap.data().status !== 'removed') {
+      skipped.push(email);
+      continue;
+    }
+
+    await memberRef.set({
+      organizationId,
+      organizationName: organization.name,
+      adminId,
+      email,
+      userId: null,
+      name: null,
+      status: 'invited',
+      invitedAt: FieldValue.serverTimestamp(),
+    });
+    invited.push(email);
+
+    // The invitation also shows on the invitee's organization page, so a failed email is not fatal
+    try {
+      await sendInviteEmail(email, organization, adminName);
+    } catch (error) {
+      logger.error('Failed to email organization invite', { organizationId, email, error: error.message });
+    }
+  }
+
+  return { invited, skipped };
+};
+
+/**
+ * Accepts an invitation sent to the signed-in user's email address
+ * @param {string} userId The user accepting
+ * @param {string} email The user's verified sign-in email
+ * @param {string} organizationId The organization that invited them
+ * @returns {Promise<Object>} The organization id
+ */
+const acceptInvite = async (userId, email, organizationId) => {
+  if (!email) {
+    throw new OrganizationError('Your account has no email address to match an invitation');
+  }
+
+  const db = getFirestore();
+  const memberRef = db.collection('orgMembers').doc(getMemberId(organizationId, email));
+  const orgRef = db.collection('organizations').doc(organizationId);
+
+  return db.runTransaction(async (tx) => {
+    const [memberSnap, orgSnap, userSnap] = await Promise.all([
+      tx.get(memberRef),
+      tx.get(orgRef),
+      tx.get(db.collection('users').doc(userId)),
+    ]);
+    if (!memberSnap.exists || !orgSnap.exists || memberSnap.data().status !== 'invited') {
+      throw new OrganizationError('This invitation is no longer valid');
+    }
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    tx.update(memberRef, {
+      userId,
+      name: user.name || user.displayName || null,
+      status: 'active',
+      joinedAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(orgRef, { memberIds: FieldValue.arrayUnion(userId) });
+
+    tx.set(db.collection('notifications').doc(), {
+      userId: orgSnap.data().adminId,
+      type: 'org_member_joined',
+      title: 'Invitation accepted',
+      message: `${user.name || user.displayName || email} joined ${orgSnap.data().name}`,
+      link: '/organization',
+      data: { organizationId, memberId: userId },
+      read: false,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return { organizationId };
+  });
+};
+
+/**
+ * Gives a member one of the organization's seats for a course, enrolling them
+ * @param {string} adminId The organization's admin
+ * @param {string} organizationId The organization
+ * @param {string} courseId A course the organization has seats for
+ * @param {string} memberUserId The member's user id
+ * @returns {Promise<Object>} The seat assignment and enrollment ids
+ */
+const assignSeat = async (adminId, organizationId, courseId, memberUserId) => {
+  const db = getFirestore();
+  const orgRef = db.collection('organizations').doc(organizationId);
+  const courseRef = db.collection('courses').doc(courseId);
+  const assignmentRef = db.collection('seatAssignments').doc(getAssignmentId(organizationId, courseId, memberUserId));
+
+  return db.runTransaction(async (tx) => {
+    const [orgSnap, courseSnap, assignmentSnap, userSnap] = await Promise.all([
+      tx.get(orgRef),
+      tx.get(courseRef),
+      tx.get(assignmentRef),
+      tx.get(db.collection('users').doc(memberUserId)),
+    ]);
+    if (!orgSnap.exists || orgSnap.data().adminId !== adminId) {
+      throw new OrganizationError('Organization not found');
+    }
+    const organization = orgSnap.data();
+    if (!(organization.memberIds || []).includes(memberUserId)) {
+      throw new OrganizationError('Only members who have accepted their invitation can be given a seat');
+    }
+    if (!courseSnap.exists || courseSnap.data().isDeleted) {
+      throw new OrganizationError('This course is no longer available');
+    }
+    const course = courseSnap.data();
+
+    const seats = organization.seats?.[courseId] || {};
+    if ((seats.purchased || 0) - (seats.assigned || 0) < 1) {
+      throw new OrganizationError(`No ${course.title} seats left. Buy more to assign this one.`);
+    }
+    if (assignmentSnap.exists && assignmentSnap.data().status === 'assigned') {
+      throw new OrganizationError('This member already has a seat for the course');
+    }
+
+    const existing = await tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', memberUserId)
+        .where('courseId', '==', courseId)
+        .limit(1)
+    );
+    const existingEnrollment = existing.empty ? null : existing.docs[0].data();
+    if (existingEnrollment && !isEnrollmentRevoked(existingEnrollment) && existingEnrollment.accessType !== 'membership') {
+      throw new OrganizationError('This member already has access to the course');
+    }
+
+    const member = userSnap.exists ? userSnap.data() : {};
+    const seatFields = {
+      accessType: 'organization',
+      organizationId,
+      seatAssignmentId: assignmentRef.id,
+      paidAmount: 0,
+      paymentId: null,
+    };
+
+    const enrollmentRef = existing.empty ? db.collection('enrollments').doc() : existing.docs[0].ref;
+    if (existingEnrollment) {
+      tx.update(enrollmentRef, {
+        ...seatFields,
+        status: 'active',
+        accessExpiresAt: null,
+        revokedAt: null,
+        refundId: null,
+      });
+      // Membership enrollments were already counted
+      if (isEnrollmentRevoked(existingEnrollment)) {
+        tx.update(courseRef, { enrollmentCount: FieldValue.increment(1) });
+      }
+    } else {
+      tx.set(enrollmentRef, {
+        userId: memberUserId,
+        courseId,
+        enrolledAt: FieldValue.serverTimestamp(),
+        progress: {},
+        ...seatFields,
+        userRole: member.role || 'student',
+        courseData: {
+          title: course.title,
+          ...getCurriculumSnapshot(course),
+        },
+      });
+      tx.update(courseRef, {
+        enrollmentCount: FieldValue.increment(1),
+        lastActivity: FieldValue.serverTimestamp(),
+      });
+    }
+
+    tx.set(assignmentRef, {
+      organizationId,
+      adminId,
+      courseId,
+      courseTitle: course.title,
+      userId: memberUserId,
+      memberName: member.name || member.displayName || null,
+      memberEmail: member.email || null,
+      enrollmentId: enrollmentRef.id,
+      status: 'assigned',
+      assignedAt: FieldValue.serverTimestamp(),
+      reclaimedAt: null,
+    });
+    tx.update(orgRef, { [`seats.${courseId}.assigned`]: FieldValue.increment(1) });
+
+    tx.set(db.collection('notifications').doc(), {
+      userId: memberUserId,
+      type: 'seat_assigned',
+      title: 'Course assigned',
+      message: `${organization.name} gave you a seat in ${course.title}`,
+      link: `/courses/${courseId}`,
+      data: { courseId, organizationId },
+      read: false,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return { assignmentId: assignmentRef.id, enrollmentId: enrollmentRef.id };
+  });
+};
+
+// Reads what freeing a seat needs and returns a function that writes it, so
+// callers can finish all their transaction reads first. The member keeps the enrollment document,
+// and its progress, in case they are given a seat again.
+const prepareSeatRelease = async (tx, db, assignmentRef, assignment) => {
+  const enrollmentRef = db.collection('enrollments').doc(assignment.enrollmentId);
+  const enrollmentSnap = await tx.get(enrollmentRef);
+  const enrollment = enrollmentSnap.exists ? enrollmentSnap.data() : null;
+
+  return () => {
+    // The member may have bought the course since; then the seat is freed and their purchase is left alone
+    if (enrollment && enrollment.seatAssignmentId === assignmentRef.id && !isEnrollmentRevoked(enrollment)) {
+      tx.update(enrollmentRef, {
+        status: 'reclaimed',
+        revokedAt: FieldValue.serverTimestamp(),
+      });
+      tx.update(db.collection('courses').doc(assignment.courseId), { enrollmentCount: FieldValue.increment(-1) });
+    }
+    tx.update(assignmentRef, { status: 'reclaimed', reclaimedAt: FieldValue.serverTimestamp() });
+    tx.update(db.collection('organizations').doc(assignment.organizationId), {
+      [`seats.${assignment.courseId}.assigned`]: FieldValue.increment(-1),
+    });
+  };
+};
+
+/**
+ * Takes a seat back from a member so it can be given to someone else
+ * @param {string} adminId The organization's admin
+ * @param {string} assignmentId The seat assignment
+ * @returns {Promise<Object>} The seat assignment id
+ */
+const reclaimSeat = async (adminId, assignmentId) => {
+  const db = getFirestore();
+  const assignmentRef = db.collection('seatAssignments').doc(assignmentId);
+
+  return db.runTransaction(async (tx) => {
+    const assignmentSnap = await tx.get(assignmentRef);
+    if (!assignmentSnap.exists || assignmentSnap.data().adminId !== adminId) {
+      throw new OrganizationError('Seat not found');
+    }
+    const assignment = assignmentSnap.data();
+    if (assignment.status !== 'assigned') {
+      throw new OrganizationError('This seat has already been reclaimed');
+    }
+
+    const writeRelease = await prepareSeatRelease(tx, db, assignmentRef, assignment);
+    writeRelease();
+
+    return { assignmentId };
+  });
+};
+
+/**
+ * Removes a member or withdraws an invitation, reclaiming any seats they hold
+ * @param {string} adminId The organization's admin
+ * @param {string} memberId The orgMembers document
+ * @returns {Promise<Object>} How many seats were reclaimed
+ */
+const removeMember = async (adminId, memberId) => {
+  const db = getFirestore();
+  const memberRef = db.collection('orgMembers').doc(memberId);
+
+  return db.runTransaction(async (tx) => {
+    const memberSnap = await tx.get(memberRef);
+    if (!memberSnap.exists || memberSnap.data().adminId !== adminId || memberSnap.data().status === 'removed') {
+      throw new OrganizationError('Member not found');
+    }
+    const member = memberSnap.data();
+
+    const assignments = member.userId
+      ? await tx.get(
+        db.collection('seatAssignments')
+          .where('organizationId', '==', member.organizationId)
+          .where('userId', '==', member.userId)
+      )
+      : { docs: [] };
+    const held = assignments.docs.filter(assignmentDoc => assignmentDoc.data().status === 'assigned');
+    const releases = await Promise.all(held.map(assignmentDoc =>
+      prepareSeatRelease(tx, db, assignmentDoc.ref, assignmentDoc.data())
+    ));
+
+    releases.forEach(writeRelease => writeRelease());
+    tx.update(memberRef, { status: 'removed', removedAt: FieldValue.serverTimestamp() });
+    if (member.userId) {
+      tx.update(db.collection('organizations').doc(member.organizationId), {
+        memberIds: FieldValue.arrayRemove(member.userId),
+      });
+    }
+
+    return { reclaimedSeats: held.length };
+  });
+};
+
+module.exports = {
+  MAX_SEATS_PER_PURCHASE,
+  OrganizationError,
+  isSeatTransaction,
+  fulfillSeatPayment,
+  inviteMembers,
+  acceptInvite,
+  assignSeat,
+  reclaimSeat,
+  removeMember,
+};
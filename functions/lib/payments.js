@@ -0,0 +1,254 @@
+// Turns a verified Paystack transaction into a payment record and a paid
+// enrollment. This is the only code path allowed to write either; Firestore
+// rules reject both from the browser.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { normalizeCouponCode, applyCoupon, getCouponError } = require('./coupons');
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+  getCoursePrice,
+  convertCoupon,
+} = require('./pricing');
+const { getCurriculumSnapshot } = require('./courses');
+
+// Share of the (tax-inclusive) price that is tax, printed on receipts. Stored on
+// each payment so old receipts don't change when the rate does.
+const TAX_RATE = Number(process.env.TAX_RATE ?? 0.075);
+
+// Raised when a transaction can never be fulfilled (wrong amount, unknown course, ...)
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+// INV-2024-000042: year of purchase plus a platform-wide sequence
+const formatReceiptNumber = (sequence, date) =>
+  `INV-${date.getFullYear()}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Whether an enrollment was switched off, by a refund or by an organization
+ * reclaiming its seat. Revoked enrollments are reactivated, not duplicated,
+ * when the student gets access again.
+ * @param {Object} enrollment The enrollment document
+ * @returns {boolean} Whether it is revoked
+ */
+const isEnrollmentRevoked = (enrollment) => !!enrollment?.status && enrollment.status !== 'active';
+
+/**
+ * Records a verified course payment and enrolls the payer. Safe to call more
+ * than once for the same reference: the browser callback and the webhook
+ * usually both arrive, and only the first one writes anything.
+ * @param {Object} transaction The transaction returned by Paystack's verify endpoint
+ * @param {string} source Which path fulfilled it, 'callback' or 'webhook'
+ * @returns {Promise<Object>} The payment and enrollment ids
+ */
+const fulfillCoursePayment = async (transaction, source) => {
+  const { reference, metadata = {} } = transaction;
+  const { userId, courseId } = metadata;
+
+  if (transaction.status !== 'success') {
+    throw new PaymentError(`Transaction ${reference} was not successful`);
+  }
+  if (!userId || !courseId) {
+    throw new PaymentError(`Transaction ${reference} is missing its user or course`);
+  }
+
+  const db = getFirestore();
+  const paymentRef = db.collection('payments').doc(reference);
+  const courseRef = db.collection('courses').doc(courseId);
+
+  return db.runTransaction(async (tx) => {
+    const existingPayment = await tx.get(paymentRef);
+    if (existingPayment.exists) {
+      return {
+        paymentId: paymentRef.id,
+        enrollmentId: existingPayment.data().enrollmentId,
+        alreadyProcessed: true,
+      };
+    }
+
+    const courseSnap = await tx.get(courseRef);
+    if (!courseSnap.exists) {
+      throw new PaymentError(`Course ${courseId} not found`);
+    }
+    const course = courseSnap.data();
+
+    const { currency } = transaction;
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new PaymentError(`Payments in ${currency} are not supported`);
+    }
+    // The checkout records the currency it priced in; older checkouts did not
+    if (metadata.currency && metadata.currency !== currency) {
+      throw new PaymentError(`Checkout was priced in ${metadata.currency} but paid in ${currency}`);
+    }
+
+    const ratesSnap = await tx.get(db.collection('settings').doc('exchangeRates'));
+    const rates = { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) };
+
+    const paidAt = transaction.paid_at ? new Date(transaction.paid_at) : new Date();
+    const price = getCoursePrice(course, paidAt, currency, rates);
+
+    let coupon = null;
+    const couponCode = normalizeCouponCode(metadata.couponCode);
+    const couponRef = couponCode ? db.collection('coupons').doc(couponCode) : null;
+    if (couponRef) {
+      const couponSnap = await tx.get(couponRef);
+      coupon = couponSnap.exists ? convertCoupon(couponSnap.data(), currency, rates) : null;
+      const couponError = getCouponError(coupon, { courseId, course, userId, price, at: paidAt });
+      if (couponError) {
+        throw new PaymentError(`${couponError} (${couponCode})`);
+      }
+    }
+
+    const expectedAmount = Math.round(applyCoupon(price, coupon) * 100);
+    if (transaction.amount < expectedAmount) {
+      throw new PaymentError(`Paid ${transaction.amount} but the course costs ${expectedAmount}`);
+    }
+
+    const userSnap = await tx.get(db.collection('users').doc(userId));
+    const user = userSnap.exists ? userSnap.data() : {};
+
+    const existingEnrollment = await tx.get(
+      db.collection('enrollments')
+        .where('userId', '==', userId)
+        .where('courseId', '==', courseId)
+        .limit(1)
+    );
+    const enrollmentRef = existingEnrollment.empty
+      ? db.collection('enrollments').doc()
+      : existingEnrollment.docs[0].ref;
+
+    const counterRef = db.collection('counters').doc('receipts');
+    const counter = await tx.get(counterRef);
+    const receiptSequence = (counter.exists ? counter.data().value || 0 : 0) + 1;
+
+    const amount = transaction.amount / 100;
+    const normalizedAmount = toBaseAmount(amount, currency, rates);
+    const taxAmount = Math.round((amount - amount / (1 + TAX_RATE)) * 100) / 100;
+
+    tx.set(counterRef, { value: receiptSequence }, { merge: true });
+
+    if (coupon) {
+      tx.update(couponRef, {
+        usedCount: FieldValue.increment(1),
+        [`usageByUser.${userId}`]: FieldValue.increment(1),
+        lastUsedAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    tx.set(paymentRef, {
+      userId,
+      courseId,
+      instructorId: course.instructorId || null,
+      courseTitle: course.title,
+      enrollmentId: enrollmentRef.id,
+      receiptNumber: formatReceiptNumber(receiptSequence, paidAt),
+      buyer: {
+        name: user.name || user.displayName || null,
+        email: user.email || transaction.customer?.email || null,
+      },
+      amount,
+      originalAmount: price,
+      discountAmount: Math.max(0, Math.round((price - amount) * 100) / 100),
+      coupon: coupon
+        ? { code: couponCode, type: coupon.type, value: coupon.value }
+        : null,
+      exchangeRate: getExchangeRate(currency, rates),
+      normalizedAmount,
+      normalizedCurrency: BASE_CURRENCY,
+      taxRate: TAX_RATE,
+      taxAmount,
+      currency,
+      status: 'succeeded',
+      paymentMethod: `Paystack - ${currency}`,
+      channel: transaction.channel || null,
+      reference,
+      transaction: transaction.id || null,
+      verifiedBy: source,
+      createdAt: FieldValue.serverTimestamp(),
+      verifiedAt: FieldValue.serverTimestamp(),
+    });
+
+    // Buying again after a refund or a reclaimed seat restores the old enrollment
+    // and its progress; buying a course open through a membership or a seat
+    // keeps it open after the membership ends or the seat is reclaimed, like a
+    // bundle or gift does
+    const existing = existingEnrollment.empty ? null : existingEnrollment.docs[0].data();
+    const isRevoked = !!existing && isEnrollmentRevoked(existing);
+    if (isRevoked || ['membership', 'organization'].includes(existing?.accessType)) {
+      tx.update(enrollmentRef, {
+        status: 'active',
+        accessType: 'purchase',
+        accessExpiresAt: null,
+        organizationId: null,
+        seatAssignmentId: null,
+        revokedAt: null,
+        refundId: null,
+        paidAmount: amount,
+        paidCurrency: currency,
+        paidAmountNormalized: normalizedAmount,
+        paymentId: reference,
+      });
+      // Membership and seat enrollments were already counted
+      if (isRevoked) {
+        tx.update(courseRef, { enrollmentCount: FieldValue.increment(1) });
+      }
+    }
+
+    if (existingEnrollment.empty) {
+      tx.set(enrollmentRef, {
+        userId,
+        courseId,
+        enrolledAt: FieldValue.serverTimestamp(),
+        progress: {},
+        paidAmount: amount,
+        paidCurrency: currency,
+        paidAmountNormalized: normalizedAmount,
+        paymentId: reference,
+        userRole: user.role || 'student',
+        courseData: {
+          title: course.title,
+          ...getCurriculumSnapshot(course),
+        },
+      });
+
+      tx.update(courseRef, {
+        enrollmentCount: FieldValue.increment(1),
+        lastActivity: FieldValue.serverTimestamp(),
+      });
+
+      if (course.instructorId) {
+        tx.set(db.collection('notifications').doc(), {
+          userId: course.instructorId,
+          type: 'new_enrollment',
+          title: 'New enrollment',
+          message: `${user.name || user.displayName || 'A student'} enrolled in ${course.title}`,
+          link: '/dashboard/students',
+          data: { courseId, studentId: userId },
+          read: false,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+      }
+    }
+
+    return {
+      paymentId: paymentRef.id,
+      enrollmentId: enrollmentRef.id,
+      alreadyProcessed: false,
+    };
+  });
+};
+
+module.exports = {
+  PaymentError,
+  TAX_RATE,
+  formatReceiptNumber,
+  isEnrollmentRevoked,
+  fulfillCoursePayment,
+};
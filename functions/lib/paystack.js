@@ -0,0 +1,110 @@
+// Server-side Paystack client. PAYSTACK_BASE_URL can point at the local mock
+// server (see mock/paystackServer.js) to exercise the payment flow offline.
+
+const crypto = require('crypto');
+
+const getBaseUrl = () => process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+const getSecretKey = () => {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('PAYSTACK_SECRET_KEY is not configured');
+  }
+  return secretKey;
+};
+
+/**
+ * Looks a transaction up on Paystack's verify endpoint
+ * @param {string} reference The transaction reference returned to the browser
+ * @returns {Promise<Object>} The transaction data (amount is in the currency's subunit)
+ */
+const verifyTransaction = async (reference) => {
+  const response = await fetch(
+    `${getBaseUrl()}/transaction/verify/${encodeURIComponent(reference)}`,
+    { headers: { Authorization: `Bearer ${getSecretKey()}` } }
+  );
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body?.status || !body.data) {
+    throw new Error(body?.message || `Paystack verification failed with status ${response.status}`);
+  }
+
+  const transaction = body.data;
+  // Paystack returns metadata as a JSON string when it was sent as one
+  if (typeof transaction.metadata === 'string') {
+    try {
+      transaction.metadata = JSON.parse(transaction.metadata);
+    } catch (error) {
+      transaction.metadata = {};
+    }
+  }
+  return transaction;
+};
+
+/**
+ * Refunds a transaction in full
+ * @param {string} reference The transaction reference
+ * @returns {Promise<Object>} Paystack's refund record
+ */
+const createRefund = async (reference) => {
+  const response = await fetch(`${getBaseUrl()}/refund`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ transaction: reference }),
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body?.status || !body.data) {
+    throw new Error(body?.message || `Paystack refund failed with status ${response.status}`);
+  }
+  return body.data;
+};
+
+/**
+ * Stops a subscription from renewing
+ * @param {string} code The subscription code
+ * @param {string} token The subscription's email token
+ * @returns {Promise<void>}
+ */
+const disableSubscription = async (code, token) => {
+  const response = await fetch(`${getBaseUrl()}/subscription/disable`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ code, token }),
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body?.status) {
+    throw new Error(body?.message || `Paystack could not cancel the subscription (status ${response.status})`);
+  }
+};
+
+/**
+ * Checks the x-paystack-signature header, an HMAC-SHA512 of the raw body keyed
+ * with the secret key
+ * @param {Buffer|string} rawBody The unparsed request body
+ * @param {string} signature The header value
+ * @returns {boolean} Whether the webhook really came from Paystack
+ */
+const isValidSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha512', getSecretKey()).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+module.exports = {
+  verifyTransaction,
+  createRefund,
+  disableSubscription,
+  isValidSignature,
+};
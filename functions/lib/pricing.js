@@ -0,0 +1,112 @@
+// Server copy of the pricing rules in src/utils/pricing.js: the browser
+// charges what its copy says, and the backend refuses anything less than what
+// this one says. Both price with the exchange rates from getPlatformSettings
+// (./settings), so the rates themselves are only defined here.
+
+const { toDate } = require('./dates');
+
+const BASE_CURRENCY = 'USD';
+const SUPPORTED_CURRENCIES = ['USD', 'NGN', 'GHS', 'KES', 'ZAR'];
+
+// Units of each currency per US dollar, overridden by `settings/exchangeRates`
+const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  NGN: 1500,
+  GHS: 15,
+  KES: 130,
+  ZAR: 18,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getExchangeRate = (currency, rates = DEFAULT_EXCHANGE_RATES) =>
+  Number(rates[currency]) || DEFAULT_EXCHANGE_RATES[currency] || 1;
+
+const convertFromBase = (amount, currency, rates) =>
+  roundAmount((Number(amount) || 0) * getExchangeRate(currency, rates));
+
+const toBaseAmount = (amount, currency, rates) =>
+  roundAmount((Number(amount) || 0) / getExchangeRate(currency, rates));
+
+const isFreeCourse = (course) =>
+  !!course && (course.isFree || !(Number(course.price) > 0));
+
+const isDiscountActive = (course, at = new Date()) => {
+  if (!course?.hasDiscount || isFreeCourse(course)) return false;
+
+  const discountPrice = Number(course.discountPrice);
+  if (Number.isNaN(discountPrice) || discountPrice < 0 || discountPrice >= Number(course.price)) return false;
+
+  const endsAt = toDate(course.discountEndDate);
+  return !endsAt || at < endsAt;
+};
+
+const getLocalPrice = (course, field, currency, rates) => {
+  const basePrice = Number(course?.[field]) || 0;
+  if (currency === BASE_CURRENCY) return basePrice;
+
+  const localPrice = Number(course?.localPrices?.[currency]?.[field]);
+  if (course?.pricingMode === 'manual' && localPrice > 0) return localPrice;
+
+  return convertFromBase(basePrice, currency, rates);
+};
+
+/**
+ * The price a student is charged for a course at a moment, before coupons
+ * @param {Object} course The course document
+ * @param {Date} at The moment of purchase
+ * @param {string} currency The currency paid in
+ * @param {Object} rates Exchange rates
+ * @returns {number} The price in major units of that currency
+ */
+const getCoursePrice = (course, at = new Date(), currency = BASE_CURRENCY, rates = DEFAULT_EXCHANGE_RATES) => {
+  if (isFreeCourse(course)) return 0;
+  return isDiscountActive(course, at)
+    ? getLocalPrice(course, 'discountPrice', currency, rates)
+    : getLocalPrice(course, 'price', currency, rates);
+};
+
+/**
+ * The price of a bundle in a currency. Bundles are priced in USD only and
+ * converted at the current rates.
+ * @param {Object} bundle The bundle document
+ * @param {string} currency The currency paid in
+ * @param {Object} rates Exchange rates
+ * @returns {number} The price in major units of that currency
+ */
+const getBundlePrice = (bundle, currency = BASE_CURRENCY, rates = DEFAULT_EXCHANGE_RATES) =>
+  convertFromBase(Math.max(0, Number(bundle?.price) || 0), currency, rates);
+
+/**
+ * The price of several seats in a course, bought together by an organization.
+ * Seats follow the course's own price and discount window; coupons don't apply.
+ * @param {Object} course The course document
+ * @param {number} quantity How many seats
+ * @param {Date} at The moment of purchase
+ * @param {string} currency The currency paid in
+ * @param {Object} rates Exchange rates
+ * @returns {number} The total in major units of that currency
+ */
+const getSeatsPrice = (course, quantity, at = new Date(), currency = BASE_CURRENCY, rates = DEFAULT_EXCHANGE_RATES) =>
+  Math.round(getCoursePrice(course, at, currency, rates) * quantity * 100) / 100;
+
+// Fixed coupon amounts are set in USD
+const convertCoupon = (coupon, currency, rates) => (
+  coupon?.type === 'fixed'
+    ? { ...coupon, value: convertFromBase(coupon.value, currency, rates) }
+    : coupon
+);
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_EXCHANGE_RATES,
+  getExchangeRate,
+  toBaseAmount,
+  isFreeCourse,
+  isDiscountActive,
+  getCoursePrice,
+  getBundlePrice,
+  getSeatsPrice,
+  convertCoupon,
+};
@@ -0,0 +1,353 @@
+// The consolidated progress model (src/utils/lessonProgress.js). Students
+// write their own `progress` records, but only the watched segments: whether
+// a lesson is complete is decided here from those segments and the course's
+// completion threshold. The first completion is then marked on the record and
+// the student's enrollment and counted on the course, since students cannot
+// edit any of them.
+//
+// One-off migration to the consolidated progress model.
+// Lesson playback used to add a `progress` document and a `lesson_progress`
+// document on every save, and completions bumped the enrollment and course
+// counters on every save after the first. This folds those documents into one
+// `progress/{userId}_{courseId}_{lessonId}` record each, deletes them, and
+// recounts the enrollment and course counters from the records, a page at a
+// time. It is safe to run more than once.
+
+const { getFirestore, FieldValue, FieldPath, AggregateField } = require('firebase-admin/firestore');
+const { AdminError, assertAdmin } = require('./admin');
+const { toDate } = require('./dates');
+const { isEnrollmentActive } = require('./enrollments');
+
+// Documents per migration call. Each legacy document in a page can mean a
+// record written as well as its own delete, within one batch.
+const PAGE_SIZE = 200;
+
+// The migration's steps, in order. The counters are only recounted once every
+// legacy document has been folded.
+const PHASES = ['progress', 'lesson_progress', 'enrollments', 'courses'];
+
+// The id the app writes progress records under (getProgressId in src/utils/lessonProgress.js)
+const getProgressId = (userId, courseId, lessonId) => `${userId}_${courseId}_${lessonId}`;
+
+// Legacy documents only know when they were written. The server runs in UTC,
+// so days near midnight may land on the neighbouring local day.
+const getDayKey = (value) => toDate(value).toISOString().slice(0, 10);
+
+const getMillis = (value) => toDate(value)?.getTime() || 0;
+
+// Playback ticks further apart than this start a new segment, and playback
+// within this of the end counts as reaching it (src/utils/lessonProgress.js)
+const SEGMENT_GAP_SECONDS = 2;
+
+// Student-written segments, clamped to the video and joined where they overlap
+// or touch (mergeSegments in src/utils/lessonProgress.js)
+const mergeSegments = (segments, duration) => {
+  const sorted = (Array.isArray(segments) ? segments : [])
+    .map(segment => ({
+      start: Math.max(0, Number(segment?.start) || 0),
+      end: Math.min(duration, Number(segment?.end) || 0),
+    }))
+    .filter(segment => segment.end > segment.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, segment) => {
+    const last = merged[merged.length - 1];
+    if (last && segment.start <= last.end + 1) {
+      last.end = Math.max(last.end, segment.end);
+    } else {
+      merged.push(segment);
+    }
+    return merged;
+  }, []);
+};
+
+// The percentage of a lesson's video to watch, or 0 to only require reaching the end
+const getCompletionThreshold = (course) => {
+  const threshold = Number(course?.completionThreshold);
+  return threshold > 0 ? Math.min(threshold, 100) : 0;
+};
+
+/**
+ * Whether a progress record shows its lesson was watched: enough unique
+ * seconds of the video when the course sets a completion threshold, otherwise
+ * playback reaching the end.
+ * @param {Object} record The progress record
+ * @param {number} threshold The course's completion threshold
+ * @returns {boolean}
+ */
+const hasWatchedLesson = (record, threshold) => {
+  const duration = Number(record.duration) || 0;
+  if (duration <= 0) return false;
+
+  const segments = mergeSegments(record.segments, duration);
+  if (threshold > 0) {
+    const watched = segments.reduce((total, segment) => total + segment.end - segment.start, 0);
+    return watched >= Math.min(duration * (threshold / 100), duration - SEGMENT_GAP_SECONDS);
+  }
+  return segments.some(segment => segment.end >= duration - SEGMENT_GAP_SECONDS);
+};
+
+/**
+ * Decides whether a lesson is complete after its progress record is written.
+ * The first time it is, the record gets `completed` and `completedAt`, and the
+ * lesson is marked on the student's enrollment and counted on the course.
+ * Lessons already marked on the enrollment, e.g. before the record existed,
+ * are not counted again.
+ * @param {Object|undefined} before The record before the write
+ * @param {Object|undefined} after The record after the write
+ * @returns {Promise<boolean>} Whether the completion was recorded
+ */
+const completeLesson = async (before, after) => {
+  if (!after || before?.completed) return false;
+
+  const db = getFirestore();
+  const progressRef = db.collection('progress')
+    .doc(getProgressId(after.userId, after.courseId, after.lessonId));
+  const courseRef = db.collection('courses').doc(after.courseId);
+  const enrollmentsQuery = db.collection('enrollments')
+    .where('userId', '==', after.userId)
+    .where('courseId', '==', after.courseId);
+
+  return db.runTransaction(async (tx) => {
+    const [progressSnap, courseSnap, enrollmentsSnap] = await Promise.all([
+      tx.get(progressRef),
+      tx.get(courseRef),
+      tx.get(enrollmentsQuery),
+    ]);
+    if (!progressSnap.exists || !courseSnap.exists) return false;
+
+    const record = progressSnap.data();
+    if (!record.completed && !hasWatchedLesson(record, getCompletionThreshold(courseSnap.data()))) {
+      return false;
+    }
+    if (!record.completed) {
+      tx.update(progressRef, { completed: true, completedAt: FieldValue.serverTimestamp() });
+    }
+
+    const enrollmentDoc = enrollmentsSnap.docs.find(snap => snap.id === record.enrollmentId)
+      || enrollmentsSnap.docs.find(snap => isEnrollmentActive(snap.data()));
+    if (!enrollmentDoc || enrollmentDoc.data().progress?.[record.lessonId]) return !record.completed;
+
+    tx.update(enrollmentDoc.ref, {
+      [`progress.${record.lessonId}`]: true,
+      completedLessons: FieldValue.increment(1),
+      lastUpdated: FieldValue.serverTimestamp(),
+    });
+    tx.update(courseRef, {
+      totalCompletions: FieldValue.increment(1),
+      completedLessonsCount: FieldValue.increment(1),
+      lastActivity: FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+};
+
+/**
+ * Builds the canonical record for a lesson from its existing record, if any,
+ * and legacy documents written for it. Documents folded in by an earlier page
+ * are already part of the existing record.
+ * @param {Object} existing The canonical record's data, or an empty object
+ * @param {Array<Object>} entries Legacy entries: watchTime, completed, at and userRole
+ * @returns {Object} The fields to merge into the canonical record
+ */
+const foldLegacyEntries = (existing, entries) => {
+  const sorted = [...entries].sort((a, b) => getMillis(a.at) - getMillis(b.at));
+  const latest = sorted[sorted.length - 1];
+  const firstCompletion = sorted.find(entry => entry.completed);
+  const existingIsNewer = !!existing.lastUpdated && getMillis(existing.lastUpdated) >= getMillis(latest.at);
+  // An earlier page may have recorded a later completion of the same lesson
+  const completesEarlier = firstCompletion && (!existing.completed
+    || (firstCompletion.at && getMillis(firstCompletion.at) < getMillis(existing.completedAt)));
+
+  const activeDates = new Set(existing.activeDates || []);
+  sorted.forEach(entry => {
+    if (entry.at) activeDates.add(getDayKey(entry.at));
+  });
+
+  return {
+    position: existingIsNewer && existing.position !== undefined
+      ? existing.position
+      : Math.floor(Number(latest.watchTime) || 0),
+    activeDates: [...activeDates].sort(),
+    lastUpdated: existingIsNewer ? existing.lastUpdated : latest.at || FieldValue.serverTimestamp(),
+    userRole: existing.userRole || latest.userRole || 'student',
+    ...(completesEarlier && {
+      completed: true,
+      completedAt: firstCompletion.at || FieldValue.serverTimestamp(),
+    }),
+  };
+};
+
+/**
+ * The legacy entry a document stands for, or null for `progress` documents
+ * that are already canonical and documents missing their lesson
+ * @param {string} collectionName 'progress' or 'lesson_progress'
+ * @param {Object} snap The document
+ * @returns {Object|null} userId, courseId, lessonId, watchTime, completed, at and userRole
+ */
+const toLegacyEntry = (collectionName, snap) => {
+  const data = snap.data();
+  if (!data.userId || !data.courseId || !data.lessonId) return null;
+
+  const { userId, courseId, lessonId, watchTime } = data;
+  if (collectionName === 'lesson_progress') {
+    return { userId, courseId, lessonId, watchTime, completed: !!data.completed, at: data.timestamp };
+  }
+  if (snap.id === getProgressId(userId, courseId, lessonId)) return null;
+  return { userId, courseId, lessonId, watchTime, completed: !!data.completed, at: data.lastUpdated, userRole: data.userRole };
+};
+
+/**
+ * Folds one page of legacy documents into their canonical records and
+ * deletes them, in one batch
+ * @param {Object} db Firestore
+ * @param {string} collectionName 'progress' or 'lesson_progress'
+ * @param {Array<Object>} docs The page
+ * @returns {Promise<Object>} How many records were written and legacy documents deleted
+ */
+const foldLegacyPage = async (db, collectionName, docs) => {
+  const batch = db.batch();
+  const lessons = new Map();
+  let legacyDeleted = 0;
+
+  docs.forEach(snap => {
+    const entry = toLegacyEntry(collectionName, snap);
+    // lesson_progress is retired entirely; documents missing a lesson go too
+    if (!entry && collectionName !== 'lesson_progress') return;
+
+    if (entry) {
+      const id = getProgressId(entry.userId, entry.courseId, entry.lessonId);
+      if (!lessons.has(id)) lessons.set(id, []);
+      lessons.get(id).push(entry);
+    }
+    batch.delete(snap.ref);
+    legacyDeleted += 1;
+  });
+
+  const recordSnaps = await Promise.all([...lessons.keys()].map(id => db.collection('progress').doc(id).get()));
+  [...lessons.values()].forEach((entries, index) => {
+    const recordSnap = recordSnaps[index];
+    const { userId, courseId, lessonId } = entries[0];
+    batch.set(recordSnap.ref, {
+      userId,
+      courseId,
+      lessonId,
+      ...foldLegacyEntries(recordSnap.exists ? recordSnap.data() : {}, entries),
+    }, { merge: true });
+  });
+
+  if (legacyDeleted > 0) await batch.commit();
+  return { recordsWritten: lessons.size, legacyDeleted };
+};
+
+/**
+ * Gives one page of enrollments every lesson completed in their student's
+ * records, counted once
+ * @param {Object} db Firestore
+ * @param {Array<Object>} docs The page
+ * @returns {Promise<number>} How many enrollments were updated
+ */
+const recountEnrollments = async (db, docs) => {
+  const completedSnaps = await Promise.all(docs.map(enrollmentDoc => db.collection('progress')
+    .where('userId', '==', enrollmentDoc.data().userId)
+    .where('courseId', '==', enrollmentDoc.data().courseId)
+    .where('completed', '==', true)
+    .get()));
+
+  const batch = db.batch();
+  let updated = 0;
+  docs.forEach((enrollmentDoc, index) => {
+    const enrollment = enrollmentDoc.data();
+    const previous = enrollment.progress || {};
+    const progress = { ...previous };
+    completedSnaps[index].docs.forEach(recordDoc => {
+      progress[recordDoc.data().lessonId] = true;
+    });
+    const completedLessons = Object.values(progress).filter(Boolean).length;
+
+    const progressChanged = Object.keys(progress).some(lessonId => progress[lessonId] !== previous[lessonId]);
+    if (progressChanged || enrollment.completedLessons !== completedLessons) {
+      batch.update(enrollmentDoc.ref, { progress, completedLessons });
+      updated += 1;
+    }
+  });
+
+  if (updated > 0) await batch.commit();
+  return updated;
+};
+
+/**
+ * Sets one page of courses' completion counters to the sum of their
+ * enrollments' completed lessons
+ * @param {Object} db Firestore
+ * @param {Array<Object>} docs The page
+ * @returns {Promise<number>} How many courses were updated
+ */
+const recountCourses = async (db, docs) => {
+  const sums = await Promise.all(docs.map(courseDoc => db.collection('enrollments')
+    .where('courseId', '==', courseDoc.id)
+    .aggregate({ completions: AggregateField.sum('completedLessons') })
+    .get()));
+
+  const batch = db.batch();
+  let updated = 0;
+  docs.forEach((courseDoc, index) => {
+    const course = courseDoc.data();
+    const completions = sums[index].data().completions || 0;
+    if (course.totalCompletions !== completions || course.completedLessonsCount !== completions) {
+      batch.update(courseDoc.ref, { totalCompletions: completions, completedLessonsCount: completions });
+      updated += 1;
+    }
+  });
+
+  if (updated > 0) await batch.commit();
+  return updated;
+};
+
+/**
+ * Runs one page of the migration: folds legacy `progress` documents, then
+ * `lesson_progress` documents, into canonical records, then recounts the
+ * completions on enrollments and then on courses. Call again with the
+ * returned cursor until `done`; an interrupted run resumes from its cursor,
+ * and it is safe to run again.
+ * @param {string} adminId The admin running it
+ * @param {Object|null} cursor The phase and the last document id of the previous page
+ * @returns {Promise<Object>} How many records, legacy documents, enrollments
+ * and courses were written, the next cursor and whether done
+ */
+const migrateProgress = async (adminId, cursor = null) => {
+  await assertAdmin(adminId);
+
+  const phase = cursor?.phase || PHASES[0];
+  if (!PHASES.includes(phase)) {
+    throw new AdminError('Unknown migration step');
+  }
+  const after = cursor?.after || null;
+
+  const db = getFirestore();
+  let pageQuery = db.collection(phase).orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+  if (after) pageQuery = pageQuery.startAfter(after);
+  const { docs } = await pageQuery.get();
+
+  const counts = { recordsWritten: 0, legacyDeleted: 0, enrollmentsUpdated: 0, coursesUpdated: 0 };
+  if (phase === 'enrollments') {
+    counts.enrollmentsUpdated = await recountEnrollments(db, docs);
+  } else if (phase === 'courses') {
+    counts.coursesUpdated = await recountCourses(db, docs);
+  } else {
+    Object.assign(counts, await foldLegacyPage(db, phase, docs));
+  }
+
+  // A short page ends the phase
+  const nextPhase = PHASES[PHASES.indexOf(phase) + 1];
+  if (docs.length < PAGE_SIZE) {
+    return { ...counts, cursor: nextPhase ? { phase: nextPhase, after: null } : cursor, done: !nextPhase };
+  }
+  return { ...counts, cursor: { phase, after: docs[docs.length - 1].id }, done: false };
+};
+
+module.exports = {
+  PAGE_SIZE,
+  completeLesson,
+  migrateProgress,
+};
@@ -0,0 +1,293 @@
+// Lesson quizzes. Courses carry their quizzes without the answers; the keys
+// live in `quizKeys/{courseId}` (see splitQuizKeys in src/utils/quiz.js),
+// which students cannot read. Attempts are graded and recorded here, so the
+// scores behind course grades and certificates cannot be written by hand and
+// the attempt limit holds.
+
+const { getFirestore, FieldValue, FieldPath } = require('firebase-admin/firestore');
+const { assertAdmin } = require('./admin');
+const { isEnrollmentActive } = require('./enrollments');
+
+// The quiz editor uses the same passing score and key fields
+const DEFAULT_PASSING_SCORE = 70;
+const ANSWER_KEY_FIELDS = ['correctOptionIds', 'correctAnswer', 'acceptedAnswers'];
+
+// Courses per migration call; each may also rewrite its saved versions
+const PAGE_SIZE = 100;
+
+// Raised when an attempt cannot be submitted (not enrolled, no attempts left, ...)
+class QuizError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuizError';
+  }
+}
+
+const hasQuiz = (lesson) => Boolean(lesson?.quiz?.questions?.length);
+
+const normalizeText = (value) =>
+  String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Checks whether a single answer is correct
+ * @param {Object} question The question, with its answer key
+ * @param {*} answer Option id, array of option ids, boolean or text depending on type
+ * @returns {boolean} Whether the answer earns the question's points
+ */
+const isAnswerCorrect = (question, answer) => {
+  switch (question.type) {
+    case 'multiple_choice':
+      return Boolean(answer) && question.correctOptionIds?.[0] === answer;
+    case 'multi_select': {
+      const expected = [...(question.correctOptionIds || [])].sort();
+      const given = [...(Array.isArray(answer) ? answer : [])].sort();
+      return expected.length > 0 &&
+        expected.length === given.length &&
+        expected.every((id, index) => id === given[index]);
+    }
+    case 'true_false':
+      return typeof answer === 'boolean' && answer === question.correctAnswer;
+    case 'short_answer':
+      return normalizeText(answer) !== '' &&
+        (question.acceptedAnswers || []).some(accepted => normalizeText(accepted) === normalizeText(answer));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Grades a full quiz attempt
+ * @param {Object} quiz The lesson quiz, with its answer keys
+ * @param {Object} answers Map of question id to answer
+ * @returns {Object} Score, max score, percentage, pass flag and per-question results
+ */
+const gradeAttempt = (quiz, answers = {}) => {
+  const results = {};
+  let score = 0;
+  let maxScore = 0;
+
+  (quiz.questions || []).forEach((question) => {
+    const points = Number(question.points) || 1;
+    const correct = isAnswerCorrect(question, answers[question.id]);
+    results[question.id] = correct;
+    maxScore += points;
+    if (correct) score += points;
+  });
+
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return {
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= (Number(quiz.passingScore) || DEFAULT_PASSING_SCORE),
+    results,
+  };
+};
+
+/**
+ * The best percentage per lesson
+ * @param {Array<Object>} attempts Quiz attempt documents
+ * @returns {Object} Map of lesson id to best percentage
+ */
+const getBestScores = (attempts) =>
+  attempts.reduce((acc, attempt) => {
+    const current = acc[attempt.lessonId];
+    if (current === undefined || attempt.percentage > current) {
+      acc[attempt.lessonId] = attempt.percentage;
+    }
+    return acc;
+  }, {});
+
+/**
+ * The course grade: the average best score across the course's quizzes, with
+ * quizzes never attempted counting as zero
+ * @param {Array<Object>} lessons The course lessons
+ * @param {Array<Object>} attempts The student's quiz attempts for the course
+ * @returns {number|null} Grade percentage, or null when the course has no quizzes
+ */
+const getCourseGrade = (lessons, attempts) => {
+  const quizLessons = lessons.filter(hasQuiz);
+  if (quizLessons.length === 0) return null;
+
+  const bestScores = getBestScores(attempts);
+  const total = quizLessons.reduce((sum, lesson) => sum + (bestScores[lesson.id] || 0), 0);
+  return Math.round(total / quizLessons.length);
+};
+
+/**
+ * Takes the answer keys out of a course's lessons
+ * @param {Array<Object>} lessons The lessons
+ * @returns {Object} The lessons without keys, the keys by lesson and question
+ * id, and whether any keys were found
+ */
+const splitQuizKeys = (lessons = []) => {
+  const quizKeys = {};
+  let found = false;
+  const publicLessons = lessons.map(lesson => {
+    if (!hasQuiz(lesson)) return lesson;
+
+    quizKeys[lesson.id] = {};
+    const questions = lesson.quiz.questions.map(question => {
+      const publicQuestion = { ...question };
+      const key = {};
+      ANSWER_KEY_FIELDS.forEach(field => {
+        if (field in publicQuestion) {
+          key[field] = publicQuestion[field];
+          delete publicQuestion[field];
+          found = true;
+        }
+      });
+      quizKeys[lesson.id][question.id] = key;
+      return publicQuestion;
+    });
+    return { ...lesson, quiz: { ...lesson.quiz, questions } };
+  });
+
+  return { lessons: publicLessons, quizKeys, found };
+};
+
+/**
+ * Grades and records a quiz attempt by an enrolled student
+ * @param {string} userId The student
+ * @param {string} courseId The course
+ * @param {string} lessonId The lesson whose quiz is answered
+ * @param {Object} answers Map of question id to answer
+ * @returns {Promise<Object>} The grading result and the attempt id
+ */
+const submitQuiz = async (userId, courseId, lessonId, answers = {}) => {
+  const db = getFirestore();
+
+  const [courseSnap, keysSnap, enrollmentsSnap] = await Promise.all([
+    db.collection('courses').doc(courseId).get(),
+    db.collection('quizKeys').doc(courseId).get(),
+    db.collection('enrollments').where('userId', '==', userId).where('courseId', '==', courseId).get(),
+  ]);
+
+  const enrollmentDoc = enrollmentsSnap.docs.find(snap => isEnrollmentActive(snap.data()));
+  if (!enrollmentDoc) {
+    throw new QuizError('You must be enrolled to take this quiz');
+  }
+  if (!courseSnap.exists) {
+    throw new QuizError('Course not found');
+  }
+  const lessons = courseSnap.data().lessons || [];
+  const lesson = lessons.find(({ id }) => id === lessonId);
+  if (!hasQuiz(lesson)) {
+    throw new QuizError('This lesson has no quiz');
+  }
+
+  // Courses not yet migrated still carry their keys inline
+  const keys = (keysSnap.exists ? keysSnap.data().lessons || {} : {})[lessonId] || {};
+  const quiz = {
+    ...lesson.quiz,
+    questions: lesson.quiz.questions.map(question => ({ ...question, ...keys[question.id] })),
+  };
+  const result = gradeAttempt(quiz, answers);
+
+  const attemptRef = db.collection('quizAttempts').doc();
+  const attemptsQuery = db.collection('quizAttempts').where('userId', '==', userId).where('courseId', '==', courseId);
+
+  await db.runTransaction(async (tx) => {
+    const attemptsSnap = await tx.get(attemptsQuery);
+    const attempts = attemptsSnap.docs.map(snap => snap.data());
+    const lessonAttempts = attempts.filter(attempt => attempt.lessonId === lessonId);
+
+    const maxAttempts = Number(lesson.quiz.maxAttempts) || 0;
+    if (maxAttempts > 0 && lessonAttempts.length >= maxAttempts) {
+      throw new QuizError('No attempts left for this quiz');
+    }
+
+    const attempt = {
+      userId,
+      courseId,
+      lessonId,
+      answers,
+      score: result.score,
+      maxScore: result.maxScore,
+      percentage: result.percentage,
+      passed: result.passed,
+      results: result.results,
+      attemptNumber: lessonAttempts.length + 1,
+      submittedAt: FieldValue.serverTimestamp(),
+    };
+    const allAttempts = [...attempts, attempt];
+
+    tx.set(attemptRef, attempt);
+    tx.update(enrollmentDoc.ref, {
+      grade: getCourseGrade(lessons, allAttempts),
+      quizScores: getBestScores(allAttempts),
+      lastUpdated: FieldValue.serverTimestamp(),
+    });
+  });
+
+  return { ...result, attemptId: attemptRef.id };
+};
+
+/**
+ * Moves the answer keys of one page of courses, and of their saved versions,
+ * into `quizKeys`. Call again with the returned cursor until `done`; an
+ * interrupted run resumes from its cursor, and it is safe to run again.
+ * @param {string} adminId The admin running it
+ * @param {string|null} cursor The last course id of the previous page
+ * @returns {Promise<Object>} Courses updated, the next cursor and whether done
+ */
+const migrateQuizKeys = async (adminId, cursor = null) => {
+  await assertAdmin(adminId);
+
+  const db = getFirestore();
+  let pageQuery = db.collection('courses').orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+  if (cursor) pageQuery = pageQuery.startAfter(cursor);
+  const snapshot = await pageQuery.get();
+
+  let updated = 0;
+  for (const courseDoc of snapshot.docs) {
+    const versionsSnap = await db.collection('courseVersions').where('courseId', '==', courseDoc.id).get();
+    const batch = db.batch();
+    let writes = 0;
+
+    const course = splitQuizKeys(courseDoc.data().lessons);
+    if (course.found) {
+      // Keys saved since the split win over the inline copies
+      const keysSnap = await db.collection('quizKeys').doc(courseDoc.id).get();
+      const saved = keysSnap.exists ? keysSnap.data().lessons || {} : {};
+      Object.entries(saved).forEach(([lessonId, questions]) => {
+        course.quizKeys[lessonId] = { ...course.quizKeys[lessonId], ...questions };
+      });
+      batch.set(db.collection('quizKeys').doc(courseDoc.id), {
+        courseId: courseDoc.id,
+        lessons: course.quizKeys,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      batch.update(courseDoc.ref, { lessons: course.lessons });
+      writes += 2;
+    }
+
+    versionsSnap.docs.forEach(versionDoc => {
+      const version = splitQuizKeys(versionDoc.data().lessons);
+      if (!version.found) return;
+      batch.update(versionDoc.ref, { lessons: version.lessons });
+      writes += 1;
+    });
+
+    if (writes > 0) {
+      await batch.commit();
+      updated += 1;
+    }
+  }
+
+  return {
+    updated,
+    cursor: snapshot.empty ? cursor : snapshot.docs[snapshot.docs.length - 1].id,
+    done: snapshot.size < PAGE_SIZE,
+  };
+};
+
+module.exports = {
+  PAGE_SIZE,
+  QuizError,
+  gradeAttempt,
+  getCourseGrade,
+  submitQuiz,
+  migrateQuizKeys,
+};
@@ -0,0 +1,300 @@
+// Refund requests. Students ask for one from their payment history; the
+// course's instructor approves or denies it. An approved refund is sent to
+// Paystack, the payment is marked refunded and the enrollment is revoked (every
+// enrollment, for a bundle). The payment history asks getRefundEligibility
+// which payments qualify, so the limits below are only set here.
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { createRefund } = require('./paystack');
+const { toDate } = require('./dates');
+
+const REFUND_WINDOW_DAYS = Number(process.env.REFUND_WINDOW_DAYS ?? 14);
+const REFUND_MAX_PROGRESS = Number(process.env.REFUND_MAX_PROGRESS ?? 30);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised when a refund cannot be requested or resolved (too late, not yours, ...)
+class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefundError';
+  }
+}
+
+// Share of the lessons with a completed progress record, 0-100. Only the
+// functions mark records complete (completeLesson in ./progress).
+const getCompletionPercent = (lessons, progressDocs) => {
+  if (!lessons.length) return 0;
+  const completedLessonIds = new Set(progressDocs
+    .filter(progressDoc => progressDoc.data().completed)
+    .map(progressDoc => progressDoc.data().lessonId));
+  const completed = lessons.filter(lesson => completedLessonIds.has(lesson.id)).length;
+  return Math.round((completed / lessons.length) * 100);
+};
+
+// A course payment pays for one enrollment, a bundle payment for several
+const getPaymentEnrollmentIds = (payment) =>
+  payment.enrollmentIds || (payment.enrollmentId ? [payment.enrollmentId] : []);
+
+// The courses a payment paid for, likewise
+const getPaymentCourseIds = (payment) =>
+  payment.courseIds || (payment.courseId ? [payment.courseId] : []);
+
+/**
+ * How far the student got in the furthest course a payment paid for, from
+ * their `progress` records. It goes by course rather than by enrollment, so
+ * the progress stays counted whatever happens to the enrollment.
+ * @param {Object} db Firestore
+ * @param {Function} read Fetches a document or query, e.g. a transaction's get
+ * @param {Object} payment The payment document
+ * @returns {Promise<number>} 0-100
+ */
+const getPaymentProgress = async (db, read, payment) => {
+  const percents = await Promise.all(getPaymentCourseIds(payment).map(async (courseId) => {
+    const [courseSnap, progressSnap] = await Promise.all([
+      read(db.collection('courses').doc(courseId)),
+      read(db.collection('progress').where('userId', '==', payment.userId).where('courseId', '==', courseId)),
+    ]);
+    let lessons = courseSnap.exists ? courseSnap.data().lessons || [] : [];
+    if (!courseSnap.exists) {
+      // A deleted course: its lessons live on in the enrollment's snapshot
+      const enrollmentsSnap = await read(db.collection('enrollments')
+        .where('userId', '==', payment.userId)
+        .where('courseId', '==', courseId)
+        .limit(1));
+      lessons = enrollmentsSnap.empty ? [] : enrollmentsSnap.docs[0].data().courseData?.lessons || [];
+    }
+    return getCompletionPercent(lessons, progressSnap.docs);
+  }));
+  return Math.max(0, ...percents);
+};
+
+/**
+ * Why a payment cannot be refunded, or null when it can
+ * @param {Object} payment The payment document
+ * @param {number} progressPercent How far the student got, in the furthest course it paid for
+ * @param {Date} at The moment of the request
+ * @returns {string|null} The reason, for the student
+ */
+const getRefundError = (payment, progressPercent, at = new Date()) => {
+  if (!payment || payment.status !== 'succeeded') return 'This payment cannot be refunded';
+  if (payment.type === 'membership') return 'Memberships are cancelled rather than refunded';
+  if (payment.type === 'seats') return 'Team seats are not refundable once bought';
+  if (payment.refundStatus) return 'A refund has already been requested for this payment';
+
+  const paidAt = toDate(payment.createdAt);
+  if (!paidAt || at - paidAt > REFUND_WINDOW_DAYS * DAY_MS) {
+    return `Refunds are only available within ${REFUND_WINDOW_DAYS} days of purchase`;
+  }
+  if (progressPercent >= REFUND_MAX_PROGRESS) {
+    return `Refunds are not available after completing ${REFUND_MAX_PROGRESS}% of a course`;
+  }
+  return null;
+};
+
+const notify = (tx, db, userId, fields) => {
+  if (!userId) return;
+  tx.set(db.collection('notifications').doc(), {
+    userId,
+    read: false,
+    createdAt: FieldValue.serverTimestamp(),
+    ...fields,
+  });
+};
+
+/**
+ * Opens a refund request for one of the student's own payments
+ * @param {string} userId The student asking
+ * @param {string} paymentId The payment to refund
+ * @param {string} reason Why, shown to the instructor
+ * @returns {Promise<Object>} The refund id
+ */
+const requestRefund = async (userId, paymentId, reason = '') => {
+  const db = getFirestore();
+  const paymentRef = db.collection('payments').doc(paymentId);
+  const refundRef = db.collection('refunds').doc(paymentId);
+
+  return db.runTransaction(async (tx) => {
+    const paymentSnap = await tx.get(paymentRef);
+    if (!paymentSnap.exists || paymentSnap.data().userId !== userId) {
+      throw new RefundError('Payment not found');
+    }
+    const payment = paymentSnap.data();
+    const progressPercent = await getPaymentProgress(db, (ref) => tx.get(ref), payment);
+
+    const refundError = getRefundError(payment, progressPercent);
+    if (refundError) {
+      throw new RefundError(refundError);
+    }
+
+    tx.set(refundRef, {
+      paymentId,
+      userId,
+      courseId: payment.courseId || null,
+      bundleId: payment.bundleId || null,
+      instructorId: payment.instructorId,
+      courseTitle: payment.courseTitle,
+      buyer: payment.buyer || null,
+      amount: payment.amount,
+      currency: payment.currency,
+      progressPercent,
+      reason: String(reason).slice(0, 1000),
+      status: 'requested',
+      requestedAt: FieldValue.serverTimestamp(),
+    });
+    tx.update(paymentRef, { refundStatus: 'requested' });
+
+    notify(tx, db, payment.instructorId, {
+      type: 'refund_requested',
+      title: 'Refund requested',
+      message: `${payment.buyer?.name || 'A student'} asked for a refund of ${payment.courseTitle}`,
+      link: '/payments/payouts',
+      data: { courseId: payment.courseId || null, paymentId },
+    });
+
+    return { refundId: refundRef.id };
+  });
+};
+
+/**
+ * The refund limits, and which of the student's payments they may ask to
+ * refund
+ * @param {string} userId The student
+ * @returns {Promise<Object>} windowDays, maxProgress and, by payment id, why it
+ * cannot be refunded or null when it can
+ */
+const getRefundEligibility = async (userId) => {
+  const db = getFirestore();
+  const paymentsSnap = await db.collection('payments').where('userId', '==', userId).get();
+
+  const payments = {};
+  await Promise.all(paymentsSnap.docs.map(async (paymentDoc) => {
+    const payment = paymentDoc.data();
+    // Payments that fail on their own are not worth reading the progress for
+    const refundError = getRefundError(payment, 0)
+      || getRefundError(payment, await getPaymentProgress(db, (ref) => ref.get(), payment));
+    payments[paymentDoc.id] = refundError;
+  }));
+
+  return { windowDays: REFUND_WINDOW_DAYS, maxProgress: REFUND_MAX_PROGRESS, payments };
+};
+
+/**
+ * Approves or denies a refund request on one of the instructor's courses.
+ * Approval refunds the transaction on Paystack before anything is written, so
+ * a failed refund leaves the request open to retry.
+ * @param {string} instructorId The instructor resolving it
+ * @param {string} refundId The refund request
+ * @param {boolean} approve Whether to refund
+ * @param {string} note Optional note for the student
+ * @returns {Promise<Object>} The refund id and its new status
+ */
+const resolveRefund = async (instructorId, refundId, approve, note = '') => {
+  const db = getFirestore();
+  const refundRef = db.collection('refunds').doc(refundId);
+
+  // Claim the request first so two clicks can't refund it twice
+  const refund = await db.runTransaction(async (tx) => {
+    const refundSnap = await tx.get(refundRef);
+    if (!refundSnap.exists || refundSnap.data().instructorId !== instructorId) {
+      throw new RefundError('Refund request not found');
+    }
+    if (refundSnap.data().status !== 'requested') {
+      throw new RefundError('This refund request has already been resolved');
+    }
+    const request = refundSnap.data();
+
+    if (approve) {
+      tx.update(refundRef, { status: 'processing' });
+      return request;
+    }
+
+    tx.update(refundRef, {
+      status: 'denied',
+      note: String(note).slice(0, 1000),
+      resolvedAt: FieldValue.serverTimestamp(),
+      resolvedBy: instructorId,
+    });
+    tx.update(db.collection('payments').doc(request.paymentId), { refundStatus: 'denied' });
+    notify(tx, db, request.userId, {
+      type: 'refund_denied',
+      title: 'Refund declined',
+      message: `Your refund request for ${request.courseTitle} was declined${note ? `: ${note}` : ''}`,
+      link: '/payments/history',
+      data: { courseId: request.courseId, paymentId: request.paymentId },
+    });
+    return request;
+  });
+
+  if (!approve) {
+    return { refundId, status: 'denied' };
+  }
+
+  const paymentRef = db.collection('payments').doc(refund.paymentId);
+
+  let paystackRefund;
+  try {
+    paystackRefund = await createRefund(refund.paymentId);
+  } catch (error) {
+    await refundRef.update({ status: 'requested' });
+    throw error;
+  }
+
+  await db.runTransaction(async (tx) => {
+    const paymentSnap = await tx.get(paymentRef);
+    const payment = paymentSnap.data();
+    const enrollmentSnaps = await Promise.all(getPaymentEnrollmentIds(payment).map(enrollmentId =>
+      tx.get(db.collection('enrollments').doc(enrollmentId))
+    ));
+
+    tx.update(refundRef, {
+      status: 'approved',
+      note: String(note).slice(0, 1000),
+      paystackRefundId: paystackRefund.id || null,
+      resolvedAt: FieldValue.serverTimestamp(),
+      resolvedBy: instructorId,
+    });
+    tx.update(paymentRef, {
+      status: 'refunded',
+      refundStatus: 'approved',
+      refundedAmount: payment.amount,
+      refundedAmountNormalized: payment.normalizedAmount ?? null,
+      refundedAt: FieldValue.serverTimestamp(),
+    });
+
+    // A refunded gift can no longer be redeemed
+    if (payment.giftCode) {
+      tx.update(db.collection('accessCodes').doc(payment.giftCode), { status: 'revoked' });
+    }
+
+    // The enrollments stay, with their progress, but no longer grant access
+    enrollmentSnaps.filter(snap => snap.exists).forEach(enrollmentSnap => {
+      tx.update(enrollmentSnap.ref, {
+        status: 'refunded',
+        revokedAt: FieldValue.serverTimestamp(),
+        refundId,
+      });
+      tx.update(db.collection('courses').doc(enrollmentSnap.data().courseId), {
+        enrollmentCount: FieldValue.increment(-1),
+      });
+    });
+
+    notify(tx, db, refund.userId, {
+      type: 'refund_approved',
+      title: 'Refund approved',
+      message: `Your payment for ${refund.courseTitle} has been refunded`,
+      link: '/payments/history',
+      data: { courseId: refund.courseId, paymentId: refund.paymentId },
+    });
+  });
+
+  return { refundId, status: 'approved' };
+};
+
+module.exports = {
+  RefundError,
+  getRefundError,
+  getRefundEligibility,
+  requestRefund,
+  resolveRefund,
+};
@@ -0,0 +1,35 @@
+// The platform settings the app prices and bills with: the exchange rates, the
+// tax rate and the membership plans. Operators set them once, for the
+// functions (the TAX_RATE, MEMBERSHIP_* and PAYSTACK_PLAN_* variables and the
+// `settings/exchangeRates` document); the app loads them through
+// getPlatformSettings instead of keeping its own copy.
+
+const { getFirestore } = require('firebase-admin/firestore');
+const { TAX_RATE } = require('./payments');
+const { MEMBERSHIP_PLANS } = require('./memberships');
+const { DEFAULT_EXCHANGE_RATES } = require('./pricing');
+
+/**
+ * The settings the app needs, as the functions apply them
+ * @returns {Promise<Object>} exchangeRates (units per US dollar), taxRate and
+ * membershipPlans by plan id
+ */
+const getPlatformSettings = async () => {
+  const db = getFirestore();
+  const ratesSnap = await db.collection('settings').doc('exchangeRates').get();
+
+  const membershipPlans = {};
+  Object.values(MEMBERSHIP_PLANS).forEach(({ id, label, price, currency, planCode, period }) => {
+    membershipPlans[id] = { id, label, price, currency, planCode, period };
+  });
+
+  return {
+    exchangeRates: { ...DEFAULT_EXCHANGE_RATES, ...(ratesSnap.exists ? ratesSnap.data().rates : {}) },
+    taxRate: TAX_RATE,
+    membershipPlans,
+  };
+};
+
+module.exports = {
+  getPlatformSettings,
+};
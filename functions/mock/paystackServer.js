@@ -0,0 +1,195 @@
+// Local stand-in for the Paystack API, for testing the payment functions
+// without real money. Run it with `npm run mock:paystack` and start the
+// functions emulator with PAYSTACK_BASE_URL=http://localhost:4010 and the same
+// PAYSTACK_SECRET_KEY.
+//
+//   POST /mock/transactions  { reference, amount, currency, metadata, status?, plan?, customerCode? }
+//        registers a transaction that the verify endpoint will return; with a
+//        plan code it also starts a subscription for the customer
+//   POST /mock/webhooks      { url, reference, event? }
+//        sends a signed webhook for a registered transaction to `url`;
+//        subscription.* events send the transaction's subscription instead
+//   GET  /transaction/verify/:reference
+//        same shape as Paystack's verify endpoint
+//   POST /refund             { transaction }
+//        refunds a registered transaction in full
+//   POST /subscription/disable { code, token }
+//        cancels a subscription
+
+const http = require('http');
+const crypto = require('crypto');
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const sign = (secretKey, payload) =>
+  crypto.createHmac('sha512', secretKey).update(payload).digest('hex');
+
+/**
+ * Creates the mock server; call `.listen(port)` on the result
+ * @param {Object} options secretKey the server expects and signs webhooks with
+ * @returns {http.Server} The server, with its state on `.transactions` and `.subscriptions`
+ */
+const createMockPaystackServer = ({ secretKey = 'sk_test_mock' } = {}) => {
+  const transactions = new Map();
+  const subscriptions = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const verifyMatch = req.method === 'GET' && req.url.match(/^\/transaction\/verify\/([^/?]+)/);
+
+      if (verifyMatch) {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+          send(res, 401, { status: false, message: 'Invalid key' });
+          return;
+        }
+        const transaction = transactions.get(decodeURIComponent(verifyMatch[1]));
+        if (!transaction) {
+          send(res, 400, { status: false, message: 'Transaction reference not found' });
+          return;
+        }
+        send(res, 200, { status: true, message: 'Verification successful', data: transaction });
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/refund') {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+          send(res, 401, { status: false, message: 'Invalid key' });
+          return;
+        }
+        const { transaction: reference } = await readJson(req);
+        const transaction = transactions.get(reference);
+        if (!transaction || transaction.status !== 'success') {
+          send(res, 400, { status: false, message: 'Transaction has been fully reversed or cannot be refunded' });
+          return;
+        }
+        transaction.status = 'reversed';
+        send(res, 200, {
+          status: true,
+          message: 'Refund has been queued for processing',
+          data: {
+            id: transactions.size + 1000,
+            transaction: { id: transaction.id, reference },
+            amount: transaction.amount,
+            currency: transaction.currency,
+            status: 'pending',
+          },
+        });
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/subscription/disable') {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+          send(res, 401, { status: false, message: 'Invalid key' });
+          return;
+        }
+        const { code, token } = await readJson(req);
+        const subscription = subscriptions.get(code);
+        if (!subscription || subscription.email_token !== token) {
+          send(res, 400, { status: false, message: 'Subscription with code not found or already inactive' });
+          return;
+        }
+        subscription.status = 'complete';
+        send(res, 200, { status: true, message: 'Subscription disabled successfully' });
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/mock/transactions') {
+        const {
+          reference,
+          amount,
+          currency = 'USD',
+          metadata = {},
+          status = 'success',
+          plan = null,
+          customerCode = `CUS_${reference}`,
+        } = await readJson(req);
+        if (!reference || !amount) {
+          send(res, 400, { status: false, message: 'reference and amount are required' });
+          return;
+        }
+        const transaction = {
+          id: transactions.size + 1,
+          reference,
+          amount,
+          currency,
+          status,
+          metadata,
+          plan,
+          customer: { customer_code: customerCode, email: 'student@example.com' },
+          channel: 'card',
+          paid_at: new Date().toISOString(),
+        };
+        transactions.set(reference, transaction);
+        if (plan && ![...subscriptions.values()].some(sub => sub.customer.customer_code === customerCode)) {
+          const code = `SUB_${subscriptions.size + 1}`;
+          subscriptions.set(code, {
+            subscription_code: code,
+            email_token: `token_${code}`,
+            status: 'active',
+            plan: { plan_code: plan },
+            customer: transaction.customer,
+          });
+        }
+        send(res, 201, { status: true, data: transaction });
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/mock/webhooks') {
+        const { url, reference, event = 'charge.success' } = await readJson(req);
+        const transaction = transactions.get(reference);
+        if (!url || !transaction) {
+          send(res, 400, { status: false, message: 'url and a registered reference are required' });
+          return;
+        }
+        const subscription = [...subscriptions.values()]
+          .find(sub => sub.customer.customer_code === transaction.customer.customer_code);
+        const data = event.startsWith('subscription.') ? subscription : transaction;
+        const payload = JSON.stringify({ event, data });
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-paystack-signature': sign(secretKey, payload),
+          },
+          body: payload,
+        });
+        send(res, 200, { status: true, webhookStatus: response.status });
+        return;
+      }
+
+      send(res, 404, { status: false, message: 'Not found' });
+    } catch (error) {
+      send(res, 500, { status: false, message: error.message });
+    }
+  });
+
+  server.transactions = transactions;
+  server.subscriptions = subscriptions;
+  return server;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4010;
+  const secretKey = process.env.PAYSTACK_SECRET_KEY || 'sk_test_mock';
+  createMockPaystackServer({ secretKey }).listen(port, () => {
+    console.log(`Mock Paystack listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockPaystackServer };
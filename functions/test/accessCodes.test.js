@@ -0,0 +1,231 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const {
+  fulfillGiftPayment,
+  createCohortCodes,
+  redeemAccessCode,
+} = require('../lib/accessCodes');
+const { PaymentError } = require('../lib/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What Paystack's verify endpoint returns for a gift checkout
+const makeTransaction = (overrides = {}) => ({
+  id: 1,
+  reference: 'ref_gift',
+  status: 'success',
+  amount: 2000,
+  currency: 'USD',
+  channel: 'card',
+  paid_at: '2024-05-01T10:00:00.000Z',
+  ...overrides,
+  metadata: { type: 'gift', userId: 'buyer', courseId: 'course', recipientName: 'Grace', currency: 'USD', ...overrides.metadata },
+});
+
+const enrollmentsFor = (userId) =>
+  Object.values(db.dump('enrollments')).filter(enrollment => enrollment.userId === userId);
+
+const seedCode = (code, overrides = {}) => db.seed({
+  [`accessCodes/${code}`]: {
+    code,
+    type: 'cohort',
+    courseId: 'course',
+    instructorId: 'teacher',
+    createdBy: 'teacher',
+    status: 'active',
+    redeemedBy: null,
+    expiresAt: null,
+    ...overrides,
+  },
+});
+
+describe('access codes', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', price: 20, instructorId: 'teacher', enrollmentCount: 3, lessons: [] },
+      'users/buyer': { name: 'Ada', email: 'ada@example.com', role: 'student' },
+      'users/student': { name: 'Grace', role: 'student' },
+      'users/other': { name: 'Alan', role: 'student' },
+    });
+  });
+
+  describe('fulfillGiftPayment', () => {
+    it('records the payment and issues a code for the recipient', async () => {
+      const { code, alreadyProcessed } = await fulfillGiftPayment(makeTransaction(), 'callback');
+
+      assert.equal(alreadyProcessed, false);
+      assert.match(code, /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      const payment = db.dump('payments').ref_gift;
+      assert.equal(payment.type, 'gift');
+      assert.equal(payment.giftCode, code);
+      assert.equal(payment.amount, 20);
+      const accessCode = db.dump('accessCodes')[code];
+      assert.equal(accessCode.type, 'gift');
+      assert.equal(accessCode.paidAmount, 20);
+      assert.equal(accessCode.paymentId, 'ref_gift');
+      // Nobody is enrolled until the code is redeemed
+      assert.deepEqual(db.dump('enrollments'), {});
+    });
+
+    it('is idempotent when the same reference is fulfilled again', async () => {
+      const first = await fulfillGiftPayment(makeTransaction(), 'callback');
+      const replay = await fulfillGiftPayment(makeTransaction(), 'webhook');
+
+      assert.equal(replay.alreadyProcessed, true);
+      assert.equal(replay.code, first.code);
+      assert.equal(Object.keys(db.dump('accessCodes')).length, 1);
+    });
+
+    it('rejects a payment for less than the course costs', async () => {
+      await assert.rejects(fulfillGiftPayment(makeTransaction({ amount: 1999 }), 'callback'), /course costs 2000/);
+      assert.deepEqual(db.dump('payments'), {});
+      assert.deepEqual(db.dump('accessCodes'), {});
+    });
+
+    it('prices the gift in the currency paid', async () => {
+      const transaction = makeTransaction({ currency: 'NGN', metadata: { currency: 'NGN' } });
+      await assert.rejects(fulfillGiftPayment({ ...transaction, amount: 2000 }, 'callback'), PaymentError);
+
+      await fulfillGiftPayment({ ...transaction, amount: 3000000 }, 'callback');
+      assert.equal(db.dump('payments').ref_gift.normalizedAmount, 20);
+    });
+
+    it('rejects a payment in another currency than the checkout priced, or one it does not sell in', async () => {
+      await assert.rejects(
+        fulfillGiftPayment(makeTransaction({ currency: 'NGN', amount: 3000000 }), 'callback'),
+        /priced in USD but paid in NGN/
+      );
+      await assert.rejects(
+        fulfillGiftPayment(makeTransaction({ currency: 'EUR', metadata: { currency: 'EUR' } }), 'callback'),
+        /not supported/
+      );
+      assert.deepEqual(db.dump('accessCodes'), {});
+    });
+  });
+
+  describe('createCohortCodes', () => {
+    it("mints one-use codes for the instructor's course", async () => {
+      const { batchId, codes } = await createCohortCodes('teacher', 'course', 3, { label: 'Spring cohort' });
+
+      assert.equal(new Set(codes).size, 3);
+      codes.forEach(code => {
+        const accessCode = db.dump('accessCodes')[code];
+        assert.equal(accessCode.type, 'cohort');
+        assert.equal(accessCode.batchId, batchId);
+        assert.equal(accessCode.label, 'Spring cohort');
+        assert.equal(accessCode.status, 'active');
+      });
+    });
+
+    it("refuses someone else's course, bad counts and past expiry dates", async () => {
+      await assert.rejects(createCohortCodes('other', 'course', 3), /Course not found/);
+      await assert.rejects(createCohortCodes('teacher', 'course', 0), /between 1 and 500/);
+      await assert.rejects(createCohortCodes('teacher', 'course', 501), /between 1 and 500/);
+      await assert.rejects(
+        createCohortCodes('teacher', 'course', 1, { expiresAt: new Date(Date.now() - DAY_MS) }),
+        /must be in the future/
+      );
+      assert.deepEqual(db.dump('accessCodes'), {});
+    });
+  });
+
+  describe('redeemAccessCode', () => {
+    it('enrolls the student with a cohort code typed loosely', async () => {
+      seedCode('ABCD-EFGH-JKLM');
+
+      const { enrollmentId } = await redeemAccessCode('student', ' abcd efgh jklm ');
+
+      const enrollment = db.dump('enrollments')[enrollmentId];
+      assert.equal(enrollment.userId, 'student');
+      assert.equal(enrollment.paidAmount, 0);
+      assert.equal(enrollment.accessCode, 'ABCD-EFGH-JKLM');
+      const accessCode = db.dump('accessCodes')['ABCD-EFGH-JKLM'];
+      assert.equal(accessCode.status, 'redeemed');
+      assert.equal(accessCode.redeemedBy, 'student');
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('refuses a code redeemed twice, by the same student or anyone else', async () => {
+      seedCode('ABCD-EFGH-JKLM');
+      await redeemAccessCode('student', 'ABCD-EFGH-JKLM');
+
+      await assert.rejects(redeemAccessCode('student', 'ABCD-EFGH-JKLM'), /already redeemed this code/);
+      await assert.rejects(redeemAccessCode('other', 'ABCD-EFGH-JKLM'), /already been used/);
+      assert.deepEqual(enrollmentsFor('other'), []);
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('refuses exhausted, withdrawn, expired and unknown codes', async () => {
+      seedCode('USED-USED-USED', { status: 'redeemed', redeemedBy: 'other' });
+      seedCode('GONE-GONE-GONE', { status: 'disabled' });
+      seedCode('LATE-LATE-LATE', { expiresAt: new Date(Date.now() - DAY_MS) });
+
+      await assert.rejects(redeemAccessCode('student', 'USED-USED-USED'), /already been used/);
+      await assert.rejects(redeemAccessCode('student', 'GONE-GONE-GONE'), /no longer valid/);
+      await assert.rejects(redeemAccessCode('student', 'LATE-LATE-LATE'), /has expired/);
+      await assert.rejects(redeemAccessCode('student', 'NOPE-NOPE-NOPE'), /not valid/);
+      await assert.rejects(redeemAccessCode('student', ''), /Enter a code/);
+      assert.deepEqual(enrollmentsFor('student'), []);
+    });
+
+    it('refuses a student who already has the course', async () => {
+      seedCode('ABCD-EFGH-JKLM');
+      db.seed({ 'enrollments/owned': { userId: 'student', courseId: 'course', paidAmount: 20, paymentId: 'ref_0' } });
+
+      await assert.rejects(redeemAccessCode('student', 'ABCD-EFGH-JKLM'), /already have access/);
+      assert.equal(db.dump('accessCodes')['ABCD-EFGH-JKLM'].status, 'active');
+    });
+
+    it('restores a revoked enrollment and counts it again', async () => {
+      seedCode('ABCD-EFGH-JKLM');
+      db.seed({
+        'enrollments/refunded': {
+          userId: 'student', courseId: 'course', status: 'revoked', refundId: 'refund', paymentId: 'ref_0', progress: { l1: true },
+        },
+      });
+
+      assert.equal((await redeemAccessCode('student', 'ABCD-EFGH-JKLM')).enrollmentId, 'refunded');
+      const enrollment = db.dump('enrollments').refunded;
+      assert.equal(enrollment.status, 'active');
+      assert.equal(enrollment.refundId, null);
+      assert.equal(enrollment.paymentId, null);
+      assert.deepEqual(enrollment.progress, { l1: true });
+      assert.equal(enrollmentsFor('student').length, 1);
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('turns membership access into access that does not expire', async () => {
+      seedCode('ABCD-EFGH-JKLM');
+      db.seed({
+        'enrollments/member': {
+          userId: 'student', courseId: 'course', accessType: 'membership', accessExpiresAt: new Date(Date.now() + DAY_MS),
+        },
+      });
+
+      await redeemAccessCode('student', 'ABCD-EFGH-JKLM');
+      const enrollment = db.dump('enrollments').member;
+      assert.equal(enrollment.accessType, 'purchase');
+      assert.equal(enrollment.accessExpiresAt, null);
+      // Membership enrollments were already counted
+      assert.equal(db.dump('courses').course.enrollmentCount, 3);
+    });
+
+    it("carries a gift's payment onto the recipient's enrollment", async () => {
+      const { code } = await fulfillGiftPayment(makeTransaction(), 'callback');
+
+      const { enrollmentId } = await redeemAccessCode('student', code);
+
+      const enrollment = db.dump('enrollments')[enrollmentId];
+      assert.equal(enrollment.paidAmount, 20);
+      assert.equal(enrollment.paidCurrency, 'USD');
+      assert.equal(enrollment.paymentId, 'ref_gift');
+      assert.equal(db.dump('payments').ref_gift.enrollmentId, enrollmentId);
+      const notified = Object.values(db.dump('notifications')).map(notification => notification.userId).sort();
+      assert.deepEqual(notified, ['buyer', 'teacher']);
+    });
+  });
+});
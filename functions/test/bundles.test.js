@@ -0,0 +1,152 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { fulfillBundlePayment } = require('../lib/bundles');
+const { PaymentError } = require('../lib/payments');
+
+// What Paystack's verify endpoint returns for a bundle checkout
+const makeTransaction = (overrides = {}) => ({
+  id: 1,
+  reference: 'ref_1',
+  status: 'success',
+  amount: 3200,
+  currency: 'USD',
+  channel: 'card',
+  paid_at: '2024-05-01T10:00:00.000Z',
+  ...overrides,
+  metadata: { type: 'bundle', userId: 'student', bundleId: 'bundle', currency: 'USD', ...overrides.metadata },
+});
+
+const enrollmentsFor = (userId) =>
+  Object.values(db.dump('enrollments')).filter(enrollment => enrollment.userId === userId);
+
+describe('fulfillBundlePayment', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/algebra': { title: 'Algebra', price: 30, instructorId: 'teacher', enrollmentCount: 5, lessons: [] },
+      'courses/geometry': { title: 'Geometry', price: 10, instructorId: 'teacher', enrollmentCount: 5, lessons: [] },
+      'courses/theirs': { title: 'Chemistry', price: 90, instructorId: 'other', enrollmentCount: 5, lessons: [] },
+      'bundles/bundle': { title: 'Maths', price: 32, instructorId: 'teacher', courseIds: ['algebra', 'geometry'], salesCount: 0 },
+      'users/student': { name: 'Ada', email: 'ada@example.com', role: 'student' },
+    });
+  });
+
+  it('records one payment and enrolls the payer in every course', async () => {
+    const result = await fulfillBundlePayment(makeTransaction(), 'callback');
+
+    assert.equal(result.alreadyProcessed, false);
+    assert.equal(result.enrollmentIds.length, 2);
+    const payment = db.dump('payments').ref_1;
+    assert.equal(payment.type, 'bundle');
+    assert.equal(payment.amount, 32);
+    assert.equal(payment.originalAmount, 40);
+    assert.equal(payment.discountAmount, 8);
+    assert.equal(payment.instructorId, 'teacher');
+    assert.deepEqual(payment.courseIds, ['algebra', 'geometry']);
+    assert.equal(db.dump('bundles').bundle.salesCount, 1);
+    assert.equal(db.dump('courses').algebra.enrollmentCount, 6);
+    assert.equal(db.dump('courses').geometry.enrollmentCount, 6);
+  });
+
+  it('splits what was paid across the courses by their own prices', async () => {
+    await fulfillBundlePayment(makeTransaction(), 'callback');
+
+    const paid = Object.fromEntries(enrollmentsFor('student').map(enrollment => [enrollment.courseId, enrollment.paidAmount]));
+    assert.deepEqual(paid, { algebra: 24, geometry: 8 });
+    enrollmentsFor('student').forEach(enrollment => {
+      assert.equal(enrollment.paymentId, 'ref_1');
+      assert.equal(enrollment.bundleId, 'bundle');
+    });
+  });
+
+  it('prices the bundle in the currency paid', async () => {
+    await assert.rejects(
+      fulfillBundlePayment(makeTransaction({ currency: 'NGN', amount: 3200 }), 'callback'),
+      PaymentError
+    );
+    await fulfillBundlePayment(makeTransaction({ currency: 'NGN', amount: 32 * 1500 * 100 }), 'callback');
+    assert.equal(db.dump('payments').ref_1.amount, 48000);
+    assert.equal(enrollmentsFor('student').length, 2);
+  });
+
+  it('rejects a payment for less than the bundle costs', async () => {
+    await assert.rejects(fulfillBundlePayment(makeTransaction({ amount: 3199 }), 'callback'), PaymentError);
+    assert.deepEqual(db.dump('payments'), {});
+    assert.deepEqual(enrollmentsFor('student'), []);
+  });
+
+  it('rejects currencies it does not support', async () => {
+    await assert.rejects(fulfillBundlePayment(makeTransaction({ currency: 'EUR' }), 'callback'), PaymentError);
+  });
+
+  it("never enrolls anyone in another instructor's course", async () => {
+    db.seed({ 'bundles/bundle': { title: 'Maths', price: 1, instructorId: 'teacher', courseIds: ['algebra', 'theirs'], salesCount: 0 } });
+
+    await assert.rejects(fulfillBundlePayment(makeTransaction({ amount: 100 }), 'callback'), PaymentError);
+    assert.deepEqual(db.dump('payments'), {});
+    assert.deepEqual(enrollmentsFor('student'), []);
+    assert.equal(db.dump('courses').theirs.enrollmentCount, 5);
+  });
+
+  it('is idempotent when the same reference is fulfilled again', async () => {
+    const first = await fulfillBundlePayment(makeTransaction(), 'callback');
+    const replay = await fulfillBundlePayment(makeTransaction(), 'webhook');
+
+    assert.equal(replay.alreadyProcessed, true);
+    assert.deepEqual(replay.enrollmentIds, first.enrollmentIds);
+    assert.equal(enrollmentsFor('student').length, 2);
+    assert.equal(db.dump('bundles').bundle.salesCount, 1);
+  });
+
+  it('skips courses the student already bought', async () => {
+    db.seed({ 'enrollments/owned': { userId: 'student', courseId: 'algebra', paidAmount: 30, paymentId: 'ref_0', progress: { l1: true } } });
+
+    const result = await fulfillBundlePayment(makeTransaction(), 'callback');
+
+    assert.equal(result.enrollmentIds.length, 1);
+    assert.deepEqual(db.dump('payments').ref_1.courseIds, ['geometry']);
+    assert.equal(db.dump('enrollments').owned.paymentId, 'ref_0');
+    assert.equal(db.dump('courses').algebra.enrollmentCount, 5);
+    // The whole amount goes to the course that was bought
+    assert.equal(enrollmentsFor('student').find(enrollment => enrollment.courseId === 'geometry').paidAmount, 32);
+  });
+
+  it('restores a revoked enrollment and keeps its progress', async () => {
+    db.seed({
+      'enrollments/refunded': {
+        userId: 'student', courseId: 'algebra', status: 'revoked', refundId: 'refund', paymentId: 'ref_0', progress: { l1: true },
+      },
+    });
+
+    const result = await fulfillBundlePayment(makeTransaction(), 'callback');
+
+    assert.ok(result.enrollmentIds.includes('refunded'));
+    const enrollment = db.dump('enrollments').refunded;
+    assert.equal(enrollment.status, 'active');
+    assert.equal(enrollment.refundId, null);
+    assert.equal(enrollment.paymentId, 'ref_1');
+    assert.deepEqual(enrollment.progress, { l1: true });
+    assert.equal(db.dump('courses').algebra.enrollmentCount, 6);
+    assert.equal(enrollmentsFor('student').length, 2);
+  });
+
+  it('turns membership access into a purchase that does not expire', async () => {
+    db.seed({
+      'enrollments/member': {
+        userId: 'student', courseId: 'algebra', accessType: 'membership', accessExpiresAt: new Date('2024-06-01'), progress: {},
+      },
+    });
+
+    await fulfillBundlePayment(makeTransaction(), 'callback');
+
+    const enrollment = db.dump('enrollments').member;
+    assert.equal(enrollment.accessType, 'purchase');
+    assert.equal(enrollment.accessExpiresAt, null);
+    assert.equal(enrollment.paymentId, 'ref_1');
+    // Membership enrollments were already counted
+    assert.equal(db.dump('courses').algebra.enrollmentCount, 5);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+const { installFakeStorage } = require('./helpers/fakeStorage');
+
+const db = installFakeFirestore();
+const bucket = installFakeStorage();
+const {
+  issueCertificate,
+  assignVerificationCode,
+  storeCertificatePdf,
+  getCertificatePdf,
+  revokeCertificate,
+} = require('../lib/certificates');
+
+const quiz = { questions: [{ id: 'q1' }] };
+
+const completeLesson = (lessonId) => ({
+  [`progress/student_course_${lessonId}`]: { userId: 'student', courseId: 'course', lessonId, completed: true },
+});
+
+describe('certificates', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'users/student': { role: 'student', name: 'Ada' },
+      'users/teacher': { role: 'instructor' },
+      'users/other-teacher': { role: 'instructor' },
+      'users/admin': { role: 'admin' },
+      'courses/course': {
+        title: 'Algebra',
+        instructorId: 'teacher',
+        lessons: [{ id: 'l1' }, { id: 'l2', quiz }],
+        certificateTemplate: { color: '#10B981' },
+      },
+      'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: { l1: true, l2: true } },
+    });
+  });
+
+  describe('issueCertificate', () => {
+    it('issues the certificate once every lesson is complete, graded from the quiz attempts', async () => {
+      db.seed({
+        ...completeLesson('l1'),
+        ...completeLesson('l2'),
+        'quizAttempts/a1': { userId: 'student', courseId: 'course', lessonId: 'l2', percentage: 60 },
+        'quizAttempts/a2': { userId: 'student', courseId: 'course', lessonId: 'l2', percentage: 90 },
+      });
+
+      const result = await issueCertificate('student', 'enrollment');
+
+      assert.deepEqual(result, { certificateId: 'enrollment', issued: true });
+      const certificate = db.dump('certificates').enrollment;
+      assert.equal(certificate.grade, 90);
+      assert.equal(certificate.userName, 'Ada');
+      assert.equal(certificate.templateColor, '#10B981');
+      assert.equal(certificate.status, 'valid');
+      assert.match(certificate.verificationCode, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      assert.equal(db.dump('enrollments').enrollment.certificateId, 'enrollment');
+      assert.equal(Object.keys(db.dump('achievements')).length, 1);
+      assert.equal(Object.values(db.dump('notifications'))[0].type, 'certificate_issued');
+    });
+
+    it('is harmless to ask again', async () => {
+      db.seed({ ...completeLesson('l1'), ...completeLesson('l2') });
+
+      await issueCertificate('student', 'enrollment');
+      const again = await issueCertificate('student', 'enrollment');
+
+      assert.equal(again.issued, false);
+      assert.equal(Object.keys(db.dump('achievements')).length, 1);
+    });
+
+    it('refuses until every lesson has a completed progress record', async () => {
+      db.seed(completeLesson('l1'));
+      await assert.rejects(issueCertificate('student', 'enrollment'), /Complete every lesson/);
+      assert.equal(db.dump('certificates').enrollment, undefined);
+    });
+
+    it("refuses someone else's or an inactive enrollment", async () => {
+      db.seed({ ...completeLesson('l1'), ...completeLesson('l2') });
+      await assert.rejects(issueCertificate('teacher', 'enrollment'), /Enrollment not found/);
+
+      db.seed({ 'enrollments/enrollment': { userId: 'student', courseId: 'course', status: 'refunded' } });
+      await assert.rejects(issueCertificate('student', 'enrollment'), /no longer gives access/);
+    });
+  });
+
+  describe('assignVerificationCode', () => {
+    it('gives a legacy certificate a code only for its owner', async () => {
+      db.seed({ 'certificates/legacy': { userId: 'student', courseId: 'course' } });
+
+      await assert.rejects(assignVerificationCode('teacher', 'legacy'), /Certificate not found/);
+      const { verificationCode } = await assignVerificationCode('student', 'legacy');
+      assert.equal(db.dump('certificates').legacy.verificationCode, verificationCode);
+      assert.deepEqual(await assignVerificationCode('student', 'legacy'), { verificationCode });
+    });
+  });
+
+  describe('storeCertificatePdf', () => {
+    beforeEach(() => {
+      bucket.files.clear();
+      db.seed({
+        'certificates/cert': {
+          userId: 'student',
+          courseId: 'course',
+          courseName: 'Algebra',
+          userName: 'Ada',
+          templateId: 'elegant',
+          verificationCode: 'K7QM-3XPA',
+          status: 'valid',
+        },
+      });
+    });
+
+    it('stores the rendered PDF and saves its download URL on the certificate', async () => {
+      const pdfUrl = await storeCertificatePdf('cert');
+
+      const stored = bucket.files.get('certificates/cert.pdf');
+      assert.equal(stored.data.subarray(0, 5).toString(), '%PDF-');
+      assert.equal(stored.metadata.contentType, 'application/pdf');
+      const { firebaseStorageDownloadTokens: token } = stored.metadata.metadata;
+      assert.equal(pdfUrl, 'https://firebasestorage.googleapis.com/v0/b/demo-modernlms.appspot.com/o/'
+        + `certificates%2Fcert.pdf?alt=media&token=${token}`);
+      const certificate = db.dump('certificates').cert;
+      assert.equal(certificate.pdfUrl, pdfUrl);
+      assert.ok(certificate.pdfGeneratedAt);
+    });
+
+    it('does not render revoked certificates', async () => {
+      db.seed({ 'certificates/cert': { userId: 'student', courseId: 'course', status: 'revoked' } });
+
+      assert.equal(await storeCertificatePdf('cert'), null);
+      assert.equal(bucket.files.size, 0);
+    });
+  });
+
+  describe('getCertificatePdf', () => {
+    beforeEach(() => {
+      bucket.files.clear();
+      db.seed({ 'certificates/cert': { userId: 'student', courseId: 'course', courseName: 'Algebra', status: 'valid' } });
+    });
+
+    it('renders the PDF of an older certificate on the first download, then reuses it', async () => {
+      const { pdfUrl } = await getCertificatePdf('student', 'cert');
+      assert.ok(bucket.files.has('certificates/cert.pdf'));
+
+      bucket.files.clear();
+      assert.deepEqual(await getCertificatePdf('student', 'cert'), { pdfUrl });
+      assert.equal(bucket.files.size, 0);
+    });
+
+    it('does not trust a pdfUrl the functions did not store', async () => {
+      db.seed({ 'certificates/cert': { userId: 'student', courseId: 'course', status: 'valid', pdfUrl: 'https://example.com/old.pdf' } });
+
+      const { pdfUrl } = await getCertificatePdf('student', 'cert');
+      assert.notEqual(pdfUrl, 'https://example.com/old.pdf');
+    });
+
+    it("refuses someone else's or a revoked certificate", async () => {
+      await assert.rejects(getCertificatePdf('other', 'cert'), /Certificate not found/);
+
+      db.seed({ 'certificates/cert': { userId: 'student', courseId: 'course', status: 'revoked' } });
+      await assert.rejects(getCertificatePdf('student', 'cert'), /has been revoked/);
+    });
+  });
+
+  describe('revokeCertificate', () => {
+    beforeEach(() => {
+      db.seed({ 'certificates/cert': { userId: 'student', courseId: 'course', status: 'valid' } });
+    });
+
+    it('removes the stored PDF', async () => {
+      await storeCertificatePdf('cert');
+
+      await revokeCertificate('teacher', 'cert');
+      assert.equal(db.dump('certificates').cert.pdfUrl, null);
+      assert.equal(bucket.files.has('certificates/cert.pdf'), false);
+    });
+
+    it('lets the course instructor revoke it', async () => {
+      await revokeCertificate('teacher', 'cert', ' Plagiarised project ');
+      const certificate = db.dump('certificates').cert;
+      assert.equal(certificate.status, 'revoked');
+      assert.equal(certificate.revokedReason, 'Plagiarised project');
+      assert.equal(certificate.revokedBy, 'teacher');
+    });
+
+    it('lets an admin revoke it, once', async () => {
+      await revokeCertificate('admin', 'cert');
+      await assert.rejects(revokeCertificate('admin', 'cert'), /already been revoked/);
+    });
+
+    it('refuses anyone else', async () => {
+      await assert.rejects(revokeCertificate('other-teacher', 'cert'), /Only an admin or the course instructor/);
+      await assert.rejects(revokeCertificate('student', 'cert'), /Only an admin or the course instructor/);
+      assert.equal(db.dump('certificates').cert.status, 'valid');
+    });
+  });
+});
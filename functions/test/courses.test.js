@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const {
+  backfillCourseStatus,
+  getCurriculumSnapshot,
+  recordEnrollmentCurriculum,
+  syncEnrollmentCurricula,
+  PAGE_SIZE,
+} = require('../lib/courses');
+
+describe('backfillCourseStatus', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({ 'users/admin': { role: 'admin' }, 'users/teacher': { role: 'instructor' } });
+  });
+
+  it('marks status-less courses as published and leaves the rest alone', async () => {
+    db.seed({
+      'courses/legacy': { title: 'Legacy' },
+      'courses/draft': { title: 'Draft', status: 'draft' },
+    });
+
+    const result = await backfillCourseStatus('admin');
+
+    assert.deepEqual(result, { updated: 1, cursor: 'legacy', done: true });
+    assert.equal(db.dump('courses').legacy.status, 'published');
+    assert.equal(db.dump('courses').draft.status, 'draft');
+  });
+
+  it('works a page at a time and resumes from the cursor', async () => {
+    const ids = Array.from({ length: PAGE_SIZE + 5 }, (_, i) => `c${String(i).padStart(4, '0')}`);
+    db.seed(Object.fromEntries(ids.map(id => [`courses/${id}`, { title: id }])));
+
+    const first = await backfillCourseStatus('admin');
+    assert.equal(first.updated, PAGE_SIZE);
+    assert.equal(first.done, false);
+
+    const second = await backfillCourseStatus('admin', first.cursor);
+    assert.deepEqual(second, { updated: 5, cursor: ids[ids.length - 1], done: true });
+    assert.ok(Object.values(db.dump('courses')).every(course => course.status === 'published'));
+  });
+
+  it('is only for admins', async () => {
+    await assert.rejects(backfillCourseStatus('teacher'), /Only platform admins/);
+  });
+});
+
+describe('syncEnrollmentCurricula', () => {
+  const sections = [{ id: 's1', title: 'Basics', description: 'Not copied' }];
+  const lessons = [{ id: 'l1', title: 'Welcome', duration: 5, sectionId: 's1', videoUrl: 'https://example.com/1.mp4' }];
+
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'enrollments/e1': { userId: 'student', courseId: 'course', progress: { l1: true }, courseData: { title: 'Algebra', lessons: [] } },
+      'enrollments/e2': { userId: 'other', courseId: 'other-course', courseData: { lessons: [] } },
+    });
+  });
+
+  it("refreshes the snapshot on the course's enrollments and keeps their progress", async () => {
+    assert.equal(await syncEnrollmentCurricula('course', { sections, lessons: [] }, { sections, lessons }), 1);
+
+    const enrollment = db.dump('enrollments').e1;
+    assert.deepEqual(enrollment.courseData, {
+      title: 'Algebra',
+      sections: [{ id: 's1', title: 'Basics' }],
+      lessons: [{ id: 'l1', title: 'Welcome', duration: 5, sectionId: 's1' }],
+    });
+    assert.deepEqual(enrollment.progress, { l1: true });
+    assert.deepEqual(db.dump('enrollments').e2.courseData, { lessons: [] });
+  });
+
+  it('leaves enrollments alone when the curriculum did not change', async () => {
+    const course = { sections, lessons };
+    assert.equal(await syncEnrollmentCurricula('course', course, { ...course, viewCount: 10 }), 0);
+  });
+});
+
+describe('getCurriculumSnapshot', () => {
+  it('puts flat courses in the default section and fills missing durations', () => {
+    assert.deepEqual(getCurriculumSnapshot({ lessons: [{ id: 'l1', title: 'Welcome', videoUrl: 'https://example.com/1.mp4' }] }), {
+      sections: [{ id: 'default', title: 'Course Content' }],
+      lessons: [{ id: 'l1', title: 'Welcome', duration: null, sectionId: 'default' }],
+    });
+  });
+});
+
+describe('recordEnrollmentCurriculum', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', sections: [{ id: 's1', title: 'Basics' }], lessons: [{ id: 'l1', title: 'Welcome', duration: 5, sectionId: 's1' }] },
+      'enrollments/free': { userId: 'student', courseId: 'course', progress: {} },
+    });
+  });
+
+  it('gives a free enrollment the same snapshot as the paid ones', async () => {
+    assert.equal(await recordEnrollmentCurriculum('free', db.dump('enrollments').free), true);
+    assert.deepEqual(db.dump('enrollments').free.courseData, {
+      title: 'Algebra',
+      ...getCurriculumSnapshot(db.dump('courses').course),
+    });
+  });
+
+  it('leaves enrollments that already have one alone', async () => {
+    const enrollment = { userId: 'student', courseId: 'course', courseData: { title: 'Algebra', sections: [], lessons: [] } };
+    assert.equal(await recordEnrollmentCurriculum('free', enrollment), false);
+    assert.equal(db.dump('enrollments').free.courseData, undefined);
+  });
+});
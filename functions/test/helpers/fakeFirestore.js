@@ -0,0 +1,305 @@
+// A small in-memory stand-in for firebase-admin/firestore, enough for the
+// payment functions: documents, equality and range queries, count and sum
+// aggregations, transactions and the increment / serverTimestamp field values. Install it before requiring the
+// code under test:
+//
+//   const { installFakeFirestore } = require('./helpers/fakeFirestore');
+//   const db = installFakeFirestore();
+//   const { fulfillCoursePayment } = require('../lib/payments');
+
+const FIRESTORE_MODULE = require.resolve('firebase-admin/firestore');
+
+class FieldTransform {
+  constructor(apply) {
+    this.apply = apply;
+  }
+}
+
+const FieldValue = {
+  increment: (n) => new FieldTransform(current => (Number(current) || 0) + n),
+  serverTimestamp: () => new FieldTransform(() => new Date()),
+  delete: () => new FieldTransform(() => undefined),
+};
+
+const FieldPath = {
+  documentId: () => '__name__',
+};
+
+const AggregateField = {
+  count: () => ({ type: 'count' }),
+  sum: (field) => ({ type: 'sum', field }),
+};
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// Applies field values and dotted paths ('usageByUser.abc') to a document
+const applyFields = (target, fields) => {
+  Object.entries(fields).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      return node[key];
+    }, target);
+    const resolved = value instanceof FieldTransform ? value.apply(parent[last]) : value;
+    if (resolved === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = resolved instanceof Date ? resolved : clone(resolved);
+    }
+  });
+  return target;
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(field) {
+    return field.split('.').reduce((node, key) => node?.[key], this._data);
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.db._snapshot(this);
+  }
+
+  async set(data, options) {
+    this.db._set(this, data, options);
+  }
+
+  async update(data) {
+    this.db._update(this, data);
+  }
+
+  async delete() {
+    this.db.store.delete(this.path);
+  }
+}
+
+// Range comparisons go through valueOf so dates compare by time
+const OPERATORS = {
+  '==': (actual, value) => actual === value,
+  in: (actual, value) => value.includes(actual),
+  '<': (actual, value) => actual != null && actual.valueOf() < value.valueOf(),
+  '<=': (actual, value) => actual != null && actual.valueOf() <= value.valueOf(),
+  '>': (actual, value) => actual != null && actual.valueOf() > value.valueOf(),
+  '>=': (actual, value) => actual != null && actual.valueOf() >= value.valueOf(),
+};
+
+class Query {
+  constructor(db, path, filters = [], max = Infinity, order = null, after = null) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+    this.max = max;
+    this.order = order;
+    this.after = after;
+  }
+
+  where(field, op, value) {
+    if (!(op in OPERATORS)) {
+      throw new Error(`The fake Firestore does not support ${op} queries`);
+    }
+    return new Query(this.db, this.path, [...this.filters, { field, op, value }], this.max, this.order, this.after);
+  }
+
+  limit(max) {
+    return new Query(this.db, this.path, this.filters, max, this.order, this.after);
+  }
+
+  orderBy(field) {
+    return new Query(this.db, this.path, this.filters, this.max, field, this.after);
+  }
+
+  startAfter(value) {
+    return new Query(this.db, this.path, this.filters, this.max, this.order, value);
+  }
+
+  aggregate(spec) {
+    return {
+      get: async () => {
+        const { docs } = await this.get();
+        const result = {};
+        Object.entries(spec).forEach(([alias, { type, field }]) => {
+          result[alias] = type === 'count'
+            ? docs.length
+            : docs.reduce((sum, snap) => sum + (typeof snap.get(field) === 'number' ? snap.get(field) : 0), 0);
+        });
+        return { data: () => result };
+      },
+    };
+  }
+
+  async get() {
+    return this.db._query(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = `auto${++this.db.autoId}`) {
+    return new DocumentReference(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.store = new Map();
+    this.autoId = 0;
+    // Transactions run one at a time, like Firestore retrying contended ones
+    this.queue = Promise.resolve();
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push(() => this._set(ref, data, options)),
+      create: (ref, data) => writes.push(() => this._create(ref, data)),
+      update: (ref, data) => writes.push(() => this._update(ref, data)),
+      delete: (ref) => writes.push(() => this.store.delete(ref.path)),
+      commit: async () => writes.forEach(write => write()),
+    };
+  }
+
+  runTransaction(callback) {
+    const run = this.queue.then(async () => {
+      const writes = [];
+      const result = await callback({
+        get: (target) => target.get(),
+        set: (ref, data, options) => writes.push(() => this._set(ref, data, options)),
+        create: (ref, data) => writes.push(() => this._create(ref, data)),
+        update: (ref, data) => writes.push(() => this._update(ref, data)),
+        delete: (ref) => writes.push(() => this.store.delete(ref.path)),
+      });
+      writes.forEach(write => write());
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Seeds documents, keyed by path
+   * @param {Object} docs e.g. { 'courses/c1': { price: 10 } }
+   */
+  seed(docs) {
+    Object.entries(docs).forEach(([path, data]) => this.store.set(path, clone(data)));
+  }
+
+  /**
+   * The documents of a collection, keyed by id
+   * @param {string} name The collection
+   * @returns {Object} Its documents
+   */
+  dump(name) {
+    return Object.fromEntries([...this.store.entries()]
+      .filter(([path]) => path.startsWith(`${name}/`) && path.split('/').length === name.split('/').length + 1)
+      .map(([path, data]) => [path.split('/').pop(), clone(data)]));
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, clone(this.store.get(ref.path)));
+  }
+
+  _set(ref, data, options = {}) {
+    const base = options.merge ? clone(this.store.get(ref.path)) || {} : {};
+    this.store.set(ref.path, applyFields(base, data));
+  }
+
+  _create(ref, data) {
+    if (this.store.has(ref.path)) {
+      throw new Error(`Document already exists: ${ref.path}`);
+    }
+    this._set(ref, data);
+  }
+
+  _update(ref, data) {
+    if (!this.store.has(ref.path)) {
+      throw new Error(`No document to update: ${ref.path}`);
+    }
+    this.store.set(ref.path, applyFields(clone(this.store.get(ref.path)), data));
+  }
+
+  _query(query) {
+    const depth = query.path.split('/').length + 1;
+    let docs = [...this.store.keys()]
+      .filter(path => path.startsWith(`${query.path}/`) && path.split('/').length === depth)
+      .sort()
+      .map(path => this._snapshot(new DocumentReference(this, path)))
+      .filter(snap => query.filters.every(({ field, op, value }) => {
+        const actual = field === '__name__' ? snap.id : snap.get(field);
+        return OPERATORS[op](actual, value);
+      }));
+    if (query.after !== null) {
+      docs = docs.filter(snap => snap.id > query.after);
+    }
+    return new QuerySnapshot(docs.slice(0, query.max));
+  }
+}
+
+/**
+ * Replaces firebase-admin/firestore with a fresh in-memory database
+ * @returns {FakeFirestore} The database getFirestore() now returns
+ */
+const installFakeFirestore = () => {
+  const db = new FakeFirestore();
+  require.cache[FIRESTORE_MODULE] = {
+    id: FIRESTORE_MODULE,
+    filename: FIRESTORE_MODULE,
+    loaded: true,
+    exports: { getFirestore: () => db, FieldValue, FieldPath, AggregateField },
+  };
+  return db;
+};
+
+module.exports = { installFakeFirestore, FakeFirestore, FieldValue };
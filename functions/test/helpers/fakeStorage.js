@@ -0,0 +1,44 @@
+// A small in-memory stand-in for the default bucket of firebase-admin/storage,
+// enough for the certificate PDFs. Install it before requiring the code under
+// test:
+//
+//   const { installFakeStorage } = require('./helpers/fakeStorage');
+//   const bucket = installFakeStorage();
+//   const { storeCertificatePdf } = require('../lib/certificates');
+
+const STORAGE_MODULE = require.resolve('firebase-admin/storage');
+
+class FakeFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+
+  async save(data, options = {}) {
+    this.bucket.files.set(this.name, { data: Buffer.from(data), metadata: options.metadata || {} });
+  }
+
+  async delete({ ignoreNotFound = false } = {}) {
+    if (!this.bucket.files.has(this.name) && !ignoreNotFound) {
+      throw new Error(`No such object: ${this.name}`);
+    }
+    this.bucket.files.delete(this.name);
+  }
+}
+
+const installFakeStorage = () => {
+  const bucket = {
+    name: 'demo-modernlms.appspot.com',
+    files: new Map(),
+    file: (name) => new FakeFile(bucket, name),
+  };
+  require.cache[STORAGE_MODULE] = {
+    id: STORAGE_MODULE,
+    filename: STORAGE_MODULE,
+    loaded: true,
+    exports: { getStorage: () => ({ bucket: () => bucket }) },
+  };
+  return bucket;
+};
+
+module.exports = { installFakeStorage };
@@ -0,0 +1,167 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { fulfillMembershipPayment, enrollWithMembership } = require('../lib/memberships');
+const { fulfillCoursePayment, PaymentError } = require('../lib/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What Paystack's verify endpoint returns for the first monthly charge
+const makeTransaction = (overrides = {}) => ({
+  id: 1,
+  reference: 'ref_1',
+  status: 'success',
+  amount: 1900,
+  currency: 'USD',
+  channel: 'card',
+  plan: 'PLN_monthly',
+  paid_at: '2024-05-01T10:00:00.000Z',
+  customer: { customer_code: 'CUS_1', email: 'ada@example.com' },
+  ...overrides,
+  metadata: { type: 'membership', userId: 'student', planId: 'monthly', ...overrides.metadata },
+});
+
+const enrollmentsFor = (userId) =>
+  Object.values(db.dump('enrollments')).filter(enrollment => enrollment.userId === userId);
+
+describe('fulfillMembershipPayment', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({ 'users/student': { name: 'Ada', email: 'ada@example.com', role: 'student' } });
+  });
+
+  it('starts a membership for the period paid for', async () => {
+    const result = await fulfillMembershipPayment(makeTransaction(), 'callback');
+
+    assert.equal(result.alreadyProcessed, false);
+    assert.equal(result.currentPeriodEnd, '2024-06-01T10:00:00.000Z');
+    const membership = db.dump('memberships').student;
+    assert.equal(membership.status, 'active');
+    assert.equal(membership.customerCode, 'CUS_1');
+    assert.equal(membership.lastPaymentId, 'ref_1');
+    const payment = db.dump('payments').ref_1;
+    assert.equal(payment.type, 'membership');
+    assert.equal(payment.amount, 19);
+    assert.equal(payment.planId, 'monthly');
+  });
+
+  it('is idempotent when the same reference is fulfilled again', async () => {
+    await fulfillMembershipPayment(makeTransaction(), 'callback');
+    const replay = await fulfillMembershipPayment(makeTransaction(), 'webhook');
+
+    assert.equal(replay.alreadyProcessed, true);
+    assert.equal(db.dump('memberships').student.currentPeriodEnd.toISOString(), '2024-06-01T10:00:00.000Z');
+    assert.equal(db.dump('counters').receipts.value, 1);
+  });
+
+  it('extends the period and the courses joined with it on renewal', async () => {
+    await fulfillMembershipPayment(makeTransaction(), 'callback');
+    db.seed({
+      'enrollments/member': { userId: 'student', courseId: 'course', accessType: 'membership', accessExpiresAt: new Date('2024-06-02T10:00:00.000Z') },
+      'enrollments/bought': { userId: 'student', courseId: 'other', paymentId: 'ref_0', paidAmount: 20 },
+    });
+
+    // Renewals only carry the customer
+    const result = await fulfillMembershipPayment(makeTransaction({
+      reference: 'ref_2',
+      paid_at: '2024-05-31T10:00:00.000Z',
+      metadata: { type: undefined, userId: undefined, planId: undefined },
+    }), 'webhook');
+
+    assert.equal(result.currentPeriodEnd, '2024-07-01T10:00:00.000Z');
+    assert.equal(db.dump('enrollments').member.accessExpiresAt.toISOString(), '2024-07-02T10:00:00.000Z');
+    assert.equal(db.dump('enrollments').bought.accessExpiresAt, undefined);
+  });
+
+  it('rejects charges that do not pay for a plan', async () => {
+    await assert.rejects(fulfillMembershipPayment(makeTransaction({ amount: 1899 }), 'callback'), PaymentError);
+    await assert.rejects(fulfillMembershipPayment(makeTransaction({ currency: 'NGN', amount: 1900 * 1500 }), 'callback'), PaymentError);
+    await assert.rejects(fulfillMembershipPayment(makeTransaction({
+      plan: 'PLN_unknown',
+      metadata: { planId: 'lifetime' },
+    }), 'callback'), PaymentError);
+    assert.deepEqual(db.dump('payments'), {});
+    assert.deepEqual(db.dump('memberships'), {});
+  });
+});
+
+describe('enrollWithMembership', () => {
+  const periodEnd = new Date(Date.now() + 10 * DAY_MS);
+
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', price: 20, instructorId: 'teacher', includedInMembership: true, enrollmentCount: 3, lessons: [] },
+      'courses/excluded': { title: 'Chemistry', price: 20, instructorId: 'teacher', enrollmentCount: 3, lessons: [] },
+      'memberships/student': { userId: 'student', status: 'active', currentPeriodEnd: periodEnd },
+      'users/student': { name: 'Ada', email: 'ada@example.com', role: 'student' },
+    });
+  });
+
+  it('enrolls a member until the end of their period', async () => {
+    const { enrollmentId, alreadyEnrolled } = await enrollWithMembership('student', 'course');
+
+    assert.equal(alreadyEnrolled, false);
+    const enrollment = db.dump('enrollments')[enrollmentId];
+    assert.equal(enrollment.accessType, 'membership');
+    assert.equal(enrollment.paidAmount, 0);
+    assert.equal(enrollment.accessExpiresAt.getTime(), periodEnd.getTime() + DAY_MS);
+    assert.equal(enrollment.courseData.title, 'Algebra');
+    assert.equal(db.dump('courses').course.enrollmentCount, 4);
+  });
+
+  it('refuses courses outside the membership and lapsed members', async () => {
+    await assert.rejects(enrollWithMembership('student', 'excluded'), /not included in the membership/);
+
+    db.seed({ 'memberships/student': { userId: 'student', status: 'active', currentPeriodEnd: new Date(Date.now() - 2 * DAY_MS) } });
+    await assert.rejects(enrollWithMembership('student', 'course'), /not active/);
+    await assert.rejects(enrollWithMembership('visitor', 'course'), /not active/);
+    assert.deepEqual(enrollmentsFor('student'), []);
+  });
+
+  it('leaves a course the student bought alone', async () => {
+    db.seed({ 'enrollments/bought': { userId: 'student', courseId: 'course', paymentId: 'ref_0', paidAmount: 20 } });
+
+    assert.deepEqual(await enrollWithMembership('student', 'course'), { enrollmentId: 'bought', alreadyEnrolled: true });
+    assert.equal(db.dump('enrollments').bought.accessType, undefined);
+    assert.equal(db.dump('enrollments').bought.accessExpiresAt, undefined);
+  });
+
+  it('reopens a revoked enrollment through the membership', async () => {
+    db.seed({ 'enrollments/refunded': { userId: 'student', courseId: 'course', status: 'revoked', progress: { l1: true } } });
+
+    assert.deepEqual(await enrollWithMembership('student', 'course'), { enrollmentId: 'refunded', alreadyEnrolled: false });
+    const enrollment = db.dump('enrollments').refunded;
+    assert.equal(enrollment.status, 'active');
+    assert.equal(enrollment.accessType, 'membership');
+    assert.deepEqual(enrollment.progress, { l1: true });
+    assert.equal(enrollmentsFor('student').length, 1);
+  });
+
+  it('keeps a course bought after joining it through the membership once the membership ends', async () => {
+    const { enrollmentId } = await enrollWithMembership('student', 'course');
+
+    await fulfillCoursePayment({
+      id: 2,
+      reference: 'ref_course',
+      status: 'success',
+      amount: 2000,
+      currency: 'USD',
+      paid_at: '2024-05-01T10:00:00.000Z',
+      metadata: { userId: 'student', courseId: 'course', currency: 'USD' },
+    }, 'callback');
+
+    assert.equal(enrollmentsFor('student').length, 1);
+    const enrollment = db.dump('enrollments')[enrollmentId];
+    assert.equal(enrollment.accessType, 'purchase');
+    assert.equal(enrollment.accessExpiresAt, null);
+    assert.equal(enrollment.paymentId, 'ref_course');
+    assert.equal(enrollment.paidAmount, 20);
+    assert.equal(enrollment.paidCurrency, 'USD');
+    assert.equal(db.dump('payments').ref_course.enrollmentId, enrollmentId);
+    // The membership enrollment was already counted
+    assert.equal(db.dump('courses').course.enrollmentCount, 4);
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const {
+  notifyNewEnrollment,
+  notifyDiscussionReply,
+  notifyCourseChanges,
+  notifyExpiringAccess,
+} = require('../lib/notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const notifications = () => Object.values(db.dump('notifications'));
+
+describe('notifications', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'users/student': { role: 'student', name: 'Ada' },
+      'courses/course': { title: 'Algebra', instructorId: 'teacher' },
+    });
+  });
+
+  describe('notifyNewEnrollment', () => {
+    it('tells the instructor about a free enrollment', async () => {
+      await notifyNewEnrollment({ userId: 'student', courseId: 'course' });
+
+      const [notification] = notifications();
+      assert.equal(notification.userId, 'teacher');
+      assert.equal(notification.type, 'new_enrollment');
+      assert.equal(notification.message, 'Ada enrolled in Algebra');
+      assert.deepEqual(notification.data, { courseId: 'course', studentId: 'student' });
+    });
+
+    it('leaves enrollments made by other functions to them', async () => {
+      await notifyNewEnrollment({ userId: 'student', courseId: 'course', accessType: 'purchase' });
+      assert.equal(notifications().length, 0);
+    });
+  });
+
+  describe('notifyDiscussionReply', () => {
+    beforeEach(() => {
+      db.seed({ 'discussions/post': { userId: 'teacher', courseId: 'course', message: 'Welcome' } });
+    });
+
+    it("tells the post's author, whoever the reply claims to answer", async () => {
+      await notifyDiscussionReply('reply', {
+        userId: 'student',
+        userName: 'Ada',
+        courseId: 'course',
+        parentId: 'post',
+        replyToUserId: 'someone-else',
+        message: 'Thanks!',
+      });
+
+      const [notification] = notifications();
+      assert.equal(notification.userId, 'teacher');
+      assert.equal(notification.message, 'Ada replied in Algebra: "Thanks!"');
+      assert.equal(notification.link, '/community/discussion/course/post');
+      assert.deepEqual(notification.data, { courseId: 'course', discussionId: 'post', replyId: 'reply' });
+    });
+
+    it('skips new posts and replies to yourself', async () => {
+      await notifyDiscussionReply('post2', { userId: 'student', courseId: 'course', message: 'Hi' });
+      await notifyDiscussionReply('reply', { userId: 'teacher', courseId: 'course', parentId: 'post', message: 'Also' });
+      assert.equal(notifications().length, 0);
+    });
+  });
+
+  describe('notifyCourseChanges', () => {
+    it('announces a new version to every enrolled student', async () => {
+      db.seed({
+        'enrollments/e1': { userId: 'student', courseId: 'course' },
+        'enrollments/e2': { userId: 'other', courseId: 'course' },
+        'enrollments/e3': { userId: 'elsewhere', courseId: 'other-course' },
+      });
+      const after = {
+        title: 'Algebra',
+        instructorId: 'teacher',
+        version: 2,
+        versionHistory: [{ version: 2, changelog: 'New lesson\nFixed typos' }],
+      };
+
+      await notifyCourseChanges('course', { title: 'Algebra', version: 1 }, after);
+
+      assert.deepEqual(notifications().map(({ userId }) => userId).sort(), ['other', 'student']);
+      assert.equal(notifications()[0].message, 'Version 2: New lesson');
+    });
+
+    it("tells the instructor about an admin's review once", async () => {
+      const reviewedAt = new Date();
+      const before = { title: 'Algebra', instructorId: 'teacher', status: 'pending_review' };
+      const after = { ...before, status: 'draft', reviewNote: 'Add a syllabus.', reviewedAt };
+
+      await notifyCourseChanges('course', before, after);
+      await notifyCourseChanges('course', after, { ...after, lastActivity: new Date() });
+
+      assert.equal(notifications().length, 1);
+      const [notification] = notifications();
+      assert.equal(notification.userId, 'teacher');
+      assert.equal(notification.title, 'Algebra needs changes');
+      assert.equal(notification.message, 'Your course was sent back to draft. Add a syllabus.');
+      assert.equal(notification.link, '/courses/create/course');
+    });
+  });
+
+  describe('notifyExpiringAccess', () => {
+    const now = new Date('2026-03-01T08:00:00Z');
+
+    beforeEach(() => {
+      db.seed({
+        'courses/course': { title: 'Algebra', instructorId: 'teacher', accessibleUntil: new Date(now.getTime() + 2 * DAY_MS) },
+        'courses/later': { title: 'Geometry', accessibleUntil: new Date(now.getTime() + 10 * DAY_MS) },
+        'enrollments/e1': { userId: 'student', courseId: 'course' },
+        'enrollments/e2': { userId: 'refunded', courseId: 'course', status: 'refunded' },
+        'enrollments/e3': { userId: 'student', courseId: 'later' },
+      });
+    });
+
+    it('warns active students of courses closing soon, once', async () => {
+      assert.equal(await notifyExpiringAccess(now), 1);
+      assert.equal(await notifyExpiringAccess(new Date(now.getTime() + DAY_MS)), 0);
+
+      const [notification] = notifications();
+      assert.equal(notification.userId, 'student');
+      assert.equal(notification.type, 'access_expiring');
+      assert.deepEqual(notification.data, { courseId: 'course' });
+      assert.ok(db.dump('notifications')['student_access-expiring-course-2026-03-03']);
+    });
+
+    it('skips deleted courses', async () => {
+      db.seed({ 'courses/course': { title: 'Algebra', isDeleted: true, accessibleUntil: new Date(now.getTime() + DAY_MS) } });
+      assert.equal(await notifyExpiringAccess(now), 0);
+    });
+
+    it('warns about enrollments whose own access is about to expire', async () => {
+      db.seed({
+        'courses/course': { title: 'Algebra', instructorId: 'teacher' },
+        'enrollments/e1': { userId: 'student', courseId: 'course', accessType: 'membership', accessExpiresAt: new Date(now.getTime() + DAY_MS) },
+        'enrollments/e3': { userId: 'student', courseId: 'later', accessType: 'membership', accessExpiresAt: new Date(now.getTime() + 20 * DAY_MS) },
+        'enrollments/e4': { userId: 'renewing', courseId: 'course', accessType: 'membership', accessExpiresAt: new Date(now.getTime() + DAY_MS) },
+        'enrollments/e5': { userId: 'expired', courseId: 'course', accessType: 'membership', accessExpiresAt: new Date(now.getTime() - DAY_MS) },
+        'memberships/student': { userId: 'student', status: 'cancelled' },
+        'memberships/renewing': { userId: 'renewing', status: 'active' },
+      });
+
+      assert.equal(await notifyExpiringAccess(now), 1);
+      assert.equal(await notifyExpiringAccess(new Date(now.getTime() + DAY_MS / 2)), 0);
+
+      const [notification] = notifications();
+      assert.equal(notification.userId, 'student');
+      assert.equal(notification.message, 'Your access to Algebra ends on 3/2/2026.');
+      assert.ok(db.dump('notifications')['student_access-expiring-course-2026-03-02']);
+    });
+
+    it('sends one warning when the course and the enrollment close the same day', async () => {
+      db.seed({
+        'enrollments/e1': { userId: 'student', courseId: 'course', accessExpiresAt: new Date(now.getTime() + 2 * DAY_MS) },
+      });
+
+      assert.equal(await notifyExpiringAccess(now), 1);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { fulfillSeatPayment, assignSeat, reclaimSeat } = require('../lib/organizations');
+const { fulfillCoursePayment, PaymentError } = require('../lib/payments');
+
+// What Paystack's verify endpoint returns for a seat checkout
+const makeTransaction = (overrides = {}) => ({
+  id: 1,
+  reference: 'ref_seats',
+  status: 'success',
+  amount: 4000,
+  currency: 'USD',
+  channel: 'card',
+  paid_at: '2024-05-01T10:00:00.000Z',
+  ...overrides,
+  metadata: { type: 'seats', userId: 'admin', courseId: 'course', organizationId: 'org', quantity: 2, ...overrides.metadata },
+});
+
+const seats = () => db.dump('organizations').org.seats.course;
+
+describe('organizations', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', price: 20, instructorId: 'teacher', enrollmentCount: 3, lessons: [] },
+      'organizations/org': { name: 'Acme', adminId: 'admin', memberIds: ['ada', 'grace', 'alan'] },
+      'users/admin': { name: 'Boss', email: 'boss@acme.test', role: 'student' },
+      'users/ada': { name: 'Ada', email: 'ada@acme.test', role: 'student' },
+      'users/grace': { name: 'Grace', email: 'grace@acme.test', role: 'student' },
+      'users/alan': { name: 'Alan', email: 'alan@acme.test', role: 'student' },
+    });
+  });
+
+  describe('fulfillSeatPayment', () => {
+    it('records the payment and adds the seats to the organization', async () => {
+      const result = await fulfillSeatPayment(makeTransaction(), 'callback');
+
+      assert.equal(result.alreadyProcessed, false);
+      assert.equal(seats().purchased, 2);
+      const payment = db.dump('payments').ref_seats;
+      assert.equal(payment.type, 'seats');
+      assert.equal(payment.quantity, 2);
+      assert.equal(payment.amount, 40);
+      // Nobody is enrolled until a seat is assigned
+      assert.deepEqual(db.dump('enrollments'), {});
+    });
+
+    it('is idempotent when the same reference is fulfilled again', async () => {
+      await fulfillSeatPayment(makeTransaction(), 'callback');
+      const replay = await fulfillSeatPayment(makeTransaction(), 'webhook');
+
+      assert.equal(replay.alreadyProcessed, true);
+      assert.equal(seats().purchased, 2);
+    });
+
+    it('rejects a payment for less than the seats cost', async () => {
+      await assert.rejects(fulfillSeatPayment(makeTransaction({ amount: 3999 }), 'callback'), /2 seats cost 4000/);
+      assert.equal(db.dump('organizations').org.seats, undefined);
+    });
+
+    it("rejects seats bought for someone else's organization and bad seat counts", async () => {
+      await assert.rejects(
+        fulfillSeatPayment(makeTransaction({ metadata: { userId: 'ada' } }), 'callback'),
+        /Organization org not found for ada/
+      );
+      await assert.rejects(fulfillSeatPayment(makeTransaction({ metadata: { quantity: 0 } }), 'callback'), PaymentError);
+      await assert.rejects(fulfillSeatPayment(makeTransaction({ metadata: { quantity: 501 } }), 'callback'), PaymentError);
+      assert.deepEqual(db.dump('payments'), {});
+    });
+  });
+
+  describe('seats', () => {
+    beforeEach(async () => {
+      await fulfillSeatPayment(makeTransaction(), 'callback');
+    });
+
+    it('enrolls a member in the course', async () => {
+      const { assignmentId, enrollmentId } = await assignSeat('admin', 'org', 'course', 'ada');
+
+      assert.equal(assignmentId, 'org_course_ada');
+      const enrollment = db.dump('enrollments')[enrollmentId];
+      assert.equal(enrollment.accessType, 'organization');
+      assert.equal(enrollment.organizationId, 'org');
+      assert.equal(enrollment.seatAssignmentId, assignmentId);
+      assert.equal(seats().assigned, 1);
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('refuses to assign more seats than were bought', async () => {
+      await assignSeat('admin', 'org', 'course', 'ada');
+      await assignSeat('admin', 'org', 'course', 'grace');
+
+      await assert.rejects(assignSeat('admin', 'org', 'course', 'alan'), /No Algebra seats left/);
+      assert.equal(seats().assigned, 2);
+      assert.equal(Object.values(db.dump('enrollments')).filter(enrollment => enrollment.userId === 'alan').length, 0);
+    });
+
+    it('refuses people who are not members, seats given twice and other admins', async () => {
+      await assert.rejects(assignSeat('admin', 'org', 'course', 'stranger'), /accepted their invitation/);
+      await assert.rejects(assignSeat('ada', 'org', 'course', 'grace'), /Organization not found/);
+
+      await assignSeat('admin', 'org', 'course', 'ada');
+      await assert.rejects(assignSeat('admin', 'org', 'course', 'ada'), /already has a seat/);
+      assert.equal(seats().assigned, 1);
+    });
+
+    it('frees a reclaimed seat for someone else and switches the enrollment off', async () => {
+      await assignSeat('admin', 'org', 'course', 'ada');
+      const { enrollmentId: gracesEnrollment } = await assignSeat('admin', 'org', 'course', 'grace');
+
+      await reclaimSeat('admin', 'org_course_grace');
+      assert.equal(seats().assigned, 1);
+      assert.equal(db.dump('seatAssignments').org_course_grace.status, 'reclaimed');
+      assert.equal(db.dump('enrollments')[gracesEnrollment].status, 'reclaimed');
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+      await assert.rejects(reclaimSeat('admin', 'org_course_grace'), /already been reclaimed/);
+
+      await assignSeat('admin', 'org', 'course', 'alan');
+      assert.equal(seats().assigned, 2);
+    });
+
+    it('gives a member back their old enrollment and progress when reassigned', async () => {
+      const { enrollmentId } = await assignSeat('admin', 'org', 'course', 'ada');
+      db.seed({ [`enrollments/${enrollmentId}`]: { ...db.dump('enrollments')[enrollmentId], progress: { l1: true } } });
+      await reclaimSeat('admin', 'org_course_ada');
+
+      const reassigned = await assignSeat('admin', 'org', 'course', 'ada');
+
+      assert.equal(reassigned.enrollmentId, enrollmentId);
+      const enrollment = db.dump('enrollments')[enrollmentId];
+      assert.equal(enrollment.status, 'active');
+      assert.deepEqual(enrollment.progress, { l1: true });
+      assert.equal(seats().assigned, 1);
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('leaves a course the member bought for themselves when their seat is reclaimed', async () => {
+      const { enrollmentId } = await assignSeat('admin', 'org', 'course', 'ada');
+      await fulfillCoursePayment({
+        id: 2,
+        reference: 'ref_own',
+        status: 'success',
+        amount: 2000,
+        currency: 'USD',
+        paid_at: '2024-05-02T10:00:00.000Z',
+        metadata: { userId: 'ada', courseId: 'course', currency: 'USD' },
+      }, 'callback');
+
+      await reclaimSeat('admin', 'org_course_ada');
+
+      const enrollment = db.dump('enrollments')[enrollmentId];
+      assert.equal(enrollment.status, 'active');
+      assert.equal(enrollment.accessType, 'purchase');
+      assert.equal(enrollment.paymentId, 'ref_own');
+      assert.equal(enrollment.seatAssignmentId, null);
+      assert.equal(seats().assigned, 0);
+      assert.equal(db.dump('courses').course.enrollmentCount, 4);
+    });
+
+    it('refuses a seat to a member who already bought the course', async () => {
+      db.seed({ 'enrollments/owned': { userId: 'ada', courseId: 'course', paidAmount: 20, paymentId: 'ref_0' } });
+
+      await assert.rejects(assignSeat('admin', 'org', 'course', 'ada'), /already has access/);
+      assert.equal(seats().assigned, undefined);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { fulfillCoursePayment, PaymentError } = require('../lib/payments');
+
+// What Paystack's verify endpoint returns for a course checkout
+const makeTransaction = (overrides = {}) => ({
+  id: 1,
+  reference: 'ref_1',
+  status: 'success',
+  amount: 2000,
+  currency: 'USD',
+  channel: 'card',
+  paid_at: '2024-05-01T10:00:00.000Z',
+  customer: { email: 'student@example.com' },
+  ...overrides,
+  metadata: { userId: 'student', courseId: 'course', couponCode: null, currency: 'USD', ...overrides.metadata },
+});
+
+const enrollmentsFor = (userId) =>
+  Object.values(db.dump('enrollments')).filter(enrollment => enrollment.userId === userId);
+
+describe('fulfillCoursePayment', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Intro to Testing', price: 20, instructorId: 'teacher', lessons: [] },
+      'users/student': { name: 'Ada', email: 'ada@example.com', role: 'student' },
+    });
+  });
+
+  it('records the payment and enrolls the payer', async () => {
+    const result = await fulfillCoursePayment(makeTransaction(), 'callback');
+
+    assert.equal(result.alreadyProcessed, false);
+    const payment = db.dump('payments').ref_1;
+    assert.equal(payment.userId, 'student');
+    assert.equal(payment.amount, 20);
+    assert.equal(payment.currency, 'USD');
+    assert.equal(payment.receiptNumber, 'INV-2024-000001');
+    const [enrollment] = enrollmentsFor('student');
+    assert.equal(enrollment.courseId, 'course');
+    assert.equal(enrollment.paymentId, 'ref_1');
+    assert.equal(db.dump('courses').course.enrollmentCount, 1);
+  });
+
+  it('is idempotent when the same reference is fulfilled again', async () => {
+    const first = await fulfillCoursePayment(makeTransaction(), 'callback');
+    const replay = await fulfillCoursePayment(makeTransaction(), 'webhook');
+
+    assert.equal(replay.alreadyProcessed, true);
+    assert.equal(replay.enrollmentId, first.enrollmentId);
+    assert.equal(Object.keys(db.dump('payments')).length, 1);
+    assert.equal(enrollmentsFor('student').length, 1);
+    assert.equal(db.dump('courses').course.enrollmentCount, 1);
+    assert.equal(db.dump('counters').receipts.value, 1);
+    assert.equal(db.dump('payments').ref_1.verifiedBy, 'callback');
+  });
+
+  it('writes once when the callback and webhook arrive together', async () => {
+    const results = await Promise.all([
+      fulfillCoursePayment(makeTransaction(), 'callback'),
+      fulfillCoursePayment(makeTransaction(), 'webhook'),
+    ]);
+
+    assert.deepEqual(results.map(result => result.alreadyProcessed).sort(), [false, true]);
+    assert.equal(enrollmentsFor('student').length, 1);
+    assert.equal(db.dump('courses').course.enrollmentCount, 1);
+  });
+
+  it('rejects a payment for less than the course costs', async () => {
+    await assert.rejects(
+      fulfillCoursePayment(makeTransaction({ amount: 1999 }), 'callback'),
+      PaymentError
+    );
+    assert.deepEqual(db.dump('payments'), {});
+    assert.deepEqual(enrollmentsFor('student'), []);
+  });
+
+  it('rejects a payment in another currency than the checkout priced', async () => {
+    await assert.rejects(
+      fulfillCoursePayment(makeTransaction({ currency: 'NGN', amount: 3000000 }), 'callback'),
+      /priced in USD but paid in NGN/
+    );
+    assert.deepEqual(db.dump('payments'), {});
+  });
+
+  it('rejects a currency the platform does not sell in', async () => {
+    await assert.rejects(
+      fulfillCoursePayment(makeTransaction({ currency: 'EUR', metadata: { currency: 'EUR' } }), 'callback'),
+      /not supported/
+    );
+    assert.deepEqual(enrollmentsFor('student'), []);
+  });
+
+  it('prices a local-currency checkout at the exchange rate', async () => {
+    const transaction = makeTransaction({ currency: 'NGN', amount: 2999900, metadata: { currency: 'NGN' } });
+    await assert.rejects(fulfillCoursePayment(transaction, 'callback'), PaymentError);
+
+    const result = await fulfillCoursePayment({ ...transaction, amount: 3000000 }, 'callback');
+    assert.equal(result.alreadyProcessed, false);
+    assert.equal(db.dump('payments').ref_1.normalizedAmount, 20);
+  });
+
+  it('rejects transactions that did not succeed', async () => {
+    await assert.rejects(
+      fulfillCoursePayment(makeTransaction({ status: 'abandoned' }), 'webhook'),
+      /was not successful/
+    );
+    assert.deepEqual(db.dump('payments'), {});
+  });
+});
+
+describe('fulfillCoursePayment with a coupon', () => {
+  const withCoupon = (overrides = {}) =>
+    makeTransaction({ amount: 1500, ...overrides, metadata: { couponCode: 'SAVE25', ...overrides.metadata } });
+
+  const seedCoupon = (overrides = {}) => db.seed({
+    'coupons/SAVE25': { type: 'percent', value: 25, instructorId: 'teacher', usedCount: 0, ...overrides },
+  });
+
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Intro to Testing', price: 20, instructorId: 'teacher', lessons: [] },
+      'courses/other-course': { title: 'Advanced Testing', price: 40, instructorId: 'teacher', lessons: [] },
+      'users/student': { name: 'Ada', email: 'ada@example.com', role: 'student' },
+    });
+    seedCoupon();
+  });
+
+  it('charges the discounted price and counts the use', async () => {
+    await fulfillCoursePayment(withCoupon({ metadata: { couponCode: ' save25 ' } }), 'callback');
+
+    const payment = db.dump('payments').ref_1;
+    assert.equal(payment.amount, 15);
+    assert.equal(payment.originalAmount, 20);
+    assert.equal(payment.discountAmount, 5);
+    assert.deepEqual(payment.coupon, { code: 'SAVE25', type: 'percent', value: 25 });
+    const coupon = db.dump('coupons').SAVE25;
+    assert.equal(coupon.usedCount, 1);
+    assert.deepEqual(coupon.usageByUser, { student: 1 });
+  });
+
+  it('rejects a payment for less than the discounted price', async () => {
+    await assert.rejects(fulfillCoursePayment(withCoupon({ amount: 1499 }), 'callback'), /course costs 1500/);
+    assert.deepEqual(db.dump('payments'), {});
+    assert.equal(db.dump('coupons').SAVE25.usedCount, 0);
+  });
+
+  it('converts a fixed discount to the currency paid', async () => {
+    seedCoupon({ type: 'fixed', value: 5 });
+    const transaction = withCoupon({ currency: 'NGN', metadata: { currency: 'NGN' } });
+
+    await assert.rejects(fulfillCoursePayment({ ...transaction, amount: 2249900 }, 'callback'), PaymentError);
+    await fulfillCoursePayment({ ...transaction, amount: 2250000 }, 'callback');
+    assert.equal(db.dump('payments').ref_1.discountAmount, 7500);
+  });
+
+  it('rejects an expired coupon', async () => {
+    seedCoupon({ expiresAt: new Date('2024-04-30T23:59:59.000Z') });
+
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /Coupon has expired \(SAVE25\)/);
+    assert.deepEqual(enrollmentsFor('student'), []);
+  });
+
+  it('accepts a coupon until the moment it expires', async () => {
+    seedCoupon({ expiresAt: new Date('2024-05-01T10:00:00.000Z') });
+
+    const result = await fulfillCoursePayment(withCoupon(), 'callback');
+    assert.equal(result.alreadyProcessed, false);
+  });
+
+  it('rejects a coupon that reached its usage limit', async () => {
+    seedCoupon({ maxUses: 3, usedCount: 3 });
+
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /reached its usage limit/);
+    assert.equal(db.dump('coupons').SAVE25.usedCount, 3);
+  });
+
+  it('rejects a coupon the student already used up', async () => {
+    seedCoupon({ perUserLimit: 1, usedCount: 1, usageByUser: { student: 1 } });
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /already used by this student/);
+
+    db.seed({ 'users/other': { name: 'Grace', role: 'student' } });
+    await fulfillCoursePayment(withCoupon({ metadata: { userId: 'other' } }), 'callback');
+    assert.deepEqual(db.dump('coupons').SAVE25.usageByUser, { student: 1, other: 1 });
+  });
+
+  it('stops a student reusing a coupon on a second purchase', async () => {
+    seedCoupon({ perUserLimit: 1 });
+    await fulfillCoursePayment(withCoupon(), 'callback');
+
+    await assert.rejects(
+      fulfillCoursePayment(withCoupon({ reference: 'ref_2', amount: 3000, metadata: { courseId: 'other-course' } }), 'callback'),
+      /already used by this student/
+    );
+  });
+
+  it("rejects a coupon made for another course or another instructor's courses", async () => {
+    seedCoupon({ courseIds: ['other-course'] });
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /does not apply to this course/);
+
+    seedCoupon({ instructorId: 'someone-else' });
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /does not belong to this course/);
+    assert.deepEqual(db.dump('payments'), {});
+  });
+
+  it('rejects unknown, inactive and free-course coupons', async () => {
+    await assert.rejects(
+      fulfillCoursePayment(withCoupon({ metadata: { couponCode: 'NOPE' } }), 'callback'),
+      /Coupon is not valid \(NOPE\)/
+    );
+
+    seedCoupon({ active: false });
+    await assert.rejects(fulfillCoursePayment(withCoupon(), 'callback'), /Coupon is not valid/);
+
+    seedCoupon({ value: 100 });
+    await assert.rejects(fulfillCoursePayment(withCoupon({ amount: 0 }), 'callback'), /cannot cover the full price/);
+  });
+});
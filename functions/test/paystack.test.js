@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createMockPaystackServer } = require('../mock/paystackServer');
+const { verifyTransaction, isValidSignature } = require('../lib/paystack');
+
+const SECRET_KEY = 'sk_test_mock';
+
+const sign = (payload, key = SECRET_KEY) =>
+  crypto.createHmac('sha512', key).update(payload).digest('hex');
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+});
+
+const post = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+};
+
+describe('paystack', () => {
+  let paystack;
+  let paystackUrl;
+
+  before(async () => {
+    process.env.PAYSTACK_SECRET_KEY = SECRET_KEY;
+    paystack = createMockPaystackServer({ secretKey: SECRET_KEY });
+    paystackUrl = await listen(paystack);
+    process.env.PAYSTACK_BASE_URL = paystackUrl;
+  });
+
+  after(() => {
+    paystack.close();
+    delete process.env.PAYSTACK_BASE_URL;
+  });
+
+  describe('isValidSignature', () => {
+    const payload = JSON.stringify({ event: 'charge.success', data: { reference: 'ref_1' } });
+
+    it('accepts a body signed with the secret key', () => {
+      assert.equal(isValidSignature(Buffer.from(payload), sign(payload)), true);
+    });
+
+    it('rejects a signature made with another key', () => {
+      assert.equal(isValidSignature(Buffer.from(payload), sign(payload, 'sk_test_other')), false);
+    });
+
+    it('rejects a body changed after signing', () => {
+      const tampered = payload.replace('ref_1', 'ref_2');
+      assert.equal(isValidSignature(Buffer.from(tampered), sign(payload)), false);
+    });
+
+    it('rejects a missing or malformed signature', () => {
+      assert.equal(isValidSignature(Buffer.from(payload), undefined), false);
+      assert.equal(isValidSignature(Buffer.from(payload), 'not-a-signature'), false);
+      assert.equal(isValidSignature(undefined, sign(payload)), false);
+    });
+
+    it('accepts webhooks signed by the mock server and rejects others', async () => {
+      const received = [];
+      const receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          const valid = isValidSignature(Buffer.concat(chunks), req.headers['x-paystack-signature']);
+          received.push(valid);
+          res.writeHead(valid ? 200 : 401);
+          res.end();
+        });
+      });
+      const receiverUrl = await listen(receiver);
+
+      try {
+        await post(`${paystackUrl}/mock/transactions`, { reference: 'ref_hook', amount: 2000 });
+        const signed = await post(`${paystackUrl}/mock/webhooks`, { url: receiverUrl, reference: 'ref_hook' });
+        assert.equal(signed.webhookStatus, 200);
+
+        const forged = await fetch(receiverUrl, {
+          method: 'POST',
+          headers: { 'x-paystack-signature': sign('{}', 'sk_test_other') },
+          body: '{}',
+        });
+        assert.equal(forged.status, 401);
+        assert.deepEqual(received, [true, false]);
+      } finally {
+        receiver.close();
+      }
+    });
+  });
+
+  describe('verifyTransaction', () => {
+    it('returns the transaction with its metadata parsed', async () => {
+      await post(`${paystackUrl}/mock/transactions`, {
+        reference: 'ref_verify',
+        amount: 2000,
+        currency: 'USD',
+        metadata: JSON.stringify({ userId: 'student', courseId: 'course' }),
+      });
+
+      const transaction = await verifyTransaction('ref_verify');
+      assert.equal(transaction.status, 'success');
+      assert.equal(transaction.amount, 2000);
+      assert.deepEqual(transaction.metadata, { userId: 'student', courseId: 'course' });
+    });
+
+    it('throws for an unknown reference', async () => {
+      await assert.rejects(verifyTransaction('ref_missing'), /not found/);
+    });
+
+    it('throws when the secret key is wrong', async () => {
+      process.env.PAYSTACK_SECRET_KEY = 'sk_test_other';
+      try {
+        await assert.rejects(verifyTransaction('ref_verify'), /Invalid key/);
+      } finally {
+        process.env.PAYSTACK_SECRET_KEY = SECRET_KEY;
+      }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { PAGE_SIZE, completeLesson, migrateProgress } = require('../lib/progress');
+
+const record = (overrides = {}) => ({
+  userId: 'student',
+  courseId: 'course',
+  lessonId: 'l1',
+  enrollmentId: 'enrollment',
+  position: 300,
+  duration: 300,
+  segments: [{ start: 0, end: 300 }],
+  ...overrides,
+});
+
+// Saves a record the way the browser does and runs the trigger on it
+const save = async (overrides = {}) => {
+  const before = db.dump('progress').student_course_l1;
+  db.seed({ 'progress/student_course_l1': record(overrides) });
+  return completeLesson(before, db.dump('progress').student_course_l1);
+};
+
+describe('completeLesson', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', totalCompletions: 4, completedLessonsCount: 4 },
+      'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: {}, completedLessons: 0 },
+    });
+  });
+
+  it('completes a lesson watched to the end, marks the enrollment and counts it on the course', async () => {
+    assert.equal(await save(), true);
+
+    const progress = db.dump('progress').student_course_l1;
+    assert.equal(progress.completed, true);
+    assert.ok(progress.completedAt);
+    const enrollment = db.dump('enrollments').enrollment;
+    assert.deepEqual(enrollment.progress, { l1: true });
+    assert.equal(enrollment.completedLessons, 1);
+    assert.equal(db.dump('courses').course.totalCompletions, 5);
+    assert.equal(db.dump('courses').course.completedLessonsCount, 5);
+  });
+
+  it('does not complete a lesson that was not watched to the end', async () => {
+    assert.equal(await save({ segments: [{ start: 0, end: 120 }] }), false);
+    assert.equal(await save({ segments: [] }), false);
+    assert.equal(await save({ duration: 0 }), false);
+
+    assert.equal(db.dump('progress').student_course_l1.completed, undefined);
+    assert.deepEqual(db.dump('enrollments').enrollment.progress, {});
+    assert.equal(db.dump('courses').course.totalCompletions, 4);
+  });
+
+  it('does not complete a lesson from the playback position alone', async () => {
+    assert.equal(await save({ segments: [{ start: 0, end: 5 }], position: 300 }), false);
+    assert.deepEqual(db.dump('enrollments').enrollment.progress, {});
+  });
+
+  it("applies the course's completion threshold to the unique seconds watched", async () => {
+    db.seed({ 'courses/course': { title: 'Algebra', completionThreshold: 80, totalCompletions: 4 } });
+
+    // Skipping to the end is not enough, and rewatching a part counts once
+    assert.equal(await save({ segments: [{ start: 0, end: 100 }, { start: 50, end: 150 }, { start: 290, end: 300 }] }), false);
+    assert.equal(await save({ segments: [{ start: 0, end: 150 }, { start: 150, end: 240 }] }), true);
+    assert.deepEqual(db.dump('enrollments').enrollment.progress, { l1: true });
+  });
+
+  it('clamps segments to the video', async () => {
+    db.seed({ 'courses/course': { title: 'Algebra', completionThreshold: 80, totalCompletions: 4 } });
+
+    assert.equal(await save({ segments: [{ start: -1000, end: 10 }, { start: 290, end: 100000 }] }), false);
+  });
+
+  it('does nothing more once the lesson is complete', async () => {
+    await save();
+    assert.equal(await save({ position: 10 }), false);
+    assert.equal(db.dump('enrollments').enrollment.completedLessons, 1);
+    assert.equal(db.dump('courses').course.totalCompletions, 5);
+  });
+
+  it('does not count a lesson already marked on the enrollment', async () => {
+    db.seed({ 'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: { l1: true }, completedLessons: 1 } });
+
+    assert.equal(await save(), true);
+    assert.equal(db.dump('progress').student_course_l1.completed, true);
+    assert.equal(db.dump('enrollments').enrollment.completedLessons, 1);
+    assert.equal(db.dump('courses').course.totalCompletions, 4);
+  });
+
+  it("never marks someone else's enrollment", async () => {
+    db.seed({ 'enrollments/theirs': { userId: 'other', courseId: 'course', progress: {} } });
+
+    assert.equal(await save({ enrollmentId: 'theirs' }), true);
+    assert.deepEqual(db.dump('enrollments').theirs.progress, {});
+    assert.deepEqual(db.dump('enrollments').enrollment.progress, { l1: true });
+  });
+
+  it('records the completion of students who are not enrolled without counting it', async () => {
+    db.seed({ 'enrollments/enrollment': { userId: 'other', courseId: 'course', progress: {} } });
+
+    assert.equal(await save(), true);
+    assert.equal(db.dump('courses').course.totalCompletions, 4);
+  });
+});
+
+describe('migrateProgress', () => {
+  const runAll = async () => {
+    const totals = { recordsWritten: 0, legacyDeleted: 0, enrollmentsUpdated: 0, coursesUpdated: 0 };
+    let cursor = null;
+    let done = false;
+    while (!done) {
+      const { cursor: next, done: finished, ...counts } = await migrateProgress('admin', cursor);
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+      cursor = next;
+      done = finished;
+    }
+    return totals;
+  };
+
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'users/admin': { role: 'admin' },
+      'users/student': { role: 'student' },
+      'courses/course': { title: 'Algebra', totalCompletions: 9, completedLessonsCount: 9 },
+      'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: {}, completedLessons: 3 },
+      'progress/old1': { userId: 'student', courseId: 'course', lessonId: 'l1', watchTime: 40.5, lastUpdated: new Date('2024-03-01T10:00:00Z') },
+      'progress/old2': { userId: 'student', courseId: 'course', lessonId: 'l1', watchTime: 90, completed: true, lastUpdated: new Date('2024-03-02T10:00:00Z') },
+      'lesson_progress/lp1': { userId: 'student', courseId: 'course', lessonId: 'l2', watchTime: 12, timestamp: new Date('2024-03-03T10:00:00Z') },
+      'lesson_progress/broken': { watchTime: 5 },
+    });
+  });
+
+  it('folds the legacy documents into one record per lesson and recounts the counters', async () => {
+    assert.deepEqual(await runAll(), { recordsWritten: 2, legacyDeleted: 4, enrollmentsUpdated: 1, coursesUpdated: 1 });
+    assert.deepEqual(Object.keys(db.dump('progress')).sort(), ['student_course_l1', 'student_course_l2']);
+    assert.deepEqual(db.dump('lesson_progress'), {});
+
+    const l1 = db.dump('progress').student_course_l1;
+    assert.equal(l1.position, 90);
+    assert.equal(l1.completed, true);
+    assert.deepEqual(l1.activeDates, ['2024-03-01', '2024-03-02']);
+    assert.equal(db.dump('progress').student_course_l2.completed, undefined);
+
+    assert.deepEqual(db.dump('enrollments').enrollment.progress, { l1: true });
+    assert.equal(db.dump('enrollments').enrollment.completedLessons, 1);
+    assert.equal(db.dump('courses').course.totalCompletions, 1);
+    assert.equal(db.dump('courses').course.completedLessonsCount, 1);
+  });
+
+  it('resumes a page at a time and keeps the earliest completion across pages', async () => {
+    const legacy = {};
+    for (let i = 0; i < PAGE_SIZE; i++) {
+      legacy[`progress/a${String(i).padStart(3, '0')}`] = {
+        userId: 'student', courseId: 'course', lessonId: 'l3', watchTime: i, completed: true, lastUpdated: new Date(Date.UTC(2024, 4, 2, 0, 0, i)),
+      };
+    }
+    legacy['progress/z-first'] = {
+      userId: 'student', courseId: 'course', lessonId: 'l3', watchTime: 7, completed: true, lastUpdated: new Date('2024-05-01T00:00:00Z'),
+    };
+    db.seed(legacy);
+
+    const first = await migrateProgress('admin');
+    assert.equal(first.done, false);
+    assert.deepEqual(first.cursor, { phase: 'progress', after: `a${PAGE_SIZE - 1}` });
+    assert.equal(first.legacyDeleted, PAGE_SIZE);
+
+    await runAll();
+    const l3 = db.dump('progress').student_course_l3;
+    assert.equal(l3.completedAt.toISOString(), '2024-05-01T00:00:00.000Z');
+    assert.equal(l3.position, PAGE_SIZE - 1);
+    assert.equal(db.dump('enrollments').enrollment.completedLessons, 2);
+  });
+
+  it('changes nothing when run again', async () => {
+    await runAll();
+    assert.deepEqual(await runAll(), { recordsWritten: 0, legacyDeleted: 0, enrollmentsUpdated: 0, coursesUpdated: 0 });
+  });
+
+  it('only runs for admins', async () => {
+    await assert.rejects(migrateProgress('student'), /Only platform admins/);
+    await assert.rejects(migrateProgress('admin', { phase: 'users' }), /Unknown migration step/);
+  });
+});
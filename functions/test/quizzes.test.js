@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { gradeAttempt, submitQuiz, migrateQuizKeys, PAGE_SIZE } = require('../lib/quizzes');
+
+const publicQuiz = {
+  passingScore: 50,
+  maxAttempts: 2,
+  questions: [
+    { id: 'q1', type: 'multiple_choice', points: 1, options: [{ id: 'a' }, { id: 'b' }] },
+    { id: 'q2', type: 'short_answer', points: 3 },
+  ],
+};
+
+const quizKeys = {
+  l1: {
+    q1: { correctOptionIds: ['b'] },
+    q2: { acceptedAnswers: ['Paris'] },
+  },
+};
+
+describe('quizzes', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'users/admin': { role: 'admin' },
+      'courses/course': { title: 'Geography', instructorId: 'teacher', lessons: [{ id: 'l1', quiz: publicQuiz }, { id: 'l2' }] },
+      'quizKeys/course': { courseId: 'course', lessons: quizKeys },
+      'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: {} },
+    });
+  });
+
+  describe('gradeAttempt', () => {
+    it('grades every question type', () => {
+      const quiz = {
+        questions: [
+          { id: 'mc', type: 'multiple_choice', correctOptionIds: ['a'] },
+          { id: 'ms', type: 'multi_select', correctOptionIds: ['a', 'b'] },
+          { id: 'tf', type: 'true_false', correctAnswer: false },
+          { id: 'sa', type: 'short_answer', acceptedAnswers: ['New  York'] },
+        ],
+      };
+      const result = gradeAttempt(quiz, { mc: 'a', ms: ['b', 'a'], tf: true, sa: ' new york ' });
+      assert.deepEqual(result.results, { mc: true, ms: true, tf: false, sa: true });
+      assert.equal(result.percentage, 75);
+      assert.equal(result.passed, true);
+    });
+  });
+
+  describe('submitQuiz', () => {
+    it('grades against the private keys and records the attempt and course grade', async () => {
+      const result = await submitQuiz('student', 'course', 'l1', { q1: 'b', q2: 'paris' });
+
+      assert.equal(result.percentage, 100);
+      assert.equal(result.passed, true);
+      const attempt = db.dump('quizAttempts')[result.attemptId];
+      assert.equal(attempt.percentage, 100);
+      assert.equal(attempt.attemptNumber, 1);
+      const enrollment = db.dump('enrollments').enrollment;
+      assert.equal(enrollment.grade, 100);
+      assert.deepEqual(enrollment.quizScores, { l1: 100 });
+    });
+
+    it('uses the keys still inline in courses that were not migrated', async () => {
+      db.store.delete('quizKeys/course');
+      db.seed({ 'courses/course': { lessons: [{ id: 'l1', quiz: { questions: [{ id: 'q1', type: 'true_false', correctAnswer: true }] } }] } });
+
+      const result = await submitQuiz('student', 'course', 'l1', { q1: true });
+      assert.equal(result.percentage, 100);
+    });
+
+    it('enforces the attempt limit', async () => {
+      await submitQuiz('student', 'course', 'l1', { q1: 'a' });
+      await submitQuiz('student', 'course', 'l1', { q1: 'b' });
+      await assert.rejects(submitQuiz('student', 'course', 'l1', { q1: 'b', q2: 'Paris' }), /No attempts left/);
+
+      assert.equal(Object.keys(db.dump('quizAttempts')).length, 2);
+      assert.equal(db.dump('enrollments').enrollment.grade, 25);
+    });
+
+    it('refuses students without an active enrollment', async () => {
+      await assert.rejects(submitQuiz('stranger', 'course', 'l1', {}), /must be enrolled/);
+
+      db.seed({ 'enrollments/enrollment': { userId: 'student', courseId: 'course', status: 'refunded' } });
+      await assert.rejects(submitQuiz('student', 'course', 'l1', {}), /must be enrolled/);
+    });
+
+    it('refuses lessons without a quiz', async () => {
+      await assert.rejects(submitQuiz('student', 'course', 'l2', {}), /has no quiz/);
+    });
+  });
+
+  describe('migrateQuizKeys', () => {
+    const inlineQuiz = {
+      questions: [{ id: 'q1', type: 'true_false', prompt: 'Is it?', correctAnswer: true }],
+    };
+
+    it('moves inline keys out of courses and their versions', async () => {
+      db.store.clear();
+      db.seed({
+        'users/admin': { role: 'admin' },
+        'courses/legacy': { lessons: [{ id: 'l1', quiz: inlineQuiz }] },
+        'courseVersions/v1': { courseId: 'legacy', lessons: [{ id: 'l1', quiz: inlineQuiz }] },
+        'courses/clean': { lessons: [{ id: 'l1' }] },
+      });
+
+      const result = await migrateQuizKeys('admin');
+
+      assert.deepEqual(result, { updated: 1, cursor: 'legacy', done: true });
+      assert.deepEqual(db.dump('courses').legacy.lessons[0].quiz.questions[0], { id: 'q1', type: 'true_false', prompt: 'Is it?' });
+      assert.equal('correctAnswer' in db.dump('courseVersions').v1.lessons[0].quiz.questions[0], false);
+      assert.deepEqual(db.dump('quizKeys').legacy.lessons, { l1: { q1: { correctAnswer: true } } });
+
+      assert.deepEqual(await migrateQuizKeys('admin'), { updated: 0, cursor: 'legacy', done: true });
+    });
+
+    it('works a page at a time and resumes from the cursor', async () => {
+      db.store.clear();
+      db.seed({ 'users/admin': { role: 'admin' } });
+      const ids = Array.from({ length: PAGE_SIZE + 1 }, (_, i) => `c${String(i).padStart(4, '0')}`);
+      db.seed(Object.fromEntries(ids.map(id => [`courses/${id}`, { lessons: [{ id: 'l1', quiz: inlineQuiz }] }])));
+
+      const first = await migrateQuizKeys('admin');
+      assert.equal(first.updated, PAGE_SIZE);
+      assert.equal(first.done, false);
+      assert.deepEqual(await migrateQuizKeys('admin', first.cursor), { updated: 1, cursor: ids[PAGE_SIZE], done: true });
+    });
+
+    it('is only for admins', async () => {
+      await assert.rejects(migrateQuizKeys('student'), /Only platform admins/);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { requestRefund, getRefundEligibility } = require('../lib/refunds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const payment = (overrides = {}) => ({
+  userId: 'student',
+  courseId: 'course',
+  courseTitle: 'Algebra',
+  instructorId: 'teacher',
+  enrollmentId: 'enrollment',
+  amount: 20,
+  currency: 'USD',
+  status: 'succeeded',
+  createdAt: new Date(Date.now() - DAY_MS),
+  ...overrides,
+});
+
+const completeLessons = (...lessonIds) => Object.fromEntries(lessonIds.map(lessonId => [
+  `progress/student_course_${lessonId}`,
+  { userId: 'student', courseId: 'course', lessonId, completed: true },
+]));
+
+describe('refunds', () => {
+  beforeEach(() => {
+    db.store.clear();
+    db.seed({
+      'courses/course': { title: 'Algebra', instructorId: 'teacher', lessons: [{ id: 'l1' }, { id: 'l2' }, { id: 'l3' }, { id: 'l4' }] },
+      // The enrollment's own progress map is not what counts
+      'enrollments/enrollment': { userId: 'student', courseId: 'course', progress: { l1: true, l2: true, l3: true } },
+      'payments/pay': payment(),
+    });
+  });
+
+  describe('requestRefund', () => {
+    it('opens a request, with the progress taken from the progress records', async () => {
+      db.seed(completeLessons('l1'));
+
+      assert.deepEqual(await requestRefund('student', 'pay', 'Wrong course'), { refundId: 'pay' });
+      const refund = db.dump('refunds').pay;
+      assert.equal(refund.progressPercent, 25);
+      assert.equal(refund.status, 'requested');
+      assert.equal(db.dump('payments').pay.refundStatus, 'requested');
+    });
+
+    it('refuses once too much of the course is complete', async () => {
+      db.seed(completeLessons('l1', 'l2'));
+      await assert.rejects(requestRefund('student', 'pay'), /after completing 30% of a course/);
+    });
+
+    it('still counts the progress after the enrollment is deleted', async () => {
+      db.seed(completeLessons('l1', 'l2', 'l3', 'l4'));
+      db.store.delete('enrollments/enrollment');
+
+      await assert.rejects(requestRefund('student', 'pay'), /after completing 30% of a course/);
+    });
+
+    it('goes by the furthest course a bundle paid for', async () => {
+      db.seed({
+        'courses/other': { title: 'Geometry', instructorId: 'teacher', lessons: [{ id: 'g1' }] },
+        'payments/pay': payment({ type: 'bundle', courseId: undefined, courseIds: ['other', 'course'], enrollmentIds: ['enrollment'] }),
+        ...completeLessons('l1', 'l2'),
+      });
+
+      await assert.rejects(requestRefund('student', 'pay'), /after completing 30% of a course/);
+    });
+
+    it('refuses memberships', async () => {
+      db.seed({ 'payments/pay': payment({ type: 'membership', enrollmentId: null }) });
+      await assert.rejects(requestRefund('student', 'pay'), /cancelled rather than refunded/);
+    });
+  });
+
+  describe('getRefundEligibility', () => {
+    it('reports the limits and why each payment does or does not qualify', async () => {
+      db.seed({
+        'payments/old': payment({ createdAt: new Date(Date.now() - 30 * DAY_MS) }),
+        'payments/seats': payment({ type: 'seats', enrollmentId: null }),
+        'payments/other': payment({ userId: 'other' }),
+      });
+
+      const eligibility = await getRefundEligibility('student');
+
+      assert.equal(eligibility.windowDays, 14);
+      assert.equal(eligibility.maxProgress, 30);
+      assert.deepEqual(eligibility.payments, {
+        pay: null,
+        old: 'Refunds are only available within 14 days of purchase',
+        seats: 'Team seats are not refundable once bought',
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, setDoc, updateDoc } = require('firebase/firestore');
+
+const bundle = (overrides = {}) => ({
+  title: 'Maths',
+  price: 32,
+  instructorId: 'teacher',
+  courseIds: ['algebra', 'geometry'],
+  salesCount: 0,
+  ...overrides,
+});
+
+describe('bundle rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/teacher'), { role: 'instructor' });
+      await setDoc(doc(db, 'users/student'), { role: 'student' });
+      await setDoc(doc(db, 'courses/algebra'), { title: 'Algebra', price: 30, instructorId: 'teacher' });
+      await setDoc(doc(db, 'courses/geometry'), { title: 'Geometry', price: 10, instructorId: 'teacher' });
+      await setDoc(doc(db, 'courses/theirs'), { title: 'Chemistry', price: 90, instructorId: 'other' });
+      await setDoc(doc(db, 'bundles/existing'), bundle());
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('lets an instructor bundle their own courses', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('teacher'), 'bundles/new'), bundle()));
+    await assertSucceeds(updateDoc(doc(dbFor('teacher'), 'bundles/existing'), { price: 25 }));
+  });
+
+  it('keeps students from creating bundles', async () => {
+    await assertFails(setDoc(doc(dbFor('student'), 'bundles/new'), bundle({ instructorId: 'student' })));
+  });
+
+  it("keeps an instructor from bundling someone else's courses", async () => {
+    await assertFails(setDoc(doc(dbFor('teacher'), 'bundles/new'), bundle({ courseIds: ['algebra', 'theirs'] })));
+    await assertFails(updateDoc(doc(dbFor('teacher'), 'bundles/existing'), { courseIds: ['algebra', 'theirs'] }));
+  });
+
+  it('needs between two and eight courses', async () => {
+    await assertFails(setDoc(doc(dbFor('teacher'), 'bundles/new'), bundle({ courseIds: ['algebra'] })));
+    await assertFails(setDoc(doc(dbFor('teacher'), 'bundles/new'), bundle({ courseIds: Array(9).fill('algebra') })));
+  });
+});
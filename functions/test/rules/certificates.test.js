@@ -0,0 +1,52 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc } = require('firebase/firestore');
+
+describe('certificate rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/teacher'), { role: 'instructor' });
+      await setDoc(doc(db, 'users/admin'), { role: 'admin' });
+      await setDoc(doc(db, 'certificates/cert'), { userId: 'student', courseId: 'course', status: 'revoked' });
+      await setDoc(doc(db, 'enrollments/enrollment'), { userId: 'student', courseId: 'course', progress: {} });
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('lets anyone verify a certificate', async () => {
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'certificates/cert')));
+  });
+
+  it('keeps every browser from issuing, editing or un-revoking certificates', async () => {
+    await assertFails(setDoc(doc(dbFor('student'), 'certificates/forged'), { userId: 'student', status: 'valid' }));
+    await assertFails(updateDoc(doc(dbFor('student'), 'certificates/cert'), { status: 'valid' }));
+    await assertFails(updateDoc(doc(dbFor('teacher'), 'certificates/cert'), { status: 'valid' }));
+    await assertFails(updateDoc(doc(dbFor('admin'), 'certificates/cert'), { status: 'valid' }));
+  });
+
+  it('keeps students from pointing their enrollment at a certificate', async () => {
+    await assertFails(updateDoc(doc(dbFor('student'), 'enrollments/enrollment'), { certificateId: 'cert' }));
+  });
+});
@@ -0,0 +1,67 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, setDoc, updateDoc, deleteDoc, increment } = require('firebase/firestore');
+
+describe('course rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/student'), { role: 'student' });
+      await setDoc(doc(db, 'users/teacher'), { role: 'instructor' });
+      await setDoc(doc(db, 'courses/course'), {
+        title: 'Paid', price: 49, instructorId: 'teacher', status: 'published', viewCount: 3,
+      });
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('lets only instructors create courses, as drafts or submissions', async () => {
+    const draft = { title: 'New', instructorId: 'teacher', status: 'draft' };
+    await assertSucceeds(setDoc(doc(dbFor('teacher'), 'courses/new'), draft));
+    await assertFails(setDoc(doc(dbFor('teacher'), 'courses/live'), { ...draft, status: 'published' }));
+    await assertFails(setDoc(doc(dbFor('student'), 'courses/mine'), { ...draft, instructorId: 'student' }));
+  });
+
+  it('lets the instructor edit their published course but not publish a draft', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor('teacher'), 'courses/course'), { title: 'Renamed', price: 59 }));
+    await assertSucceeds(updateDoc(doc(dbFor('teacher'), 'courses/course'), { status: 'unpublished' }));
+    await assertFails(updateDoc(doc(dbFor('teacher'), 'courses/course'), { status: 'published' }));
+  });
+
+  it('keeps other users from editing, taking over or deleting a course', async () => {
+    const studentDb = dbFor('student');
+    await assertFails(updateDoc(doc(studentDb, 'courses/course'), { price: 0 }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/course'), { instructorId: 'student' }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/course'), { includedInMembership: true }));
+    await assertFails(deleteDoc(doc(studentDb, 'courses/course')));
+  });
+
+  it('lets students move the engagement counters by one step', async () => {
+    const studentDb = dbFor('student');
+    await assertSucceeds(updateDoc(doc(studentDb, 'courses/course'), { viewCount: increment(1) }));
+    await assertSucceeds(updateDoc(doc(studentDb, 'courses/course'), { rating: increment(4), reviewCount: increment(1) }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/course'), { viewCount: 0 }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/course'), { viewCount: increment(1), price: 0 }));
+  });
+});
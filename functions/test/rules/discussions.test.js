@@ -0,0 +1,86 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  setDoc,
+  updateDoc,
+  addDoc,
+  collection,
+  arrayUnion,
+  increment,
+  serverTimestamp,
+} = require('firebase/firestore');
+
+const flag = (uid, overrides = {}) => ({
+  isFlagged: true,
+  flagCount: increment(1),
+  flaggedBy: arrayUnion(uid),
+  lastFlagReason: 'Spam',
+  lastFlaggedAt: serverTimestamp(),
+  ...overrides,
+});
+
+describe('discussion rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/admin'), { role: 'admin' });
+      await setDoc(doc(db, 'users/student'), { role: 'student' });
+      await setDoc(doc(db, 'discussions/message'), {
+        userId: 'author', courseId: 'course', message: 'Hello', likes: 0, likedBy: [], responseCount: 0,
+      });
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('lets users post only as themselves and without moderation fields', async () => {
+    const post = { userId: 'student', courseId: 'course', message: 'Hi' };
+    await assertSucceeds(addDoc(collection(dbFor('student'), 'discussions'), post));
+    await assertFails(addDoc(collection(dbFor('student'), 'discussions'), { ...post, userId: 'author' }));
+    await assertFails(addDoc(collection(dbFor('student'), 'discussions'), { ...post, isHidden: false, flaggedBy: [] }));
+  });
+
+  it('lets users flag a message once, in their own name', async () => {
+    const messageRef = doc(dbFor('student'), 'discussions/message');
+    await assertSucceeds(updateDoc(messageRef, flag('student')));
+    await assertFails(updateDoc(messageRef, flag('student')));
+    await assertFails(updateDoc(doc(dbFor('author'), 'discussions/message'), flag('someone-else')));
+    await assertFails(updateDoc(doc(dbFor('author'), 'discussions/message'), flag('author', { flagCount: increment(5) })));
+  });
+
+  it('lets only admins hide messages or clear flags', async () => {
+    await assertFails(updateDoc(doc(dbFor('student'), 'discussions/message'), { isHidden: true }));
+    await assertFails(updateDoc(doc(dbFor('author'), 'discussions/message'), { isFlagged: false }));
+    await assertSucceeds(updateDoc(doc(dbFor('admin'), 'discussions/message'), {
+      isFlagged: false, isHidden: true, moderatedBy: 'admin', moderationAction: 'hidden',
+    }));
+  });
+
+  it('lets users like a message for themselves only', async () => {
+    const messageRef = doc(dbFor('student'), 'discussions/message');
+    await assertSucceeds(updateDoc(messageRef, { likes: increment(1), likedBy: ['student'] }));
+    await assertFails(updateDoc(messageRef, { likes: increment(1), likedBy: ['student', 'someone-else'] }));
+    await assertFails(updateDoc(messageRef, { likes: 50 }));
+  });
+});
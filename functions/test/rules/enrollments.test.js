@@ -0,0 +1,135 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, setDoc, updateDoc, deleteDoc, addDoc, collection, serverTimestamp } = require('firebase/firestore');
+
+const enrollment = (overrides = {}) => ({
+  userId: 'student',
+  courseId: 'free-course',
+  enrolledAt: serverTimestamp(),
+  progress: {},
+  paidAmount: 0,
+  ...overrides,
+});
+
+describe('enrollment rules', () => {
+  let testEnv;
+  let studentDb;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/student'), { role: 'student' });
+      await setDoc(doc(db, 'users/teacher'), { role: 'instructor' });
+      await setDoc(doc(db, 'courses/free-course'), { title: 'Free', price: 0, instructorId: 'teacher', status: 'published' });
+      await setDoc(doc(db, 'courses/paid-course'), { title: 'Paid', price: 49, instructorId: 'teacher', status: 'published' });
+    });
+    studentDb = testEnv.authenticatedContext('student').firestore();
+  });
+
+  it('lets a student enroll themselves in a free course', async () => {
+    await assertSucceeds(addDoc(collection(studentDb, 'enrollments'), enrollment()));
+  });
+
+  it('refuses a self-made enrollment in a paid course', async () => {
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ courseId: 'paid-course' })));
+  });
+
+  it('refuses a paid enrollment that claims to be paid for', async () => {
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({
+      courseId: 'paid-course',
+      paidAmount: 49,
+      paymentId: 'ref_forged',
+    })));
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ paymentId: 'ref_forged' })));
+  });
+
+  it('leaves the curriculum snapshot to the functions', async () => {
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ courseData: { title: 'Free', lessons: [] } })));
+  });
+
+  it('refuses enrolling someone else', async () => {
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ userId: 'someone-else' })));
+  });
+
+  it('refuses making a paid course free to enroll in it', async () => {
+    await assertFails(updateDoc(doc(studentDb, 'courses/paid-course'), { price: 0 }));
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ courseId: 'paid-course' })));
+  });
+
+  it('refuses writing a paid enrollment from the browser at all', async () => {
+    await assertFails(setDoc(doc(studentDb, 'enrollments/forged'), enrollment({
+      courseId: 'paid-course',
+      paidAmount: 49,
+      paymentId: 'ref_forged',
+      accessType: 'purchase',
+    })));
+  });
+
+  it('refuses starting an enrollment with progress or a grade', async () => {
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ progress: { l1: true } })));
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ completedLessons: 5 })));
+    await assertFails(addDoc(collection(studentDb, 'enrollments'), enrollment({ grade: 100 })));
+  });
+
+  it('keeps progress and the curriculum snapshot for Cloud Functions to write', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'enrollments/mine'), enrollment());
+    });
+
+    await assertFails(updateDoc(doc(studentDb, 'enrollments/mine'), { 'progress.l1': true }));
+    await assertFails(updateDoc(doc(studentDb, 'enrollments/mine'), { completedLessons: 5 }));
+    await assertFails(updateDoc(doc(studentDb, 'enrollments/mine'), { completed: true }));
+    await assertFails(updateDoc(doc(studentDb, 'enrollments/mine'), { 'courseData.lessons': [] }));
+  });
+
+  it("refuses changes to someone else's enrollment", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'enrollments/theirs'), enrollment({ userId: 'someone-else' }));
+    });
+
+    const teacherDb = testEnv.authenticatedContext('teacher').firestore();
+    await assertFails(updateDoc(doc(teacherDb, 'enrollments/theirs'), { lastAccessed: serverTimestamp() }));
+    await assertFails(updateDoc(doc(studentDb, 'enrollments/theirs'), { lastAccessed: serverTimestamp() }));
+  });
+
+  it('lets the course counters move one step at a time', async () => {
+    await assertSucceeds(updateDoc(doc(studentDb, 'courses/free-course'), { enrollmentCount: 1 }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/free-course'), { enrollmentCount: 100 }));
+  });
+
+  it('leaves counting lesson completions to Cloud Functions', async () => {
+    await assertFails(updateDoc(doc(studentDb, 'courses/free-course'), { totalCompletions: 1 }));
+    await assertFails(updateDoc(doc(studentDb, 'courses/free-course'), { completedLessonsCount: 1 }));
+  });
+
+  it('lets a student delete only the free enrollments they made', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'enrollments/free'), enrollment());
+      await setDoc(doc(db, 'enrollments/paid'), enrollment({ courseId: 'paid-course', paidAmount: 49, paymentId: 'ref_1' }));
+      await setDoc(doc(db, 'enrollments/member'), enrollment({ courseId: 'paid-course', accessType: 'membership' }));
+    });
+
+    await assertSucceeds(deleteDoc(doc(studentDb, 'enrollments/free')));
+    await assertFails(deleteDoc(doc(studentDb, 'enrollments/paid')));
+    await assertFails(deleteDoc(doc(studentDb, 'enrollments/member')));
+  });
+});
@@ -0,0 +1,66 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+} = require('firebase/firestore');
+
+describe('notification rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/admin'), { role: 'admin' });
+      await setDoc(doc(db, 'notifications/note'), {
+        userId: 'student',
+        type: 'certificate_issued',
+        title: 'Certificate issued',
+        read: false,
+      });
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('lets only the recipient read a notification', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('student'), 'notifications/note')));
+    await assertFails(getDoc(doc(dbFor('other'), 'notifications/note')));
+  });
+
+  it('lets the recipient mark it read and nothing else', async () => {
+    await assertSucceeds(updateDoc(doc(dbFor('student'), 'notifications/note'), { read: true, readAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(dbFor('student'), 'notifications/note'), { title: 'Refund approved' }));
+    await assertFails(updateDoc(doc(dbFor('student'), 'notifications/note'), { userId: 'other' }));
+    await assertFails(updateDoc(doc(dbFor('other'), 'notifications/note'), { read: true }));
+  });
+
+  it('keeps every browser from sending or deleting notifications', async () => {
+    const forged = { userId: 'other', type: 'refund_approved', title: 'Refund approved', read: false };
+    await assertFails(setDoc(doc(dbFor('student'), 'notifications/forged'), forged));
+    await assertFails(setDoc(doc(dbFor('admin'), 'notifications/forged'), forged));
+    await assertFails(deleteDoc(doc(dbFor('student'), 'notifications/note')));
+  });
+});
@@ -0,0 +1,69 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, setDoc, updateDoc, serverTimestamp } = require('firebase/firestore');
+
+const record = (overrides = {}) => ({
+  userId: 'student',
+  courseId: 'course',
+  lessonId: 'lesson',
+  position: 30,
+  duration: 600,
+  segments: [{ start: 0, end: 30 }],
+  ...overrides,
+});
+
+describe('progress rules', () => {
+  let testEnv;
+  let studentDb;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'progress/student_course_done'), record({
+        lessonId: 'done',
+        completed: true,
+        completedAt: new Date(),
+      }));
+    });
+    studentDb = testEnv.authenticatedContext('student').firestore();
+  });
+
+  it('lets a student save what they watched', async () => {
+    await assertSucceeds(setDoc(doc(studentDb, 'progress/student_course_lesson'), record()));
+    await assertSucceeds(setDoc(doc(studentDb, 'progress/student_course_done'), { position: 60 }, { merge: true }));
+  });
+
+  it('keeps a student from marking a lesson complete directly', async () => {
+    await assertFails(setDoc(doc(studentDb, 'progress/student_course_lesson'), record({ completed: true })));
+    await assertFails(setDoc(doc(studentDb, 'progress/student_course_lesson'), record({ completedAt: serverTimestamp() })));
+
+    await assertSucceeds(setDoc(doc(studentDb, 'progress/student_course_lesson'), record()));
+    await assertFails(updateDoc(doc(studentDb, 'progress/student_course_lesson'), { completed: true }));
+  });
+
+  it('keeps a completed lesson complete', async () => {
+    await assertFails(updateDoc(doc(studentDb, 'progress/student_course_done'), { completed: false }));
+    await assertFails(updateDoc(doc(studentDb, 'progress/student_course_done'), { completedAt: null }));
+  });
+
+  it("keeps students out of each other's records", async () => {
+    await assertFails(setDoc(doc(studentDb, 'progress/other_course_lesson'), record({ userId: 'other' })));
+  });
+});
@@ -0,0 +1,59 @@
+// Runs against the Firestore emulator: `npm run test:rules`
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, addDoc, collection } = require('firebase/firestore');
+
+describe('quiz rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-modernlms',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/student'), { role: 'student' });
+      await setDoc(doc(db, 'users/teacher'), { role: 'instructor' });
+      await setDoc(doc(db, 'courses/course'), { title: 'Quiz', instructorId: 'teacher', status: 'published' });
+      await setDoc(doc(db, 'quizKeys/course'), { courseId: 'course', lessons: { l1: { q1: { correctAnswer: true } } } });
+      await setDoc(doc(db, 'quizAttempts/attempt'), { userId: 'student', courseId: 'course', lessonId: 'l1', percentage: 40 });
+      await setDoc(doc(db, 'enrollments/enrollment'), { userId: 'student', courseId: 'course', progress: {} });
+    });
+  });
+
+  const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  it('shows the answer keys only to the course instructor', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('teacher'), 'quizKeys/course')));
+    await assertSucceeds(setDoc(doc(dbFor('teacher'), 'quizKeys/course'), { courseId: 'course', lessons: {} }));
+    await assertFails(getDoc(doc(dbFor('student'), 'quizKeys/course')));
+  });
+
+  it('lets students read but never write their attempts', async () => {
+    await assertSucceeds(getDoc(doc(dbFor('student'), 'quizAttempts/attempt')));
+    await assertFails(getDoc(doc(dbFor('teacher'), 'quizAttempts/attempt')));
+    await assertFails(updateDoc(doc(dbFor('student'), 'quizAttempts/attempt'), { percentage: 100 }));
+    await assertFails(addDoc(collection(dbFor('student'), 'quizAttempts'), {
+      userId: 'student', courseId: 'course', lessonId: 'l1', percentage: 100,
+    }));
+  });
+
+  it('keeps students from writing their own grade', async () => {
+    await assertFails(updateDoc(doc(dbFor('student'), 'enrollments/enrollment'), { grade: 100 }));
+    await assertFails(updateDoc(doc(dbFor('student'), 'enrollments/enrollment'), { quizScores: { l1: 100 } }));
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFirestore } = require('./helpers/fakeFirestore');
+
+const db = installFakeFirestore();
+const { getPlatformSettings } = require('../lib/settings');
+const { TAX_RATE } = require('../lib/payments');
+const { DEFAULT_EXCHANGE_RATES } = require('../lib/pricing');
+
+describe('getPlatformSettings', () => {
+  beforeEach(() => {
+    db.store.clear();
+  });
+
+  it('serves the default rates, the tax rate and the plans', async () => {
+    const settings = await getPlatformSettings();
+
+    assert.deepEqual(settings.exchangeRates, DEFAULT_EXCHANGE_RATES);
+    assert.equal(settings.taxRate, TAX_RATE);
+    assert.deepEqual(Object.keys(settings.membershipPlans), ['monthly', 'annual']);
+    assert.deepEqual(settings.membershipPlans.annual, {
+      id: 'annual',
+      label: 'Annual membership',
+      price: 190,
+      currency: 'USD',
+      planCode: 'PLN_annual',
+      period: 'year',
+    });
+  });
+
+  it('applies the rates saved in settings/exchangeRates over the defaults', async () => {
+    db.seed({ 'settings/exchangeRates': { rates: { NGN: 1600 } } });
+
+    const { exchangeRates } = await getPlatformSettings();
+
+    assert.equal(exchangeRates.NGN, 1600);
+    assert.equal(exchangeRates.GHS, DEFAULT_EXCHANGE_RATES.GHS);
+  });
+});
@@ -3,6 +3,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { CurrencyProvider } from './context/CurrencyContext';
+import { isPendingInstructor } from './utils/instructorApplications';
 
 // Pages
 import Landing from './pages/Landing';
@@ -15,15 +17,29 @@ import Progress from './pages/dashboard/Progress';
 import Analytics from './pages/dashboard/Analytics';
 import Students from './pages/dashboard/Students';
 import LearningPaths from './pages/dashboard/LearningPaths';
+import Notes from './pages/dashboard/Notes';
 import CourseList from './pages/courses/CourseList';
 import CourseDetail from './pages/courses/CourseDetail';
 import CreateCourse from './pages/courses/CreateCourse';
 import EditCourse from './pages/courses/EditCourse';
 import Profile from './pages/Profile';
+import Notifications from './pages/Notifications';
+import PaymentHistory from './pages/payments/PaymentHistory';
+import Payouts from './pages/payments/Payouts';
+import Membership from './pages/payments/Membership';
 import Certificates from './pages/achievements/Certificates';
+import VerifyCertificate from './pages/achievements/VerifyCertificate';
 import Community from './pages/community/Community';
 import Discussion from './pages/community/Discussion';
 import RecycledCourses from './pages/dashboard/RecycledCourses';
+import Coupons from './pages/dashboard/Coupons';
+import Bundles from './pages/dashboard/Bundles';
+import BundleDetail from './pages/courses/BundleDetail';
+import Redeem from './pages/courses/Redeem';
+import AccessCodes from './pages/dashboard/AccessCodes';
+import Organization from './pages/organization/Organization';
+import TeamReport from './pages/organization/TeamReport';
+import AdminConsole from './pages/admin/AdminConsole';
 
 // Components
 import Navbar from './components/Navigation/Navbar';
@@ -54,6 +70,10 @@ const ProtectedRoute = ({ children, roles = [] }) => {
   }
 
   if (roles.length > 0 && !roles.includes(user.role)) {
+    // Applicants see where their application stands instead of the dashboard
+    if (roles.includes('instructor') && isPendingInstructor(user)) {
+      return <Navigate to="/profile" />;
+    }
     return <Navigate to="/dashboard" />;
   }
 
@@ -65,7 +85,7 @@ const App = () => {
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
         <Router>
-          <div>
+          <CurrencyProvider>
             <Toaster position="top-right" />
             <Routes>
               {/* Public Routes */}
@@ -73,6 +93,8 @@ const App = () => {
               <Route path="/login" element={<Login />} />
               <Route path="/signup" element={<Signup />} />
               <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify" element={<VerifyCertificate />} />
+              <Route path="/verify/:certificateId" element={<VerifyCertificate />} />
 
               {/* Protected Routes */}
               <Route
@@ -111,6 +133,15 @@ const App = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/dashboard/notes"
+                element={
+                  <ProtectedRoute roles={['student']}>
+                    <Navbar />
+                    <Notes />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/dashboard/analytics"
                 element={
@@ -129,6 +160,33 @@ const App = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/dashboard/coupons"
+                element={
+                  <ProtectedRoute roles={['instructor']}>
+                    <Navbar />
+                    <Coupons />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/dashboard/bundles"
+                element={
+                  <ProtectedRoute roles={['instructor']}>
+                    <Navbar />
+                    <Bundles />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/dashboard/access-codes"
+                element={
+                  <ProtectedRoute roles={['instructor']}>
+                    <Navbar />
+                    <AccessCodes />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/dashboard/students"
                 element={
@@ -147,6 +205,44 @@ const App = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/notifications"
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <Notifications />
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* Payment Routes */}
+              <Route
+                path="/payments/history"
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <PaymentHistory />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/payments/payouts"
+                element={
+                  <ProtectedRoute roles={['instructor']}>
+                    <Navbar />
+                    <Payouts />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/membership"
+                element={
+                  <ProtectedRoute roles={['student']}>
+                    <Navbar />
+                    <Membership />
+                  </ProtectedRoute>
+                }
+              />
 
               {/* Course Routes */}
               <Route
@@ -167,10 +263,55 @@ const App = () => {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/redeem"
+                element={
+                  <ProtectedRoute roles={['student']}>
+                    <Navbar />
+                    <Redeem />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/organization"
+                element={
+                  <ProtectedRoute roles={['student']}>
+                    <Navbar />
+                    <Organization />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/organization/report"
+                element={
+                  <ProtectedRoute roles={['student']}>
+                    <Navbar />
+                    <TeamReport />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/bundles/:bundleId"
+                element={
+                  <ProtectedRoute>
+                    <Navbar />
+                    <BundleDetail />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/courses/create"
                 element={
-                  <ProtectedRoute roles={['instructor']}>
+                  <ProtectedRoute roles={['instructor', 'admin']}>
+                    <Navbar />
+                    <CreateCourse />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/courses/create/:courseId"
+                element={
+                  <ProtectedRoute roles={['instructor', 'admin']}>
                     <Navbar />
                     <CreateCourse />
                   </ProtectedRoute>
@@ -179,7 +320,7 @@ const App = () => {
               <Route
                 path="/courses/edit/:courseId"
                 element={
-                  <ProtectedRoute roles={['instructor']}>
+                  <ProtectedRoute roles={['instructor', 'admin']}>
                     <Navbar />
                     <EditCourse />
                   </ProtectedRoute>
@@ -217,10 +358,21 @@ const App = () => {
                 }
               />
 
+              {/* Admin Routes */}
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute roles={['admin']}>
+                    <Navbar />
+                    <AdminConsole />
+                  </ProtectedRoute>
+                }
+              />
+
               {/* Catch all */}
               <Route path="*" element={<Navigate to="/" />} />
             </Routes>
-          </div>
+          </CurrencyProvider>
         </Router>
       </AuthProvider>
     </QueryClientProvider>
@@ -0,0 +1,61 @@
+import React from 'react';
+import { MAX_SAMPLE_LINKS } from '../utils/instructorApplications';
+
+const inputClassName = 'appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+// The application-to-teach fields, shared by signup and the profile page
+const InstructorApplicationFields = ({ value, onChange }) => {
+  const handleChange = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="expertise" className="block text-sm font-medium text-gray-700">
+          What would you like to teach?
+        </label>
+        <input
+          id="expertise"
+          type="text"
+          required
+          value={value.expertise}
+          onChange={handleChange('expertise')}
+          className={`mt-1 ${inputClassName}`}
+          placeholder="e.g. Web development, data science"
+        />
+      </div>
+      <div>
+        <label htmlFor="bio" className="block text-sm font-medium text-gray-700">
+          About you
+        </label>
+        <textarea
+          id="bio"
+          rows={4}
+          required
+          value={value.bio}
+          onChange={handleChange('bio')}
+          className={`mt-1 ${inputClassName}`}
+          placeholder="Your background and teaching experience"
+        />
+      </div>
+      <div>
+        <label htmlFor="sampleLinks" className="block text-sm font-medium text-gray-700">
+          Sample links
+        </label>
+        <textarea
+          id="sampleLinks"
+          rows={2}
+          required
+          value={value.sampleLinks}
+          onChange={handleChange('sampleLinks')}
+          className={`mt-1 ${inputClassName}`}
+          placeholder="https://youtube.com/..."
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Up to {MAX_SAMPLE_LINKS} links to videos, courses or talks you have given, one per line.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default InstructorApplicationFields;
@@ -0,0 +1,116 @@
+import React from 'react';
+
+// A small Markdown renderer for student notes: headings, lists, code blocks,
+// **bold**, *italics*, inline code and http(s) links. It builds React
+// elements, so nothing in a note is ever rendered as HTML.
+
+// Underscores are left alone so snake_case survives
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`|\[[^\]]+\]\(https?:\/\/[^)\s]+\))/g;
+
+// Splitting on the pattern puts the plain text at even indexes and the
+// formatted parts at odd ones
+const renderInline = (text, keyPrefix) =>
+  text.split(INLINE_PATTERN).map((part, i) => {
+    const key = `${keyPrefix}-${i}`;
+    if (i % 2 === 0) return part;
+    if (part.startsWith('**')) {
+      return <strong key={key}>{part.slice(2, -2)}</strong>;
+    }
+    if (/^`.+`$/.test(part)) {
+      return <code key={key} className="px-1 py-0.5 bg-gray-100 rounded text-sm">{part.slice(1, -1)}</code>;
+    }
+    const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)$/);
+    if (link) {
+      return (
+        <a key={key} href={link[2]} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+          {link[1]}
+        </a>
+      );
+    }
+    return <em key={key}>{part.slice(1, -1)}</em>;
+  });
+
+// Splits the text into blocks: code, headings, lists and paragraphs
+const parseBlocks = (text) => {
+  const blocks = [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith('```')) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      i += 1;
+    } else if (/^#{1,3}\s/.test(line)) {
+      blocks.push({ type: 'heading', level: line.match(/^#+/)[0].length, text: line.replace(/^#+\s/, '') });
+      i += 1;
+    } else if (/^\s*([-*]|\d+\.)\s/.test(line)) {
+      const ordered = /^\s*\d+\.\s/.test(line);
+      const items = [];
+      while (i < lines.length && /^\s*([-*]|\d+\.)\s/.test(lines[i])) {
+        items.push(lines[i].replace(/^\s*([-*]|\d+\.)\s/, ''));
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else if (line.trim()) {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !/^(#{1,3}\s|\s*([-*]|\d+\.)\s|\s*```)/.test(lines[i])) {
+        paragraph.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    } else {
+      i += 1;
+    }
+  }
+  return blocks;
+};
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-semibold',
+  2: 'text-base font-semibold',
+  3: 'text-sm font-semibold',
+};
+
+const Markdown = ({ text, className = '' }) => (
+  <div className={`space-y-2 text-sm text-gray-700 break-words ${className}`}>
+    {parseBlocks(text || '').map((block, i) => {
+      switch (block.type) {
+        case 'code':
+          return (
+            <pre key={i} className="p-2 bg-gray-100 rounded text-xs overflow-x-auto">
+              <code>{block.text}</code>
+            </pre>
+          );
+        case 'heading':
+          return <p key={i} className={`${HEADING_CLASSES[block.level]} text-gray-900`}>{renderInline(block.text, i)}</p>;
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={i} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-5 space-y-1`}>
+              {block.items.map((item, j) => <li key={j}>{renderInline(item, `${i}-${j}`)}</li>)}
+            </List>
+          );
+        }
+        default:
+          return (
+            <p key={i}>
+              {block.lines.map((line, j) => (
+                <React.Fragment key={j}>
+                  {j > 0 && <br />}
+                  {renderInline(line, `${i}-${j}`)}
+                </React.Fragment>
+              ))}
+            </p>
+          );
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
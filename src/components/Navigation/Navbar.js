@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../../context/AuthContext';
 import {
@@ -20,21 +20,50 @@ import {
   ChatBubbleLeftRightIcon,
   DocumentCheckIcon,
   TrashIcon,
+  CreditCardIcon,
+  SparklesIcon,
+  BanknotesIcon,
+  TicketIcon,
+  RectangleStackIcon,
+  KeyIcon,
+  GiftIcon,
+  BuildingOfficeIcon,
+  ShieldCheckIcon,
+  PencilSquareIcon,
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
+import useNotifications from '../../hooks/useNotifications';
+import { useCurrency } from '../../context/CurrencyContext';
+import { SUPPORTED_CURRENCIES } from '../../utils/currency';
+import { isPendingInstructor } from '../../utils/instructorApplications';
+import {
+  markNotificationRead,
+  markAllNotificationsRead,
+  formatTimeAgo,
+} from '../../utils/notifications';
 
 const navigation = [
   { name: 'Dashboard', path: '/dashboard', icon: HomeIcon, roles: ['student', 'instructor'] },
   { name: 'My Courses', path: '/dashboard/my-courses', icon: BookOpenIcon, roles: ['student', 'instructor'] },
-  { name: 'Course List', path: '/courses', icon: AcademicCapIcon, roles: ['student', 'instructor'] },
+  { name: 'Course List', path: '/courses', icon: AcademicCapIcon, roles: ['student', 'instructor', 'admin'] },
   { name: 'Progress', path: '/dashboard/progress', icon: ChartBarIcon, roles: ['student'] },
   { name: 'Learning Paths', path: '/dashboard/learning-paths', icon: AcademicCapIcon, roles: ['student'] },
+  { name: 'My Notes', path: '/dashboard/notes', icon: PencilSquareIcon, roles: ['student'] },
   { name: 'Analytics', path: '/dashboard/analytics', icon: ChartBarIcon, roles: ['instructor'] },
   { name: 'Students', path: '/dashboard/students', icon: UserGroupIcon, roles: ['instructor'] },
+  { name: 'Coupons', path: '/dashboard/coupons', icon: TicketIcon, roles: ['instructor'] },
+  { name: 'Bundles', path: '/dashboard/bundles', icon: RectangleStackIcon, roles: ['instructor'] },
+  { name: 'Access Codes', path: '/dashboard/access-codes', icon: KeyIcon, roles: ['instructor'] },
   { name: 'Recycled Courses', path: '/dashboard/recycled-courses', icon: TrashIcon, roles: ['instructor'] },
-  { name: 'Community', path: '/community', icon: ChatBubbleLeftRightIcon, roles: ['student', 'instructor'] },
+  { name: 'Community', path: '/community', icon: ChatBubbleLeftRightIcon, roles: ['student', 'instructor', 'admin'] },
   { name: 'Certificates', path: '/achievements/certificates', icon: DocumentCheckIcon, roles: ['student'] },
-  { name: 'Profile', path: '/profile', icon: UserIcon, roles: ['student', 'instructor'] },
+  { name: 'Payments', path: '/payments/history', icon: CreditCardIcon, roles: ['student'] },
+  { name: 'Membership', path: '/membership', icon: SparklesIcon, roles: ['student'] },
+  { name: 'Redeem Code', path: '/redeem', icon: GiftIcon, roles: ['student'] },
+  { name: 'Organization', path: '/organization', icon: BuildingOfficeIcon, roles: ['student'] },
+  { name: 'Payouts', path: '/payments/payouts', icon: BanknotesIcon, roles: ['instructor'] },
+  { name: 'Admin', path: '/admin', icon: ShieldCheckIcon, roles: ['admin'] },
+  { name: 'Profile', path: '/profile', icon: UserIcon, roles: ['student', 'instructor', 'admin'] },
 ];
 
 const Navbar = () => {
@@ -43,6 +72,9 @@ const Navbar = () => {
   const [isScrolled, setIsScrolled] = useState(false);
   const { user, logout } = useAuth();
   const location = useLocation();
+  const navigate = useNavigate();
+  const { notifications, unreadCount, hasMoreUnread } = useNotifications();
+  const { currency, setCurrency } = useCurrency();
 
   const filteredNavigation = navigation.filter(item => 
     item.roles.includes(user?.role)
@@ -67,11 +99,23 @@ const Navbar = () => {
     return location.pathname === path;
   };
 
-  const mockNotifications = [
-    { id: 1, title: 'New course available', message: 'Check out our latest course on React!', time: '2 hours ago' },
-    { id: 2, title: 'Assignment due', message: 'Complete your assignment by tomorrow', time: '1 day ago' },
-    { id: 3, title: 'Achievement unlocked', message: 'You completed 5 courses!', time: '3 days ago' },
-  ];
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) {
+      markNotificationRead(notification.id);
+    }
+    setShowNotifications(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead(user.uid);
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
 
   const handleLogout = async () => {
     try {
@@ -131,6 +175,19 @@ const Navbar = () => {
 
           {/* Right side buttons */}
           <div className="flex items-center space-x-4">
+            {/* Currency prices are shown and paid in */}
+            {user?.role !== 'instructor' && (
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="text-sm border-gray-300 rounded-md py-1 pl-2 pr-7 text-gray-700 focus:ring-blue-500 focus:border-blue-500"
+                aria-label="Currency"
+              >
+                {SUPPORTED_CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            )}
             {/* Notifications */}
             <div className="relative">
               <button
@@ -139,7 +196,11 @@ const Navbar = () => {
                 aria-label="Notifications"
               >
                 <BellIcon className="h-6 w-6" />
-                <span className="absolute top-0 right-0 block h-2.5 w-2.5 rounded-full bg-red-500 ring-2 ring-white transform scale-100 transition-transform duration-300" />
+                {unreadCount > 0 && (
+                  <span className="absolute -top-0.5 -right-0.5 flex items-center justify-center min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold ring-2 ring-white">
+                    {unreadCount > 9 ? '9+' : unreadCount}
+                  </span>
+                )}
                 <span className="absolute left-full ml-2 px-2 py-1 bg-gray-900 text-white text-xs rounded opacity-0 group-hover:opacity-100 whitespace-nowrap z-50 transform -translate-x-1 group-hover:translate-x-0 transition-all duration-300">
                   Notifications
                 </span>
@@ -158,27 +219,47 @@ const Navbar = () => {
                       <div className="px-4 py-3 bg-gradient-to-r from-blue-600 to-indigo-600">
                         <h3 className="text-sm font-semibold text-white flex justify-between items-center">
                           Notifications
-                          <span className="bg-white/20 text-xs rounded-full px-2 py-0.5">
-                            {mockNotifications.length} new
+                          <span className="flex items-center space-x-2">
+                            {unreadCount > 0 && (
+                              <button
+                                onClick={handleMarkAllRead}
+                                className="text-xs font-normal text-white/90 hover:text-white underline"
+                              >
+                                Mark all read
+                              </button>
+                            )}
+                            <span className="bg-white/20 text-xs rounded-full px-2 py-0.5">
+                              {unreadCount}{hasMoreUnread ? '+' : ''} new
+                            </span>
                           </span>
                         </h3>
                       </div>
                       <div className="max-h-60 overflow-y-auto">
-                      {mockNotifications.map((notification) => (
+                      {notifications.length === 0 && (
+                        <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+                      )}
+                      {notifications.slice(0, 5).map((notification) => (
                         <div
                           key={notification.id}
-                            className="px-4 py-3 hover:bg-gray-50 cursor-pointer transition-colors duration-150"
+                            onClick={() => handleNotificationClick(notification)}
+                            className={`px-4 py-3 hover:bg-gray-50 cursor-pointer transition-colors duration-150 ${
+                              notification.read ? '' : 'bg-blue-50/60'
+                            }`}
                         >
                             <div className="flex justify-between">
                           <p className="text-sm font-medium text-gray-900">{notification.title}</p>
-                              <p className="text-xs text-gray-500">{notification.time}</p>
+                              <p className="text-xs text-gray-500 whitespace-nowrap ml-2">{formatTimeAgo(notification.createdAt)}</p>
                             </div>
                             <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
                         </div>
                       ))}
                       </div>
                       <div className="px-4 py-2 bg-gray-50">
-                        <Link to="/notifications" className="text-sm font-medium text-blue-600 hover:text-blue-500 flex justify-center">
+                        <Link
+                          to="/notifications"
+                          onClick={() => setShowNotifications(false)}
+                          className="text-sm font-medium text-blue-600 hover:text-blue-500 flex justify-center"
+                        >
                           View all notifications
                         </Link>
                       </div>
@@ -196,7 +277,11 @@ const Navbar = () => {
                 </div>
                 <div className="ml-2 hidden md:block">
                   <p className="text-sm font-medium text-gray-800">{user?.name || 'User'}</p>
-                  <p className="text-xs text-gray-500 capitalize">{user?.role || 'Student'}</p>
+                  {isPendingInstructor(user) ? (
+                    <Link to="/profile" className="text-xs text-yellow-700 hover:underline">Instructor pending</Link>
+                  ) : (
+                    <p className="text-xs text-gray-500 capitalize">{user?.role || 'Student'}</p>
+                  )}
                 </div>
             </div>
 
@@ -263,7 +348,9 @@ const Navbar = () => {
                   </div>
                   <div className="ml-3">
                     <p className="text-base font-medium text-gray-800">{user?.name || 'User'}</p>
-                    <p className="text-sm text-gray-500 capitalize">{user?.role || 'Student'}</p>
+                    <p className="text-sm text-gray-500 capitalize">
+                      {isPendingInstructor(user) ? 'Instructor pending' : user?.role || 'Student'}
+                    </p>
                   </div>
                 </div>
             <button
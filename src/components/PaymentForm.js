@@ -1,15 +1,38 @@
 import React, { useState, useEffect } from 'react';
-import { doc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
-import { db } from '../config/firebase';
 import { useAuth } from '../context/AuthContext';
 import swal from 'sweetalert';
-import { initializePaystack } from '../utils/paystack';
+import { initializePaystack, verifyPaystackPayment, PAYSTACK_PUBLIC_KEY } from '../utils/paystack';
+import { validateCoupon, COUPON_TYPES } from '../utils/coupons';
+import { getCoursePricing, getBundlePricing, getSeatsPricing } from '../utils/pricing';
+import { verifyBundlePayment } from '../utils/bundles';
+import { useCurrency } from '../context/CurrencyContext';
+import { convertFromBase, toBaseAmount, formatCurrency } from '../utils/currency';
 
-const PaymentForm = ({ course, onSuccess }) => {
+// Pays for a course, or for a bundle of courses when `bundle` (with its
+// `courses`) is passed instead. With `isGift` the course is bought for someone
+// else and onSuccess receives the code they redeem. With `seats`
+// ({ organizationId, quantity }) an organization admin buys that many seats in
+// the course. Coupons only apply to a student's own single-course purchases.
+const PaymentForm = ({ course, bundle, seats, isGift = false, onSuccess }) => {
   const { user } = useAuth();
+  const { currency, rates } = useCurrency();
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [isPaystackReady, setIsPaystackReady] = useState(false);
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState(null);
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+  const [recipient, setRecipient] = useState({ name: '', email: '', message: '' });
+  const allowsCoupons = !bundle && !seats && !isGift;
+
+  // What Paystack charges; the backend recomputes it and rejects anything less
+  const pricing = bundle
+    ? getBundlePricing(bundle, bundle.courses, { currency, rates })
+    : seats
+      ? getSeatsPricing(course, seats.quantity, { currency, rates })
+      : getCoursePricing(course, { user, currency, rates, coupon: allowsCoupons ? appliedCoupon?.coupon : null });
+  const amountDue = pricing.price;
 
   // Initialize Paystack
   useEffect(() => {
@@ -26,36 +49,83 @@ const PaymentForm = ({ course, onSuccess }) => {
     loadPaystack();
   }, []);
 
-  const processPayment = async (
-    payMethod,
-    currency,
-    responseReference,
-    responseTrans,
-    selectedMonth,
-    finalAmount,
-    displayAmount
-  ) => {
+  const processPayment = async (reference) => {
     try {
-      // Record the payment in Firestore
-      await addDoc(collection(db, 'payments'), {
-        userId: user.uid,
-        courseId: course.id,
-        amount: course.price,
-        status: 'succeeded',
-        paymentMethod: payMethod,
-        currency: currency,
-        reference: responseReference,
-        transaction: responseTrans,
-        createdAt: serverTimestamp(),
-      });
-
-      onSuccess();
+      // The backend re-verifies the reference with Paystack, then records the
+      // payment and creates the enrollments
+      const result = bundle
+        ? await verifyBundlePayment(reference, bundle.id)
+        : await verifyPaystackPayment(reference, course.id);
+      onSuccess(result);
     } catch (err) {
-      setError(err.message);
+      console.error('Payment verification error:', err);
+      setError(isGift
+        ? 'We could not confirm your payment yet. If you were charged, the gift code will appear in your payment history shortly.'
+        : seats
+          ? 'We could not confirm your payment yet. If you were charged, the seats will be added to your organization shortly.'
+          : 'We could not confirm your payment yet. If you were charged, your enrollment will appear shortly.');
       setIsProcessing(false);
     }
   };
 
+  const handleApplyCoupon = async () => {
+    setCouponError(null);
+    setIsApplyingCoupon(true);
+    try {
+      const result = await validateCoupon(couponCode, {
+        course,
+        userId: user?.uid,
+        // Fixed coupon amounts are in USD, so check them against the USD price
+        price: toBaseAmount(pricing.basePrice, currency, rates),
+      });
+      setAppliedCoupon(result);
+      setCouponCode(result.coupon.code);
+    } catch (err) {
+      setAppliedCoupon(null);
+      setCouponError(err.message);
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+    setCouponError(null);
+  };
+
+  const getMetadata = () => {
+    if (bundle) {
+      return { userId: user.uid, type: 'bundle', bundleId: bundle.id };
+    }
+    if (seats) {
+      return {
+        userId: user.uid,
+        type: 'seats',
+        courseId: course.id,
+        organizationId: seats.organizationId,
+        quantity: seats.quantity,
+      };
+    }
+    if (isGift) {
+      return {
+        userId: user.uid,
+        type: 'gift',
+        courseId: course.id,
+        recipientName: recipient.name.trim(),
+        recipientEmail: recipient.email.trim(),
+        giftMessage: recipient.message.trim(),
+        currency,
+      };
+    }
+    return {
+      userId: user.uid,
+      courseId: course.id,
+      couponCode: appliedCoupon?.coupon.code || null,
+      currency,
+    };
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setError(null);
@@ -74,33 +144,18 @@ const PaymentForm = ({ course, onSuccess }) => {
 
     try {
       const userEmail = user.email;
-      const finalAmountUSD = course.price * 100; // Convert to cents
-      const finalAmount = course.price;
-      const displayAmount = course.price;
-      const selectedMonth = 1; // Default to 1 month
+      const amountInSubunits = Math.round(amountDue * 100); // kobo, pesewas, cents
 
       const handler = window.PaystackPop.setup({
-        key: 'pk_live_f75e7fc5c652583410d16789fc9955853373fc8c', // Your public key
+        key: PAYSTACK_PUBLIC_KEY,
         email: userEmail,
-        amount: finalAmountUSD, // amount in cents
-        currency: "USD",
+        amount: amountInSubunits,
+        currency,
+        // Read back by the backend to know who is paying for what
+        metadata: getMetadata(),
         callback: function(response) {
           if (response.status === 'success') {
-            // Proceed with your logic, e.g., updating the database or displaying a success message
-            const payMethod = "Paystack - USD";
-            const currency = "USD";
-            const responseReference = response.reference;
-            const responseTrans = response.trans;
-            
-            processPayment(
-              payMethod, 
-              currency, 
-              responseReference, 
-              responseTrans, 
-              selectedMonth, 
-              finalAmount, 
-              displayAmount
-            );
+            processPayment(response.reference);
           } else {
             swal('Payment Error', 'Payment failed or was not successful', 'error');
             setIsProcessing(false);
@@ -126,13 +181,122 @@ const PaymentForm = ({ course, onSuccess }) => {
       <div className="bg-white p-4 rounded-lg border border-gray-200">
         <div className="p-3 text-center">
           <p className="text-gray-700 mb-2">You will be charged</p>
-          <p className="text-2xl font-bold text-blue-600">${course.price}</p>
+          {amountDue < pricing.listPrice && (
+            <p className="text-sm text-gray-500 line-through">{formatCurrency(pricing.listPrice, currency)}</p>
+          )}
+          <p className="text-2xl font-bold text-blue-600">{formatCurrency(amountDue, currency)}</p>
+          {seats && (
+            <p className="text-sm text-gray-600 mt-1">
+              {pricing.quantity} seats × {formatCurrency(pricing.unitPrice, currency)}
+            </p>
+          )}
           <p className="text-sm text-gray-500 mt-2">
             Secure payment processed by Paystack
           </p>
         </div>
       </div>
 
+      {isGift && (
+        <div className="space-y-3">
+          <div>
+            <label htmlFor="recipientName" className="block text-sm font-medium text-gray-700 mb-1">
+              Recipient's name
+            </label>
+            <input
+              id="recipientName"
+              type="text"
+              value={recipient.name}
+              onChange={(e) => setRecipient({ ...recipient, name: e.target.value })}
+              disabled={isProcessing}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="recipientEmail" className="block text-sm font-medium text-gray-700 mb-1">
+              Recipient's email <span className="font-normal text-gray-500">(optional)</span>
+            </label>
+            <input
+              id="recipientEmail"
+              type="email"
+              value={recipient.email}
+              onChange={(e) => setRecipient({ ...recipient, email: e.target.value })}
+              disabled={isProcessing}
+              placeholder="We'll email them the code"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="giftMessage" className="block text-sm font-medium text-gray-700 mb-1">
+              Message
+            </label>
+            <textarea
+              id="giftMessage"
+              rows={2}
+              value={recipient.message}
+              onChange={(e) => setRecipient({ ...recipient, message: e.target.value })}
+              disabled={isProcessing}
+              maxLength={1000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+      )}
+
+      {allowsCoupons && (
+        <div>
+          <label htmlFor="couponCode" className="block text-sm font-medium text-gray-700 mb-1">
+            Coupon code
+          </label>
+          <div className="flex space-x-2">
+            <input
+              id="couponCode"
+              type="text"
+              value={couponCode}
+              onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+              onKeyDown={(e) => {
+                // Enter applies the coupon instead of starting the payment
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  if (!appliedCoupon) handleApplyCoupon();
+                }
+              }}
+              disabled={!!appliedCoupon || isProcessing}
+              placeholder="Enter code"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 uppercase disabled:bg-gray-100"
+            />
+            {appliedCoupon ? (
+              <button
+                type="button"
+                onClick={handleRemoveCoupon}
+                disabled={isProcessing}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Remove
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleApplyCoupon}
+                disabled={!couponCode.trim() || isApplyingCoupon}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                {isApplyingCoupon ? 'Checking...' : 'Apply'}
+              </button>
+            )}
+          </div>
+          {appliedCoupon && (
+            <p className="mt-1 text-sm text-green-600">
+              {appliedCoupon.coupon.type === COUPON_TYPES.percent
+                ? `${appliedCoupon.coupon.value}% off applied`
+                : `${formatCurrency(convertFromBase(appliedCoupon.coupon.value, currency, rates), currency)} off applied`}
+            </p>
+          )}
+          {couponError && (
+            <p className="mt-1 text-sm text-red-600">{couponError}</p>
+          )}
+        </div>
+      )}
+
       {error && (
         <div className="text-sm text-red-600">
           {error}
@@ -146,7 +310,7 @@ const PaymentForm = ({ course, onSuccess }) => {
           isProcessing || !isPaystackReady ? 'opacity-75 cursor-not-allowed' : ''
         }`}
       >
-        {isProcessing ? 'Processing...' : `Pay $${course.price}`}
+        {isProcessing ? 'Processing...' : `Pay ${formatCurrency(amountDue, currency)}`}
       </button>
     </form>
   );
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { LanguageIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { CAPTION_LANGUAGES, CAPTION_FILE_TYPES, uploadCaptionFile } from '../../utils/captions';
+
+// Caption files for one lesson, one per language. Files upload as soon as
+// they're picked; the lesson keeps the uploaded captions.
+const CaptionsEditor = ({ lessonId, captions = [], onChange, idPrefix = 'captions' }) => {
+  const availableLanguages = CAPTION_LANGUAGES.filter(({ code }) =>
+    !captions.some(caption => caption.language === code)
+  );
+  const [language, setLanguage] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const selectedLanguage = availableLanguages.some(({ code }) => code === language)
+    ? language
+    : availableLanguages[0]?.code;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !selectedLanguage) return;
+
+    setUploading(true);
+    try {
+      const caption = await uploadCaptionFile(lessonId, selectedLanguage, file);
+      onChange([...captions, caption]);
+      toast.success(`${caption.label} captions added`);
+    } catch (error) {
+      console.error('Error uploading captions:', error);
+      toast.error(error.message || 'Failed to upload captions');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Captions
+      </label>
+      {captions.length > 0 && (
+        <ul className="mb-3 space-y-2">
+          {captions.map(caption => (
+            <li key={caption.language} className="flex items-center justify-between text-sm text-gray-600 bg-gray-50 p-2 rounded-md">
+              <div className="flex items-center min-w-0">
+                <LanguageIcon className="h-5 w-5 mr-2 text-gray-500 flex-shrink-0" />
+                <span className="font-medium text-gray-700 mr-2">{caption.label}</span>
+                <span className="truncate text-gray-500">{caption.name}</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(captions.filter(({ language: code }) => code !== caption.language))}
+                className="text-red-600 hover:text-red-800"
+                title={`Remove ${caption.label} captions`}
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {availableLanguages.length > 0 && (
+        <div className="flex items-center space-x-2">
+          <select
+            value={selectedLanguage}
+            onChange={(e) => setLanguage(e.target.value)}
+            disabled={uploading}
+            className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            {availableLanguages.map(({ code, label }) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept={CAPTION_FILE_TYPES}
+            onChange={handleFile}
+            disabled={uploading}
+            className="hidden"
+            id={`${idPrefix}-upload`}
+          />
+          <label
+            htmlFor={`${idPrefix}-upload`}
+            className={`inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 cursor-pointer ${uploading ? 'opacity-50 pointer-events-none' : ''}`}
+          >
+            {uploading ? 'Uploading...' : 'Upload .vtt or .srt'}
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptionsEditor;
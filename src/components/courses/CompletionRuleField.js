@@ -0,0 +1,42 @@
+import React from 'react';
+import { DEFAULT_COMPLETION_THRESHOLD } from '../../utils/lessonProgress';
+
+// The optional "must watch N% of each video" rule, shared by the create and
+// edit forms. A value of 0 leaves the rule off.
+const CompletionRuleField = ({ value, onChange }) => {
+  const enabled = Number(value) > 0;
+
+  return (
+    <div>
+      <div className="flex items-center">
+        <input
+          type="checkbox"
+          id="completionRule"
+          checked={enabled}
+          onChange={(e) => onChange(e.target.checked ? DEFAULT_COMPLETION_THRESHOLD : 0)}
+          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+        />
+        <label htmlFor="completionRule" className="ml-2 block text-sm font-medium text-gray-700">
+          Students must watch part of each video to complete a lesson
+        </label>
+      </div>
+      {enabled && (
+        <div className="mt-2 ml-6 flex items-center text-sm text-gray-700">
+          <label htmlFor="completionThreshold">Watch at least</label>
+          <input
+            type="number"
+            id="completionThreshold"
+            min="1"
+            max="100"
+            value={value}
+            onChange={(e) => onChange(Math.min(100, Math.max(1, Number(e.target.value) || 1)))}
+            className="mx-2 w-20 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <span>% of the video, skipping and rewatching aside</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompletionRuleField;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import {
+  Bars3Icon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+} from '@heroicons/react/24/outline';
+import { DRAG_TYPES } from '../../utils/courseStructure';
+
+// Lesson card wrapper for the curriculum editor. Cards are dragged by their handle
+// only, so text inside the form fields can still be selected; the arrow buttons
+// give keyboard users the same moves.
+const DraggableLesson = ({
+  lessonId,
+  title,
+  canMoveUp,
+  canMoveDown,
+  onMove,
+  onDropLesson,
+  children,
+}) => {
+  const [isDraggable, setIsDraggable] = useState(false);
+  const [isOver, setIsOver] = useState(false);
+
+  const handleDragStart = (e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(DRAG_TYPES.lesson, lessonId);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPES.lesson)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsOver(true);
+  };
+
+  const handleDrop = (e) => {
+    const draggedId = e.dataTransfer.getData(DRAG_TYPES.lesson);
+    setIsOver(false);
+    if (!draggedId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggedId !== lessonId) {
+      onDropLesson(draggedId);
+    }
+  };
+
+  return (
+    <div
+      draggable={isDraggable}
+      onDragStart={handleDragStart}
+      onDragEnd={() => setIsDraggable(false)}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={handleDrop}
+      className={`border rounded-md p-4 bg-white ${isOver ? 'border-blue-500 border-t-4' : 'border-gray-200'}`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div
+          className="flex items-center text-sm text-gray-500 cursor-move select-none"
+          onMouseDown={() => setIsDraggable(true)}
+          onMouseUp={() => setIsDraggable(false)}
+          title="Drag to reorder"
+        >
+          <Bars3Icon className="h-5 w-5 mr-2" />
+          <span className="truncate max-w-xs">{title || 'Untitled lesson'}</span>
+        </div>
+        <div className="flex items-center">
+          <button
+            type="button"
+            onClick={() => onMove(-1)}
+            disabled={!canMoveUp}
+            className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            aria-label={`Move ${title || 'lesson'} up`}
+            title="Move lesson up"
+          >
+            <ArrowUpIcon className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => onMove(1)}
+            disabled={!canMoveDown}
+            className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            aria-label={`Move ${title || 'lesson'} down`}
+            title="Move lesson down"
+          >
+            <ArrowDownIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {children}
+    </div>
+  );
+};
+
+export default DraggableLesson;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatPlaybackTime } from '../../utils/playback';
+
+// One lesson's drop-off heatmap: the video split into slices, shaded by the
+// share of viewers who watched each one
+const DropOffHeatmap = ({ heatmap }) => (
+  <div>
+    <div className="flex items-center justify-between mb-1">
+      <span className="text-sm font-medium text-gray-900 truncate">{heatmap.title}</span>
+      <span className="ml-4 text-xs text-gray-500 whitespace-nowrap">
+        {heatmap.viewers > 0
+          ? `${heatmap.viewers} ${heatmap.viewers === 1 ? 'viewer' : 'viewers'} · ${Math.round(heatmap.averageWatched * 100)}% watched on average`
+          : 'No views yet'}
+      </span>
+    </div>
+    {heatmap.buckets.length > 0 ? (
+      <>
+        <div className="flex h-6 rounded overflow-hidden">
+          {heatmap.buckets.map(bucket => (
+            <div
+              key={bucket.start}
+              className="flex-1"
+              style={{ backgroundColor: `rgba(37, 99, 235, ${0.08 + bucket.share * 0.92})` }}
+              title={`${formatPlaybackTime(bucket.start)}–${formatPlaybackTime(bucket.end)}: ${Math.round(bucket.share * 100)}% of viewers`}
+            />
+          ))}
+        </div>
+        <div className="flex justify-between mt-1 text-xs text-gray-400">
+          <span>0:00</span>
+          <span>{formatPlaybackTime(heatmap.duration)}</span>
+        </div>
+      </>
+    ) : (
+      <div className="h-6 rounded bg-gray-100" />
+    )}
+  </div>
+);
+
+export default DropOffHeatmap;
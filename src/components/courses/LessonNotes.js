@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { PencilSquareIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import Markdown from '../Markdown';
+import { getCourseNotes, addNote, updateNote, deleteNote, MAX_NOTE_LENGTH } from '../../utils/notes';
+import { formatPlaybackTime } from '../../utils/playback';
+
+const NoteEditor = ({ initialBody = '', onSave, onCancel, saving }) => {
+  const [body, setBody] = useState(initialBody);
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={4}
+        maxLength={MAX_NOTE_LENGTH}
+        autoFocus
+        placeholder="Write a note. Markdown works: **bold**, *italics*, - lists, `code`"
+        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      />
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900">
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(body)}
+          disabled={saving}
+          className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Notes beside the player for the selected lesson. Clicking a note's time
+// seeks the video there.
+const LessonNotes = ({ userId, courseId, lesson, getCurrentTime, onSeek }) => {
+  const queryClient = useQueryClient();
+  // The moment a new note is being written for, or null
+  const [draftTime, setDraftTime] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const { data: notes = [], isLoading } = useQuery({
+    queryKey: ['notes', userId, courseId],
+    queryFn: () => getCourseNotes(userId, courseId),
+    enabled: !!userId && !!courseId,
+  });
+  const lessonNotes = notes
+    .filter(note => note.lessonId === lesson.id)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const refreshNotes = () => queryClient.invalidateQueries({ queryKey: ['notes', userId, courseId] });
+
+  const addMutation = useMutation({
+    mutationFn: (body) => addNote({ userId, courseId, lessonId: lesson.id, timestamp: draftTime, body }),
+    onSuccess: () => {
+      setDraftTime(null);
+      refreshNotes();
+    },
+    onError: () => toast.error('Failed to save the note'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ noteId, body }) => updateNote(noteId, body),
+    onSuccess: () => {
+      setEditingId(null);
+      refreshNotes();
+    },
+    onError: () => toast.error('Failed to save the note'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteNote,
+    onSuccess: refreshNotes,
+    onError: () => toast.error('Failed to delete the note'),
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Notes</h2>
+        <Link to="/dashboard/notes" className="text-sm text-blue-600 hover:text-blue-700">
+          All notes
+        </Link>
+      </div>
+
+      {draftTime === null ? (
+        <button
+          onClick={() => setDraftTime(Math.floor(getCurrentTime()))}
+          className="w-full flex items-center justify-center px-3 py-2 mb-4 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add a note at {formatPlaybackTime(getCurrentTime())}
+        </button>
+      ) : (
+        <div className="mb-4">
+          <p className="text-xs font-medium text-blue-600 mb-1">At {formatPlaybackTime(draftTime)}</p>
+          <NoteEditor
+            onSave={(body) => addMutation.mutate(body)}
+            onCancel={() => setDraftTime(null)}
+            saving={addMutation.isPending}
+          />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="space-y-3 animate-pulse">
+          {[...Array(2)].map((_, i) => <div key={i} className="h-12 bg-gray-100 rounded" />)}
+        </div>
+      ) : lessonNotes.length === 0 ? (
+        <p className="text-sm text-gray-500">No notes for this lesson yet.</p>
+      ) : (
+        <ul className="space-y-4 max-h-96 overflow-y-auto">
+          {lessonNotes.map(note => (
+            <li key={note.id} className="border-l-2 border-blue-200 pl-3">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => onSeek(note.timestamp)}
+                  className="text-xs font-medium text-blue-600 hover:underline"
+                >
+                  {formatPlaybackTime(note.timestamp)}
+                </button>
+                {editingId !== note.id && (
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => setEditingId(note.id)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title="Edit note"
+                    >
+                      <PencilSquareIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm('Delete this note?')) {
+                          deleteMutation.mutate(note.id);
+                        }
+                      }}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete note"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              {editingId === note.id ? (
+                <NoteEditor
+                  initialBody={note.body}
+                  onSave={(body) => updateMutation.mutate({ noteId: note.id, body })}
+                  onCancel={() => setEditingId(null)}
+                  saving={updateMutation.isPending}
+                />
+              ) : note.body.trim() ? (
+                <Markdown text={note.body} className="mt-1" />
+              ) : (
+                <p className="mt-1 text-sm italic text-gray-400">Bookmark</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LessonNotes;
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import {
+  QuestionMarkCircleIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline';
+
+const LessonQuiz = ({ quiz, attempts = [], onSubmit, isSubmitting = false, readOnly = false }) => {
+  const [answers, setAnswers] = useState({});
+  const [lastResult, setLastResult] = useState(null);
+
+  if (!quiz?.questions?.length) return null;
+
+  const maxAttempts = Number(quiz.maxAttempts) || 0;
+  const attemptsUsed = attempts.length;
+  const attemptsLeft = maxAttempts > 0 ? Math.max(0, maxAttempts - attemptsUsed) : null;
+  const bestScore = attempts.reduce((best, attempt) => Math.max(best, attempt.percentage || 0), 0);
+  const hasPassed = attempts.some(attempt => attempt.passed);
+  const canSubmit = !readOnly && (attemptsLeft === null || attemptsLeft > 0);
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const toggleMultiSelect = (questionId, optionId) => {
+    const current = Array.isArray(answers[questionId]) ? answers[questionId] : [];
+    setAnswer(
+      questionId,
+      current.includes(optionId) ? current.filter(id => id !== optionId) : [...current, optionId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await onSubmit(answers);
+    if (result) {
+      setLastResult(result);
+    }
+  };
+
+  const handleRetry = () => {
+    setAnswers({});
+    setLastResult(null);
+  };
+
+  const questionResult = (questionId) => lastResult?.results?.[questionId];
+
+  return (
+    <div className="border-t pt-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <QuestionMarkCircleIcon className="h-5 w-5 mr-2 text-blue-600" />
+          {quiz.title || 'Lesson Quiz'}
+        </h3>
+        <div className="flex items-center space-x-3 text-sm text-gray-600">
+          <span>Pass mark: {quiz.passingScore}%</span>
+          {attemptsUsed > 0 && (
+            <span className={`px-2 py-0.5 rounded-full text-xs ${
+              hasPassed ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              Best: {bestScore}%
+            </span>
+          )}
+          {attemptsLeft !== null && (
+            <span>{attemptsLeft} of {maxAttempts} attempts left</span>
+          )}
+        </div>
+      </div>
+
+      {readOnly && (
+        <p className="text-sm text-gray-500 mb-4">
+          Preview only. Enrolled students can submit answers.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {quiz.questions.map((question, index) => {
+          const result = questionResult(question.id);
+          return (
+            <fieldset
+              key={question.id}
+              disabled={!canSubmit || !!lastResult}
+              className={`rounded-lg p-4 border ${
+                result === undefined
+                  ? 'border-gray-200 bg-gray-50'
+                  : result
+                    ? 'border-green-200 bg-green-50'
+                    : 'border-red-200 bg-red-50'
+              }`}
+            >
+              <legend className="sr-only">Question {index + 1}</legend>
+              <div className="flex items-start justify-between mb-3">
+                <p className="font-medium text-gray-900">
+                  {index + 1}. {question.prompt}
+                </p>
+                <div className="flex items-center ml-4 flex-shrink-0">
+                  <span className="text-xs text-gray-500 mr-2">
+                    {question.points} {Number(question.points) === 1 ? 'pt' : 'pts'}
+                  </span>
+                  {result === true && <CheckCircleIcon className="h-5 w-5 text-green-600" />}
+                  {result === false && <XCircleIcon className="h-5 w-5 text-red-600" />}
+                </div>
+              </div>
+
+              {question.type === 'multiple_choice' && (
+                <div className="space-y-2">
+                  {question.options.map(option => (
+                    <label key={option.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name={`answer-${question.id}`}
+                        checked={answers[question.id] === option.id}
+                        onChange={() => setAnswer(question.id, option.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+                      />
+                      {option.text}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {question.type === 'multi_select' && (
+                <div className="space-y-2">
+                  <p className="text-xs text-gray-500">Select all that apply</p>
+                  {question.options.map(option => (
+                    <label key={option.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={(answers[question.id] || []).includes(option.id)}
+                        onChange={() => toggleMultiSelect(question.id, option.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                      />
+                      {option.text}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {question.type === 'true_false' && (
+                <div className="flex items-center space-x-6">
+                  {[true, false].map(value => (
+                    <label key={String(value)} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name={`answer-${question.id}`}
+                        checked={answers[question.id] === value}
+                        onChange={() => setAnswer(question.id, value)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+                      />
+                      {value ? 'True' : 'False'}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {question.type === 'short_answer' && (
+                <input
+                  type="text"
+                  value={answers[question.id] || ''}
+                  onChange={(e) => setAnswer(question.id, e.target.value)}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Type your answer"
+                />
+              )}
+            </fieldset>
+          );
+        })}
+
+        {lastResult ? (
+          <div className={`rounded-lg p-4 flex items-center justify-between ${
+            lastResult.passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}>
+            <div>
+              <p className="font-medium">
+                {lastResult.passed ? 'Passed!' : 'Not passed yet'} You scored {lastResult.percentage}%
+              </p>
+              <p className="text-sm">
+                {lastResult.score} of {lastResult.maxScore} points
+              </p>
+            </div>
+            {canSubmit && (
+              <button
+                type="button"
+                onClick={handleRetry}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+              >
+                <ArrowPathIcon className="h-4 w-4 mr-2" />
+                Try Again
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={!canSubmit || isSubmitting}
+              className="inline-flex items-center px-6 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? 'Submitting...' : 'Submit Answers'}
+            </button>
+          </div>
+        )}
+
+        {!readOnly && attemptsLeft === 0 && !lastResult && (
+          <p className="text-sm text-gray-500 text-right">You have used all your attempts for this quiz.</p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default LessonQuiz;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { CheckCircleIcon } from '@heroicons/react/24/solid';
+import { ExclamationCircleIcon } from '@heroicons/react/24/outline';
+
+const PublishChecklist = ({ checklist, title = 'Before you submit for review' }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <h4 className="text-sm font-medium text-gray-900 mb-2">{title}</h4>
+    <ul className="space-y-1">
+      {checklist.map(item => (
+        <li key={item.id} className="flex items-center text-sm">
+          {item.done ? (
+            <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+          ) : (
+            <ExclamationCircleIcon className="h-5 w-5 text-gray-400 mr-2" />
+          )}
+          <span className={item.done ? 'text-gray-500 line-through' : 'text-gray-700'}>{item.label}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default PublishChecklist;
@@ -0,0 +1,310 @@
+import React from 'react';
+import {
+  PlusIcon,
+  TrashIcon,
+  QuestionMarkCircleIcon,
+} from '@heroicons/react/24/outline';
+import { QUESTION_TYPES, createQuestion, createQuiz } from '../../utils/quiz';
+
+const QuizEditor = ({ quiz, onChange, idPrefix = 'quiz' }) => {
+  if (!quiz) {
+    return (
+      <button
+        type="button"
+        onClick={() => onChange(createQuiz())}
+        className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+      >
+        <QuestionMarkCircleIcon className="h-5 w-5 mr-2 text-blue-500" />
+        Add Quiz
+      </button>
+    );
+  }
+
+  const updateQuiz = (field, value) => {
+    onChange({ ...quiz, [field]: value });
+  };
+
+  const updateQuestion = (questionIndex, changes) => {
+    const questions = quiz.questions.map((question, i) =>
+      i === questionIndex ? { ...question, ...changes } : question
+    );
+    updateQuiz('questions', questions);
+  };
+
+  const changeQuestionType = (questionIndex, type) => {
+    const current = quiz.questions[questionIndex];
+    const replacement = createQuestion(type);
+    updateQuestion(questionIndex, {
+      ...replacement,
+      id: current.id,
+      prompt: current.prompt,
+      points: current.points,
+    });
+  };
+
+  const addQuestion = () => {
+    updateQuiz('questions', [...quiz.questions, createQuestion()]);
+  };
+
+  const removeQuestion = (questionIndex) => {
+    updateQuiz('questions', quiz.questions.filter((_, i) => i !== questionIndex));
+  };
+
+  const updateOption = (questionIndex, optionId, text) => {
+    const question = quiz.questions[questionIndex];
+    updateQuestion(questionIndex, {
+      options: question.options.map(option => option.id === optionId ? { ...option, text } : option),
+    });
+  };
+
+  const addOption = (questionIndex) => {
+    const question = quiz.questions[questionIndex];
+    updateQuestion(questionIndex, {
+      options: [...question.options, { id: crypto.randomUUID(), text: '' }],
+    });
+  };
+
+  const removeOption = (questionIndex, optionId) => {
+    const question = quiz.questions[questionIndex];
+    updateQuestion(questionIndex, {
+      options: question.options.filter(option => option.id !== optionId),
+      correctOptionIds: question.correctOptionIds.filter(id => id !== optionId),
+    });
+  };
+
+  const toggleCorrectOption = (questionIndex, optionId) => {
+    const question = quiz.questions[questionIndex];
+    if (question.type === 'multiple_choice') {
+      updateQuestion(questionIndex, { correctOptionIds: [optionId] });
+      return;
+    }
+    const isCorrect = question.correctOptionIds.includes(optionId);
+    updateQuestion(questionIndex, {
+      correctOptionIds: isCorrect
+        ? question.correctOptionIds.filter(id => id !== optionId)
+        : [...question.correctOptionIds, optionId],
+    });
+  };
+
+  const updateAcceptedAnswer = (questionIndex, answerIndex, value) => {
+    const question = quiz.questions[questionIndex];
+    const acceptedAnswers = [...question.acceptedAnswers];
+    acceptedAnswers[answerIndex] = value;
+    updateQuestion(questionIndex, { acceptedAnswers });
+  };
+
+  return (
+    <div className="bg-blue-50 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-blue-800 flex items-center">
+          <QuestionMarkCircleIcon className="h-5 w-5 mr-2" />
+          Lesson Quiz
+        </h4>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          className="text-sm text-red-600 hover:text-red-800"
+        >
+          Remove Quiz
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-title`} className="block text-xs font-medium text-gray-700 mb-1">
+            Quiz Title
+          </label>
+          <input
+            type="text"
+            id={`${idPrefix}-title`}
+            value={quiz.title}
+            onChange={(e) => updateQuiz('title', e.target.value)}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            placeholder="e.g., Check your understanding"
+          />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-passing`} className="block text-xs font-medium text-gray-700 mb-1">
+            Passing Score (%)
+          </label>
+          <input
+            type="number"
+            id={`${idPrefix}-passing`}
+            value={quiz.passingScore}
+            onChange={(e) => updateQuiz('passingScore', Number(e.target.value))}
+            min="0"
+            max="100"
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-attempts`} className="block text-xs font-medium text-gray-700 mb-1">
+            Max Attempts (0 = unlimited)
+          </label>
+          <input
+            type="number"
+            id={`${idPrefix}-attempts`}
+            value={quiz.maxAttempts}
+            onChange={(e) => updateQuiz('maxAttempts', Number(e.target.value))}
+            min="0"
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      {quiz.questions.map((question, questionIndex) => (
+        <div key={question.id} className="bg-white border border-gray-200 rounded-md p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-900">Question {questionIndex + 1}</span>
+            <div className="flex items-center space-x-2">
+              <select
+                value={question.type}
+                onChange={(e) => changeQuestionType(questionIndex, e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              >
+                {QUESTION_TYPES.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={question.points}
+                onChange={(e) => updateQuestion(questionIndex, { points: Number(e.target.value) })}
+                min="1"
+                className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                title="Points"
+              />
+              <button
+                type="button"
+                onClick={() => removeQuestion(questionIndex)}
+                disabled={quiz.questions.length === 1}
+                className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <textarea
+            value={question.prompt}
+            onChange={(e) => updateQuestion(questionIndex, { prompt: e.target.value })}
+            rows={2}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Enter the question"
+          />
+
+          {(question.type === 'multiple_choice' || question.type === 'multi_select') && (
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">
+                {question.type === 'multiple_choice'
+                  ? 'Select the one correct option'
+                  : 'Select every correct option'}
+              </p>
+              {question.options.map(option => (
+                <div key={option.id} className="flex items-center space-x-2">
+                  <input
+                    type={question.type === 'multiple_choice' ? 'radio' : 'checkbox'}
+                    name={`${idPrefix}-${question.id}-correct`}
+                    checked={question.correctOptionIds.includes(option.id)}
+                    onChange={() => toggleCorrectOption(questionIndex, option.id)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                  />
+                  <input
+                    type="text"
+                    value={option.text}
+                    onChange={(e) => updateOption(questionIndex, option.id, e.target.value)}
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Option text"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeOption(questionIndex, option.id)}
+                    disabled={question.options.length <= 2}
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => addOption(questionIndex)}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Option
+              </button>
+            </div>
+          )}
+
+          {question.type === 'true_false' && (
+            <div className="flex items-center space-x-6">
+              {[true, false].map(value => (
+                <label key={String(value)} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name={`${idPrefix}-${question.id}-tf`}
+                    checked={question.correctAnswer === value}
+                    onChange={() => updateQuestion(questionIndex, { correctAnswer: value })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+                  />
+                  {value ? 'True' : 'False'}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {question.type === 'short_answer' && (
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">
+                Accepted answers (matching ignores case and extra spaces)
+              </p>
+              {question.acceptedAnswers.map((answer, answerIndex) => (
+                <div key={answerIndex} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={answer}
+                    onChange={(e) => updateAcceptedAnswer(questionIndex, answerIndex, e.target.value)}
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Accepted answer"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateQuestion(questionIndex, {
+                      acceptedAnswers: question.acceptedAnswers.filter((_, i) => i !== answerIndex),
+                    })}
+                    disabled={question.acceptedAnswers.length === 1}
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => updateQuestion(questionIndex, {
+                  acceptedAnswers: [...question.acceptedAnswers, ''],
+                })}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Accepted Answer
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addQuestion}
+        className="flex items-center justify-center w-full py-2 border-2 border-dashed border-blue-200 rounded-md text-sm text-blue-700 hover:border-blue-300 hover:text-blue-800"
+      >
+        <PlusIcon className="h-5 w-5 mr-2" />
+        Add Question
+      </button>
+    </div>
+  );
+};
+
+export default QuizEditor;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import {
+  ChevronUpIcon,
+  ChevronDownIcon,
+  PlusIcon,
+  TrashIcon,
+  Bars3Icon,
+} from '@heroicons/react/24/outline';
+import { DRAG_TYPES } from '../../utils/courseStructure';
+
+// Wraps one section of the curriculum editor; the lesson cards are passed as children.
+// Sections are dragged by their header handle, and lessons dropped on the section
+// body land at the end of it.
+const SectionEditor = ({
+  section,
+  index,
+  total,
+  lessonCount,
+  onTitleChange,
+  onMove,
+  onRemove,
+  onAddLesson,
+  onDropSection,
+  onDropLesson,
+  children,
+}) => {
+  const [isDraggable, setIsDraggable] = useState(false);
+  const [isOver, setIsOver] = useState(false);
+
+  const handleDragOver = (e) => {
+    const { types } = e.dataTransfer;
+    if (!types.includes(DRAG_TYPES.section) && !types.includes(DRAG_TYPES.lesson)) return;
+    e.preventDefault();
+    setIsOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsOver(false);
+    const sectionId = e.dataTransfer.getData(DRAG_TYPES.section);
+    const lessonId = e.dataTransfer.getData(DRAG_TYPES.lesson);
+    if (sectionId && sectionId !== section.id) {
+      onDropSection(sectionId);
+    } else if (lessonId) {
+      onDropLesson(lessonId);
+    }
+  };
+
+  return (
+    <div
+      draggable={isDraggable}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(DRAG_TYPES.section, section.id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onDragEnd={() => setIsDraggable(false)}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={handleDrop}
+      className={`border rounded-lg bg-gray-50 ${isOver ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-300'}`}
+    >
+      <div className="flex items-center p-4 border-b border-gray-200 space-x-3">
+        <span
+          className="cursor-move text-gray-400 hover:text-gray-600"
+          onMouseDown={() => setIsDraggable(true)}
+          onMouseUp={() => setIsDraggable(false)}
+          title="Drag to reorder"
+        >
+          <Bars3Icon className="h-5 w-5" />
+        </span>
+        <span className="text-sm font-medium text-gray-500 whitespace-nowrap">Section {index + 1}</span>
+        <input
+          type="text"
+          value={section.title}
+          onChange={(e) => onTitleChange(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          placeholder="Section title, e.g. Getting Started"
+          required
+        />
+        <span className="text-xs text-gray-500 whitespace-nowrap">
+          {lessonCount} {lessonCount === 1 ? 'lesson' : 'lessons'}
+        </span>
+        <div className="flex items-center">
+          <button
+            type="button"
+            onClick={() => onMove(index - 1)}
+            disabled={index === 0}
+            className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            title="Move section up"
+            aria-label={`Move ${section.title || 'section'} up`}
+          >
+            <ChevronUpIcon className="h-5 w-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => onMove(index + 1)}
+            disabled={index === total - 1}
+            className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+            title="Move section down"
+            aria-label={`Move ${section.title || 'section'} down`}
+          >
+            <ChevronDownIcon className="h-5 w-5" />
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            disabled={total === 1}
+            className="p-1 text-red-600 hover:text-red-800 disabled:opacity-30"
+            title="Remove section"
+          >
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {children}
+        <button
+          type="button"
+          onClick={onAddLesson}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <PlusIcon className="h-5 w-5 mr-1" />
+          Add Lesson
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SectionEditor;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DocumentTextIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { findActiveCue } from '../../utils/captions';
+import { formatPlaybackTime } from '../../utils/playback';
+
+// The lesson's captions as a transcript that follows the video. Clicking a
+// line seeks there; searching narrows the transcript to matching lines.
+const TranscriptPanel = ({ tracks, currentTime, onSeek }) => {
+  const [language, setLanguage] = useState(tracks[0]?.language);
+  const [search, setSearch] = useState('');
+  const listRef = useRef(null);
+
+  const track = tracks.find(item => item.language === language) || tracks[0];
+  const activeCue = findActiveCue(track.cues, currentTime);
+  const needle = search.trim().toLowerCase();
+  const cues = needle
+    ? track.cues.filter(cue => cue.text.toLowerCase().includes(needle))
+    : track.cues;
+
+  // Keep the line being spoken in view, scrolling the list rather than the page
+  useEffect(() => {
+    const list = listRef.current;
+    const item = list?.querySelector('[data-active="true"]');
+    if (!item) return;
+    if (item.offsetTop < list.scrollTop || item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = item.offsetTop - list.clientHeight / 3;
+    }
+  }, [activeCue?.id, language, needle]);
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 border-b border-gray-200">
+        <h3 className="flex items-center text-lg font-medium text-gray-900">
+          <DocumentTextIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Transcript
+        </h3>
+        <div className="flex items-center space-x-2">
+          {tracks.length > 1 && (
+            <select
+              value={track.language}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              {tracks.map(item => (
+                <option key={item.language} value={item.language}>{item.label}</option>
+              ))}
+            </select>
+          )}
+          <div className="relative">
+            <MagnifyingGlassIcon className="absolute left-2 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search transcript"
+              className="pl-8 pr-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      <ul ref={listRef} className="relative max-h-72 overflow-y-auto p-2">
+        {cues.length === 0 ? (
+          <li className="px-2 py-1 text-sm text-gray-500">No lines match "{search.trim()}".</li>
+        ) : cues.map(cue => (
+          <li key={cue.id} data-active={cue.id === activeCue?.id}>
+            <button
+              onClick={() => onSeek(cue.start)}
+              className={`w-full flex text-left px-2 py-1 rounded text-sm ${
+                cue.id === activeCue?.id ? 'bg-blue-50 text-blue-800' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span className="w-14 flex-shrink-0 text-xs font-medium text-blue-600 pt-0.5">
+                {formatPlaybackTime(cue.start)}
+              </span>
+              <span className="whitespace-pre-line">{cue.text}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TranscriptPanel;
@@ -20,7 +20,7 @@ const VersionHistory = ({ versions, isEnrolled = false }) => {
               <>Latest version: v{latestVersion.version} ({new Date(latestVersion.updatedAt).toLocaleDateString()})</>
             )}
           </h4>
-          <p className="mt-1 text-sm text-blue-700">
+          <p className="mt-1 text-sm text-blue-700 whitespace-pre-line">
             {latestVersion.changelog || 'Course content has been updated.'}
           </p>
           <details className="mt-2">
@@ -13,6 +13,7 @@ import {
 import { doc, getDoc, setDoc } from 'firebase/firestore';
 import { db } from '../config/firebase';
 import { toast } from 'react-hot-toast';
+import { submitInstructorApplication } from '../utils/instructorApplications';
 
 const AuthContext = createContext();
 
@@ -32,6 +33,14 @@ export const AuthProvider = ({ children }) => {
           // Get additional user data from Firestore
           const userDoc = await getDoc(doc(db, 'users', firebaseUser.uid));
           const userData = userDoc.data();
+
+          // Suspended accounts are disabled in Auth too; this catches sessions
+          // that were open when the suspension happened
+          if (userData?.suspended) {
+            toast.error('Your account has been suspended');
+            await signOut(auth);
+            return;
+          }
           
           setUser({
             uid: firebaseUser.uid,
@@ -71,17 +80,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const signup = async (email, password, name, role = 'student') => {
+  // New accounts start as students. Wanting to teach files an application
+  // that an admin approves from the admin console.
+  const createUserDoc = async (firebaseUser, name, application) => {
+    const profile = {
+      name,
+      email: firebaseUser.email,
+      role: 'student',
+      createdAt: new Date(),
+    };
+
+    if (application) {
+      await submitInstructorApplication({ uid: firebaseUser.uid, name, email: firebaseUser.email }, application, profile);
+    } else {
+      await setDoc(doc(db, 'users', firebaseUser.uid), profile);
+    }
+
+    // The auth listener may have read the user before the document existed
+    setUser(prev => prev && ({
+      ...prev,
+      ...profile,
+      ...(application && { instructorStatus: 'pending' }),
+    }));
+  };
+
+  const signup = async (email, password, name, application = null) => {
     try {
       const userCredential = await createUserWithEmailAndPassword(auth, email, password);
       
       // Create user document in Firestore
-      await setDoc(doc(db, 'users', userCredential.user.uid), {
-        name,
-        email,
-        role,
-        createdAt: new Date(),
-      });
+      await createUserDoc(userCredential.user, name, application);
 
       toast.success('Account created successfully!');
       return userCredential;
@@ -92,7 +120,7 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const googleSignIn = async (role = 'student') => {
+  const googleSignIn = async (application = null) => {
     try {
       const provider = new GoogleAuthProvider();
       const userCredential = await signInWithPopup(auth, provider);
@@ -102,12 +130,7 @@ export const AuthProvider = ({ children }) => {
       
       if (!userDoc.exists()) {
         // Create user document if it doesn't exist
-        await setDoc(doc(db, 'users', userCredential.user.uid), {
-          name: userCredential.user.displayName,
-          email: userCredential.user.email,
-          role,
-          createdAt: new Date(),
-        });
+        await createUserDoc(userCredential.user, userCredential.user.displayName, application);
       }
 
       toast.success('Successfully logged in with Google!');
@@ -168,6 +191,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const applyToTeach = async (application) => {
+    await submitInstructorApplication(user, application);
+    setUser(prev => ({ ...prev, instructorStatus: 'pending' }));
+  };
+
   const value = {
     user,
     loading,
@@ -177,6 +205,7 @@ export const AuthProvider = ({ children }) => {
     logout,
     resetPassword,
     updateUserProfile,
+    applyToTeach,
   };
 
   return (
@@ -0,0 +1,60 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { doc, updateDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { useAuth } from './AuthContext';
+import usePlatformSettings from '../hooks/usePlatformSettings';
+import { BASE_CURRENCY, isSupportedCurrency } from '../utils/currency';
+
+const STORAGE_KEY = 'preferredCurrency';
+
+const CurrencyContext = createContext();
+
+export const useCurrency = () => {
+  return useContext(CurrencyContext);
+};
+
+// The currency the student browses and pays in, plus the exchange rates used to
+// price courses that don't set their own price for it. Prices stay in the base
+// currency until the rates have loaded.
+export const CurrencyProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { exchangeRates } = usePlatformSettings();
+  const [currency, setCurrencyState] = useState(() => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isSupportedCurrency(stored) ? stored : BASE_CURRENCY;
+  });
+  // A choice saved on the profile follows the student across devices
+  useEffect(() => {
+    if (isSupportedCurrency(user?.preferredCurrency)) {
+      setCurrencyState(user.preferredCurrency);
+      localStorage.setItem(STORAGE_KEY, user.preferredCurrency);
+    }
+  }, [user?.preferredCurrency]);
+
+  const setCurrency = async (nextCurrency) => {
+    if (!isSupportedCurrency(nextCurrency)) return;
+
+    setCurrencyState(nextCurrency);
+    localStorage.setItem(STORAGE_KEY, nextCurrency);
+
+    if (user?.uid) {
+      try {
+        await updateDoc(doc(db, 'users', user.uid), { preferredCurrency: nextCurrency });
+      } catch (error) {
+        console.error('Error saving preferred currency:', error);
+      }
+    }
+  };
+
+  const value = {
+    currency: exchangeRates ? currency : BASE_CURRENCY,
+    rates: exchangeRates || {},
+    setCurrency,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
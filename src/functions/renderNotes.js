@@ -0,0 +1,87 @@
+import { jsPDF } from 'jspdf';
+import { groupNotes, stripMarkdown } from '../utils/notes';
+import { formatPlaybackTime } from '../utils/playback';
+
+// A4 portrait, in millimetres
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 20;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BRAND_COLOR = [30, 64, 175];
+
+/**
+ * Renders the student's notes, grouped by course and lesson
+ * @param {Array} notes Notes from getMyNotes
+ * @returns {jsPDF} The PDF document
+ */
+export const renderNotesPdf = (notes) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  pdf.setProperties({ title: 'My notes' });
+
+  let y = MARGIN;
+  // Starts a new page when the next block would not fit
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      pdf.addPage();
+      y = MARGIN;
+    }
+  };
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(22);
+  pdf.setTextColor(...BRAND_COLOR);
+  pdf.text('My notes', MARGIN, y + 4);
+  y += 16;
+
+  groupNotes(notes).forEach(course => {
+    ensureSpace(20);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(15);
+    pdf.setTextColor(17, 24, 39);
+    pdf.text(pdf.splitTextToSize(course.title, CONTENT_WIDTH), MARGIN, y);
+    y += 9;
+
+    course.lessons.forEach(lesson => {
+      ensureSpace(14);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(12);
+      pdf.setTextColor(55, 65, 81);
+      pdf.text(pdf.splitTextToSize(lesson.title, CONTENT_WIDTH), MARGIN, y);
+      y += 7;
+
+      lesson.notes.forEach(note => {
+        const lines = pdf.splitTextToSize(stripMarkdown(note.body) || 'Bookmark', CONTENT_WIDTH - 18);
+        ensureSpace(Math.min(lines.length, 4) * 5 + 3);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(10);
+        pdf.setTextColor(...BRAND_COLOR);
+        pdf.text(formatPlaybackTime(note.timestamp), MARGIN, y);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor(31, 41, 55);
+        lines.forEach(line => {
+          ensureSpace(5);
+          pdf.text(line, MARGIN + 18, y);
+          y += 5;
+        });
+        y += 3;
+      });
+      y += 3;
+    });
+    y += 4;
+  });
+
+  return pdf;
+};
+
+/**
+ * Downloads the student's notes as a PDF
+ * @param {Array} notes Notes from getMyNotes
+ */
+export const downloadNotesPdf = (notes) => {
+  try {
+    renderNotesPdf(notes).save('my-notes.pdf');
+  } catch (error) {
+    console.error('Error generating notes PDF:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,158 @@
+import { jsPDF } from 'jspdf';
+import {
+  getPaymentStatus,
+  getReceiptNumber,
+  getTaxBreakdown,
+} from '../utils/receipts';
+import { toDate } from '../utils/dates';
+import { formatCurrency } from '../utils/currency';
+
+// A4 portrait, in millimetres
+const PAGE_WIDTH = 210;
+const MARGIN = 20;
+const BRAND_COLOR = [30, 64, 175];
+
+const formatDate = (value) =>
+  (toDate(value) || new Date()).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric',
+  });
+
+const drawLabelValue = (pdf, label, value, x, y) => {
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text(label, x, y);
+  pdf.setFontSize(11);
+  pdf.setTextColor(17, 24, 39);
+  pdf.text(value || '-', x, y + 5);
+};
+
+const drawTotalRow = (pdf, label, value, y, bold = false) => {
+  pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+  pdf.setFontSize(bold ? 12 : 10);
+  pdf.setTextColor(17, 24, 39);
+  pdf.text(label, PAGE_WIDTH - MARGIN - 60, y);
+  pdf.text(value, PAGE_WIDTH - MARGIN, y, { align: 'right' });
+};
+
+/**
+ * Renders the receipt / invoice for a payment
+ * @param {Object} payment The payment document, including its id
+ * @param {Object} buyer Name and email of the buyer, used when the payment has none stored
+ * @param {number} defaultTaxRate The platform tax rate, used when the payment has none stored
+ * @returns {jsPDF} The PDF document
+ */
+export const renderReceiptPdf = (payment, buyer = {}, defaultTaxRate = 0) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const receiptNumber = getReceiptNumber(payment);
+  const currency = payment.currency || 'USD';
+  const { total, tax, subtotal, taxRate } = getTaxBreakdown(payment, defaultTaxRate);
+  const buyerName = payment.buyer?.name || buyer.name || 'Student';
+  const buyerEmail = payment.buyer?.email || buyer.email || '';
+  const courseTitle = payment.courseTitle || payment.course?.title || 'Course';
+
+  pdf.setProperties({
+    title: `Receipt ${receiptNumber}`,
+    subject: `Receipt for ${courseTitle}`,
+  });
+
+  // Header band
+  pdf.setFillColor(...BRAND_COLOR);
+  pdf.rect(0, 0, PAGE_WIDTH, 36, 'F');
+  pdf.setTextColor(255, 255, 255);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(22);
+  pdf.text('ModernLMS', MARGIN, 22);
+  pdf.setFontSize(14);
+  pdf.text('RECEIPT / INVOICE', PAGE_WIDTH - MARGIN, 22, { align: 'right' });
+
+  let y = 52;
+  drawLabelValue(pdf, 'Receipt number', receiptNumber, MARGIN, y);
+  drawLabelValue(pdf, 'Date', formatDate(payment.createdAt || payment.date), 85, y);
+  drawLabelValue(pdf, 'Status', getPaymentStatus(payment.status).label, 150, y);
+
+  y += 20;
+  drawLabelValue(pdf, 'Billed to', buyerName, MARGIN, y);
+  if (buyerEmail) {
+    pdf.setFontSize(10);
+    pdf.setTextColor(75, 85, 99);
+    pdf.text(buyerEmail, MARGIN, y + 10);
+  }
+  drawLabelValue(pdf, 'Payment reference', payment.reference, 85, y);
+  drawLabelValue(pdf, 'Payment method', payment.paymentMethod || 'Paystack', 150, y);
+
+  // Line items
+  y += 28;
+  pdf.setFillColor(243, 244, 246);
+  pdf.rect(MARGIN, y - 6, PAGE_WIDTH - MARGIN * 2, 10, 'F');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.setTextColor(55, 65, 81);
+  pdf.text('Description', MARGIN + 3, y);
+  pdf.text('Qty', 140, y, { align: 'right' });
+  pdf.text('Amount', PAGE_WIDTH - MARGIN - 3, y, { align: 'right' });
+
+  y += 12;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setTextColor(17, 24, 39);
+  const description = payment.type === 'bundle'
+    ? `Bundle: ${courseTitle} (${payment.courseIds?.length || 0} courses)`
+    : payment.type === 'gift'
+      ? `Gift: ${courseTitle}`
+      : payment.type === 'seats'
+        ? `Team seats: ${courseTitle} (${payment.organizationName || 'organization'})`
+        : `Course: ${courseTitle}`;
+  const descriptionLines = pdf.splitTextToSize(description, 100);
+  pdf.text(descriptionLines, MARGIN + 3, y);
+  pdf.text(String(payment.quantity || 1), 140, y, { align: 'right' });
+  pdf.text(formatCurrency(subtotal, currency), PAGE_WIDTH - MARGIN - 3, y, { align: 'right' });
+
+  y += descriptionLines.length * 5;
+  if (payment.coupon) {
+    pdf.setFontSize(9);
+    pdf.setTextColor(22, 163, 74);
+    pdf.text(
+      `Coupon ${payment.coupon.code}: -${formatCurrency(payment.discountAmount, currency)} off ${formatCurrency(payment.originalAmount, currency)}`,
+      MARGIN + 3,
+      y
+    );
+    y += 5;
+  }
+  y += 6;
+  pdf.setDrawColor(229, 231, 235);
+  pdf.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+
+  // Totals
+  y += 10;
+  drawTotalRow(pdf, 'Subtotal', formatCurrency(subtotal, currency), y);
+  y += 8;
+  drawTotalRow(pdf, `Tax (VAT ${Math.round(taxRate * 1000) / 10}%)`, formatCurrency(tax, currency), y);
+  y += 4;
+  pdf.line(PAGE_WIDTH - MARGIN - 60, y, PAGE_WIDTH - MARGIN, y);
+  y += 8;
+  drawTotalRow(pdf, 'Total paid', formatCurrency(total, currency), y, true);
+
+  // Footer
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text('Prices include tax. Thank you for learning with ModernLMS.', PAGE_WIDTH / 2, 280, { align: 'center' });
+
+  return pdf;
+};
+
+/**
+ * Renders a payment's receipt and downloads it
+ * @param {Object} payment The payment document, including its id
+ * @param {Object} buyer Fallback buyer details
+ * @param {number} defaultTaxRate Fallback tax rate
+ */
+export const downloadReceiptPdf = (payment, buyer, defaultTaxRate) => {
+  try {
+    const pdf = renderReceiptPdf(payment, buyer, defaultTaxRate);
+    pdf.save(`${getReceiptNumber(payment)}.pdf`);
+  } catch (error) {
+    console.error('Error generating receipt PDF:', error);
+    throw error;
+  }
+};
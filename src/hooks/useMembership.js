@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { useAuth } from '../context/AuthContext';
+import { isMembershipActive } from '../utils/memberships';
+
+// Real-time membership of the signed-in user, written by the payment functions
+const useMembership = () => {
+  const { user } = useAuth();
+  const [membership, setMembership] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user?.uid) {
+      setMembership(null);
+      setIsLoading(false);
+      return undefined;
+    }
+
+    setIsLoading(true);
+    const unsubscribe = onSnapshot(
+      doc(db, 'memberships', user.uid),
+      (snapshot) => {
+        setMembership(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        setIsLoading(false);
+      },
+      (error) => {
+        console.error('Membership subscription error:', error);
+        setIsLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [user?.uid]);
+
+  return { membership, isActive: isMembershipActive(membership), isLoading };
+};
+
+export default useMembership;
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { collection, query, where, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { useAuth } from '../context/AuthContext';
+
+// How many of the latest notifications are listed
+const NOTIFICATION_LIMIT = 50;
+// Unread notifications counted past this are shown as "100+"
+const UNREAD_LIMIT = 100;
+
+// Real-time list of the signed-in user's latest notifications, newest first,
+// and how many are unread
+const useNotifications = () => {
+  const { user } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user?.uid) {
+      setNotifications([]);
+      setUnreadCount(0);
+      setIsLoading(false);
+      return undefined;
+    }
+
+    setIsLoading(true);
+    // Uses the userId + createdAt index in firestore.indexes.json
+    const latestQuery = query(
+      collection(db, 'notifications'),
+      where('userId', '==', user.uid),
+      orderBy('createdAt', 'desc'),
+      limit(NOTIFICATION_LIMIT)
+    );
+    const unreadQuery = query(
+      collection(db, 'notifications'),
+      where('userId', '==', user.uid),
+      where('read', '==', false),
+      limit(UNREAD_LIMIT)
+    );
+
+    const unsubscribeLatest = onSnapshot(
+      latestQuery,
+      (snapshot) => {
+        setNotifications(snapshot.docs.map(notificationDoc => ({ id: notificationDoc.id, ...notificationDoc.data() })));
+        setIsLoading(false);
+      },
+      (error) => {
+        console.error('Notifications subscription error:', error);
+        setIsLoading(false);
+      }
+    );
+    const unsubscribeUnread = onSnapshot(
+      unreadQuery,
+      (snapshot) => setUnreadCount(snapshot.size),
+      (error) => console.error('Unread notifications subscription error:', error)
+    );
+
+    return () => {
+      unsubscribeLatest();
+      unsubscribeUnread();
+    };
+  }, [user?.uid]);
+
+  return {
+    notifications,
+    unreadCount,
+    hasMoreUnread: unreadCount >= UNREAD_LIMIT,
+    isLoading,
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+import { getPlatformSettings } from '../utils/platformSettings';
+
+// The exchange rates, tax rate and membership plans, loaded once per session.
+// exchangeRates and taxRate are null until they arrive.
+const usePlatformSettings = () => {
+  const { data, isPending } = useQuery({
+    queryKey: ['platformSettings'],
+    queryFn: getPlatformSettings,
+    staleTime: Infinity,
+  });
+
+  return {
+    exchangeRates: data?.exchangeRates || null,
+    taxRate: data?.taxRate ?? null,
+    membershipPlans: data?.membershipPlans || {},
+    isLoading: isPending,
+  };
+};
+
+export default usePlatformSettings;
@@ -2,7 +2,9 @@ import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { db } from '../config/firebase';
-import { collection, query, limit, getDocs } from 'firebase/firestore';
+import { collection, query, where, limit, getDocs } from 'firebase/firestore';
+import { getEffectivePrice, formatPrice } from '../utils/pricing';
+import { isCoursePublished } from '../utils/courseStatus';
 import { AcademicCapIcon, ClockIcon, UserGroupIcon, LightBulbIcon, ArrowRightIcon, CheckCircleIcon, StarIcon } from '@heroicons/react/24/outline';
 
 const Landing = () => {
@@ -27,12 +29,16 @@ const Landing = () => {
   useEffect(() => {
     const fetchFeaturedCourses = async () => {
       try {
-        const q = query(collection(db, 'courses'), limit(3));
+        // A few extra in case some published courses are in the recycle bin
+        const q = query(collection(db, 'courses'), where('status', '==', 'published'), limit(6));
         const querySnapshot = await getDocs(q);
-        const courses = querySnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+        const courses = querySnapshot.docs
+          .map(doc => ({
+            id: doc.id,
+            ...doc.data()
+          }))
+          .filter(isCoursePublished)
+          .slice(0, 3);
         setFeaturedCourses(courses);
       } catch (error) {
         console.error('Error fetching featured courses:', error);
@@ -266,7 +272,7 @@ const Landing = () => {
                   <h3 className="text-xl font-bold text-gray-900 mb-2">{course.title}</h3>
                   <p className="text-gray-600 mb-6 line-clamp-2">{course.description}</p>
                   <div className="flex justify-between items-center">
-                    <span className="text-blue-600 font-bold">{course.price ? `$${course.price}` : 'Free'}</span>
+                    <span className="text-blue-600 font-bold">{formatPrice(getEffectivePrice(course))}</span>
                   <Link
                     to={`/courses/${course.id}`}
                       className="text-blue-600 font-medium hover:text-blue-700 flex items-center"
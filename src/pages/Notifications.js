@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import {
+  BellIcon,
+  AcademicCapIcon,
+  ChatBubbleLeftRightIcon,
+  UserPlusIcon,
+  DocumentCheckIcon,
+  ClockIcon,
+  CheckIcon,
+  ArrowUturnLeftIcon,
+  GiftIcon,
+  BuildingOfficeIcon,
+  ShieldCheckIcon,
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../context/AuthContext';
+import useNotifications from '../hooks/useNotifications';
+import {
+  NOTIFICATION_TYPES,
+  markNotificationRead,
+  markAllNotificationsRead,
+  formatTimeAgo,
+} from '../utils/notifications';
+
+const typeIcons = {
+  [NOTIFICATION_TYPES.courseUpdate]: { icon: AcademicCapIcon, color: 'text-blue-600 bg-blue-100' },
+  [NOTIFICATION_TYPES.discussionReply]: { icon: ChatBubbleLeftRightIcon, color: 'text-purple-600 bg-purple-100' },
+  [NOTIFICATION_TYPES.newEnrollment]: { icon: UserPlusIcon, color: 'text-green-600 bg-green-100' },
+  [NOTIFICATION_TYPES.certificateIssued]: { icon: DocumentCheckIcon, color: 'text-yellow-600 bg-yellow-100' },
+  [NOTIFICATION_TYPES.accessExpiring]: { icon: ClockIcon, color: 'text-red-600 bg-red-100' },
+  [NOTIFICATION_TYPES.refundRequested]: { icon: ArrowUturnLeftIcon, color: 'text-yellow-600 bg-yellow-100' },
+  [NOTIFICATION_TYPES.refundApproved]: { icon: ArrowUturnLeftIcon, color: 'text-green-600 bg-green-100' },
+  [NOTIFICATION_TYPES.refundDenied]: { icon: ArrowUturnLeftIcon, color: 'text-red-600 bg-red-100' },
+  [NOTIFICATION_TYPES.giftRedeemed]: { icon: GiftIcon, color: 'text-purple-600 bg-purple-100' },
+  [NOTIFICATION_TYPES.seatAssigned]: { icon: BuildingOfficeIcon, color: 'text-blue-600 bg-blue-100' },
+  [NOTIFICATION_TYPES.orgMemberJoined]: { icon: BuildingOfficeIcon, color: 'text-green-600 bg-green-100' },
+  [NOTIFICATION_TYPES.instructorApplication]: { icon: ShieldCheckIcon, color: 'text-purple-600 bg-purple-100' },
+  [NOTIFICATION_TYPES.courseReviewed]: { icon: AcademicCapIcon, color: 'text-green-600 bg-green-100' },
+};
+
+const Notifications = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { notifications, unreadCount, hasMoreUnread, isLoading } = useNotifications();
+  const [filter, setFilter] = useState('all');
+  const [isMarkingAll, setIsMarkingAll] = useState(false);
+
+  const visibleNotifications = filter === 'unread'
+    ? notifications.filter(notification => !notification.read)
+    : notifications;
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markNotificationRead(notification.id);
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    setIsMarkingAll(true);
+    try {
+      await markAllNotificationsRead(user.uid);
+      toast.success('All notifications marked as read');
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    } finally {
+      setIsMarkingAll(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Notifications</h1>
+            <p className="mt-2 text-gray-600">
+              {unreadCount > 0 ? `You have ${unreadCount}${hasMoreUnread ? '+' : ''} unread notifications` : "You're all caught up"}
+            </p>
+          </div>
+          <button
+            onClick={handleMarkAllRead}
+            disabled={unreadCount === 0 || isMarkingAll}
+            className="mt-4 md:mt-0 inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <CheckIcon className="h-5 w-5 mr-2" />
+            Mark all as read
+          </button>
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {['all', 'unread'].map(option => (
+            <button
+              key={option}
+              onClick={() => setFilter(option)}
+              className={`px-3 py-1.5 rounded-md text-sm capitalize ${
+                filter === option ? 'bg-blue-100 text-blue-800 font-medium' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+          {isLoading ? (
+            [...Array(3)].map((_, i) => (
+              <div key={i} className="animate-pulse p-4">
+                <div className="h-4 bg-gray-200 rounded w-1/3 mb-2" />
+                <div className="h-4 bg-gray-200 rounded w-2/3" />
+              </div>
+            ))
+          ) : visibleNotifications.length === 0 ? (
+            <div className="text-center py-12">
+              <BellIcon className="mx-auto h-12 w-12 text-gray-300" />
+              <h3 className="mt-2 text-lg font-medium text-gray-900">No notifications</h3>
+              <p className="text-gray-500">
+                {filter === 'unread' ? 'You have read everything.' : "We'll let you know when something happens."}
+              </p>
+            </div>
+          ) : (
+            visibleNotifications.map(notification => {
+              const { icon: Icon, color } = typeIcons[notification.type] || { icon: BellIcon, color: 'text-gray-600 bg-gray-100' };
+              return (
+                <motion.div
+                  key={notification.id}
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  onClick={() => handleOpen(notification)}
+                  className={`flex items-start p-4 cursor-pointer hover:bg-gray-50 transition-colors ${
+                    notification.read ? '' : 'bg-blue-50/60'
+                  }`}
+                >
+                  <div className={`flex-shrink-0 rounded-full p-2 ${color}`}>
+                    <Icon className="h-5 w-5" />
+                  </div>
+                  <div className="ml-4 flex-1">
+                    <div className="flex justify-between">
+                      <p className={`text-sm ${notification.read ? 'font-medium text-gray-700' : 'font-semibold text-gray-900'}`}>
+                        {notification.title}
+                      </p>
+                      <span className="text-xs text-gray-500 whitespace-nowrap ml-4">
+                        {formatTimeAgo(notification.createdAt)}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
+                  </div>
+                  {!notification.read && (
+                    <span className="ml-3 mt-1.5 h-2.5 w-2.5 rounded-full bg-blue-600 flex-shrink-0" />
+                  )}
+                </motion.div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../context/AuthContext';
 import { doc, updateDoc } from 'firebase/firestore';
 import { updateProfile } from 'firebase/auth';
@@ -11,6 +12,97 @@ import {
   EnvelopeIcon,
   KeyIcon,
 } from '@heroicons/react/24/outline';
+import InstructorApplicationFields from '../components/InstructorApplicationFields';
+import {
+  APPLICATION_STATUSES,
+  EMPTY_APPLICATION,
+  getMyApplication,
+  isPendingInstructor,
+  validateApplication,
+} from '../utils/instructorApplications';
+
+const ROLE_LABELS = {
+  student: 'Student',
+  instructor: 'Instructor',
+  admin: 'Admin',
+};
+
+// Where a student stands with their application to teach, and the form to apply
+const TeachingApplication = () => {
+  const { user, applyToTeach } = useAuth();
+  const queryClient = useQueryClient();
+  const [application, setApplication] = useState(EMPTY_APPLICATION);
+
+  const { data: existing, isLoading } = useQuery({
+    queryKey: ['instructorApplication', user?.uid],
+    queryFn: () => getMyApplication(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: applyToTeach,
+    onSuccess: () => {
+      toast.success('Your application to teach has been sent for review');
+      setApplication(EMPTY_APPLICATION);
+      queryClient.invalidateQueries({ queryKey: ['instructorApplication', user?.uid] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to send your application');
+    },
+  });
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    const error = validateApplication(application);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    applyMutation.mutate(application);
+  };
+
+  if (isLoading) return null;
+
+  const status = existing && APPLICATION_STATUSES[existing.status];
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Teach on ModernLMS</h3>
+        {status && (
+          <span className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}>{status.label}</span>
+        )}
+      </div>
+      {existing?.status === 'pending' ? (
+        <p className="text-sm text-gray-600">
+          Your application to teach {existing.expertise} is being reviewed. We will notify you when an admin has decided.
+        </p>
+      ) : (
+        <form onSubmit={handleApply} className="space-y-4">
+          {existing?.status === 'rejected' ? (
+            <p className="text-sm text-gray-600">
+              Your last application was not approved{existing.reviewNote ? `: ${existing.reviewNote}` : '.'} You can apply again.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Apply to become an instructor. An admin reviews every application before you can create courses.
+            </p>
+          )}
+          <InstructorApplicationFields value={application} onChange={setApplication} />
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={applyMutation.isPending}
+              className="inline-flex justify-center py-3 px-5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {applyMutation.isPending ? 'Sending...' : 'Apply to teach'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
 
 const Profile = () => {
   const { user } = useAuth();
@@ -65,7 +157,10 @@ const Profile = () => {
                 <h3 className="text-xl font-semibold text-gray-900">
                   {user?.displayName || (user?.email ? user.email.split('@')[0] : 'Student')}
                 </h3>
-                <p className="text-sm text-gray-500 capitalize">{user?.role || 'Student'}</p>
+                <p className="text-sm text-gray-500">
+                  {ROLE_LABELS[user?.role] || 'Student'}
+                  {isPendingInstructor(user) && ' · instructor application pending'}
+                </p>
                 <p className="text-sm text-gray-500">{user?.email || 'No email provided'}</p>
               </div>
             </div>
@@ -121,7 +216,7 @@ const Profile = () => {
                     type="text"
                     name="role"
                     id="role"
-                    value={user?.role === 'instructor' ? 'Instructor' : 'Student'}
+                    value={ROLE_LABELS[user?.role] || 'Student'}
                     disabled
                     className="bg-gray-50 block w-full pl-10 sm:text-sm border-gray-300 rounded-md h-12"
                   />
@@ -166,6 +261,8 @@ const Profile = () => {
                 </div>
               </div>
             </form>
+
+            {user?.role === 'student' && <TeachingApplication />}
           </div>
         </div>
       </div>
@@ -1,9 +1,16 @@
-import React from 'react';
-import { useQuery } from '@tanstack/react-query';
+import React, { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
 import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import {
+  ensureVerificationCode,
+  getCertificatePdfUrl,
+  getVerificationUrl,
+  isCertificateRevoked,
+} from '../../utils/certificates';
 import {
   AcademicCapIcon,
   TrophyIcon,
@@ -11,10 +18,14 @@ import {
   StarIcon,
   ShareIcon,
   UserCircleIcon,
+  ArrowPathIcon,
+  ShieldCheckIcon,
 } from '@heroicons/react/24/outline';
 
 const Certificates = () => {
   const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [generatingId, setGeneratingId] = useState(null);
 
   const { data: certificates = [], isLoading } = useQuery({
     queryKey: ['certificates', user?.uid],
@@ -48,18 +59,54 @@ const Certificates = () => {
     },
   });
 
-  // Function to share certificate
-  const shareCertificate = (certificate) => {
+  // Open the PDF stored by the functions, which render it on the first
+  // download for certificates issued before it was stored
+  const downloadCertificate = async (certificate) => {
+    if (isCertificateRevoked(certificate)) {
+      toast.error('This certificate has been revoked');
+      return;
+    }
+
+    setGeneratingId(certificate.id);
+    try {
+      const verified = await ensureVerificationCode(certificate);
+      const pdfUrl = await getCertificatePdfUrl(verified);
+      if (verified !== certificate || pdfUrl !== certificate.pdfUrl) {
+        queryClient.invalidateQueries(['certificates', user?.uid]);
+      }
+      window.open(pdfUrl, '_blank');
+    } catch (error) {
+      toast.error('Failed to generate certificate PDF');
+    } finally {
+      setGeneratingId(null);
+    }
+  };
+
+  // Share the public verification page rather than the raw PDF
+  const shareCertificate = async (certificate) => {
+    let url;
+    try {
+      const verified = await ensureVerificationCode(certificate);
+      if (verified !== certificate) {
+        queryClient.invalidateQueries(['certificates', user?.uid]);
+      }
+      url = getVerificationUrl(verified);
+    } catch (error) {
+      console.error('Error preparing certificate link:', error);
+      toast.error('Failed to create certificate link');
+      return;
+    }
+
     if (navigator.share) {
       navigator.share({
         title: `${certificate.courseName} Certificate`,
         text: `I completed ${certificate.courseName} course!`,
-        url: certificate.pdfUrl,
+        url,
       })
       .catch((error) => console.error('Error sharing:', error));
     } else {
       // Fallback for browsers that don't support navigator.share
-      navigator.clipboard.writeText(certificate.pdfUrl)
+      navigator.clipboard.writeText(url)
         .then(() => alert('Certificate link copied to clipboard!'))
         .catch((error) => console.error('Error copying link:', error));
     }
@@ -122,19 +169,35 @@ const Certificates = () => {
                         <ShareIcon className="h-5 w-5" />
                       </button>
                     <button
-                      onClick={() => window.open(certificate.pdfUrl, '_blank')}
-                      className="p-2 text-blue-600 hover:text-blue-700"
+                      onClick={() => downloadCertificate(certificate)}
+                      disabled={generatingId === certificate.id || isCertificateRevoked(certificate)}
+                      className="p-2 text-blue-600 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                         title="Download Certificate"
                     >
-                        <DocumentArrowDownIcon className="h-5 w-5" />
+                        {generatingId === certificate.id ? (
+                          <ArrowPathIcon className="h-5 w-5 animate-spin" />
+                        ) : (
+                          <DocumentArrowDownIcon className="h-5 w-5" />
+                        )}
                     </button>
                     </div>
                   </div>
                   
                   <div className="flex items-center text-sm text-gray-600 mb-3">
                     <StarIcon className="h-5 w-5 text-yellow-400 mr-1" />
-                    {certificate.grade || 'Pass'}
+                    {certificate.grade !== null && certificate.grade !== undefined ? `${certificate.grade}%` : 'Pass'}
                   </div>
+
+                  {certificate.verificationCode && (
+                    <div className="flex items-center text-sm text-gray-600">
+                      <ShieldCheckIcon className="h-5 w-5 text-green-500 mr-1" />
+                      Verification code: <span className="ml-1 font-mono">{certificate.verificationCode}</span>
+                    </div>
+                  )}
+
+                  {isCertificateRevoked(certificate) && (
+                    <p className="mt-3 text-sm font-medium text-red-600">This certificate has been revoked</p>
+                  )}
                   
                   {/* Instructor info */}
                   {certificate.instructorName && (
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { doc, getDoc } from 'firebase/firestore';
+import { motion } from 'framer-motion';
+import { toast } from 'react-hot-toast';
+import {
+  AcademicCapIcon,
+  ShieldCheckIcon,
+  ShieldExclamationIcon,
+  XCircleIcon,
+  MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import { findCertificate, isCertificateRevoked, revokeCertificate } from '../../utils/certificates';
+import { isAdmin } from '../../utils/admin';
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = value.seconds ? new Date(value.seconds * 1000) : new Date(value);
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const VerifyCertificate = () => {
+  const { certificateId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+
+  const { data: certificate, isLoading, isError } = useQuery({
+    queryKey: ['verifyCertificate', certificateId],
+    queryFn: () => findCertificate(certificateId),
+    enabled: !!certificateId,
+  });
+
+  // Instructors may revoke the certificates of their own courses
+  const { data: courseInstructorId } = useQuery({
+    queryKey: ['certificateCourseInstructor', certificate?.courseId],
+    queryFn: async () => {
+      const courseDoc = await getDoc(doc(db, 'courses', certificate.courseId));
+      return courseDoc.exists() ? courseDoc.data().instructorId : null;
+    },
+    enabled: user?.role === 'instructor' && !!certificate?.courseId,
+  });
+
+  const canRevoke = Boolean(user) && (isAdmin(user) || courseInstructorId === user.uid);
+
+  const revokeMutation = useMutation({
+    mutationFn: ({ reason }) => revokeCertificate(certificate.id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['verifyCertificate', certificateId]);
+      toast.success('Certificate revoked');
+    },
+    onError: (error) => toast.error(error.message || 'Failed to revoke the certificate'),
+  });
+
+  const handleRevoke = () => {
+    const reason = window.prompt(`Revoke the certificate of ${certificate.userName}? Reason:`);
+    if (reason === null) return;
+    revokeMutation.mutate({ reason: reason.trim() });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    navigate(`/verify/${encodeURIComponent(code.trim())}`);
+  };
+
+  const revoked = isCertificateRevoked(certificate);
+
+  const renderResult = () => {
+    if (!certificateId) return null;
+
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      );
+    }
+
+    if (isError || !certificate) {
+      return (
+        <div className="rounded-lg bg-red-50 border border-red-100 p-6 flex items-start">
+          <XCircleIcon className="h-8 w-8 text-red-500 mr-4 flex-shrink-0" />
+          <div>
+            <h2 className="text-lg font-semibold text-red-800">Certificate not found</h2>
+            <p className="mt-1 text-sm text-red-700">
+              No certificate matches "{certificateId}". Check the code and try again.
+            </p>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-lg shadow-sm overflow-hidden"
+        style={{ borderTop: `4px solid ${certificate.templateColor || '#1E40AF'}` }}
+      >
+        <div className={`px-6 py-4 flex items-center ${revoked ? 'bg-red-50' : 'bg-green-50'}`}>
+          {revoked ? (
+            <ShieldExclamationIcon className="h-8 w-8 text-red-500 mr-3" />
+          ) : (
+            <ShieldCheckIcon className="h-8 w-8 text-green-500 mr-3" />
+          )}
+          <div>
+            <h2 className={`text-lg font-semibold ${revoked ? 'text-red-800' : 'text-green-800'}`}>
+              {revoked ? 'This certificate has been revoked' : 'Valid certificate'}
+            </h2>
+            {revoked ? (
+              <p className="text-sm text-red-700">
+                Revoked on {formatDate(certificate.revokedAt)}
+                {certificate.revokedReason ? ` - ${certificate.revokedReason}` : ''}
+              </p>
+            ) : (
+              <p className="text-sm text-green-700">Issued by ModernLMS</p>
+            )}
+          </div>
+        </div>
+
+        <dl className="px-6 py-6 grid grid-cols-1 sm:grid-cols-2 gap-6">
+          <div>
+            <dt className="text-sm text-gray-500">Awarded to</dt>
+            <dd className="mt-1 text-lg font-medium text-gray-900">{certificate.userName}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Course</dt>
+            <dd className="mt-1 text-lg font-medium text-gray-900">{certificate.courseName}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Grade</dt>
+            <dd className="mt-1 text-gray-900">
+              {certificate.grade !== null && certificate.grade !== undefined ? `${certificate.grade}%` : 'Pass'}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Issued on</dt>
+            <dd className="mt-1 text-gray-900">{formatDate(certificate.completedAt || certificate.createdAt)}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Instructor</dt>
+            <dd className="mt-1 text-gray-900">{certificate.instructorName || '-'}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Verification code</dt>
+            <dd className="mt-1 font-mono text-gray-900">{certificate.verificationCode || certificate.id}</dd>
+          </div>
+        </dl>
+
+        {canRevoke && !revoked && (
+          <div className="px-6 py-4 border-t border-gray-100 flex justify-end">
+            <button
+              onClick={handleRevoke}
+              disabled={revokeMutation.isPending}
+              className="px-4 py-2 text-sm font-medium rounded-md text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50"
+            >
+              {revokeMutation.isPending ? 'Revoking...' : 'Revoke certificate'}
+            </button>
+          </div>
+        )}
+      </motion.div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center justify-between">
+          <Link to="/" className="flex items-center">
+            <AcademicCapIcon className="h-8 w-8 text-blue-600" />
+            <span className="ml-2 text-xl font-bold text-gray-900">ModernLMS</span>
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Verify a Certificate</h1>
+          <p className="mt-2 text-gray-600">
+            Enter the verification code printed at the bottom of the certificate.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex space-x-3">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="e.g. K7QM-3XPA"
+              className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md shadow-sm uppercase focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            className="px-6 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Verify
+          </button>
+        </form>
+
+        {renderResult()}
+      </main>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
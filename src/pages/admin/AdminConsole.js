@@ -0,0 +1,740 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import {
+  ChartBarIcon,
+  UsersIcon,
+  AcademicCapIcon,
+  DocumentCheckIcon,
+  FlagIcon,
+  MagnifyingGlassIcon,
+  ClipboardDocumentCheckIcon,
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { formatCurrency } from '../../utils/currency';
+import {
+  USER_ROLES,
+  setUserRole,
+  setUserSuspended,
+  resolveInstructorApplication,
+  migrateProgress,
+  backfillCourseStatus,
+  migrateQuizKeys,
+  getAllUsers,
+  getAllCourses,
+  getPendingApplications,
+  getPlatformTotals,
+} from '../../utils/admin';
+import { getFlaggedDiscussions, moderateDiscussion } from '../../utils/moderation';
+import {
+  COURSE_STATUSES,
+  getCourseStatus,
+  getPublishChecklist,
+  getSubmittedCourses,
+  reviewCourse,
+} from '../../utils/courseStatus';
+import PublishChecklist from '../../components/courses/PublishChecklist';
+
+const TABS = [
+  { id: 'overview', label: 'Overview', icon: ChartBarIcon },
+  { id: 'users', label: 'Users', icon: UsersIcon },
+  { id: 'courses', label: 'Courses', icon: AcademicCapIcon },
+  { id: 'reviews', label: 'Course Reviews', icon: ClipboardDocumentCheckIcon },
+  { id: 'applications', label: 'Applications', icon: DocumentCheckIcon },
+  { id: 'moderation', label: 'Moderation', icon: FlagIcon },
+];
+
+const SALE_TYPE_LABELS = {
+  course: 'Courses',
+  bundle: 'Bundles',
+  gift: 'Gifts',
+  seats: 'Team seats',
+  membership: 'Memberships',
+};
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="bg-white rounded-lg shadow-sm p-6">
+    <p className="text-sm font-medium text-gray-500">{label}</p>
+    <p className="mt-1 text-3xl font-bold text-gray-900">{value}</p>
+    {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+const EmptyState = ({ icon: Icon, message }) => (
+  <div className="text-center py-12">
+    <Icon className="mx-auto h-12 w-12 text-gray-300" />
+    <p className="mt-2 text-gray-500">{message}</p>
+  </div>
+);
+
+const Overview = () => {
+  const { data: totals, isLoading } = useQuery({
+    queryKey: ['adminTotals'],
+    queryFn: getPlatformTotals,
+  });
+
+  const migrationMutation = useMutation({
+    mutationFn: migrateProgress,
+    onSuccess: ({ recordsWritten, legacyDeleted, enrollmentsUpdated, coursesUpdated }) => {
+      toast.success(`Migrated ${recordsWritten} lesson records, removed ${legacyDeleted} legacy documents, `
+        + `recounted ${enrollmentsUpdated} enrollments and ${coursesUpdated} courses`);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to migrate progress');
+    },
+  });
+
+  const backfillMutation = useMutation({
+    mutationFn: backfillCourseStatus,
+    onSuccess: ({ updated = 0 }) => {
+      toast.success(`Marked ${updated} ${updated === 1 ? 'course' : 'courses'} as published`);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to update courses');
+    },
+  });
+
+  const quizKeysMutation = useMutation({
+    mutationFn: migrateQuizKeys,
+    onSuccess: ({ updated = 0 }) => {
+      toast.success(`Moved the quiz answers of ${updated} ${updated === 1 ? 'course' : 'courses'}`);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to move quiz answers');
+    },
+  });
+
+  if (isLoading || !totals) {
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 animate-pulse">
+        {[...Array(6)].map((_, i) => <div key={i} className="h-28 bg-white rounded-lg shadow-sm" />)}
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <StatCard
+        label="Revenue (USD)"
+        value={formatCurrency(totals.revenue)}
+        detail={totals.refunded > 0 ? `After ${formatCurrency(totals.refunded)} refunded` : null}
+      />
+      <StatCard
+        label="Sales"
+        value={totals.sales}
+        detail={Object.entries(totals.salesByType)
+          .map(([type, count]) => `${count} ${(SALE_TYPE_LABELS[type] || type).toLowerCase()}`)
+          .join(' · ')}
+      />
+      <StatCard
+        label="Active enrollments"
+        value={totals.activeEnrollments}
+        detail={`${totals.totalEnrollments} including refunded, expired and reclaimed`}
+      />
+      <StatCard
+        label="Users"
+        value={totals.users}
+        detail={Object.entries(totals.usersByRole)
+          .map(([role, count]) => `${count} ${(USER_ROLES[role]?.label || role).toLowerCase()}s`)
+          .join(' · ')}
+      />
+      <StatCard
+        label="Suspended users"
+        value={totals.suspendedUsers}
+      />
+      <StatCard
+        label="Courses"
+        value={totals.courses}
+        detail={totals.deletedCourses > 0 ? `Plus ${totals.deletedCourses} deleted` : null}
+      />
+      <div className="md:col-span-3 bg-white rounded-lg shadow-sm p-6 flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">Lesson progress migration</p>
+          <p className="mt-1 text-xs text-gray-500">
+            Folds progress saved by older versions into one record per student and lesson and recounts
+            completions. Safe to run again.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            if (window.confirm('Migrate lesson progress now? This rewrites progress records and completion counts.')) {
+              migrationMutation.mutate();
+            }
+          }}
+          disabled={migrationMutation.isPending}
+          className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {migrationMutation.isPending ? 'Migrating...' : 'Run migration'}
+        </button>
+      </div>
+      <div className="md:col-span-3 bg-white rounded-lg shadow-sm p-6 flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">Course status backfill</p>
+          <p className="mt-1 text-xs text-gray-500">
+            Marks courses created before course review as published, so the catalog and landing page list
+            them. Safe to run again.
+          </p>
+        </div>
+        <button
+          onClick={() => backfillMutation.mutate()}
+          disabled={backfillMutation.isPending}
+          className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {backfillMutation.isPending ? 'Updating...' : 'Run backfill'}
+        </button>
+      </div>
+      <div className="md:col-span-3 bg-white rounded-lg shadow-sm p-6 flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900">Quiz answer migration</p>
+          <p className="mt-1 text-xs text-gray-500">
+            Moves the answers of quizzes saved by older versions out of the public course pages and their
+            version history. Safe to run again.
+          </p>
+        </div>
+        <button
+          onClick={() => quizKeysMutation.mutate()}
+          disabled={quizKeysMutation.isPending}
+          className="ml-4 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {quizKeysMutation.isPending ? 'Moving...' : 'Run migration'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const Users = () => {
+  const { user: admin } = useAuth();
+  const queryClient = useQueryClient();
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['adminUsers'],
+    queryFn: getAllUsers,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }) => setUserRole(userId, role),
+    onSuccess: () => {
+      toast.success('Role updated');
+      queryClient.invalidateQueries({ queryKey: ['adminUsers'] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to change the role');
+    },
+  });
+
+  const suspendMutation = useMutation({
+    mutationFn: ({ userId, suspended, reason }) => setUserSuspended(userId, suspended, reason),
+    onSuccess: ({ suspended }) => {
+      toast.success(suspended ? 'Account suspended' : 'Suspension lifted');
+      queryClient.invalidateQueries({ queryKey: ['adminUsers'] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to update the account');
+    },
+  });
+
+  const handleRoleChange = (account, role) => {
+    if (!window.confirm(`Change ${account.name || account.email}'s role to ${USER_ROLES[role].label}?`)) return;
+    roleMutation.mutate({ userId: account.id, role });
+  };
+
+  const handleSuspend = (account) => {
+    if (account.suspended) {
+      if (window.confirm(`Lift the suspension on ${account.name || account.email}?`)) {
+        suspendMutation.mutate({ userId: account.id, suspended: false });
+      }
+      return;
+    }
+    const reason = window.prompt(`Suspend ${account.name || account.email}? They will be signed out. Reason:`);
+    if (reason === null) return;
+    suspendMutation.mutate({ userId: account.id, suspended: true, reason: reason.trim() });
+  };
+
+  const term = searchTerm.trim().toLowerCase();
+  const filteredUsers = term
+    ? users.filter(account =>
+      (account.name || '').toLowerCase().includes(term) || (account.email || '').toLowerCase().includes(term))
+    : users;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="p-4 border-b border-gray-100">
+        <div className="relative">
+          <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-2.5" />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search by name or email"
+            className="block w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+      {isLoading ? (
+        <div className="animate-pulse p-6 space-y-3">
+          {[...Array(5)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+        </div>
+      ) : filteredUsers.length === 0 ? (
+        <EmptyState icon={UsersIcon} message="No users found." />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-6 py-3">User</th>
+                <th className="px-6 py-3">Joined</th>
+                <th className="px-6 py-3">Role</th>
+                <th className="px-6 py-3 text-right">Account</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {filteredUsers.map(account => {
+                const isSelf = account.id === admin?.uid;
+                return (
+                  <tr key={account.id} className="text-sm">
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">
+                        {account.name || account.displayName || 'Unnamed'}
+                        {account.suspended && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Suspended</span>
+                        )}
+                      </p>
+                      <p className="text-gray-500">{account.email}</p>
+                    </td>
+                    <td className="px-6 py-4 text-gray-500">
+                      {account.createdDate ? account.createdDate.toLocaleDateString() : '—'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <select
+                        value={account.role || 'student'}
+                        onChange={(e) => handleRoleChange(account, e.target.value)}
+                        disabled={isSelf || roleMutation.isPending}
+                        className="px-3 py-1.5 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+                      >
+                        {Object.entries(USER_ROLES).map(([role, { label }]) => (
+                          <option key={role} value={role}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      {!isSelf && (
+                        <button
+                          onClick={() => handleSuspend(account)}
+                          disabled={suspendMutation.isPending}
+                          className={`px-3 py-1.5 border text-sm rounded-md ${account.suspended
+                            ? 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+                            : 'border-red-200 text-red-600 bg-white hover:bg-red-50'}`}
+                        >
+                          {account.suspended ? 'Unsuspend' : 'Suspend'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Courses = () => {
+  const [filter, setFilter] = useState('all');
+
+  const { data: courses = [], isLoading } = useQuery({
+    queryKey: ['adminCourses'],
+    queryFn: getAllCourses,
+  });
+
+  const filteredCourses = courses.filter(course => {
+    if (filter === 'deleted') return course.isDeleted;
+    if (filter === 'active') return !course.isDeleted;
+    return true;
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      <div className="p-4 border-b border-gray-100 flex items-center justify-between">
+        <p className="text-sm text-gray-500">{filteredCourses.length} courses</p>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="all">All courses</option>
+          <option value="active">Active</option>
+          <option value="deleted">Deleted</option>
+        </select>
+      </div>
+      {isLoading ? (
+        <div className="animate-pulse p-6 space-y-3">
+          {[...Array(5)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+        </div>
+      ) : filteredCourses.length === 0 ? (
+        <EmptyState icon={AcademicCapIcon} message="No courses found." />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="px-6 py-3">Course</th>
+                <th className="px-6 py-3">Instructor</th>
+                <th className="px-6 py-3 text-right">Price</th>
+                <th className="px-6 py-3 text-right">Students</th>
+                <th className="px-6 py-3">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {filteredCourses.map(course => (
+                <tr key={course.id} className="text-sm">
+                  <td className="px-6 py-4">
+                    <Link to={`/courses/${course.id}`} className="font-medium text-gray-900 hover:text-blue-600">
+                      {course.title || 'Untitled'}
+                    </Link>
+                    <p className="text-gray-500">{course.category || 'Uncategorized'}</p>
+                  </td>
+                  <td className="px-6 py-4 text-gray-700">{course.instructorName || '—'}</td>
+                  <td className="px-6 py-4 text-right text-gray-700">
+                    {Number(course.price) > 0 ? formatCurrency(Number(course.price)) : 'Free'}
+                  </td>
+                  <td className="px-6 py-4 text-right text-gray-700">{course.enrollmentCount || 0}</td>
+                  <td className="px-6 py-4">
+                    {course.isDeleted ? (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">Deleted</span>
+                    ) : (
+                      <span className={`px-2 py-0.5 text-xs rounded-full ${COURSE_STATUSES[getCourseStatus(course)].className}`}>
+                        {COURSE_STATUSES[getCourseStatus(course)].label}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CourseReviews = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: submitted = [], isLoading } = useQuery({
+    queryKey: ['submittedCourses'],
+    queryFn: getSubmittedCourses,
+  });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ course, approve, note }) => reviewCourse(course, approve, note, user),
+    onSuccess: (_, { approve }) => {
+      toast.success(approve ? 'Course published' : 'Course sent back to the instructor');
+      queryClient.invalidateQueries({ queryKey: ['submittedCourses'] });
+      queryClient.invalidateQueries({ queryKey: ['adminCourses'] });
+    },
+    onError: () => {
+      toast.error('Failed to review the course');
+    },
+  });
+
+  const handleReview = (course, approve) => {
+    const note = window.prompt(approve
+      ? `Publish ${course.title}? Add a note for the instructor (optional)`
+      : `Send ${course.title} back to draft? Tell the instructor what to change`);
+    if (note === null) return;
+    if (!approve && !note.trim()) {
+      toast.error('Tell the instructor what needs to change');
+      return;
+    }
+    reviewMutation.mutate({ course, approve, note: note.trim() });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm animate-pulse p-6 space-y-3">
+        {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+      </div>
+    );
+  }
+
+  if (submitted.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm">
+        <EmptyState icon={ClipboardDocumentCheckIcon} message="No courses waiting for review." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {submitted.map(course => (
+        <div key={course.id} className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex flex-col md:flex-row gap-6">
+            {course.thumbnail && (
+              <img src={course.thumbnail} alt={course.title} className="w-full md:w-48 h-32 object-cover rounded-md" />
+            )}
+            <div className="flex-1">
+              <Link to={`/courses/${course.id}`} className="font-semibold text-gray-900 hover:text-blue-600">
+                {course.title}
+              </Link>
+              <p className="text-sm text-gray-500">
+                {course.instructorName || 'Unknown instructor'} · {course.lessons?.length || 0} lessons ·{' '}
+                {course.isFree ? 'Free' : formatCurrency(Number(course.price) || 0)}
+                {course.submittedDate ? ` · Submitted ${course.submittedDate.toLocaleDateString()}` : ''}
+              </p>
+              <p className="mt-2 text-sm text-gray-700 line-clamp-3">{course.description}</p>
+              <div className="mt-4">
+                <PublishChecklist checklist={getPublishChecklist(course)} title="Publish checklist" />
+              </div>
+            </div>
+            <div className="flex md:flex-col gap-2">
+              <button
+                onClick={() => handleReview(course, true)}
+                disabled={reviewMutation.isPending}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                Publish
+              </button>
+              <button
+                onClick={() => handleReview(course, false)}
+                disabled={reviewMutation.isPending}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Send Back
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Applications = () => {
+  const queryClient = useQueryClient();
+
+  const { data: applications = [], isLoading } = useQuery({
+    queryKey: ['instructorApplications'],
+    queryFn: getPendingApplications,
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ applicationId, approve, note }) => resolveInstructorApplication(applicationId, approve, note),
+    onSuccess: ({ status }) => {
+      toast.success(status === 'approved' ? 'Application approved' : 'Application rejected');
+      queryClient.invalidateQueries({ queryKey: ['instructorApplications'] });
+      queryClient.invalidateQueries({ queryKey: ['adminUsers'] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to review the application');
+    },
+  });
+
+  const handleResolve = (application, approve) => {
+    const note = window.prompt(approve
+      ? `Approve ${application.name || application.email}? Add a note for them (optional)`
+      : `Reject ${application.name || application.email}? Let them know why (optional)`);
+    if (note === null) return;
+    resolveMutation.mutate({ applicationId: application.id, approve, note: note.trim() });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm animate-pulse p-6 space-y-3">
+        {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+      </div>
+    );
+  }
+
+  if (applications.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm">
+        <EmptyState icon={DocumentCheckIcon} message="No applications waiting for review." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {applications.map(application => (
+        <div key={application.id} className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+            <div className="flex-1">
+              <p className="font-semibold text-gray-900">{application.name || 'Unnamed'}</p>
+              <p className="text-sm text-gray-500">
+                {application.email}
+                {application.createdDate ? ` · Applied ${application.createdDate.toLocaleDateString()}` : ''}
+              </p>
+              {application.expertise && (
+                <p className="mt-3 text-sm"><span className="font-medium text-gray-700">Expertise:</span> {application.expertise}</p>
+              )}
+              {application.bio && <p className="mt-2 text-sm text-gray-700 whitespace-pre-line">{application.bio}</p>}
+              {application.sampleLinks?.length > 0 && (
+                <ul className="mt-2 space-y-1">
+                  {application.sampleLinks.map(link => (
+                    <li key={link}>
+                      <a href={link} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline break-all">
+                        {link}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleResolve(application, true)}
+                disabled={resolveMutation.isPending}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => handleResolve(application, false)}
+                disabled={resolveMutation.isPending}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Moderation = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: flagged = [], isLoading } = useQuery({
+    queryKey: ['flaggedDiscussions'],
+    queryFn: getFlaggedDiscussions,
+  });
+
+  const moderateMutation = useMutation({
+    mutationFn: ({ discussionId, hide }) => moderateDiscussion(discussionId, hide, user),
+    onSuccess: (_, { hide }) => {
+      toast.success(hide ? 'Message hidden' : 'Flags dismissed');
+      queryClient.invalidateQueries({ queryKey: ['flaggedDiscussions'] });
+    },
+    onError: () => {
+      toast.error('Failed to moderate the message');
+    },
+  });
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm animate-pulse p-6 space-y-3">
+        {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+      </div>
+    );
+  }
+
+  if (flagged.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm">
+        <EmptyState icon={FlagIcon} message="Nothing has been reported." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {flagged.map(message => (
+        <div key={message.id} className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+            <div className="flex-1">
+              <p className="text-sm text-gray-500">
+                {message.userName || 'Unknown'} ·{' '}
+                <Link
+                  to={`/community/discussion/${message.courseId}/${message.parentId || message.id}`}
+                  className="text-blue-600 hover:underline"
+                >
+                  View thread
+                </Link>
+              </p>
+              <p className="mt-2 text-gray-900 whitespace-pre-line">{message.message}</p>
+              <p className="mt-2 text-xs text-red-700">
+                Reported {message.flagCount || 1} {(message.flagCount || 1) === 1 ? 'time' : 'times'}
+                {message.lastFlagReason ? ` · "${message.lastFlagReason}"` : ''}
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => moderateMutation.mutate({ discussionId: message.id, hide: true })}
+                disabled={moderateMutation.isPending}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Hide
+              </button>
+              <button
+                onClick={() => moderateMutation.mutate({ discussionId: message.id, hide: false })}
+                disabled={moderateMutation.isPending}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const PANELS = {
+  overview: Overview,
+  users: Users,
+  courses: Courses,
+  reviews: CourseReviews,
+  applications: Applications,
+  moderation: Moderation,
+};
+
+// Platform administration, for users with the admin role
+const AdminConsole = () => {
+  const [activeTab, setActiveTab] = useState('overview');
+  const Panel = PANELS[activeTab];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Admin Console</h1>
+          <p className="mt-2 text-gray-600">Manage users, courses, instructor applications and community reports.</p>
+        </div>
+
+        <div className="border-b border-gray-200 mb-6">
+          <nav className="-mb-px flex space-x-6 overflow-x-auto">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center whitespace-nowrap py-3 px-1 border-b-2 text-sm font-medium ${
+                  activeTab === tab.id
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <tab.icon className="h-5 w-5 mr-2" />
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        <Panel />
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -9,23 +9,42 @@ import {
   AcademicCapIcon,
   ArrowLeftIcon,
 } from '@heroicons/react/24/outline';
+import InstructorApplicationFields from '../../components/InstructorApplicationFields';
+import { EMPTY_APPLICATION, validateApplication } from '../../utils/instructorApplications';
 
 const Signup = () => {
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [role, setRole] = useState('student');
+  const [application, setApplication] = useState(EMPTY_APPLICATION);
   const [loading, setLoading] = useState(false);
   const { signup, googleSignIn } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Instructors apply at signup; returns false if the application is incomplete
+  const getApplication = () => {
+    if (role !== 'instructor') return null;
+    const error = validateApplication(application);
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    return application;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const submittedApplication = getApplication();
+    if (submittedApplication === false) return;
     setLoading(true);
 
     try {
-      await signup(email, password, name, role);
+      await signup(email, password, name, submittedApplication);
+      if (submittedApplication) {
+        toast.success('Your application to teach has been sent for review');
+      }
       navigate(location.state?.from || '/dashboard');
     } catch (error) {
       toast.error(error.message);
@@ -35,8 +54,11 @@ const Signup = () => {
   };
 
   const handleGoogleSignIn = async () => {
+    const submittedApplication = getApplication();
+    if (submittedApplication === false) return;
+
     try {
-      await googleSignIn(role);
+      await googleSignIn(submittedApplication);
       navigate(location.state?.from || '/dashboard');
     } catch (error) {
       toast.error(error.message);
@@ -199,8 +221,17 @@ const Signup = () => {
                     </svg>
                   </div>
                 </div>
+                {role === 'instructor' && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Instructors are reviewed before they can publish. You can learn as a student in the meantime.
+                  </p>
+                )}
               </div>
 
+              {role === 'instructor' && (
+                <InstructorApplicationFields value={application} onChange={setApplication} />
+              )}
+
               <div>
                 <button
                   type="submit"
@@ -209,7 +240,7 @@ const Signup = () => {
                     loading ? 'opacity-75 cursor-not-allowed' : ''
                   }`}
                 >
-                  {loading ? 'Creating account...' : 'Create account'}
+                  {loading ? 'Creating account...' : role === 'instructor' ? 'Create account and apply' : 'Create account'}
                 </button>
               </div>
             </form>
@@ -24,6 +24,7 @@ import {
   ChevronLeftIcon,
   ChevronRightIcon,
 } from '@heroicons/react/24/outline';
+import { isDiscussionVisible } from '../../utils/moderation';
 
 const SORT_OPTIONS = {
   recent: { label: 'Most Recent', icon: ClockIcon },
@@ -40,20 +41,22 @@ const Community = () => {
   const discussionsPerPage = 5;
   const { user } = useAuth();
   
-  // Migration function to ensure all comments and reviews appear in discussions
+  // Migration function to ensure the user's comments and reviews appear in
+  // discussions. Discussions can only be posted as yourself, so each user's
+  // own are copied when they visit.
   useEffect(() => {
     const migrateCommentsAndReviews = async () => {
       try {
-        // Get all comments
-        const commentsQuery = query(collection(db, 'comments'));
+        // Get the user's comments
+        const commentsQuery = query(collection(db, 'comments'), where('userId', '==', user.uid));
         const commentsSnapshot = await getDocs(commentsQuery);
         
-        // Get all reviews
-        const reviewsQuery = query(collection(db, 'reviews'));
+        // Get the user's reviews
+        const reviewsQuery = query(collection(db, 'reviews'), where('userId', '==', user.uid));
         const reviewsSnapshot = await getDocs(reviewsQuery);
         
         // Get existing discussions to avoid duplicates
-        const discussionsQuery = query(collection(db, 'discussions'));
+        const discussionsQuery = query(collection(db, 'discussions'), where('userId', '==', user.uid));
         const discussionsSnapshot = await getDocs(discussionsQuery);
         const existingDiscussionIds = new Set();
         
@@ -73,8 +76,8 @@ const Community = () => {
           if (existingDiscussionIds.has(doc.id) || !comment.courseId) continue;
           
           await addDoc(collection(db, 'discussions'), {
-            userId: comment.userId || 'unknown',
-            userName: comment.userName || (comment.userId ? comment.userId.slice(0, 5) + '...' : 'Student'),
+            userId: user.uid,
+            userName: comment.userName || user.uid.slice(0, 5) + '...',
             courseId: comment.courseId,
             message: comment.comment || 'No message content',
             createdAt: comment.createdAt || serverTimestamp(),
@@ -95,8 +98,8 @@ const Community = () => {
           if (existingDiscussionIds.has(doc.id) || !review.courseId) continue;
           
           await addDoc(collection(db, 'discussions'), {
-            userId: review.userId || 'unknown',
-            userName: review.userName || (review.userId ? review.userId.slice(0, 5) + '...' : 'Student'),
+            userId: user.uid,
+            userName: review.userName || user.uid.slice(0, 5) + '...',
             courseId: review.courseId,
             message: `Review (${review.rating || 0}/5): ${review.comment || 'No review content'}`,
             createdAt: review.createdAt || serverTimestamp(),
@@ -163,7 +166,7 @@ const Community = () => {
           });
           
           // Convert Map back to array and sort client-side to avoid Firestore indexes
-          let discussionsList = Array.from(discussionsMap.values());
+          let discussionsList = Array.from(discussionsMap.values()).filter(isDiscussionVisible);
           
           // Apply client-side sorting based on selected sort option
       switch (sortBy) {
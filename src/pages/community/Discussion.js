@@ -26,14 +26,19 @@ import {
   UserCircleIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
+  ArrowUturnLeftIcon,
+  XMarkIcon,
+  FlagIcon,
 } from '@heroicons/react/24/outline';
 import { HandThumbUpIcon as HandThumbUpSolidIcon } from '@heroicons/react/24/solid';
+import { flagDiscussion, isDiscussionVisible } from '../../utils/moderation';
 
 const Discussion = () => {
   const { courseId } = useParams();
   const { user } = useAuth();
   const queryClient = useQueryClient();
   const [newMessage, setNewMessage] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
   const [messages, setMessages] = useState([]);
   const [messagePage, setMessagePage] = useState(1);
   const messagesPerPage = 5;
@@ -78,6 +83,7 @@ const Discussion = () => {
         });
         // Convert Map back to array and sort by timestamp
         const newMessages = Array.from(messagesMap.values())
+          .filter(isDiscussionVisible)
           .sort((a, b) => b.createdAt.seconds - a.createdAt.seconds);
       setMessages(newMessages);
       } catch (error) {
@@ -105,10 +111,18 @@ const Discussion = () => {
         likedBy: [],
         responseCount: 0,
       });
+
+      if (messageData.parentId) {
+        await updateDoc(doc(db, 'discussions', messageData.parentId), {
+          responseCount: increment(1),
+        });
+      }
+
       return docRef;
     },
     onSuccess: () => {
       setNewMessage('');
+      setReplyTo(null);
       setMessagePage(1); // Go to first page when new message is sent
       toast.success('Message sent successfully!');
     },
@@ -148,6 +162,22 @@ const Discussion = () => {
     }
   });
 
+  const flagMutation = useMutation({
+    mutationFn: ({ message, reason }) => flagDiscussion(message, user, reason),
+    onSuccess: () => {
+      toast.success('Thanks, an admin will review this message');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to report the message');
+    },
+  });
+
+  const handleFlag = (message) => {
+    const reason = window.prompt('Why are you reporting this message?');
+    if (reason === null) return;
+    flagMutation.mutate({ message, reason: reason.trim() });
+  };
+
   // Pagination component
   const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     if (totalPages <= 1) return null;
@@ -228,6 +258,11 @@ const Discussion = () => {
       userName: displayName,
       userRole: user?.role || 'student',
       message: newMessage.trim(),
+      ...(replyTo && {
+        parentId: replyTo.id,
+        replyToUserId: replyTo.userId,
+        replyToUserName: replyTo.userName || 'Student',
+      }),
     });
   };
 
@@ -291,18 +326,43 @@ const Discussion = () => {
                             : 'Just now'}
                         </p>
                       </div>
-                      <button
-                        onClick={() => handleLike(message.id)}
-                        className="flex items-center space-x-1 text-sm text-gray-500 hover:text-blue-600"
-                      >
-                        {message.likedBy?.includes(user.uid) ? (
-                          <HandThumbUpSolidIcon className="h-5 w-5 text-blue-600" />
-                        ) : (
-                          <HandThumbUpIcon className="h-5 w-5" />
+                      <div className="flex items-center space-x-4">
+                        <button
+                          onClick={() => setReplyTo(message)}
+                          className="flex items-center space-x-1 text-sm text-gray-500 hover:text-blue-600"
+                        >
+                          <ArrowUturnLeftIcon className="h-5 w-5" />
+                          <span>Reply</span>
+                        </button>
+                        <button
+                          onClick={() => handleLike(message.id)}
+                          className="flex items-center space-x-1 text-sm text-gray-500 hover:text-blue-600"
+                        >
+                          {message.likedBy?.includes(user.uid) ? (
+                            <HandThumbUpSolidIcon className="h-5 w-5 text-blue-600" />
+                          ) : (
+                            <HandThumbUpIcon className="h-5 w-5" />
+                          )}
+                          <span>{message.likes || 0}</span>
+                        </button>
+                        {message.userId !== user.uid && (
+                          <button
+                            onClick={() => handleFlag(message)}
+                            disabled={message.flaggedBy?.includes(user.uid)}
+                            className="flex items-center text-sm text-gray-400 hover:text-red-600 disabled:text-red-400"
+                            title={message.flaggedBy?.includes(user.uid) ? 'Reported' : 'Report'}
+                          >
+                            <FlagIcon className="h-5 w-5" />
+                          </button>
                         )}
-                        <span>{message.likes || 0}</span>
-                      </button>
+                      </div>
                     </div>
+                    {message.parentId && (
+                      <p className="mt-2 text-xs text-gray-500 flex items-center">
+                        <ArrowUturnLeftIcon className="h-3 w-3 mr-1" />
+                        Replying to {message.replyToUserName || 'Student'}
+                      </p>
+                    )}
                     <p className="mt-2 text-gray-700">
                       {message.sourceType === 'review' && <span className="text-blue-600 font-medium">Course Review: </span>}
                       {message.message}
@@ -340,6 +400,16 @@ const Discussion = () => {
               <UserCircleIcon className="h-10 w-10 text-gray-400" />
             </div>
             <div className="flex-1 min-w-0">
+              {replyTo && (
+                <div className="mb-2 flex items-center justify-between text-sm bg-blue-50 text-blue-800 px-3 py-1.5 rounded-md">
+                  <span className="truncate">
+                    Replying to {replyTo.userName || 'Student'}: "{replyTo.message}"
+                  </span>
+                  <button type="button" onClick={() => setReplyTo(null)} className="ml-2 text-blue-600 hover:text-blue-800">
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
               <textarea
                 value={newMessage}
                 onChange={(e) => setNewMessage(e.target.value)}
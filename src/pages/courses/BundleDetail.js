@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { CheckCircleIcon, RectangleStackIcon, UserIcon } from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import PaymentForm from '../../components/PaymentForm';
+import { getBundleWithCourses } from '../../utils/bundles';
+import { getBundlePricing, getCoursePricing } from '../../utils/pricing';
+import { isEnrollmentActive, ACCESS_TYPES } from '../../utils/enrollments';
+import { formatCurrency } from '../../utils/currency';
+
+// Landing page for a bundle: what's in it, what it saves, and one payment for all of it
+const BundleDetail = () => {
+  const { bundleId } = useParams();
+  const { user } = useAuth();
+  const { currency, rates } = useCurrency();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [showPaymentForm, setShowPaymentForm] = useState(false);
+
+  const { data: bundle, isLoading } = useQuery({
+    queryKey: ['bundle', bundleId],
+    queryFn: () => getBundleWithCourses(bundleId),
+  });
+
+  // Courses the student already owns outright are not bought again
+  const { data: ownedCourseIds = [] } = useQuery({
+    queryKey: ['bundleEnrollments', bundleId, user?.uid],
+    queryFn: async () => {
+      const snapshot = await getDocs(query(
+        collection(db, 'enrollments'),
+        where('userId', '==', user.uid)
+      ));
+      return snapshot.docs
+        .map(enrollmentDoc => enrollmentDoc.data())
+        .filter(enrollment => isEnrollmentActive(enrollment) && enrollment.accessType !== ACCESS_TYPES.membership)
+        .map(enrollment => enrollment.courseId)
+        .filter(courseId => bundle.courseIds.includes(courseId));
+    },
+    enabled: !!user?.uid && !!bundle,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/2 mb-4" />
+          <div className="h-4 bg-gray-200 rounded w-2/3 mb-8" />
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => <div key={i} className="h-24 bg-white rounded-lg shadow-sm" />)}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!bundle || (!bundle.isPublished && bundle.instructorId !== user?.uid)) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-16 text-center">
+        <RectangleStackIcon className="mx-auto h-12 w-12 text-gray-300" />
+        <p className="mt-2 text-gray-500">This bundle is not available.</p>
+        <Link to="/courses" className="mt-4 inline-block text-blue-600 hover:text-blue-800">Browse courses</Link>
+      </div>
+    );
+  }
+
+  const pricing = getBundlePricing(bundle, bundle.courses, { currency, rates });
+  const ownsEverything = bundle.courses.length > 0
+    && bundle.courses.every(course => ownedCourseIds.includes(course.id));
+  const canBuy = user?.role === 'student' && bundle.isPublished && !ownsEverything;
+
+  const handlePaymentSuccess = () => {
+    setShowPaymentForm(false);
+    toast.success('Payment confirmed! You are now enrolled in every course in the bundle.');
+    queryClient.invalidateQueries(['bundleEnrollments', bundleId, user?.uid]);
+    navigate('/dashboard/my-courses');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <p className="text-sm font-medium text-blue-600 uppercase tracking-wide">Course bundle</p>
+            <h1 className="mt-1 text-3xl font-bold text-gray-900">{bundle.title}</h1>
+            <div className="flex items-center text-sm text-gray-500 mt-2">
+              <UserIcon className="h-4 w-4 mr-1" />
+              {bundle.instructorName}
+            </div>
+            {bundle.description && (
+              <p className="mt-4 text-gray-600 whitespace-pre-line">{bundle.description}</p>
+            )}
+
+            <h2 className="mt-8 mb-4 text-lg font-medium text-gray-900">
+              {bundle.courses.length} courses included
+            </h2>
+            <div className="space-y-4">
+              {bundle.courses.map(course => {
+                const coursePricing = getCoursePricing(course, { user, currency, rates });
+                const isOwned = ownedCourseIds.includes(course.id);
+                return (
+                  <Link
+                    key={course.id}
+                    to={`/courses/${course.id}`}
+                    className="flex items-center bg-white rounded-lg shadow-sm p-4 hover:shadow-md transition-shadow"
+                  >
+                    {course.thumbnail ? (
+                      <img src={course.thumbnail} alt={course.title} className="h-16 w-24 object-cover rounded" />
+                    ) : (
+                      <div className="h-16 w-24 rounded bg-gray-100" />
+                    )}
+                    <div className="ml-4 flex-1">
+                      <h3 className="font-medium text-gray-900">{course.title}</h3>
+                      <p className="text-sm text-gray-500">{course.lessons?.length || 0} lessons</p>
+                    </div>
+                    {isOwned ? (
+                      <span className="flex items-center text-sm text-green-600">
+                        <CheckCircleIcon className="h-5 w-5 mr-1" />
+                        Owned
+                      </span>
+                    ) : (
+                      <span className="text-sm text-gray-500">{formatCurrency(coursePricing.price, currency)}</span>
+                    )}
+                  </Link>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <div className="bg-white rounded-lg shadow-sm p-6 lg:sticky lg:top-24">
+              {pricing.savings > 0 && (
+                <p className="text-sm text-gray-500">
+                  <span className="line-through">{formatCurrency(pricing.listPrice, currency)}</span>
+                  <span className="ml-2 text-green-600 font-medium">Save {pricing.savingsPercent}%</span>
+                </p>
+              )}
+              <p className="text-3xl font-bold text-blue-600">{formatCurrency(pricing.price, currency)}</p>
+              <p className="mt-1 text-sm text-gray-500">One payment for every course in the bundle</p>
+
+              {ownedCourseIds.length > 0 && !ownsEverything && (
+                <p className="mt-4 text-sm text-gray-600">
+                  You already own {ownedCourseIds.length} of these courses; the bundle price stays the same.
+                </p>
+              )}
+
+              {ownsEverything ? (
+                <p className="mt-6 text-sm text-green-600">You own every course in this bundle.</p>
+              ) : !bundle.isPublished ? (
+                <p className="mt-6 text-sm text-yellow-700">This bundle is hidden from students.</p>
+              ) : canBuy && showPaymentForm ? (
+                <div className="mt-6">
+                  <PaymentForm bundle={bundle} onSuccess={handlePaymentSuccess} />
+                </div>
+              ) : canBuy ? (
+                <button
+                  onClick={() => setShowPaymentForm(true)}
+                  className="mt-6 w-full py-3 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Buy bundle
+                </button>
+              ) : null}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BundleDetail;
@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
 import ReactPlayer from 'react-player';
 import { toast } from 'react-hot-toast';
+import swal from 'sweetalert';
 import {
   collection,
   doc,
@@ -46,33 +47,76 @@ import {
   InformationCircleIcon,
   ExclamationCircleIcon,
   EyeIcon,
+  QuestionMarkCircleIcon,
+  ChevronDownIcon,
+  GiftIcon,
 } from '@heroicons/react/24/outline';
-import { StarIcon as StarIconSolid, BookmarkIcon as BookmarkSolidIcon, UserGroupIcon } from '@heroicons/react/24/solid';
+import { StarIcon as StarIconSolid, UserGroupIcon } from '@heroicons/react/24/solid';
 import PaymentForm from '../../components/PaymentForm';
 import VersionHistory from '../../components/courses/VersionHistory';
-import { trackUserEngagement, trackLessonProgress, trackCourseEngagement } from '../../utils/analytics';
+import LessonQuiz from '../../components/courses/LessonQuiz';
+import { trackUserEngagement, trackCourseEngagement } from '../../utils/analytics';
+import { submitQuiz, calculateCourseGrade, hasQuiz } from '../../utils/quiz';
+import { normalizeCourseStructure, groupLessonsBySection, getSectionProgress } from '../../utils/courseStructure';
+import { getCoursePricing, getEffectivePrice } from '../../utils/pricing';
+import { formatCurrency } from '../../utils/currency';
+import { useCurrency } from '../../context/CurrencyContext';
+import { findActiveEnrollment, isEnrollmentActive, ACCESS_TYPES } from '../../utils/enrollments';
+import { enrollWithMembership } from '../../utils/memberships';
+import useMembership from '../../hooks/useMembership';
+import { getBundlesForCourse } from '../../utils/bundles';
+import { COURSE_STATUSES, getCourseStatus } from '../../utils/courseStatus';
+import { isAdmin } from '../../utils/admin';
+import { addNote } from '../../utils/notes';
+import { issueCertificate } from '../../utils/certificates';
+import LessonNotes from '../../components/courses/LessonNotes';
+import TranscriptPanel from '../../components/courses/TranscriptPanel';
+import { loadCaptionTracks } from '../../utils/captions';
+import { addWatchedTick, saveLessonProgress, getCompletionThreshold } from '../../utils/lessonProgress';
+import {
+  getPlaybackRecord,
+  getResumePosition,
+  formatPlaybackTime,
+} from '../../utils/playback';
+
+// How often playback is saved while a video plays
+const PROGRESS_SAVE_INTERVAL = 15000;
 
 const CourseDetail = () => {
   const { courseId } = useParams();
+  // Links from My notes open a lesson at a moment: ?lesson=<id>&t=<seconds>
+  const [searchParams] = useSearchParams();
+  const linkedMomentRef = useRef(null);
+  const handledLinkRef = useRef(null);
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { currency, rates } = useCurrency();
+  const { isActive: hasMembership } = useMembership();
   const queryClient = useQueryClient();
   const [selectedLesson, setSelectedLesson] = useState(null);
   const [isEnrolled, setIsEnrolled] = useState(false);
   const [progress, setProgress] = useState({});
+  const [enrollment, setEnrollment] = useState(null);
   const [rating, setRating] = useState(0);
   const [review, setReview] = useState('');
-  const [bookmarks, setBookmarks] = useState({});
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [currentTime, setCurrentTime] = useState(0);
-  const [watchTime, setWatchTime] = useState(0);
   const [isWatching, setIsWatching] = useState(false);
-  const [lastSavedTime, setLastSavedTime] = useState(0);
   const playerRef = useRef(null);
+  // Playback not yet saved: lesson, position and the segments watched
+  const watchRef = useRef(null);
+  const playerReadyRef = useRef(false);
+  // Where the selected lesson was left off, offered as "Resume from"
+  const [resumePrompt, setResumePrompt] = useState(null);
+  // Unique seconds of the selected lesson's video watched so far
+  const [lessonWatch, setLessonWatch] = useState(null);
+  // The selected lesson's captions, with their cues and track sources
+  const [captionTracks, setCaptionTracks] = useState([]);
   const [showPaymentForm, setShowPaymentForm] = useState(false);
+  const [isGiftPurchase, setIsGiftPurchase] = useState(false);
   const [commentPage, setCommentPage] = useState(1);
-  const [lessonPage, setLessonPage] = useState(1);
+  const [collapsedSections, setCollapsedSections] = useState({});
   const [materialPage, setMaterialPage] = useState(1);
   const [reviewPage, setReviewPage] = useState(1);
   const itemsPerPage = 5;
@@ -88,7 +132,7 @@ const CourseDetail = () => {
       if (!docSnap.exists()) {
         throw new Error('Course not found');
       }
-      return { id: docSnap.id, ...docSnap.data() };
+      return normalizeCourseStructure({ id: docSnap.id, ...docSnap.data() });
     },
   });
 
@@ -103,12 +147,14 @@ const CourseDetail = () => {
           where('courseId', '==', courseId)
         );
         const querySnapshot = await getDocs(q);
-        setIsEnrolled(!querySnapshot.empty);
+        // A refunded enrollment no longer grants access
+        const enrollmentDoc = findActiveEnrollment(querySnapshot);
+        setIsEnrolled(!!enrollmentDoc);
 
-        if (!querySnapshot.empty) {
-          const enrollmentDoc = querySnapshot.docs[0];
+        if (enrollmentDoc) {
           const enrollmentData = enrollmentDoc.data();
           setProgress(enrollmentData.progress || {});
+          setEnrollment({ id: enrollmentDoc.id, ...enrollmentData });
         }
       }
     };
@@ -116,27 +162,6 @@ const CourseDetail = () => {
     checkEnrollment();
   }, [user?.uid, courseId]);
 
-  // Fetch bookmarks
-  useEffect(() => {
-    const fetchBookmarks = async () => {
-      if (user && courseId) {
-        const bookmarksRef = collection(db, 'bookmarks');
-        const q = query(
-          bookmarksRef,
-          where('userId', '==', user.uid),
-          where('courseId', '==', courseId)
-        );
-        const snapshot = await getDocs(q);
-        const bookmarkData = {};
-        snapshot.forEach(doc => {
-          bookmarkData[doc.data().lessonId] = doc.data().timestamp;
-        });
-        setBookmarks(bookmarkData);
-      }
-    };
-    fetchBookmarks();
-  }, [user, courseId]);
-
   // Fetch comments
   useEffect(() => {
     const fetchComments = async () => {
@@ -176,10 +201,12 @@ const CourseDetail = () => {
         throw new Error('Instructors cannot enroll in courses');
       }
 
-      // Apply discount if available
-      const finalPrice = course.hasDiscount && new Date() < new Date(course.discountEndDate) 
-        ? course.discountPrice 
-        : course.price || 0;
+      const finalPrice = getEffectivePrice(course, { user, currency, rates });
+
+      // Paid enrollments are created by the payment backend once Paystack confirms the charge
+      if (finalPrice > 0) {
+        throw new Error('This course requires payment before enrolling');
+      }
 
       const enrollmentRef = await addDoc(collection(db, 'enrollments'), {
         userId: user.uid,
@@ -188,14 +215,6 @@ const CourseDetail = () => {
         progress: {},
         paidAmount: finalPrice,
         userRole: user.role,
-        courseData: {
-          title: course.title,
-          lessons: course.lessons.map(lesson => ({
-            id: lesson.id,
-            title: lesson.title,
-            duration: lesson.duration
-          }))
-        }
       });
 
       await updateDoc(doc(db, 'courses', courseId), {
@@ -217,42 +236,81 @@ const CourseDetail = () => {
   });
 
   // Mark lesson as complete mutation
+  // Playing a video to the end completes the lesson, unless the course asks
+  // for a share of it to be watched
   const completeLessonMutation = useMutation({
-    mutationFn: async (lessonId) => {
-      if (!user?.uid || !courseId) {
-        throw new Error('Missing required information');
+    mutationFn: async () => {
+      if (!user?.uid || !courseId || !enrollment?.id) {
+        throw new Error('Enrollment not found');
+      }
+      const result = await saveProgress(true);
+      if (!result) {
+        throw new Error('Failed to mark lesson as complete');
+      }
+      return result;
+    },
+    onSuccess: ({ completed, newlyCompleted }) => {
+      if (newlyCompleted) {
+        toast.success('Lesson marked as complete!');
+      } else if (!completed) {
+        toast(getCompletionThreshold(course) > 0
+          ? `Watch ${getCompletionThreshold(course)}% of the video to complete this lesson`
+          : 'Watch the video to the end to complete this lesson');
       }
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to mark lesson as complete');
+    },
+  });
+
+  const { data: courseBundles = [] } = useQuery({
+    queryKey: ['courseBundles', courseId],
+    queryFn: () => getBundlesForCourse(courseId),
+  });
 
-      const enrollmentRef = collection(db, 'enrollments');
+  // Fetch the student's quiz attempts for this course
+  const { data: quizAttempts = [] } = useQuery({
+    queryKey: ['quizAttempts', courseId, user?.uid],
+    queryFn: async () => {
       const q = query(
-        enrollmentRef,
+        collection(db, 'quizAttempts'),
         where('userId', '==', user.uid),
         where('courseId', '==', courseId)
       );
-      const querySnapshot = await getDocs(q);
-      
-      if (querySnapshot.empty) {
-        throw new Error('Enrollment not found');
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    },
+    enabled: !!user?.uid && !!courseId && isEnrolled,
+  });
+
+  // Submit quiz attempt mutation
+  const submitQuizMutation = useMutation({
+    mutationFn: async ({ lesson, answers }) => {
+      if (!user?.uid || !courseId || !isEnrolled) {
+        throw new Error('You must be enrolled to take this quiz');
       }
 
-      const enrollmentDoc = querySnapshot.docs[0];
-      const updatedProgress = {
-        ...progress,
-        [lessonId]: true,
-      };
+      // Graded by the backend, which also enforces the attempt limit
+      const result = await submitQuiz(courseId, lesson.id, answers);
 
-      await updateDoc(doc(db, 'enrollments', enrollmentDoc.id), {
-        progress: updatedProgress,
+      await trackUserEngagement(user.uid, courseId, lesson.id, 'submit_quiz', {
+        attemptId: result.attemptId,
+        percentage: result.percentage,
+        passed: result.passed,
       });
 
-      return updatedProgress;
+      return result;
     },
-    onSuccess: (updatedProgress) => {
-      setProgress(updatedProgress);
-      toast.success('Lesson marked as complete!');
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['quizAttempts', courseId, user?.uid]);
+      if (result.passed) {
+        toast.success(`Quiz passed with ${result.percentage}%!`);
+      } else {
+        toast.error(`You scored ${result.percentage}%. Review the lesson and try again.`);
+      }
     },
     onError: (error) => {
-      toast.error(error.message || 'Failed to mark lesson as complete');
+      toast.error(error.message || 'Failed to submit quiz');
     },
   });
 
@@ -307,72 +365,130 @@ const CourseDetail = () => {
     },
   });
 
-  // Update the progress tracking useEffect
-  useEffect(() => {
-    if (!selectedLesson?.id || !isWatching || !user?.uid || !courseId) return;
+  // Save what was watched since the last save. Playback is buffered in
+  // watchRef so a save costs one transaction every PROGRESS_SAVE_INTERVAL.
+  const saveProgress = async (force = false) => {
+    const pending = watchRef.current;
+    if (!pending || !user?.uid || !courseId || (!pending.dirty && !force)) return null;
+
+    // Keep the open segment so the next tick carries on from it
+    const openSegment = pending.segments[pending.segments.length - 1];
+    watchRef.current = {
+      ...pending,
+      dirty: false,
+      segments: openSegment ? [{ start: openSegment.end, end: openSegment.end }] : [],
+    };
 
-    const saveProgress = async () => {
-      if (watchTime === lastSavedTime) return;
+    try {
+      const result = await saveLessonProgress({
+        userId: user.uid,
+        courseId,
+        lessonId: pending.lessonId,
+        enrollmentId: enrollment?.id,
+        position: pending.position,
+        duration: pending.duration,
+        segments: pending.segments,
+        completionThreshold: getCompletionThreshold(course),
+        userRole: user.role,
+      });
+      if (pending.lessonId === selectedLessonIdRef.current) {
+        setLessonWatch({ lessonId: pending.lessonId, watchedSeconds: result.watchedSeconds, duration: result.duration });
+      }
+      if (result.completed) {
+        setProgress(prev => (prev[pending.lessonId] ? prev : { ...prev, [pending.lessonId]: true }));
+      }
+      return result;
+    } catch (error) {
+      console.error('Error saving progress:', error);
+      toast.error('Failed to save progress');
+      return null;
+    }
+  };
+  const saveProgressRef = useRef(saveProgress);
+  saveProgressRef.current = saveProgress;
+  const selectedLessonIdRef = useRef(null);
+  selectedLessonIdRef.current = selectedLesson?.id;
 
-      try {
-        const timestamp = serverTimestamp();
-        const completed = watchTime >= (selectedLesson.duration || 0) * 60;
-        
-        // Add progress data
-        const progressRef = await addDoc(collection(db, 'progress'), {
-          userId: user.uid,
-          courseId,
-          lessonId: selectedLesson.id,
-          watchTime,
-          completed,
-          lastUpdated: timestamp,
-          userRole: user.role
-        });
+  useEffect(() => {
+    if (!isWatching) return;
+    const progressInterval = setInterval(() => saveProgressRef.current(), PROGRESS_SAVE_INTERVAL);
+    return () => clearInterval(progressInterval);
+  }, [isWatching]);
 
-        // Track progress
-        await trackLessonProgress(user.uid, courseId, selectedLesson.id, watchTime, completed);
-        
-        setLastSavedTime(watchTime);
-
-        // Update enrollment if completed
-        if (completed) {
-          const enrollmentQuery = query(
-            collection(db, 'enrollments'),
-            where('userId', '==', user.uid),
-            where('courseId', '==', courseId)
-          );
-
-          const enrollmentSnapshot = await getDocs(enrollmentQuery);
-          if (!enrollmentSnapshot.empty) {
-            const enrollmentDoc = enrollmentSnapshot.docs[0];
-            await updateDoc(doc(db, 'enrollments', enrollmentDoc.id), {
-              [`progress.${selectedLesson.id}`]: true,
-              lastUpdated: timestamp,
-              completedLessons: increment(1)
-            });
+  // Save the rest of a lesson when moving on from it or leaving the page
+  useEffect(() => {
+    return () => {
+      saveProgressRef.current();
+    };
+  }, [selectedLesson?.id]);
 
-            // Update course completion stats
-            await updateDoc(doc(db, 'courses', courseId), {
-              totalCompletions: increment(1),
-              lastActivity: timestamp
-            });
+  // Open the lesson a note links to
+  useEffect(() => {
+    const lessonId = searchParams.get('lesson');
+    const link = searchParams.toString();
+    if (!lessonId || !course?.lessons || handledLinkRef.current === link) return;
+    const lesson = course.lessons.find(courseLesson => courseLesson.id === lessonId);
+    if (!lesson) return;
+
+    handledLinkRef.current = link;
+    linkedMomentRef.current = { lessonId, position: Math.max(0, Number(searchParams.get('t')) || 0) };
+    setSelectedLesson(lesson);
+  }, [course, searchParams]);
 
-            // Update local progress state
-            setProgress(prev => ({
-              ...prev,
-              [selectedLesson.id]: true
-            }));
-          }
-        }
-      } catch (error) {
-        console.error('Error saving progress:', error);
-        toast.error('Failed to save progress');
+  // Load the selected lesson's captions for the player and transcript
+  const lessonCaptions = selectedLesson?.captions;
+  useEffect(() => {
+    setCaptionTracks([]);
+    if (!lessonCaptions?.length) return;
+
+    let cancelled = false;
+    let loaded = [];
+    loadCaptionTracks(lessonCaptions).then(tracks => {
+      loaded = tracks;
+      if (cancelled) {
+        tracks.forEach(track => URL.revokeObjectURL(track.src));
+      } else {
+        setCaptionTracks(tracks);
       }
+    });
+    return () => {
+      cancelled = true;
+      loaded.forEach(track => URL.revokeObjectURL(track.src));
     };
+  }, [lessonCaptions]);
 
-    const progressInterval = setInterval(saveProgress, 5000);
-    return () => clearInterval(progressInterval);
-  }, [watchTime, lastSavedTime, selectedLesson, isWatching, user?.uid, courseId]);
+  // Look up where the selected lesson was left off
+  useEffect(() => {
+    setResumePrompt(null);
+    setLessonWatch(null);
+    playerReadyRef.current = false;
+    if (!selectedLesson?.id || !user?.uid || !courseId) return;
+
+    // A note's moment takes the place of the resume position
+    const linked = linkedMomentRef.current?.lessonId === selectedLesson.id ? linkedMomentRef.current : null;
+    linkedMomentRef.current = null;
+    if (linked?.position > 0) {
+      setResumePrompt({ lessonId: selectedLesson.id, position: linked.position, fromNote: true });
+    }
+
+    let cancelled = false;
+    getPlaybackRecord(user.uid, courseId, selectedLesson.id).then(record => {
+      if (cancelled) return;
+      if (record) {
+        setLessonWatch({ lessonId: selectedLesson.id, watchedSeconds: record.watchedSeconds || 0, duration: record.duration || 0 });
+      }
+      const position = getResumePosition(record);
+      if (linked || position === 0) return;
+      setResumePrompt({ lessonId: selectedLesson.id, position });
+      if (playerReadyRef.current) {
+        playerRef.current?.seekTo(position, 'seconds');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedLesson?.id, user?.uid, courseId]);
 
   // Update real-time progress subscription
   useEffect(() => {
@@ -382,13 +498,16 @@ const CourseDetail = () => {
       query(collection(db, 'enrollments'), where('userId', '==', user.uid), where('courseId', '==', courseId)),
       (snapshot) => {
         try {
-          if (!snapshot.empty) {
-            const enrollmentData = snapshot.docs[0].data();
+          const enrollmentDoc = findActiveEnrollment(snapshot);
+          if (enrollmentDoc) {
+            const enrollmentData = enrollmentDoc.data();
             setProgress(enrollmentData.progress || {});
+            setEnrollment({ id: enrollmentDoc.id, ...enrollmentData });
             setIsEnrolled(true);
           } else {
             setIsEnrolled(false);
             setProgress({});
+            setEnrollment(null);
           }
         } catch (error) {
           console.error('Error processing progress:', error);
@@ -399,6 +518,34 @@ const CourseDetail = () => {
     return () => unsubscribeProgress();
   }, [user?.uid, courseId, user?.role]);
 
+  // Issue the certificate once every lesson of the enrollment is complete
+  const certificateRequestedRef = useRef(false);
+  useEffect(() => {
+    if (!enrollment?.id || enrollment.certificateId || !course?.lessons?.length) return;
+    if (certificateRequestedRef.current) return;
+
+    const allLessonsComplete = course.lessons.every(lesson => progress[lesson.id]);
+    if (!allLessonsComplete) return;
+
+    certificateRequestedRef.current = true;
+    const requestCertificate = async () => {
+      try {
+        const result = await issueCertificate(enrollment.id);
+
+        if (result.issued) {
+          toast.success('Congratulations! Your certificate has been issued.');
+          queryClient.invalidateQueries(['certificates', user.uid]);
+          queryClient.invalidateQueries(['achievements', user.uid]);
+        }
+      } catch (error) {
+        certificateRequestedRef.current = false;
+        console.error('Error issuing certificate:', error);
+      }
+    };
+
+    requestCertificate();
+  }, [enrollment, progress, course, user, queryClient]);
+
   // Add real-time student enrollment tracking for instructors
   useEffect(() => {
     if (!user?.uid || !courseId || user?.role !== 'instructor' || !course?.instructorId || course?.instructorId !== user?.uid) return;
@@ -409,7 +556,7 @@ const CourseDetail = () => {
         try {
           // Update real-time student count in UI without requiring page reload
           if (course) {
-            const updatedEnrollmentCount = snapshot.size;
+            const updatedEnrollmentCount = snapshot.docs.filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data())).length;
             queryClient.setQueryData(['course', courseId], {
               ...course,
               enrollmentCount: updatedEnrollmentCount
@@ -583,8 +730,33 @@ const CourseDetail = () => {
 
   // Add new function for handling video progress
   const handleProgress = ({ playedSeconds }) => {
-    setWatchTime(playedSeconds);
     setCurrentTime(playedSeconds);
+    if (!selectedLesson?.id) return;
+
+    const pending = watchRef.current?.lessonId === selectedLesson.id
+      ? watchRef.current
+      : { lessonId: selectedLesson.id, segments: [] };
+    watchRef.current = {
+      ...pending,
+      position: playedSeconds,
+      duration: playerRef.current?.getDuration() || pending.duration || 0,
+      segments: isWatching ? addWatchedTick(pending.segments, playedSeconds) : pending.segments,
+      dirty: pending.dirty || isWatching,
+    };
+  };
+
+  // Seek to the saved position as soon as the video can play
+  const handlePlayerReady = () => {
+    if (playerReadyRef.current) return;
+    playerReadyRef.current = true;
+    if (resumePrompt?.lessonId === selectedLesson?.id) {
+      playerRef.current?.seekTo(resumePrompt.position, 'seconds');
+    }
+  };
+
+  const handleStartOver = () => {
+    playerRef.current?.seekTo(0, 'seconds');
+    setResumePrompt(null);
   };
 
   // Add new function for navigating between lessons
@@ -596,74 +768,87 @@ const CourseDetail = () => {
     
     if (newIndex >= 0 && newIndex < course.lessons.length) {
       setSelectedLesson(course.lessons[newIndex]);
-      setWatchTime(0);
-      setLastSavedTime(0);
     }
   };
 
+  // Drops an empty note at the current moment; it can be written up later
   const handleBookmark = async () => {
-    if (!selectedLesson) return;
-    
-    try {
-      const bookmarkRef = collection(db, 'bookmarks');
-      const q = query(
-        bookmarkRef,
-        where('userId', '==', user.uid),
-        where('courseId', '==', courseId),
-        where('lessonId', '==', selectedLesson.id)
-      );
-      
-      const snapshot = await getDocs(q);
-      
-      if (snapshot.empty) {
-        const bookmarkDoc = await addDoc(bookmarkRef, {
-          userId: user.uid,
-          courseId,
-          lessonId: selectedLesson.id,
-          timestamp: currentTime,
-          createdAt: serverTimestamp()
-        });
-
-        setBookmarks(prev => ({
-          ...prev,
-          [selectedLesson.id]: currentTime
-        }));
-
-        // Track bookmark addition
-        await trackUserEngagement(user.uid, courseId, selectedLesson.id, 'add_bookmark', {
-          bookmarkId: bookmarkDoc.id
-        });
-
-        toast.success('Bookmark added!');
-      } else {
-        const docRef = doc(db, 'bookmarks', snapshot.docs[0].id);
-        await deleteDoc(docRef);
-        const newBookmarks = { ...bookmarks };
-        delete newBookmarks[selectedLesson.id];
-        setBookmarks(newBookmarks);
+    if (!selectedLesson || !user?.uid) return;
 
-        // Track bookmark removal
-        await trackUserEngagement(user.uid, courseId, selectedLesson.id, 'remove_bookmark');
+    try {
+      const note = await addNote({
+        userId: user.uid,
+        courseId,
+        lessonId: selectedLesson.id,
+        timestamp: currentTime,
+      });
+      queryClient.invalidateQueries({ queryKey: ['notes', user.uid, courseId] });
+      toast.success(`Bookmark added at ${formatPlaybackTime(note.timestamp)}`);
 
-        toast.success('Bookmark removed!');
-      }
+      await trackUserEngagement(user.uid, courseId, selectedLesson.id, 'add_bookmark', {
+        noteId: note.id
+      });
     } catch (error) {
-      toast.error('Failed to update bookmark');
+      toast.error('Failed to add bookmark');
     }
   };
 
+  const pricing = getCoursePricing(course, { user, currency, rates });
+  const canEnrollWithMembership = hasMembership && !!course?.includedInMembership && !pricing.isFree;
+
+  // Members join included courses through the backend, which checks the membership
+  const membershipEnrollMutation = useMutation({
+    mutationFn: () => enrollWithMembership(courseId),
+    onSuccess: () => {
+      setIsEnrolled(true);
+      toast.success('Enrolled with your membership!');
+      queryClient.invalidateQueries(['course', courseId]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to enroll with your membership');
+    },
+  });
+
+  const enrollLabel = canEnrollWithMembership
+    ? 'Enroll with Membership'
+    : pricing.price > 0
+      ? `Enroll Now - ${formatCurrency(pricing.price, currency)}`
+      : 'Enroll For Free';
+
   // Update the enroll button click handler
   const handleEnrollClick = () => {
-    if (course.price > 0) {
+    if (canEnrollWithMembership) {
+      membershipEnrollMutation.mutate();
+    } else if (pricing.price > 0) {
+      setIsGiftPurchase(false);
       setShowPaymentForm(true);
     } else {
       enrollMutation.mutate();
     }
   };
 
+  const handleGiftClick = () => {
+    setIsGiftPurchase(true);
+    setShowPaymentForm(true);
+  };
+
+  // The recipient enrolls by redeeming the code at /redeem
+  const handleGiftSuccess = ({ code }) => {
+    setShowPaymentForm(false);
+    setIsGiftPurchase(false);
+    swal(
+      'Gift purchased',
+      `Your gift code is ${code}. The recipient can redeem it at ${window.location.origin}/redeem. You can also find it in your payment history.`,
+      'success'
+    );
+  };
+
+  // The enrollment was already created server-side; the progress subscription picks it up
   const handlePaymentSuccess = () => {
     setShowPaymentForm(false);
-    enrollMutation.mutate();
+    setIsEnrolled(true);
+    toast.success('Payment confirmed! You are now enrolled.');
+    queryClient.invalidateQueries(['course', courseId]);
   };
 
   // Update the lesson selection handler
@@ -673,8 +858,6 @@ const CourseDetail = () => {
       return;
     }
     setSelectedLesson(lesson);
-    setWatchTime(0);
-    setLastSavedTime(0);
 
     // Track lesson selection
     if (user?.uid) {
@@ -686,6 +869,8 @@ const CourseDetail = () => {
   const canAccessLesson = (lesson) => {
     if (!lesson) return false;
     if (user?.role === 'instructor' && course?.instructorId === user?.uid) return true;
+    // Admins review courses before they are published
+    if (isAdmin(user)) return true;
     
     // Check if course is in recycle bin
     if (course?.isDeleted) return false;
@@ -698,6 +883,10 @@ const CourseDetail = () => {
       return false;
     }
     
+    // Courses joined with a membership close when it lapses
+    if (isEnrolled && enrollment?.accessType === ACCESS_TYPES.membership) {
+      return (hasMembership && !!course?.includedInMembership) || lesson.previewEnabled;
+    }
     if (isEnrolled) return true;
     return lesson.previewEnabled;
   };
@@ -909,9 +1098,34 @@ const CourseDetail = () => {
     );
   }
 
+  // Unpublished courses are only shown to their instructor, admins and students
+  // who already enrolled
+  const courseStatus = getCourseStatus(course);
+  const canPreviewUnpublished = course.instructorId === user?.uid || isAdmin(user);
+  if (courseStatus !== 'published' && !canPreviewUnpublished && !isEnrolled) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <h1 className="text-2xl font-bold text-gray-900">Course not available</h1>
+          <p className="mt-2 text-gray-600">This course isn't published yet.</p>
+        </div>
+      </div>
+    );
+  }
+
   const completedLessons = Object.values(progress).filter(Boolean).length;
   const totalLessons = course.lessons.length;
   const completionPercentage = Math.round((completedLessons / totalLessons) * 100) || 0;
+  const isCourseInstructor = user?.role === 'instructor' && course.instructorId === user?.uid;
+  const courseGrade = calculateCourseGrade(course.lessons, quizAttempts);
+  const courseSections = groupLessonsBySection(course.sections, course.lessons);
+  const currentSection = courseSections.find(section =>
+    section.lessons.some(({ lesson }) => lesson.id === selectedLesson?.id)
+  );
+
+  const toggleSection = (sectionId) => {
+    setCollapsedSections(prev => ({ ...prev, [sectionId]: !prev[sectionId] }));
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -927,11 +1141,11 @@ const CourseDetail = () => {
             <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-black/30 to-transparent"></div>
             <div className="absolute bottom-0 left-0 right-0 p-6 text-white">
               <div className="flex items-center space-x-3 mb-2">
-                {course.isFree || course.price === 0 ? (
+                {pricing.isFree ? (
                   <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">Free</span>
-                ) : course.hasDiscount ? (
+                ) : pricing.isDiscounted ? (
                   <span className="bg-red-500 text-white text-xs px-2 py-1 rounded-full">
-                    -{Math.round((1 - course.discountPrice / course.price) * 100)}% OFF
+                    -{pricing.discountPercent}% OFF
                   </span>
                 ) : null}
                 <span className="bg-blue-600/90 text-white text-xs px-2 py-1 rounded-full">
@@ -973,7 +1187,7 @@ const CourseDetail = () => {
               {/* Add Edit Course button for instructors */}
               {user?.uid === course?.instructorId && (
                 <Link
-                  to={`/courses/edit/${courseId}`}
+                  to={courseStatus === 'draft' ? `/courses/create/${courseId}` : `/courses/edit/${courseId}`}
                   className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
                 >
                   <PencilIcon className="h-4 w-4 mr-1" />
@@ -1035,27 +1249,62 @@ const CourseDetail = () => {
                 <div className="mb-4 md:mb-0">
                   <p className="text-sm text-gray-500 mb-1">Price</p>
                   <div className="flex items-center">
-                    {course.hasDiscount && (
-                      <span className="text-gray-400 line-through text-lg mr-2">${course.price}</span>
+                    {pricing.isDiscounted && (
+                      <span className="text-gray-400 line-through text-lg mr-2">{formatCurrency(pricing.listPrice, currency)}</span>
                     )}
                     <span className="text-2xl font-bold text-blue-600">
-                      {course.isFree || course.price === 0 ? 'Free' : `$${course.discountPrice || course.price}`}
+                      {pricing.isFree ? 'Free' : formatCurrency(pricing.price, currency)}
                     </span>
                   </div>
+                  {course.includedInMembership && !pricing.isFree && (
+                    canEnrollWithMembership ? (
+                      <p className="text-sm text-green-600 mt-1">Included with your membership</p>
+                    ) : (
+                      <Link to="/membership" className="text-sm text-blue-600 hover:text-blue-800 mt-1 inline-block">
+                        Included with membership
+                      </Link>
+                    )
+                  )}
                 </div>
             <button
               onClick={handleEnrollClick}
-              disabled={enrollMutation.isLoading}
+              disabled={enrollMutation.isLoading || membershipEnrollMutation.isPending}
                   className="w-full md:w-auto px-8 py-3 border border-transparent rounded-lg shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
             >
-              {enrollMutation.isLoading
+              {enrollMutation.isLoading || membershipEnrollMutation.isPending
                 ? 'Processing...'
-                : course.price > 0
-                    ? `Enroll Now - $${course.discountPrice || course.price}`
-                    : 'Enroll For Free'}
+                : enrollLabel}
             </button>
               </div>
           )}
+
+            {user?.role === 'student' && !pricing.isFree && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <button
+                  onClick={handleGiftClick}
+                  className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+                >
+                  <GiftIcon className="h-5 w-5 mr-1" />
+                  Gift this course
+                </button>
+              </div>
+            )}
+
+            {!isEnrolled && courseBundles.length > 0 && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <p className="text-sm font-medium text-gray-900 mb-2">Save with a bundle</p>
+                <ul className="space-y-1">
+                  {courseBundles.map(bundle => (
+                    <li key={bundle.id} className="text-sm">
+                      <Link to={`/bundles/${bundle.id}`} className="text-blue-600 hover:text-blue-800">
+                        {bundle.title}
+                      </Link>
+                      <span className="text-gray-500"> · {bundle.courseIds.length} courses</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
 
@@ -1083,12 +1332,19 @@ const CourseDetail = () => {
                     height="100%"
                     controls
                     onProgress={handleProgress}
-                    onPlay={() => setIsWatching(true)}
-                    onPause={() => setIsWatching(false)}
+                    onReady={handlePlayerReady}
+                    onPlay={() => {
+                      setIsWatching(true);
+                      setResumePrompt(null);
+                    }}
+                    onPause={() => {
+                      setIsWatching(false);
+                      saveProgress();
+                    }}
                     onEnded={() => {
                       setIsWatching(false);
                       if (isEnrolled) {
-                        completeLessonMutation.mutate(selectedLesson.id);
+                        completeLessonMutation.mutate();
                       }
                     }}
                     progressInterval={1000}
@@ -1096,20 +1352,40 @@ const CourseDetail = () => {
                       file: {
                         attributes: {
                           controlsList: 'nodownload'
-                        }
+                        },
+                        tracks: captionTracks.map(track => ({
+                          kind: 'captions',
+                          src: track.src,
+                          srcLang: track.language,
+                          label: track.label,
+                        })),
                       }
                     }}
                   />
+                  {resumePrompt?.lessonId === selectedLesson.id && (
+                    <div className="absolute bottom-16 left-4 z-10 flex items-center space-x-2 bg-gray-900/80 rounded-md px-3 py-2">
+                      <button
+                        onClick={() => setResumePrompt(null)}
+                        className="text-sm font-medium text-white hover:text-blue-200"
+                      >
+                        {resumePrompt.fromNote ? 'From your note at' : 'Resume from'} {formatPlaybackTime(resumePrompt.position)}
+                      </button>
+                      <span className="text-gray-400">/</span>
+                      <button
+                        onClick={handleStartOver}
+                        className="text-sm text-gray-200 hover:text-white"
+                      >
+                        Start over
+                      </button>
+                    </div>
+                  )}
                   <div className="absolute top-4 right-4 z-10 flex space-x-2">
                     <button
                       onClick={handleBookmark}
                       className="p-2 bg-white rounded-full shadow hover:bg-gray-100"
+                      title="Bookmark this moment"
                     >
-                      {bookmarks[selectedLesson?.id] ? (
-                        <BookmarkSolidIcon className="h-5 w-5 text-blue-600" />
-                      ) : (
-                        <BookmarkOutlineIcon className="h-5 w-5 text-gray-600" />
-                      )}
+                      <BookmarkOutlineIcon className="h-5 w-5 text-gray-600" />
                     </button>
                   </div>
                 </div>
@@ -1120,12 +1396,6 @@ const CourseDetail = () => {
                       {selectedLesson.title}
                     </h2>
                     <div className="flex items-center space-x-4">
-                      {bookmarks[selectedLesson?.id] && (
-                        <div className="flex items-center text-sm text-gray-600">
-                          <ClockIcon className="h-4 w-4 mr-1" />
-                          Bookmarked at {new Date(bookmarks[selectedLesson.id] * 1000).toISOString().substr(11, 8)}
-                        </div>
-                      )}
                       <div className="flex space-x-2">
                         <button
                           onClick={() => navigateLesson('prev')}
@@ -1145,13 +1415,47 @@ const CourseDetail = () => {
                     </div>
                   </div>
                   
+                  {isEnrolled && getCompletionThreshold(course) > 0 && !progress[selectedLesson.id] && (
+                    <p className="text-sm text-gray-500 mb-2">
+                      Watch {getCompletionThreshold(course)}% of this video to complete the lesson
+                      {lessonWatch?.lessonId === selectedLesson.id && lessonWatch.duration > 0 && (
+                        ` · ${Math.min(100, Math.round((lessonWatch.watchedSeconds / lessonWatch.duration) * 100))}% watched`
+                      )}
+                    </p>
+                  )}
                   <p className="text-gray-600 mb-6">{selectedLesson.description}</p>
+
+                  {captionTracks.length > 0 && (
+                    <TranscriptPanel
+                      key={selectedLesson.id}
+                      tracks={captionTracks}
+                      currentTime={currentTime}
+                      onSeek={(seconds) => {
+                        playerRef.current?.seekTo(seconds, 'seconds');
+                        setResumePrompt(null);
+                      }}
+                    />
+                  )}
+
+                  {/* Lesson Quiz */}
+                  {hasQuiz(selectedLesson) && (isEnrolled || isCourseInstructor) && (
+                    <LessonQuiz
+                      key={selectedLesson.id}
+                      quiz={selectedLesson.quiz}
+                      attempts={quizAttempts.filter(attempt => attempt.lessonId === selectedLesson.id)}
+                      readOnly={!isEnrolled}
+                      isSubmitting={submitQuizMutation.isLoading}
+                      onSubmit={(answers) => submitQuizMutation.mutateAsync({ lesson: selectedLesson, answers }).catch(() => null)}
+                    />
+                  )}
                   
                   {/* Chapter Navigation */}
                   <div className="mb-6">
-                    <h3 className="text-lg font-medium text-gray-900 mb-4">Chapters</h3>
+                    <h3 className="text-lg font-medium text-gray-900 mb-4">
+                      {currentSection?.title || 'Chapters'}
+                    </h3>
                     <div className="space-y-2">
-                      {paginateArray(course.lessons, lessonPage, itemsPerPage).map((lesson, index) => (
+                      {(currentSection?.lessons || []).map(({ lesson, index }) => (
                         <button
                           key={`lesson-${lesson.id}-${index}`}
                           onClick={() => handleLessonSelect(lesson)}
@@ -1308,9 +1612,7 @@ const CourseDetail = () => {
                     onClick={handleEnrollClick}
                       className="inline-flex items-center px-6 py-3 border border-transparent rounded-lg shadow-md text-base font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors"
                   >
-                      {course.price > 0 ? 
-                        `Enroll Now - $${course.discountPrice || course.price}` : 
-                        'Enroll For Free'}
+                      {enrollLabel}
                   </button>
                   </div>
                 </div>
@@ -1347,59 +1649,104 @@ const CourseDetail = () => {
               )}
               
               <div className="divide-y">
-                {paginateArray(course.lessons, lessonPage, itemsPerPage).map((lesson, index) => (
-                  <motion.div
-                    key={`lesson-${lesson.id}-${index}`}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    transition={{ delay: index * 0.1 }}
-                    className={`p-4 hover:bg-gray-50 cursor-pointer transition-colors duration-200 ${
-                      selectedLesson?.id === lesson.id ? 'bg-blue-50 border-l-4 border-blue-600' : ''
-                    }`}
-                    onClick={() => isEnrolled && setSelectedLesson(lesson)}
-                  >
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center">
-                        <span className="w-7 h-7 flex items-center justify-center rounded-full bg-gray-100 text-gray-700 text-sm font-medium mr-3">
-                          {index + 1}
-                        </span>
+                {courseSections.map((section) => {
+                  const sectionProgress = getSectionProgress(section.lessons.map(({ lesson }) => lesson), progress);
+                  const isCollapsed = collapsedSections[section.id];
+
+                  return (
+                    <div key={section.id}>
+                      <button
+                        type="button"
+                        onClick={() => toggleSection(section.id)}
+                        className="w-full flex items-center justify-between px-4 py-3 bg-gray-50 hover:bg-gray-100 text-left"
+                      >
+                        <div>
+                          <h3 className="text-sm font-semibold text-gray-900">{section.title}</h3>
+                          <p className="text-xs text-gray-500 mt-0.5">
+                            {section.lessons.length} {section.lessons.length === 1 ? 'lesson' : 'lessons'}
+                            {isEnrolled && ` • ${sectionProgress}% complete`}
+                          </p>
+                        </div>
+                        <ChevronDownIcon
+                          className={`h-5 w-5 text-gray-500 transition-transform duration-200 ${isCollapsed ? '-rotate-90' : ''}`}
+                        />
+                      </button>
+                      {isEnrolled && (
+                        <div className="h-1 bg-gray-200">
+                          <div
+                            className="h-1 bg-green-500 transition-all duration-300"
+                            style={{ width: `${sectionProgress}%` }}
+                          />
+                        </div>
+                      )}
+
+                      {!isCollapsed && (
+                        <div className="divide-y">
+                          {section.lessons.map(({ lesson, index }, position) => (
+                            <motion.div
+                              key={`lesson-${lesson.id}-${index}`}
+                              initial={{ opacity: 0 }}
+                              animate={{ opacity: 1 }}
+                              transition={{ delay: position * 0.05 }}
+                              className={`p-4 hover:bg-gray-50 cursor-pointer transition-colors duration-200 ${
+                                selectedLesson?.id === lesson.id ? 'bg-blue-50 border-l-4 border-blue-600' : ''
+                              }`}
+                              onClick={() => isEnrolled && setSelectedLesson(lesson)}
+                            >
+                              <div className="flex items-center justify-between">
+                                <div className="flex items-center">
+                                  <span className="w-7 h-7 flex items-center justify-center rounded-full bg-gray-100 text-gray-700 text-sm font-medium mr-3">
+                                    {index + 1}
+                                  </span>
                         
-                        {isEnrolled ? (
-                          progress[lesson.id] ? (
-                            <CheckCircleIcon className="h-5 w-5 text-green-500 mr-3" />
-                          ) : (
-                            <PlayIcon className="h-5 w-5 text-blue-500 mr-3" />
-                          )
-                        ) : (
-                          <LockClosedIcon className="h-5 w-5 text-gray-400 mr-3" />
-                        )}
+                                  {isEnrolled ? (
+                                    progress[lesson.id] ? (
+                                      <CheckCircleIcon className="h-5 w-5 text-green-500 mr-3" />
+                                    ) : (
+                                      <PlayIcon className="h-5 w-5 text-blue-500 mr-3" />
+                                    )
+                                  ) : (
+                                    <LockClosedIcon className="h-5 w-5 text-gray-400 mr-3" />
+                                  )}
                         
-                        <div>
-                          <h3 className="text-sm font-medium text-gray-900">
-                            {lesson.title}
-                          </h3>
-                          <div className="flex items-center text-xs text-gray-500 mt-1">
-                            <ClockIcon className="h-3 w-3 mr-1" />
-                            <span>{lesson.duration || "10 min"}</span>
+                                  <div>
+                                    <h3 className="text-sm font-medium text-gray-900">
+                                      {lesson.title}
+                                    </h3>
+                                    <div className="flex items-center text-xs text-gray-500 mt-1">
+                                      <ClockIcon className="h-3 w-3 mr-1" />
+                                      <span>{lesson.duration || "10 min"}</span>
                             
-                            {lesson.studyMaterials && lesson.studyMaterials.length > 0 && (
-                              <span className="flex items-center ml-3">
-                                <DocumentIcon className="h-3 w-3 mr-1" />
-                                {lesson.studyMaterials.length} {lesson.studyMaterials.length === 1 ? 'material' : 'materials'}
-                              </span>
-                            )}
-                        </div>
-                      </div>
-                      </div>
+                                      {lesson.studyMaterials && lesson.studyMaterials.length > 0 && (
+                                        <span className="flex items-center ml-3">
+                                          <DocumentIcon className="h-3 w-3 mr-1" />
+                                          {lesson.studyMaterials.length} {lesson.studyMaterials.length === 1 ? 'material' : 'materials'}
+                                        </span>
+                                      )}
+
+                                      {hasQuiz(lesson) && (
+                                        <span className="flex items-center ml-3">
+                                          <QuestionMarkCircleIcon className="h-3 w-3 mr-1" />
+                                          Quiz
+                                        </span>
+                                      )}
+                                  </div>
+                                </div>
+                                </div>
                       
-                      {lesson.previewEnabled && !isEnrolled && (
-                        <span className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded-full">
-                          Preview
-                        </span>
+                                {lesson.previewEnabled && !isEnrolled && (
+                                  <span className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded-full">
+                                    Preview
+                                  </span>
+                                )}
+                              </div>
+                            </motion.div>
+                          ))}
+                        </div>
                       )}
                     </div>
-                  </motion.div>
-                ))}
+                  );
+                })}
               </div>
             </div>
 
@@ -1550,8 +1897,26 @@ const CourseDetail = () => {
           {/* Course Progress */}
           {isEnrolled && (
             <div className="lg:col-span-1">
+              {selectedLesson && canAccessLesson(selectedLesson) && (
+                <LessonNotes
+                  userId={user.uid}
+                  courseId={courseId}
+                  lesson={selectedLesson}
+                  getCurrentTime={() => playerRef.current?.getCurrentTime() || currentTime}
+                  onSeek={(seconds) => {
+                    playerRef.current?.seekTo(seconds, 'seconds');
+                    setResumePrompt(null);
+                  }}
+                />
+              )}
               <div className="bg-white rounded-lg shadow-sm p-6 sticky top-8">
                 <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Progress</h2>
+                {courseGrade !== null && (
+                  <div className="flex items-center justify-between bg-blue-50 rounded-lg px-4 py-3 mb-4">
+                    <span className="text-sm font-medium text-blue-800">Course Grade</span>
+                    <span className="text-lg font-bold text-blue-700">{courseGrade}%</span>
+                  </div>
+                )}
                 <div className="mb-4">
                   <div className="flex justify-between text-sm text-gray-600 mb-2">
                     <span>{completionPercentage}% Complete</span>
@@ -1609,7 +1974,7 @@ const CourseDetail = () => {
               <div className="bg-gradient-to-r from-blue-600 to-indigo-600 p-6 text-white">
                 <div className="flex justify-between items-center">
                   <h3 className="text-xl font-semibold">
-                    Complete Your Enrollment
+                    {isGiftPurchase ? 'Gift This Course' : 'Complete Your Enrollment'}
                 </h3>
                 <button
                   onClick={() => setShowPaymentForm(false)}
@@ -1637,22 +2002,20 @@ const CourseDetail = () => {
                       {course.instructorName}
                     </div>
                     <div className="flex items-center">
-                      {course.hasDiscount && (
-                        <span className="text-gray-400 line-through text-sm mr-2">${course.price}</span>
+                      {pricing.isDiscounted && (
+                        <span className="text-gray-400 line-through text-sm mr-2">{formatCurrency(pricing.listPrice, currency)}</span>
                       )}
                       <span className="text-xl font-bold text-blue-600">
-                        ${course.discountPrice || course.price}
+                        {formatCurrency(pricing.price, currency)}
                       </span>
                     </div>
                   </div>
               </div>
 
                 <PaymentForm
-                  course={{
-                    ...course,
-                    price: course.discountPrice || course.price
-                  }}
-                  onSuccess={handlePaymentSuccess}
+                  course={course}
+                  isGift={isGiftPurchase}
+                  onSuccess={isGiftPurchase ? handleGiftSuccess : handlePaymentSuccess}
                 />
                 
                 <div className="mt-4 text-xs text-gray-500 text-center">
@@ -1718,6 +2081,20 @@ const CourseDetail = () => {
           )}
         </div>
 
+        {/* Publishing status, for the instructor and admins */}
+        {courseStatus !== 'published' && canPreviewUnpublished && (
+          <div className="bg-yellow-50 border border-yellow-100 rounded-lg p-4 mb-6">
+            <h3 className="text-sm font-medium text-yellow-800">
+              {COURSE_STATUSES[courseStatus].label}: this course is not listed in the catalog
+            </h3>
+            <p className="mt-2 text-sm text-yellow-700">
+              {courseStatus === 'submitted'
+                ? 'It is waiting for an admin to review and publish it.'
+                : 'Students can only find it once it has been submitted for review and published.'}
+            </p>
+          </div>
+        )}
+
         {/* Recycled Course Notice */}
         {course?.isDeleted && (
           <div className="bg-red-50 border border-red-100 rounded-lg p-4 mb-6">
@@ -3,6 +3,10 @@ import { Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../../config/firebase';
+import { getCoursePricing } from '../../utils/pricing';
+import { isCoursePublished } from '../../utils/courseStatus';
+import { formatCurrency } from '../../utils/currency';
+import { useCurrency } from '../../context/CurrencyContext';
 import { motion } from 'framer-motion';
 import {
   AcademicCapIcon,
@@ -21,6 +25,7 @@ import {
 
 const categories = ['Programming', 'Design', 'Business', 'Marketing', 'Music', 'Photography'];
 const levels = ['Beginner', 'Intermediate', 'Advanced'];
+// In USD whatever currency the student browses in, so the buckets stay comparable
 const priceRanges = [
   { label: 'All', min: 0, max: Infinity },
   { label: 'Free', min: 0, max: 0 },
@@ -36,6 +41,7 @@ const ratingOptions = [
 ];
 
 const CourseList = () => {
+  const { currency, rates } = useCurrency();
   const [filters, setFilters] = useState({
     category: '',
     level: '',
@@ -48,10 +54,10 @@ const CourseList = () => {
   const [instructors, setInstructors] = useState([]);
 
   const { data: courses = [], isLoading } = useQuery({
-    queryKey: ['courses', filters],
+    queryKey: ['courses', filters, currency, rates],
     queryFn: async () => {
       let q = collection(db, 'courses');
-      let constraints = [];
+      let constraints = [where('status', '==', 'published')];
       
       if (filters.category && filters.category !== '') {
         constraints.push(where('category', '==', filters.category));
@@ -60,22 +66,21 @@ const CourseList = () => {
         constraints.push(where('level', '==', filters.level));
       }
       
-      if (constraints.length > 0) {
-        q = query(q, ...constraints);
-      } else {
-        q = query(q);
-      }
+      q = query(q, ...constraints);
       
       const querySnapshot = await getDocs(q);
       let results = [];
       
       querySnapshot.forEach((doc) => {
         const data = doc.data();
-        // Filter by price range
-        const effectivePrice = data.hasDiscount ? data.discountPrice : data.price;
+        // Drafts, courses in review and deleted courses are not listed
+        if (!isCoursePublished(data)) return;
+
+        // Filter by the price a student would pay right now
+        const pricing = getCoursePricing(data, { currency, rates });
         const matchesPrice = 
-          effectivePrice >= filters.priceRange.min &&
-          effectivePrice <= filters.priceRange.max;
+          pricing.normalizedPrice >= filters.priceRange.min &&
+          pricing.normalizedPrice <= filters.priceRange.max;
 
         // Filter by instructor if selected
         const matchesInstructor = 
@@ -95,7 +100,7 @@ const CourseList = () => {
           (data.instructorName && data.instructorName.toLowerCase().includes(filters.search.toLowerCase()));
         
         if (matchesPrice && matchesInstructor && matchesRating && matchesSearch) {
-          results.push({ id: doc.id, ...data });
+          results.push({ id: doc.id, ...data, pricing });
         }
       });
       
@@ -321,13 +326,17 @@ const CourseList = () => {
                     />
                     <div className="absolute inset-0 bg-gradient-to-t from-black/60 to-transparent"></div>
                     <div className="absolute top-3 right-3 flex space-x-2">
-                      {course.isFree || course.price === 0 ? (
+                      {course.pricing.isFree ? (
                         <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">Free</span>
-                      ) : course.hasDiscount ? (
+                      ) : course.pricing.isDiscounted ? (
                         <span className="bg-red-500 text-white text-xs px-2 py-1 rounded-full">
-                          -{Math.round((1 - course.discountPrice / course.price) * 100)}%
+                          -{course.pricing.discountPercent}%
                         </span>
                       ) : null}
+
+                      {course.includedInMembership && !course.pricing.isFree && (
+                        <span className="bg-purple-600/90 text-white text-xs px-2 py-1 rounded-full">Membership</span>
+                      )}
                       
                       {course.category && (
                         <span className="bg-blue-600/80 text-white text-xs px-2 py-1 rounded-full">
@@ -361,14 +370,14 @@ const CourseList = () => {
                     
                     <div className="flex items-center justify-between mt-4">
                       <div className="font-medium">
-                        {course.hasDiscount ? (
+                        {course.pricing.isDiscounted ? (
                       <div className="flex items-center">
-                            <span className="text-gray-400 line-through text-sm mr-2">${course.price}</span>
-                            <span className="text-blue-600">${course.discountPrice}</span>
+                            <span className="text-gray-400 line-through text-sm mr-2">{formatCurrency(course.pricing.listPrice, currency)}</span>
+                            <span className="text-blue-600">{formatCurrency(course.pricing.price, currency)}</span>
                           </div>
                         ) : (
                           <span className="text-blue-600">
-                            {course.isFree || course.price === 0 ? 'Free' : `$${course.price}`}
+                            {course.pricing.isFree ? 'Free' : formatCurrency(course.pricing.price, currency)}
                         </span>
                         )}
                       </div>
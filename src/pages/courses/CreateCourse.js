@@ -1,11 +1,12 @@
-import React, { useState, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useCallback, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import { motion } from 'framer-motion';
 import { toast } from 'react-hot-toast';
 import {
   collection,
   addDoc,
+  getDoc,
   serverTimestamp,
   updateDoc,
   arrayUnion,
@@ -19,6 +20,32 @@ import {
 } from 'firebase/storage';
 import { db, storage } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import QuizEditor from '../../components/courses/QuizEditor';
+import CaptionsEditor from '../../components/courses/CaptionsEditor';
+import SectionEditor from '../../components/courses/SectionEditor';
+import DraggableLesson from '../../components/courses/DraggableLesson';
+import PublishChecklist from '../../components/courses/PublishChecklist';
+import CompletionRuleField from '../../components/courses/CompletionRuleField';
+import { validateQuiz, splitQuizKeys, mergeQuizKeys, loadQuizKeys, saveQuizKeys } from '../../utils/quiz';
+import { getPublishChecklist, isChecklistComplete } from '../../utils/courseStatus';
+import { toDate } from '../../utils/dates';
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  PRICING_MODES,
+  convertFromBase,
+} from '../../utils/currency';
+import {
+  createSection,
+  moveItem,
+  groupLessonsBySection,
+  flattenSections,
+  shiftLesson,
+  moveLessonTo,
+  normalizeCourseStructure,
+} from '../../utils/courseStructure';
 import {
   CloudArrowUpIcon,
   XMarkIcon,
@@ -41,10 +68,76 @@ const certificateTemplates = [
   { id: 'creative', name: 'Creative', color: '#B45309' },
 ];
 
+const LOCAL_CURRENCIES = SUPPORTED_CURRENCIES.filter(code => code !== BASE_CURRENCY);
+
+// Keeps only the local prices that were filled in, as numbers
+const cleanLocalPrices = (localPrices, hasDiscount) => LOCAL_CURRENCIES.reduce((prices, code) => {
+  const price = Number(localPrices[code]?.price);
+  const discountPrice = Number(localPrices[code]?.discountPrice);
+  if (!(price > 0)) return prices;
+  return {
+    ...prices,
+    [code]: {
+      price,
+      discountPrice: hasDiscount && discountPrice > 0 ? discountPrice : null,
+    },
+  };
+}, {});
+
+// Turns a saved course back into the form's state so a draft can be resumed
+const toFormState = (course) => ({
+  courseData: {
+    title: course.title || '',
+    description: course.description || '',
+    category: course.category || '',
+    level: course.level || 'beginner',
+    price: course.isFree || !course.price ? '' : String(course.price),
+    isFree: !!course.isFree,
+    discountPrice: course.discountPrice ? String(course.discountPrice) : '',
+    thumbnail: null,
+    thumbnailUrl: course.thumbnail || '',
+    thumbnailPreview: course.thumbnail || null,
+    hasDiscount: !!course.hasDiscount,
+    discountEndDate: toDate(course.discountEndDate)?.toISOString().split('T')[0] || '',
+    pricingMode: course.pricingMode || PRICING_MODES.rates,
+    localPrices: course.localPrices || {},
+    includedInMembership: !!course.includedInMembership,
+    previewEnabled: !!course.previewEnabled,
+    completionThreshold: course.completionThreshold || 0,
+    requirements: course.requirements || [],
+    outcomes: course.outcomes || [],
+    duration: course.duration || '',
+  },
+  sections: course.sections,
+  lessons: course.lessons.map(lesson => ({
+    ...lesson,
+    videoFile: null,
+    videoName: lesson.videoUrl ? 'Uploaded video' : '',
+    studyMaterials: lesson.studyMaterials || [],
+  })),
+  certificateTemplate: {
+    templateId: course.certificateTemplate?.templateId || 'default',
+    color: course.certificateTemplate?.color || '#1E40AF',
+    instructorName: course.certificateTemplate?.instructorName || '',
+    instructorSignature: null,
+    instructorSignatureUrl: course.certificateTemplate?.instructorSignatureUrl || '',
+    instructorSignaturePreview: course.certificateTemplate?.instructorSignatureUrl || null,
+    showInstructorName: course.certificateTemplate?.showInstructorName !== false,
+    logo: null,
+    logoUrl: course.certificateTemplate?.logo || '',
+    logoPreview: course.certificateTemplate?.logo || null,
+  },
+});
+
 const CreateCourse = () => {
   const navigate = useNavigate();
+  const { courseId: draftId } = useParams();
   const { user } = useAuth();
+  const { rates } = useCurrency();
   const [loading, setLoading] = useState(false);
+  // The saved draft being resumed, once it has been written at least once
+  const [draft, setDraft] = useState(null);
+  const [loadingDraft, setLoadingDraft] = useState(!!draftId);
   const [courseData, setCourseData] = useState({
     title: '',
     description: '',
@@ -56,7 +149,11 @@ const CreateCourse = () => {
     thumbnail: null,
     hasDiscount: false,
     discountEndDate: '',
+    pricingMode: PRICING_MODES.rates,
+    localPrices: {},
+    includedInMembership: false,
     previewEnabled: false,
+    completionThreshold: 0,
     requirements: [],
     outcomes: [],
   });
@@ -75,13 +172,19 @@ const CreateCourse = () => {
 
   const [showCertificateSection, setShowCertificateSection] = useState(false);
 
-  const [lessons, setLessons] = useState([{
+  const [sections, setSections] = useState(() => [createSection('Section 1')]);
+
+  const [lessons, setLessons] = useState(() => [{
+    id: crypto.randomUUID(),
+    sectionId: sections[0]?.id,
     title: '',
     description: '',
     videoFile: null,
     previewEnabled: false,
     studyMaterials: [],
+    captions: [],
     duration: '',
+    quiz: null,
   }]);
 
   const [previewVideo, setPreviewVideo] = useState(null);
@@ -97,6 +200,41 @@ const CreateCourse = () => {
   });
   const [uploadError, setUploadError] = useState('');
 
+  // Resume a saved draft
+  useEffect(() => {
+    if (!draftId || !user?.uid) return;
+
+    const loadDraft = async () => {
+      try {
+        const courseDoc = await getDoc(doc(db, 'courses', draftId));
+        if (!courseDoc.exists() || (courseDoc.data().instructorId !== user.uid && user?.role !== 'admin')) {
+          toast.error('Draft not found');
+          navigate('/dashboard/my-courses');
+          return;
+        }
+        const course = normalizeCourseStructure({ id: courseDoc.id, ...courseDoc.data() });
+        if (course.status !== 'draft') {
+          navigate(`/courses/edit/${draftId}`, { replace: true });
+          return;
+        }
+
+        const form = toFormState({ ...course, lessons: mergeQuizKeys(course.lessons, await loadQuizKeys(draftId)) });
+        setDraft(course);
+        setCourseData(form.courseData);
+        setSections(form.sections);
+        setLessons(form.lessons);
+        setCertificateTemplate(prev => ({ ...prev, ...form.certificateTemplate }));
+      } catch (error) {
+        console.error('Error loading draft:', error);
+        toast.error('Failed to load the draft');
+      } finally {
+        setLoadingDraft(false);
+      }
+    };
+
+    loadDraft();
+  }, [draftId, user?.uid, user?.role, navigate]);
+
   // Enhanced onDrop for thumbnail with progress
   const onDrop = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles[0];
@@ -171,22 +309,26 @@ const CreateCourse = () => {
         ...prev,
         videos: {
           ...prev.videos,
-          [index]: { progress: 0, uploading: false }
+          [updatedLessons[index].id]: { progress: 0, uploading: false }
         }
       }));
     }
   };
 
-  const addLesson = () => {
+  const addLesson = (sectionId) => {
     setLessons([
       ...lessons,
       {
+        id: crypto.randomUUID(),
+        sectionId,
         title: '',
         description: '',
         videoFile: null,
         previewEnabled: false,
         studyMaterials: [],
+        captions: [],
         duration: '',
+        quiz: null,
       },
     ]);
   };
@@ -195,24 +337,67 @@ const CreateCourse = () => {
     setLessons((prev) => prev.filter((_, i) => i !== index));
   };
 
+  const addSection = () => {
+    const section = createSection(`Section ${sections.length + 1}`);
+    setSections([...sections, section]);
+    addLesson(section.id);
+  };
+
+  const handleSectionTitleChange = (sectionId, title) => {
+    setSections(sections.map(section => section.id === sectionId ? { ...section, title } : section));
+  };
+
+  const moveSection = (from, to) => {
+    setSections(moveItem(sections, from, to));
+  };
+
+  const dropSection = (draggedId, targetIndex) => {
+    setSections(moveItem(sections, sections.findIndex(section => section.id === draggedId), targetIndex));
+  };
+
+  const moveLesson = (lessonId, direction) => {
+    setLessons(shiftLesson(sections, lessons, lessonId, direction));
+  };
+
+  const dropLesson = (lessonId, sectionId, position) => {
+    setLessons(moveLessonTo(sections, lessons, lessonId, sectionId, position));
+  };
+
+  // Lessons of a removed section move to its neighbour instead of being deleted
+  const removeSection = (sectionIndex) => {
+    if (sections.length === 1) return;
+    const removed = sections[sectionIndex];
+    const target = sections[sectionIndex === 0 ? 1 : sectionIndex - 1];
+    setSections(sections.filter((_, i) => i !== sectionIndex));
+    setLessons(lessons.map(lesson =>
+      lesson.sectionId === removed.id ? { ...lesson, sectionId: target.id } : lesson
+    ));
+  };
+
   const handleLessonChange = (index, field, value) => {
     const newLessons = [...lessons];
     newLessons[index][field] = value;
     setLessons(newLessons);
   };
 
+  // Captions finish uploading after the lessons may have changed, so update by id
+  const handleLessonCaptionsChange = (lessonId, captions) => {
+    setLessons(prev => prev.map(lesson => lesson.id === lessonId ? { ...lesson, captions } : lesson));
+  };
+
   // Enhanced study material upload with progress
   const handleStudyMaterialUpload = async (index, files) => {
     if (!files || files.length === 0) return;
     
-    const newLessons = [...lessons];
-    const lessonTitle = newLessons[index].title || `Lesson ${index + 1}`;
+    // Lessons can be reordered while files upload, so track them by id
+    const lessonId = lessons[index].id;
+    const lessonTitle = lessons[index].title || `Lesson ${index + 1}`;
     
     // Initialize progress trackers for all files
     setFileUploads(prev => {
       const materialUpdates = { ...prev.materials };
       Array.from(files).forEach((file, fileIndex) => {
-        const fileId = `${index}-${fileIndex}`;
+        const fileId = `${lessonId}-${fileIndex}`;
         materialUpdates[fileId] = { progress: 0, uploading: true, name: file.name };
       });
       
@@ -224,7 +409,7 @@ const CreateCourse = () => {
     
     // Upload each file with progress tracking
     const uploadPromises = Array.from(files).map(async (file, fileIndex) => {
-      const fileId = `${index}-${fileIndex}`;
+      const fileId = `${lessonId}-${fileIndex}`;
       const storageRef = ref(storage, `courses/${courseData.title || 'untitled'}/materials/${file.name}`);
       
       try {
@@ -294,12 +479,10 @@ const CreateCourse = () => {
       const materialResults = await Promise.all(uploadPromises);
       const validMaterials = materialResults.filter(Boolean);
       
-    newLessons[index].studyMaterials = [
-      ...(newLessons[index].studyMaterials || []),
-        ...validMaterials
-      ];
-      
-      setLessons(newLessons);
+      setLessons(prev => prev.map(lesson => lesson.id === lessonId
+        ? { ...lesson, studyMaterials: [...(lesson.studyMaterials || []), ...validMaterials] }
+        : lesson
+      ));
       toast.success(`Materials added to ${lessonTitle}`);
     } catch (error) {
       console.error('Error uploading materials:', error);
@@ -314,15 +497,47 @@ const CreateCourse = () => {
     setLessons(newLessons);
   };
 
-  // Enhanced submit with version control
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const publishChecklist = getPublishChecklist({ ...courseData, lessons });
+  const isUploading = Object.values(fileUploads).some(item =>
+    typeof item === 'object' && item.uploading === true
+  );
+
+  // Saves the course as a draft, or submits it for review. Drafts may be
+  // incomplete; submitting needs a complete course and publish checklist.
+  const saveCourse = async (submit) => {
+    if (!courseData.title.trim()) {
+      toast.error('Give your course a title before saving');
+      return;
+    }
+
+    if (submit) {
+      if (sections.some(section => !lessons.some(lesson => lesson.sectionId === section.id))) {
+        toast.error('Every section needs at least one lesson');
+        return;
+      }
+
+      // Validate lesson quizzes before uploading anything
+      for (let i = 0; i < lessons.length; i++) {
+        const quizError = validateQuiz(lessons[i].quiz);
+        if (quizError) {
+          toast.error(`Lesson ${i + 1} quiz: ${quizError}`);
+          return;
+        }
+      }
+
+      const missing = publishChecklist.find(item => !item.done);
+      if (missing) {
+        toast.error(`Before submitting: ${missing.label.toLowerCase()}`);
+        return;
+      }
+    }
+
     setLoading(true);
     setUploadError('');
 
     try {
       // Upload thumbnail with progress tracking
-      let thumbnailUrl = '';
+      let thumbnailUrl = courseData.thumbnailUrl || '';
       if (courseData.thumbnail) {
         const thumbnailRef = ref(storage, `courses/thumbnails/${courseData.thumbnail.name}`);
         
@@ -356,7 +571,7 @@ const CreateCourse = () => {
       }
 
       // Upload instructor signature if provided
-      let signatureUrl = '';
+      let signatureUrl = certificateTemplate.instructorSignatureUrl || '';
       if (certificateTemplate.instructorSignature) {
         const signatureRef = ref(
           storage, 
@@ -393,7 +608,7 @@ const CreateCourse = () => {
       }
 
       // Upload certificate logo if provided
-      let logoUrl = '';
+      let logoUrl = certificateTemplate.logoUrl || '';
       if (certificateTemplate.logo) {
         const logoRef = ref(
           storage, 
@@ -431,8 +646,8 @@ const CreateCourse = () => {
       
       // Upload videos with progress tracking
       const lessonsWithUrls = await Promise.all(
-        lessons.map(async (lesson, index) => {
-          let videoUrl = '';
+        lessons.map(async (lesson) => {
+          let videoUrl = lesson.videoUrl || '';
           if (lesson.videoFile) {
             const videoRef = ref(storage, `courses/videos/${lesson.videoFile.name}`);
             
@@ -441,7 +656,7 @@ const CreateCourse = () => {
               ...prev,
               videos: {
                 ...prev.videos,
-                [index]: { progress: 0, uploading: true }
+                [lesson.id]: { progress: 0, uploading: true }
               }
             }));
             
@@ -455,7 +670,7 @@ const CreateCourse = () => {
                   ...prev,
                   videos: {
                     ...prev.videos,
-                    [index]: { progress: Math.round(progress), uploading: true }
+                    [lesson.id]: { progress: Math.round(progress), uploading: true }
                   }
                 }));
               }
@@ -469,26 +684,32 @@ const CreateCourse = () => {
               ...prev,
               videos: {
                 ...prev.videos,
-                [index]: { progress: 100, uploading: false, complete: true }
+                [lesson.id]: { progress: 100, uploading: false, complete: true }
               }
             }));
           }
 
           return {
-            id: crypto.randomUUID(), // Add unique ID to each lesson for versioning
+            id: lesson.id, // Unique lesson ID used for versioning and student progress
+            sectionId: lesson.sectionId,
             title: lesson.title,
             description: lesson.description,
             videoUrl,
             previewEnabled: lesson.previewEnabled,
             studyMaterials: lesson.studyMaterials,
+            captions: lesson.captions || [],
             duration: lesson.duration,
+            quiz: lesson.quiz || null,
             version: 1, // Initial version
-            createdAt: new Date().toISOString(),
+            createdAt: lesson.createdAt || new Date().toISOString(),
             updatedAt: new Date().toISOString(),
           };
         })
       );
 
+      // Answer keys are saved apart from the public course document
+      const { lessons: orderedLessons, quizKeys } = splitQuizKeys(flattenSections(sections, lessonsWithUrls));
+
       // Prepare certificate template data
       const certificateTemplateData = {
         templateId: certificateTemplate.templateId,
@@ -499,8 +720,7 @@ const CreateCourse = () => {
         logo: logoUrl
       };
 
-      // Create course document with version control
-      const courseRef = await addDoc(collection(db, 'courses'), {
+      const courseFields = {
         title: courseData.title,
         description: courseData.description,
         category: courseData.category,
@@ -514,57 +734,108 @@ const CreateCourse = () => {
         discountEndDate: courseData.isFree 
           ? null 
           : (courseData.hasDiscount && courseData.discountEndDate ? new Date(courseData.discountEndDate) : null),
+        includedInMembership: !courseData.isFree && courseData.includedInMembership,
+        completionThreshold: Number(courseData.completionThreshold) || 0,
+        pricingMode: courseData.isFree ? PRICING_MODES.rates : courseData.pricingMode,
+        localPrices: !courseData.isFree && courseData.pricingMode === PRICING_MODES.manual
+          ? cleanLocalPrices(courseData.localPrices, courseData.hasDiscount)
+          : {},
         thumbnail: thumbnailUrl,
-        lessons: lessonsWithUrls,
-        instructorId: user.uid,
-        instructorName: user.displayName,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        rating: 0,
-        reviewCount: 0,
-        enrollmentCount: 0,
+        sections,
+        lessons: orderedLessons,
         requirements: courseData.requirements,
         outcomes: courseData.outcomes,
-        version: 1, // Add version control
         certificateTemplate: certificateTemplateData, // Add certificate template data
-        versionHistory: [
-          {
-            version: 1,
-            updatedAt: new Date().toISOString(),
-            updatedBy: user.uid,
-            updaterName: user.displayName,
-            changelog: "Initial course creation"
-          }
-        ]
-      });
-      
-      // Create course versions collection
-      await addDoc(collection(db, 'courseVersions'), {
-        courseId: courseRef.id,
-        version: 1,
-        title: courseData.title,
-        description: courseData.description,
-        lessons: lessonsWithUrls.map(lesson => ({
-          ...lesson,
-          id: lesson.id
-        })),
-        updatedAt: new Date().toISOString(),
-        updatedBy: user.uid,
-        updaterName: user.displayName,
-        changelog: "Initial course creation"
-      });
+        status: submit ? 'submitted' : 'draft',
+        updatedAt: serverTimestamp(),
+        ...(submit && { submittedAt: serverTimestamp() }),
+      };
+
+      // Create the course document with version control on the first save
+      let courseId = draft?.id;
+      if (courseId) {
+        await updateDoc(doc(db, 'courses', courseId), courseFields);
+      } else {
+        const courseRef = await addDoc(collection(db, 'courses'), {
+          ...courseFields,
+          instructorId: user.uid,
+          instructorName: user.displayName,
+          createdAt: serverTimestamp(),
+          rating: 0,
+          reviewCount: 0,
+          enrollmentCount: 0,
+          version: 1, // Add version control
+          versionHistory: [
+            {
+              version: 1,
+              updatedAt: new Date().toISOString(),
+              updatedBy: user.uid,
+              updaterName: user.displayName,
+              changelog: "Initial course creation"
+            }
+          ]
+        });
+        courseId = courseRef.id;
+      }
+      await saveQuizKeys(courseId, quizKeys);
+
+      if (!submit) {
+        // Later saves reuse what was just uploaded
+        setDraft(prev => ({ ...prev, id: courseId }));
+        setCourseData(prev => ({ ...prev, thumbnail: null, thumbnailUrl }));
+        setLessons(prev => prev.map(lesson => {
+          const saved = lessonsWithUrls.find(({ id }) => id === lesson.id);
+          return saved ? { ...lesson, videoFile: null, videoUrl: saved.videoUrl } : lesson;
+        }));
+        setCertificateTemplate(prev => ({
+          ...prev,
+          instructorSignature: null,
+          instructorSignatureUrl: signatureUrl,
+          logo: null,
+          logoUrl,
+        }));
+        toast.success('Draft saved. You can come back to it from My Courses.');
+        if (!draftId) {
+          navigate(`/courses/create/${courseId}`, { replace: true });
+        }
+        return;
+      }
 
-      toast.success('Course created successfully!');
-      navigate(`/courses/${courseRef.id}`);
+      // The first version is recorded when the course is first submitted
+      if (!draft?.submittedAt) {
+        await addDoc(collection(db, 'courseVersions'), {
+          courseId,
+          version: 1,
+          title: courseData.title,
+          description: courseData.description,
+          sections,
+          lessons: orderedLessons.map(lesson => ({
+            ...lesson,
+            id: lesson.id
+          })),
+          updatedAt: new Date().toISOString(),
+          updatedBy: user.uid,
+          updaterName: user.displayName,
+          changelog: "Initial course creation"
+        });
+      }
+
+      toast.success('Course submitted for review. We will notify you when it is published.');
+      navigate(`/courses/${courseId}`);
     } catch (error) {
-      console.error('Error creating course:', error);
-      setUploadError('Failed to create course. Please check upload errors and try again.');
-      toast.error('Failed to create course. Please try again.');
+      console.error('Error saving course:', error);
+      setUploadError('Failed to save course. Please check upload errors and try again.');
+      toast.error('Failed to save course. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveCourse(true);
+  };
+
   // Helper function for file size formatting
   const formatBytes = (bytes, decimals = 2) => {
     if (bytes === 0) return '0 Bytes';
@@ -578,10 +849,27 @@ const CreateCourse = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
   };
 
+  if (loadingDraft) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 flex items-center justify-center">
+        <ArrowPathIcon className="w-8 h-8 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
-        <h1 className="text-2xl font-bold text-gray-900 mb-8">Create New Course</h1>
+        <h1 className="text-2xl font-bold text-gray-900 mb-8">
+          {draftId ? `Draft: ${courseData.title || 'Untitled course'}` : 'Create New Course'}
+        </h1>
+
+        {draft?.reviewNote && (
+          <div className="bg-yellow-50 border border-yellow-100 rounded-lg p-4 mb-6">
+            <h3 className="text-sm font-medium text-yellow-800">Changes requested by the reviewer</h3>
+            <p className="mt-1 text-sm text-yellow-700 whitespace-pre-line">{draft.reviewNote}</p>
+          </div>
+        )}
         
         <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-6">
           <div>
@@ -678,7 +966,7 @@ const CreateCourse = () => {
                 </label>
               </div>
               <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">
-                Regular Price ($)
+                Regular Price (USD)
               </label>
               <input
                 type="number"
@@ -719,7 +1007,7 @@ const CreateCourse = () => {
                     onChange={(e) => setCourseData({ ...courseData, discountPrice: e.target.value })}
                     min="0"
                     step="0.01"
-                    placeholder="Discount Price ($)"
+                    placeholder="Discount Price (USD)"
                     className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 mb-2"
                     required={courseData.hasDiscount}
                   />
@@ -737,6 +1025,101 @@ const CreateCourse = () => {
             </div>
           </div>
 
+          <CompletionRuleField
+            value={courseData.completionThreshold}
+            onChange={(completionThreshold) => setCourseData({ ...courseData, completionThreshold })}
+          />
+
+          {!courseData.isFree && (
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="includedInMembership"
+                checked={courseData.includedInMembership}
+                onChange={(e) => setCourseData({ ...courseData, includedInMembership: e.target.checked })}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label htmlFor="includedInMembership" className="ml-2 block text-sm font-medium text-gray-700">
+                Include in the all-access membership (members enroll without paying)
+              </label>
+            </div>
+          )}
+
+          {!courseData.isFree && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-2">Local Currency Prices</span>
+              <div className="flex flex-wrap gap-6 mb-3">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="pricingMode"
+                    checked={courseData.pricingMode === PRICING_MODES.rates}
+                    onChange={() => setCourseData({ ...courseData, pricingMode: PRICING_MODES.rates })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                  />
+                  <span className="ml-2">Convert the USD price at the platform exchange rates</span>
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="pricingMode"
+                    checked={courseData.pricingMode === PRICING_MODES.manual}
+                    onChange={() => setCourseData({ ...courseData, pricingMode: PRICING_MODES.manual })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                  />
+                  <span className="ml-2">Set my own price per currency</span>
+                </label>
+              </div>
+              {courseData.pricingMode === PRICING_MODES.manual && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {LOCAL_CURRENCIES.map(code => {
+                    const localPrice = courseData.localPrices[code] || {};
+                    const setLocalPrice = (field, value) => setCourseData({
+                      ...courseData,
+                      localPrices: {
+                        ...courseData.localPrices,
+                        [code]: { ...localPrice, [field]: value },
+                      },
+                    });
+
+                    return (
+                      <div key={code} className="p-3 border border-gray-200 rounded-md">
+                        <p className="text-sm font-medium text-gray-700 mb-2">{CURRENCIES[code].label} ({code})</p>
+                        <div className="flex space-x-2">
+                          <input
+                            type="number"
+                            aria-label={`Price in ${code}`}
+                            value={localPrice.price || ''}
+                            onChange={(e) => setLocalPrice('price', e.target.value)}
+                            min="0"
+                            step="0.01"
+                            placeholder={`${convertFromBase(courseData.price, code, rates)}`}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                          />
+                          {courseData.hasDiscount && (
+                            <input
+                              type="number"
+                              aria-label={`Discount price in ${code}`}
+                              value={localPrice.discountPrice || ''}
+                              onChange={(e) => setLocalPrice('discountPrice', e.target.value)}
+                              min="0"
+                              step="0.01"
+                              placeholder={`${convertFromBase(courseData.discountPrice, code, rates)}`}
+                              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <p className="md:col-span-2 text-sm text-gray-500">
+                    Currencies left blank are converted from the USD price.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
           <div>
             <label htmlFor="duration" className="block text-sm font-medium text-gray-700 mb-2">
               Duration (minutes)
@@ -786,7 +1169,7 @@ const CreateCourse = () => {
                   />
                   <button
                     type="button"
-                    onClick={() => setCourseData(prev => ({...prev, thumbnail: null, thumbnailPreview: null}))}
+                    onClick={() => setCourseData(prev => ({...prev, thumbnail: null, thumbnailUrl: '', thumbnailPreview: null}))}
                     className="absolute top-2 right-2 bg-red-600 text-white p-1 rounded-full hover:bg-red-700"
                   >
                     <XMarkIcon className="h-5 w-5" />
@@ -814,177 +1197,212 @@ const CreateCourse = () => {
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Course Content
             </label>
-            <div className="space-y-4">
-              {lessons.map((lesson, index) => (
-                <div key={index} className="border border-gray-200 rounded-md p-4">
-                  <div className="grid grid-cols-1 gap-4">
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Lesson Title
-                      </label>
-                      <input
-                        type="text"
-                        value={lesson.title}
-                        onChange={(e) => handleLessonChange(index, 'title', e.target.value)}
-                        className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                        placeholder="Enter lesson title"
-                        required
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Lesson Description
-                      </label>
-                      <textarea
-                        value={lesson.description}
-                        onChange={(e) => handleLessonChange(index, 'description', e.target.value)}
-                        rows={3}
-                        className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                        placeholder="Describe what this lesson covers"
-                        required
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Video File
-                      </label>
-                      <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 flex flex-col items-center justify-center bg-gray-50 hover:bg-gray-100 transition duration-150 cursor-pointer">
-                      <input
-                        type="file"
-                        accept="video/*"
-                        onChange={(e) => handleLessonVideoChange(e, index)}
-                          className="hidden"
-                          id={`video-upload-${index}`}
-                        />
-                        <label htmlFor={`video-upload-${index}`} className="cursor-pointer flex flex-col items-center">
-                          <CloudArrowUpIcon className="h-10 w-10 text-gray-400" />
-                          <span className="mt-2 text-sm text-gray-600">
-                            {lesson.videoName 
-                              ? `Selected: ${lesson.videoName}`
-                              : 'Click to upload video'
-                            }
-                          </span>
-                        </label>
-                      </div>
-                      
-                      {/* Video upload progress */}
-                      {fileUploads.videos[index]?.uploading && (
-                        <div className="mt-2">
-                          <div className="w-full bg-gray-200 rounded-full h-2.5">
-                            <div 
-                              className="bg-blue-600 h-2.5 rounded-full transition-all duration-300" 
-                              style={{ width: `${fileUploads.videos[index].progress}%` }}
-                            ></div>
-                          </div>
-                          <p className="text-xs text-gray-500 mt-1 text-right">
-                            {fileUploads.videos[index].progress}% uploaded
-                          </p>
+            <div className="space-y-6">
+              {groupLessonsBySection(sections, lessons).map((section, sectionIndex) => (
+                <SectionEditor
+                  key={section.id}
+                  section={section}
+                  index={sectionIndex}
+                  total={sections.length}
+                  lessonCount={section.lessons.length}
+                  onTitleChange={(title) => handleSectionTitleChange(section.id, title)}
+                  onMove={(to) => moveSection(sectionIndex, to)}
+                  onRemove={() => removeSection(sectionIndex)}
+                  onAddLesson={() => addLesson(section.id)}
+                  onDropSection={(draggedId) => dropSection(draggedId, sectionIndex)}
+                  onDropLesson={(draggedId) => dropLesson(draggedId, section.id, section.lessons.length)}
+                >
+                  {section.lessons.map(({ lesson, index }, position) => (
+                    <DraggableLesson
+                      key={lesson.id}
+                      lessonId={lesson.id}
+                      title={lesson.title}
+                      canMoveUp={sectionIndex > 0 || position > 0}
+                      canMoveDown={sectionIndex < sections.length - 1 || position < section.lessons.length - 1}
+                      onMove={(direction) => moveLesson(lesson.id, direction)}
+                      onDropLesson={(draggedId) => dropLesson(draggedId, section.id, position)}
+                    >
+                      <div className="grid grid-cols-1 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Lesson Title
+                          </label>
+                          <input
+                            type="text"
+                            value={lesson.title}
+                            onChange={(e) => handleLessonChange(index, 'title', e.target.value)}
+                            className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="Enter lesson title"
+                            required
+                          />
                         </div>
-                      )}
-                    </div>
-                    <div className="flex items-center">
-                      <input
-                        type="checkbox"
-                        id={`preview-${index}`}
-                        checked={lesson.previewEnabled}
-                        onChange={(e) => handleLessonChange(index, 'previewEnabled', e.target.checked)}
-                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                      />
-                      <label htmlFor={`preview-${index}`} className="ml-2 block text-sm text-gray-700">
-                        Enable preview for this lesson
-                      </label>
-                    </div>
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Study Materials
-                      </label>
-                      <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 flex flex-col items-center justify-center bg-gray-50 hover:bg-gray-100 transition duration-150 cursor-pointer">
-                      <input
-                        type="file"
-                        multiple
-                        onChange={(e) => handleStudyMaterialUpload(index, e.target.files)}
-                          className="hidden"
-                          id={`material-upload-${index}`}
-                          accept=".pdf,.doc,.docx,.txt,.xls,.xlsx,.ppt,.pptx,.zip,.rar"
-                        />
-                        <label htmlFor={`material-upload-${index}`} className="cursor-pointer flex flex-col items-center w-full">
-                          <DocumentArrowUpIcon className="h-10 w-10 text-gray-400" />
-                          <span className="mt-2 text-sm text-gray-600 text-center">
-                            Drag and drop study materials here, or click to upload
-                          </span>
-                          <span className="text-xs text-gray-500 mt-1">
-                            PDF, DOC, TXT, Excel, PPT, ZIP, etc.
-                          </span>
-                        </label>
-                      </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Lesson Description
+                          </label>
+                          <textarea
+                            value={lesson.description}
+                            onChange={(e) => handleLessonChange(index, 'description', e.target.value)}
+                            rows={3}
+                            className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="Describe what this lesson covers"
+                            required
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Video File
+                          </label>
+                          <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 flex flex-col items-center justify-center bg-gray-50 hover:bg-gray-100 transition duration-150 cursor-pointer">
+                          <input
+                            type="file"
+                            accept="video/*"
+                            onChange={(e) => handleLessonVideoChange(e, index)}
+                              className="hidden"
+                              id={`video-upload-${index}`}
+                            />
+                            <label htmlFor={`video-upload-${index}`} className="cursor-pointer flex flex-col items-center">
+                              <CloudArrowUpIcon className="h-10 w-10 text-gray-400" />
+                              <span className="mt-2 text-sm text-gray-600">
+                                {lesson.videoName 
+                                  ? `Selected: ${lesson.videoName}`
+                                  : 'Click to upload video'
+                                }
+                              </span>
+                            </label>
+                          </div>
                       
-                      {/* Material upload progress list */}
-                      {Object.entries(fileUploads.materials)
-                        .filter(([id, _]) => id.startsWith(`${index}-`))
-                        .map(([id, upload]) => (
-                          <div key={id} className="mt-2 bg-gray-50 rounded-md p-2">
-                            <div className="flex justify-between items-center text-xs mb-1">
-                              <span className="text-gray-700 truncate">{upload.name}</span>
-                              <span className="text-gray-500">{upload.progress}%</span>
-                            </div>
-                            <div className="w-full bg-gray-200 rounded-full h-1.5">
-                              <div 
-                                className={`h-1.5 rounded-full transition-all duration-300 ${
-                                  upload.error ? 'bg-red-600' : 'bg-blue-600'
-                                }`}
-                                style={{ width: `${upload.progress}%` }}
-                              ></div>
+                          {/* Video upload progress */}
+                          {fileUploads.videos[lesson.id]?.uploading && (
+                            <div className="mt-2">
+                              <div className="w-full bg-gray-200 rounded-full h-2.5">
+                                <div 
+                                  className="bg-blue-600 h-2.5 rounded-full transition-all duration-300" 
+                                  style={{ width: `${fileUploads.videos[lesson.id].progress}%` }}
+                                ></div>
+                              </div>
+                              <p className="text-xs text-gray-500 mt-1 text-right">
+                                {fileUploads.videos[lesson.id].progress}% uploaded
+                              </p>
                             </div>
+                          )}
+                        </div>
+                        <CaptionsEditor
+                          lessonId={lesson.id}
+                          captions={lesson.captions}
+                          onChange={(captions) => handleLessonCaptionsChange(lesson.id, captions)}
+                          idPrefix={`lesson-${lesson.id}-captions`}
+                        />
+                        <div className="flex items-center">
+                          <input
+                            type="checkbox"
+                            id={`preview-${index}`}
+                            checked={lesson.previewEnabled}
+                            onChange={(e) => handleLessonChange(index, 'previewEnabled', e.target.checked)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          <label htmlFor={`preview-${index}`} className="ml-2 block text-sm text-gray-700">
+                            Enable preview for this lesson
+                          </label>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Study Materials
+                          </label>
+                          <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 flex flex-col items-center justify-center bg-gray-50 hover:bg-gray-100 transition duration-150 cursor-pointer">
+                          <input
+                            type="file"
+                            multiple
+                            onChange={(e) => handleStudyMaterialUpload(index, e.target.files)}
+                              className="hidden"
+                              id={`material-upload-${index}`}
+                              accept=".pdf,.doc,.docx,.txt,.xls,.xlsx,.ppt,.pptx,.zip,.rar"
+                            />
+                            <label htmlFor={`material-upload-${index}`} className="cursor-pointer flex flex-col items-center w-full">
+                              <DocumentArrowUpIcon className="h-10 w-10 text-gray-400" />
+                              <span className="mt-2 text-sm text-gray-600 text-center">
+                                Drag and drop study materials here, or click to upload
+                              </span>
+                              <span className="text-xs text-gray-500 mt-1">
+                                PDF, DOC, TXT, Excel, PPT, ZIP, etc.
+                              </span>
+                            </label>
                           </div>
-                        ))}
                       
-                      {/* Study materials list */}
-                      {lesson.studyMaterials && lesson.studyMaterials.length > 0 && (
-                        <div className="mt-3 bg-gray-50 p-3 rounded-md">
-                          <h4 className="text-sm font-medium text-gray-700 mb-2">Uploaded Materials</h4>
-                          <ul className="space-y-2">
-                          {lesson.studyMaterials.map((material, mIndex) => (
-                              <li key={mIndex} className="flex items-center justify-between text-sm text-gray-600 bg-white p-2 rounded-md">
-                                <div className="flex items-center">
-                                  <DocumentIcon className="h-5 w-5 mr-2 text-gray-500" />
-                                  <span className="truncate max-w-xs">{material.name}</span>
+                          {/* Material upload progress list */}
+                          {Object.entries(fileUploads.materials)
+                            .filter(([id, _]) => id.startsWith(`${lesson.id}-`))
+                            .map(([id, upload]) => (
+                              <div key={id} className="mt-2 bg-gray-50 rounded-md p-2">
+                                <div className="flex justify-between items-center text-xs mb-1">
+                                  <span className="text-gray-700 truncate">{upload.name}</span>
+                                  <span className="text-gray-500">{upload.progress}%</span>
                                 </div>
-                                <div className="flex items-center space-x-2">
-                                  <span className="text-xs text-gray-500">
-                                    {material.size ? formatBytes(material.size) : ''}
-                                  </span>
-                                  <button
-                                    type="button"
-                                    onClick={() => removeStudyMaterial(index, mIndex)}
-                                    className="text-red-600 hover:text-red-800"
-                                  >
-                                    <TrashIcon className="h-4 w-4" />
-                                  </button>
+                                <div className="w-full bg-gray-200 rounded-full h-1.5">
+                                  <div 
+                                    className={`h-1.5 rounded-full transition-all duration-300 ${
+                                      upload.error ? 'bg-red-600' : 'bg-blue-600'
+                                    }`}
+                                    style={{ width: `${upload.progress}%` }}
+                                  ></div>
                                 </div>
-                            </li>
-                          ))}
-                        </ul>
+                              </div>
+                            ))}
+                      
+                          {/* Study materials list */}
+                          {lesson.studyMaterials && lesson.studyMaterials.length > 0 && (
+                            <div className="mt-3 bg-gray-50 p-3 rounded-md">
+                              <h4 className="text-sm font-medium text-gray-700 mb-2">Uploaded Materials</h4>
+                              <ul className="space-y-2">
+                              {lesson.studyMaterials.map((material, mIndex) => (
+                                  <li key={mIndex} className="flex items-center justify-between text-sm text-gray-600 bg-white p-2 rounded-md">
+                                    <div className="flex items-center">
+                                      <DocumentIcon className="h-5 w-5 mr-2 text-gray-500" />
+                                      <span className="truncate max-w-xs">{material.name}</span>
+                                    </div>
+                                    <div className="flex items-center space-x-2">
+                                      <span className="text-xs text-gray-500">
+                                        {material.size ? formatBytes(material.size) : ''}
+                                      </span>
+                                      <button
+                                        type="button"
+                                        onClick={() => removeStudyMaterial(index, mIndex)}
+                                        className="text-red-600 hover:text-red-800"
+                                      >
+                                        <TrashIcon className="h-4 w-4" />
+                                      </button>
+                                    </div>
+                                </li>
+                              ))}
+                            </ul>
+                            </div>
+                          )}
                         </div>
-                      )}
-                    </div>
-                    <button
-                      type="button"
-                      onClick={() => removeLesson(index)}
-                      className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200"
-                    >
-                      <TrashIcon className="h-4 w-4 mr-2" />
-                      Remove Lesson
-                    </button>
-                  </div>
-                </div>
+                        <QuizEditor
+                          quiz={lesson.quiz}
+                          onChange={(quiz) => handleLessonChange(index, 'quiz', quiz)}
+                          idPrefix={`lesson-${index}-quiz`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeLesson(index)}
+                          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-red-700 bg-red-100 hover:bg-red-200"
+                        >
+                          <TrashIcon className="h-4 w-4 mr-2" />
+                          Remove Lesson
+                        </button>
+                      </div>
+                    </DraggableLesson>
+                  ))}
+                </SectionEditor>
               ))}
               <button
                 type="button"
-                onClick={addLesson}
-                className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                onClick={addSection}
+                className="flex items-center justify-center w-full py-3 border-2 border-dashed border-gray-300 rounded-md text-gray-600 hover:border-gray-400 hover:text-gray-800"
               >
-                <PlusIcon className="h-5 w-5 mr-1" />
-                Add Lesson
+                <PlusIcon className="h-5 w-5 mr-2" />
+                Add Section
               </button>
             </div>
           </div>
@@ -1119,6 +1537,7 @@ const CreateCourse = () => {
                             onClick={() => setCertificateTemplate(prev => ({ 
                               ...prev, 
                               instructorSignature: null,
+                              instructorSignatureUrl: '',
                               instructorSignaturePreview: null
                             }))}
                             className="absolute top-0 right-0 bg-red-500 text-white rounded-full p-1 shadow-sm hover:bg-red-600"
@@ -1175,6 +1594,7 @@ const CreateCourse = () => {
                             onClick={() => setCertificateTemplate(prev => ({ 
                               ...prev, 
                               logo: null,
+                              logoUrl: '',
                               logoPreview: null
                             }))}
                             className="absolute top-0 right-0 bg-red-500 text-white rounded-full p-1 shadow-sm hover:bg-red-600"
@@ -1270,21 +1690,29 @@ const CreateCourse = () => {
             )}
           </div>
 
+          <PublishChecklist checklist={publishChecklist} />
+
           <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={() => saveCourse(false)}
+              disabled={loading || isUploading}
+              className="mr-4 px-6 py-3 border border-gray-300 shadow-sm text-base font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              Save Draft
+            </button>
             <button
               type="submit"
-              disabled={loading || Object.values(fileUploads).some(item => 
-                typeof item === 'object' && item.uploading === true
-              )}
+              disabled={loading || isUploading || !isChecklistComplete(publishChecklist)}
               className="inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
             >
               {loading ? (
                 <>
                   <ArrowPathIcon className="h-5 w-5 mr-2 animate-spin" />
-                  Creating Course...
+                  Saving Course...
                 </>
               ) : (
-                'Create Course'
+                'Submit for Review'
               )}
             </button>
           </div>
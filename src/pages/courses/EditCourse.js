@@ -15,6 +15,32 @@ import {
 } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import QuizEditor from '../../components/courses/QuizEditor';
+import CaptionsEditor from '../../components/courses/CaptionsEditor';
+import SectionEditor from '../../components/courses/SectionEditor';
+import DraggableLesson from '../../components/courses/DraggableLesson';
+import CompletionRuleField from '../../components/courses/CompletionRuleField';
+import PublishChecklist from '../../components/courses/PublishChecklist';
+import { validateQuiz, splitQuizKeys, mergeQuizKeys, loadQuizKeys, saveQuizKeys } from '../../utils/quiz';
+import {
+  COURSE_STATUSES,
+  getCourseStatus,
+  getPublishChecklist,
+  isChecklistComplete,
+  submitCourseForReview,
+  withdrawCourseSubmission,
+  unpublishCourse,
+} from '../../utils/courseStatus';
+import {
+  createSection,
+  moveItem,
+  groupLessonsBySection,
+  flattenSections,
+  normalizeCourseStructure,
+  shiftLesson,
+  moveLessonTo,
+  describeOrderChanges,
+} from '../../utils/courseStructure';
 import {
   ArrowLeftIcon,
   ArrowPathIcon,
@@ -34,6 +60,7 @@ const EditCourse = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [courseData, setCourseData] = useState(null);
+  const [sections, setSections] = useState([]);
   const [lessons, setLessons] = useState([]);
   const [changelog, setChangelog] = useState('');
   const [updateType, setUpdateType] = useState('minor'); // minor, major
@@ -41,11 +68,13 @@ const EditCourse = () => {
     isAccessible: true,
     temporaryAccess: false,
     accessibleUntil: '',
-    accessReason: ''
+    accessReason: '',
+    includedInMembership: false,
+    completionThreshold: 0
   });
   
   // Fetch course data
-  const { data: course, isLoading } = useQuery({
+  const { data: course, isLoading, refetch } = useQuery({
     queryKey: ['course', courseId],
     queryFn: async () => {
       const docRef = doc(db, 'courses', courseId);
@@ -55,24 +84,34 @@ const EditCourse = () => {
         throw new Error('Course not found');
       }
       
-      const courseData = { id: docSnap.id, ...docSnap.data() };
+      // Flat courses are shown as a single default section and saved with it
+      const courseData = normalizeCourseStructure({ id: docSnap.id, ...docSnap.data() });
       
-      // Check if current user is the instructor
-      if (courseData.instructorId !== user?.uid) {
+      // Only the course's instructor or an admin can edit it
+      if (courseData.instructorId !== user?.uid && user?.role !== 'admin') {
         navigate('/dashboard/courses');
         toast.error('You do not have permission to edit this course');
         return null;
       }
+
+      // Drafts are finished in the create form, which can upload media
+      if (courseData.status === 'draft') {
+        navigate(`/courses/create/${courseId}`, { replace: true });
+        return null;
+      }
       
       setCourseData(courseData);
-      setLessons(courseData.lessons || []);
+      setSections(courseData.sections);
+      setLessons(mergeQuizKeys(courseData.lessons, await loadQuizKeys(courseId)));
       
       // Set access control from existing data
       setAccessControl({
         isAccessible: courseData.isAccessible !== false,
         temporaryAccess: courseData.accessibleUntil ? true : false,
         accessibleUntil: courseData.accessibleUntil ? new Date(courseData.accessibleUntil).toISOString().split('T')[0] : '',
-        accessReason: courseData.accessReason || ''
+        accessReason: courseData.accessReason || '',
+        includedInMembership: !!courseData.includedInMembership,
+        completionThreshold: courseData.completionThreshold || 0
       });
       
       return courseData;
@@ -103,6 +142,11 @@ const EditCourse = () => {
     setLessons(newLessons);
   };
 
+  // Captions finish uploading after the lessons may have changed, so update by id
+  const handleLessonCaptionsChange = (lessonId, captions) => {
+    setLessons(prev => prev.map(lesson => lesson.id === lessonId ? { ...lesson, captions } : lesson));
+  };
+
   const handleAccessControlChange = (field, value) => {
     setAccessControl({
       ...accessControl,
@@ -110,15 +154,18 @@ const EditCourse = () => {
     });
   };
 
-  const addLesson = () => {
+  const addLesson = (sectionId) => {
     const newLesson = {
       id: crypto.randomUUID(),
+      sectionId,
       title: '',
       description: '',
       videoUrl: '',
       previewEnabled: false,
       studyMaterials: [],
+      captions: [],
       duration: '',
+      quiz: null,
       version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -131,13 +178,73 @@ const EditCourse = () => {
     setLessons(lessons.filter((_, i) => i !== index));
   };
 
+  const addSection = () => {
+    const section = createSection(`Section ${sections.length + 1}`);
+    setSections([...sections, section]);
+    addLesson(section.id);
+  };
+
+  const handleSectionTitleChange = (sectionId, title) => {
+    setSections(sections.map(section => section.id === sectionId ? { ...section, title } : section));
+  };
+
+  const moveSection = (from, to) => {
+    setSections(moveItem(sections, from, to));
+  };
+
+  const dropSection = (draggedId, targetIndex) => {
+    setSections(moveItem(sections, sections.findIndex(section => section.id === draggedId), targetIndex));
+  };
+
+  const moveLesson = (lessonId, direction) => {
+    setLessons(shiftLesson(sections, lessons, lessonId, direction));
+  };
+
+  const dropLesson = (lessonId, sectionId, position) => {
+    setLessons(moveLessonTo(sections, lessons, lessonId, sectionId, position));
+  };
+
+  // Lessons of a removed section move to its neighbour so no student progress is lost
+  const removeSection = (sectionIndex) => {
+    if (sections.length === 1) return;
+    const removed = sections[sectionIndex];
+    const target = sections[sectionIndex === 0 ? 1 : sectionIndex - 1];
+    setSections(sections.filter((_, i) => i !== sectionIndex));
+    setLessons(lessons.map(lesson =>
+      lesson.sectionId === removed.id ? { ...lesson, sectionId: target.id } : lesson
+    ));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Answer keys are saved apart from the public course document
+    const { lessons: orderedLessons, quizKeys } = splitQuizKeys(flattenSections(sections, lessons));
+    // Reordering is written to the changelog so students can see what moved
+    const orderChanges = updateType !== 'access'
+      ? describeOrderChanges(course, { sections, lessons: orderedLessons })
+      : [];
+    const fullChangelog = [changelog.trim(), ...orderChanges].filter(Boolean).join('\n');
     
-    if (!changelog.trim() && updateType !== 'access') {
+    if (!fullChangelog && updateType !== 'access') {
       toast.error('Please provide a changelog description');
       return;
     }
+
+    if (updateType !== 'access') {
+      if (sections.some(section => !lessons.some(lesson => lesson.sectionId === section.id))) {
+        toast.error('Every section needs at least one lesson');
+        return;
+      }
+
+      for (let i = 0; i < lessons.length; i++) {
+        const quizError = validateQuiz(lessons[i].quiz);
+        if (quizError) {
+          toast.error(`Lesson ${i + 1} quiz: ${quizError}`);
+          return;
+        }
+      }
+    }
     
     try {
       setLoading(true);
@@ -148,7 +255,9 @@ const EditCourse = () => {
         accessReason: accessControl.isAccessible ? '' : accessControl.accessReason,
         accessibleUntil: accessControl.temporaryAccess && accessControl.accessibleUntil 
           ? new Date(accessControl.accessibleUntil) 
-          : null
+          : null,
+        includedInMembership: accessControl.includedInMembership,
+        completionThreshold: Number(accessControl.completionThreshold) || 0
       };
       
       // Get the latest version number
@@ -165,23 +274,29 @@ const EditCourse = () => {
           version: newVersion,
           title: courseData.title,
           description: courseData.description,
-          lessons: lessons.map(lesson => ({
+          sections,
+          lessons: orderedLessons.map(lesson => ({
             ...lesson,
             id: lesson.id
           })),
           updatedAt: new Date().toISOString(),
           updatedBy: user.uid,
           updaterName: user.displayName,
-          changelog: changelog,
+          changelog: fullChangelog,
+          orderChanges,
           updateType: updateType
         });
       }
       
+      if (updateType !== 'access') {
+        await saveQuizKeys(courseId, quizKeys);
+      }
+
       // Then update the main course document
       // We're preserving lesson IDs to maintain student progress
       await updateDoc(doc(db, 'courses', courseId), {
         ...accessSettings,
-        lessons: updateType !== 'access' ? lessons : course.lessons,
+        ...(updateType !== 'access' && { sections, lessons: orderedLessons }),
         updatedAt: serverTimestamp(),
         version: newVersion,
         ...(updateType !== 'access' && {
@@ -191,40 +306,13 @@ const EditCourse = () => {
               updatedAt: new Date().toISOString(),
               updatedBy: user.uid,
               updaterName: user.displayName,
-              changelog: changelog
+              changelog: fullChangelog
             },
             ...(course.versionHistory || [])
           ]
         })
       });
       
-      // If there are enrolled students and content changed, update their enrollment records 
-      // with the new lesson metadata while preserving their progress
-      if (updateType !== 'access') {
-        const enrollmentsRef = collection(db, 'enrollments');
-        const q = query(enrollmentsRef, where('courseId', '==', courseId));
-        const querySnapshot = await getDocs(q);
-        
-        const enrollmentUpdates = querySnapshot.docs.map(enrollDoc => {
-          const enrollmentData = enrollDoc.data();
-          const progress = enrollmentData.progress || {};
-          
-          // Update the courseData but preserve user progress
-          return updateDoc(doc(db, 'enrollments', enrollDoc.id), {
-            'courseData.lessons': lessons.map(lesson => ({
-              id: lesson.id,
-              title: lesson.title,
-              duration: lesson.duration
-            }))
-          });
-        });
-        
-        // Wait for all enrollment updates to complete
-        if (enrollmentUpdates.length > 0) {
-          await Promise.all(enrollmentUpdates);
-        }
-      }
-      
       toast.success(updateType === 'access' ? 'Course access settings updated!' : 'Course updated successfully!');
       navigate(`/courses/${courseId}`);
     } catch (error) {
@@ -235,6 +323,36 @@ const EditCourse = () => {
     }
   };
 
+  // Moves the course between review, published and unpublished
+  const handleStatusChange = async (action) => {
+    if (action === 'unpublish'
+      && !window.confirm('Unpublish this course? It will be hidden from the catalog, but enrolled students keep access.')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      if (action === 'submit') {
+        await submitCourseForReview(course);
+        toast.success('Course submitted for review');
+      } else if (action === 'withdraw') {
+        await withdrawCourseSubmission(courseId);
+        toast.success('Course moved back to draft');
+        navigate(`/courses/create/${courseId}`);
+        return;
+      } else if (action === 'unpublish') {
+        await unpublishCourse(courseId);
+        toast.success('Course unpublished');
+      }
+      await refetch();
+    } catch (error) {
+      console.error('Error changing course status:', error);
+      toast.error(error.message || 'Failed to change the course status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to move this course to the recycle bin?')) {
       return;
@@ -267,6 +385,10 @@ const EditCourse = () => {
     return null;
   }
 
+  const pendingOrderChanges = describeOrderChanges(course, { sections, lessons });
+  const status = getCourseStatus(course);
+  const publishChecklist = getPublishChecklist(course);
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -287,6 +409,59 @@ const EditCourse = () => {
           </button>
         </div>
         
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="flex items-center">
+                <h2 className="text-lg font-medium text-gray-900">Publishing</h2>
+                <span className={`ml-3 px-2 py-0.5 text-xs rounded-full ${COURSE_STATUSES[status].className}`}>
+                  {COURSE_STATUSES[status].label}
+                </span>
+              </div>
+              <p className="mt-1 text-sm text-gray-500">
+                {status === 'submitted' && 'An admin is reviewing this course. It will be listed once it is published.'}
+                {status === 'published' && 'This course is listed in the catalog.'}
+                {status === 'unpublished' && 'This course is hidden from the catalog. Enrolled students keep access.'}
+              </p>
+            </div>
+            {status === 'submitted' && (
+              <button
+                type="button"
+                onClick={() => handleStatusChange('withdraw')}
+                disabled={loading}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Withdraw from Review
+              </button>
+            )}
+            {status === 'published' && (
+              <button
+                type="button"
+                onClick={() => handleStatusChange('unpublish')}
+                disabled={loading}
+                className="px-4 py-2 border border-red-200 text-sm font-medium rounded-md text-red-600 bg-white hover:bg-red-50 disabled:opacity-50"
+              >
+                Unpublish
+              </button>
+            )}
+            {status === 'unpublished' && (
+              <button
+                type="button"
+                onClick={() => handleStatusChange('submit')}
+                disabled={loading || !isChecklistComplete(publishChecklist)}
+                className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                Submit for Review
+              </button>
+            )}
+          </div>
+          {status === 'unpublished' && !isChecklistComplete(publishChecklist) && (
+            <div className="mt-4">
+              <PublishChecklist checklist={publishChecklist} />
+            </div>
+          )}
+        </div>
+
         <div className="mb-6">
           <ul className="flex space-x-1 md:space-x-4 text-sm text-gray-600 overflow-x-auto pb-2">
             <li>
@@ -419,6 +594,24 @@ const EditCourse = () => {
                     </div>
                   )}
                 </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="includedInMembership"
+                    checked={accessControl.includedInMembership}
+                    onChange={(e) => handleAccessControlChange('includedInMembership', e.target.checked)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="includedInMembership" className="ml-2 block text-sm font-medium text-gray-700">
+                    Include in the all-access membership (members enroll without paying)
+                  </label>
+                </div>
+
+                <CompletionRuleField
+                  value={accessControl.completionThreshold}
+                  onChange={(value) => handleAccessControlChange('completionThreshold', value)}
+                />
               </div>
 
               <div className="bg-yellow-50 rounded-lg p-4 mt-4">
@@ -448,56 +641,91 @@ const EditCourse = () => {
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Course Content
               </label>
-              <div className="space-y-4">
-                {lessons.map((lesson, index) => (
-                  <div key={index} className="border border-gray-200 rounded-md p-4">
-                    <div className="flex justify-between items-center mb-4">
-                      <h3 className="font-medium">Lesson {index + 1}</h3>
-                      <button 
-                        type="button" 
-                        onClick={() => removeLesson(index)}
-                        className="p-1 text-red-600 hover:text-red-800"
+              <div className="space-y-6">
+                {groupLessonsBySection(sections, lessons).map((section, sectionIndex) => (
+                  <SectionEditor
+                    key={section.id}
+                    section={section}
+                    index={sectionIndex}
+                    total={sections.length}
+                    lessonCount={section.lessons.length}
+                    onTitleChange={(title) => handleSectionTitleChange(section.id, title)}
+                    onMove={(to) => moveSection(sectionIndex, to)}
+                    onRemove={() => removeSection(sectionIndex)}
+                    onAddLesson={() => addLesson(section.id)}
+                    onDropSection={(draggedId) => dropSection(draggedId, sectionIndex)}
+                    onDropLesson={(draggedId) => dropLesson(draggedId, section.id, section.lessons.length)}
+                  >
+                    {section.lessons.map(({ lesson, index }, position) => (
+                      <DraggableLesson
+                        key={lesson.id}
+                        lessonId={lesson.id}
+                        title={lesson.title}
+                        canMoveUp={sectionIndex > 0 || position > 0}
+                        canMoveDown={sectionIndex < sections.length - 1 || position < section.lessons.length - 1}
+                        onMove={(direction) => moveLesson(lesson.id, direction)}
+                        onDropLesson={(draggedId) => dropLesson(draggedId, section.id, position)}
                       >
-                        <TrashIcon className="h-5 w-5" />
-                      </button>
-                    </div>
+                        <div className="flex justify-between items-center mb-4">
+                          <h3 className="font-medium">Lesson {position + 1}</h3>
+                          <button 
+                            type="button" 
+                            onClick={() => removeLesson(index)}
+                            className="p-1 text-red-600 hover:text-red-800"
+                          >
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        </div>
                     
-                    <div className="grid grid-cols-1 gap-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                          Lesson Title
-                        </label>
-                        <input
-                          type="text"
-                          value={lesson.title}
-                          onChange={(e) => handleLessonChange(index, 'title', e.target.value)}
-                          className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                          required
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                          Lesson Description
-                        </label>
-                        <textarea
-                          value={lesson.description}
-                          onChange={(e) => handleLessonChange(index, 'description', e.target.value)}
-                          rows={3}
-                          className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                          required
-                        />
-                      </div>
-                    </div>
-                  </div>
+                        <div className="grid grid-cols-1 gap-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              Lesson Title
+                            </label>
+                            <input
+                              type="text"
+                              value={lesson.title}
+                              onChange={(e) => handleLessonChange(index, 'title', e.target.value)}
+                              className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                              required
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              Lesson Description
+                            </label>
+                            <textarea
+                              value={lesson.description}
+                              onChange={(e) => handleLessonChange(index, 'description', e.target.value)}
+                              rows={3}
+                              className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                              required
+                            />
+                          </div>
+                          <CaptionsEditor
+                            lessonId={lesson.id}
+                            captions={lesson.captions}
+                            onChange={(captions) => handleLessonCaptionsChange(lesson.id, captions)}
+                            idPrefix={`lesson-${lesson.id}-captions`}
+                          />
+                          <QuizEditor
+                            quiz={lesson.quiz}
+                            onChange={(quiz) => handleLessonChange(index, 'quiz', quiz)}
+                            idPrefix={`lesson-${lesson.id}-quiz`}
+                          />
+                        </div>
+                      </DraggableLesson>
+                    ))}
+                  </SectionEditor>
                 ))}
 
                 <button
                   type="button"
-                  onClick={addLesson}
+                  onClick={addSection}
                   className="flex items-center justify-center w-full py-3 border-2 border-dashed border-gray-300 rounded-md text-gray-600 hover:border-gray-400 hover:text-gray-800"
                 >
                   <PlusIcon className="h-5 w-5 mr-2" />
-                  Add Lesson
+                  Add Section
                 </button>
               </div>
             </div>
@@ -515,9 +743,19 @@ const EditCourse = () => {
                 onChange={(e) => setChangelog(e.target.value)}
                 rows={3}
                 className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                required
+                required={pendingOrderChanges.length === 0}
                 placeholder="Describe what you've changed in this update..."
               />
+              {pendingOrderChanges.length > 0 && (
+                <div className="mt-2 text-sm text-gray-600">
+                  <p className="font-medium">These order changes will be added to the changelog:</p>
+                  <ul className="list-disc list-inside">
+                    {pendingOrderChanges.map(change => (
+                      <li key={change}>{change}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           )}
 
@@ -543,7 +781,7 @@ const EditCourse = () => {
                         <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-500">
                           {new Date(version.updatedAt).toLocaleDateString()}
                         </td>
-                        <td className="px-3 py-4 text-sm text-gray-500">{version.changelog || "No description"}</td>
+                        <td className="px-3 py-4 text-sm text-gray-500 whitespace-pre-line">{version.changelog || "No description"}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { GiftIcon } from '@heroicons/react/24/outline';
+import { redeemAccessCode } from '../../utils/accessCodes';
+
+// Enroll with a gift or cohort code. Gift emails link here with ?code=
+const Redeem = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [error, setError] = useState(null);
+
+  const redeemMutation = useMutation({
+    mutationFn: () => redeemAccessCode(code),
+    onSuccess: ({ courseId }) => {
+      toast.success('Code redeemed! You are now enrolled.');
+      navigate(`/courses/${courseId}`);
+    },
+    onError: (err) => {
+      setError(err.message || 'Failed to redeem the code');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+    redeemMutation.mutate();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-16">
+      <div className="max-w-md mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-sm p-8">
+          <div className="text-center mb-6">
+            <GiftIcon className="mx-auto h-12 w-12 text-blue-600 bg-blue-100 rounded-full p-2" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">Redeem a code</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Enter the gift or enrollment code you were given to join the course.
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              placeholder="XXXX-XXXX-XXXX"
+              className="block w-full px-4 py-3 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 font-mono text-center text-lg tracking-widest uppercase"
+              autoFocus
+              required
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={!code.trim() || redeemMutation.isPending}
+              className="w-full py-3 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {redeemMutation.isPending ? 'Redeeming...' : 'Redeem'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Redeem;
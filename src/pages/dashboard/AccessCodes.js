@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { KeyIcon, PlusIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import {
+  ACCESS_CODE_STATUSES,
+  MAX_CODES_PER_BATCH,
+  createAccessCodes,
+  getInstructorCodeBatches,
+  downloadCodesCsv,
+} from '../../utils/accessCodes';
+
+const emptyForm = {
+  courseId: '',
+  count: '10',
+  label: '',
+  expiresAt: '',
+};
+
+const inputClassName = 'block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+// Free enrollment codes in bulk, for a class, team or cohort
+const AccessCodes = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [expandedBatch, setExpandedBatch] = useState(null);
+
+  const { data: courses = [] } = useQuery({
+    queryKey: ['instructorCourses', user?.uid, 'all'],
+    queryFn: async () => {
+      const snapshot = await getDocs(query(
+        collection(db, 'courses'),
+        where('instructorId', '==', user.uid)
+      ));
+      return snapshot.docs
+        .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data() }))
+        .filter(course => !course.isDeleted);
+    },
+    enabled: !!user?.uid,
+  });
+
+  const { data: batches = [], isLoading } = useQuery({
+    queryKey: ['accessCodes', user?.uid],
+    queryFn: () => getInstructorCodeBatches(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (fields) => createAccessCodes(fields),
+    onSuccess: ({ batchId, codes }) => {
+      toast.success(`${codes.length} codes created`);
+      setForm(emptyForm);
+      setExpandedBatch(batchId);
+      queryClient.invalidateQueries(['accessCodes', user?.uid]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to create codes');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate(form);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Access Codes</h1>
+          <p className="mt-2 text-gray-600">
+            Create free enrollment codes for a cohort. Each code enrolls one student through the Redeem page.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="courseId" className="block text-sm font-medium text-gray-700 mb-2">Course</label>
+              <select
+                id="courseId"
+                value={form.courseId}
+                onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+                className={inputClassName}
+                required
+              >
+                <option value="">Select a course</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="label" className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+              <input
+                id="label"
+                type="text"
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                className={inputClassName}
+                placeholder="Spring 2025 cohort"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="count" className="block text-sm font-medium text-gray-700 mb-2">Number of codes</label>
+              <input
+                id="count"
+                type="number"
+                min="1"
+                max={MAX_CODES_PER_BATCH}
+                value={form.count}
+                onChange={(e) => setForm({ ...form, count: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="expiresAt" className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+              <input
+                id="expiresAt"
+                type="datetime-local"
+                value={form.expiresAt}
+                onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={createMutation.isPending}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            {createMutation.isPending ? 'Creating...' : 'Create codes'}
+          </button>
+        </form>
+
+        <div className="bg-white rounded-lg shadow-sm">
+          {isLoading ? (
+            <div className="animate-pulse p-6 space-y-3">
+              {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+            </div>
+          ) : batches.length === 0 ? (
+            <div className="text-center py-12">
+              <KeyIcon className="mx-auto h-12 w-12 text-gray-300" />
+              <p className="mt-2 text-gray-500">No codes yet.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {batches.map(batch => {
+                const redeemed = batch.codes.filter(code => code.status === 'redeemed').length;
+                const isExpanded = expandedBatch === batch.id;
+                return (
+                  <div key={batch.id} className="p-4">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                      <div>
+                        <p className="font-semibold text-gray-900">{batch.label || batch.courseTitle}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {batch.courseTitle} · {redeemed} of {batch.codes.length} redeemed
+                          {batch.createdDate ? ` · Created ${batch.createdDate.toLocaleDateString()}` : ''}
+                          {batch.expiresAt ? ` · Expires ${batch.expiresAt.toLocaleString()}` : ''}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => setExpandedBatch(isExpanded ? null : batch.id)}
+                          className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                          {isExpanded ? 'Hide codes' : 'Show codes'}
+                        </button>
+                        <button
+                          onClick={() => downloadCodesCsv(batch)}
+                          className="p-1.5 text-gray-600 hover:text-gray-800"
+                          title="Download CSV"
+                        >
+                          <ArrowDownTrayIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </div>
+                    {isExpanded && (
+                      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-2">
+                        {batch.codes.map(code => {
+                          const status = ACCESS_CODE_STATUSES[code.status] || ACCESS_CODE_STATUSES.active;
+                          return (
+                            <div key={code.id} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded">
+                              <span className="font-mono text-sm text-gray-900">{code.code}</span>
+                              <span
+                                className={`px-2 py-0.5 text-xs rounded-full ${status.className}`}
+                                title={code.redeemedByName || undefined}
+                              >
+                                {status.label}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessCodes;
@@ -1,8 +1,13 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { getEffectivePrice, getEnrollmentRevenue, getEnrollmentRefund } from '../../utils/pricing';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { BASE_CURRENCY, formatCurrency } from '../../utils/currency';
+import { getLessonHeatmaps } from '../../utils/lessonProgress';
+import DropOffHeatmap from '../../components/courses/DropOffHeatmap';
 import { motion } from 'framer-motion';
 import {
   UsersIcon,
@@ -54,6 +59,16 @@ const Analytics = () => {
         ...doc.data(),
       }));
 
+      // Team seats are paid for up front, so their revenue is on the payments
+      // rather than on the (free) enrollments they become
+      const paymentSnapshot = await getDocs(query(
+        collection(db, 'payments'),
+        where('instructorId', '==', user.uid)
+      ));
+      const seatPayments = paymentSnapshot.docs
+        .map(paymentDoc => paymentDoc.data())
+        .filter(payment => payment.type === 'seats' && payment.status === 'succeeded');
+
       // Calculate total revenue
       const enrollmentsRef = collection(db, 'enrollments');
       const enrollmentPromises = courseData.map(async (course) => {
@@ -67,9 +82,34 @@ const Analytics = () => {
         const monthlyData = {};
         let revenueByCategory = {};
         let studentsByLevel = { 'Beginner': 0, 'Intermediate': 0, 'Advanced': 0 };
+        let totalRevenue = 0;
+        let refundedRevenue = 0;
+        // This course's share of bundle sales, kept apart from single-course sales
+        let bundleRevenue = 0;
+        const bundlePaymentIds = new Set();
+        // What students actually paid, in the currency they paid in
+        const revenueByCurrency = {};
+
+        const courseSeatPayments = seatPayments.filter(payment => payment.courseId === course.id);
+        const seatRevenue = courseSeatPayments.reduce((sum, payment) => sum + (payment.normalizedAmount || 0), 0);
+        totalRevenue += seatRevenue;
+        courseSeatPayments.forEach(payment => {
+          revenueByCurrency[payment.currency] = (revenueByCurrency[payment.currency] || 0) + payment.amount;
+        });
         
         enrollmentSnapshot.docs.forEach(doc => {
           const enrollmentData = doc.data();
+          const revenue = getEnrollmentRevenue(enrollmentData, course);
+          totalRevenue += revenue;
+          refundedRevenue += getEnrollmentRefund(enrollmentData, course);
+          if (enrollmentData.bundleId && revenue > 0) {
+            bundleRevenue += revenue;
+            bundlePaymentIds.add(enrollmentData.paymentId);
+          }
+          if (enrollmentData.paidAmount > 0 && isEnrollmentActive(enrollmentData)) {
+            const paidCurrency = enrollmentData.paidCurrency || BASE_CURRENCY;
+            revenueByCurrency[paidCurrency] = (revenueByCurrency[paidCurrency] || 0) + enrollmentData.paidAmount;
+          }
           
           // Process monthly data
           if (enrollmentData.enrolledAt) {
@@ -80,7 +120,7 @@ const Analytics = () => {
               monthlyData[monthYear] = { month: monthYear, revenue: 0, enrollments: 0 };
             }
             
-            monthlyData[monthYear].revenue += course.price || 0;
+            monthlyData[monthYear].revenue += revenue;
             monthlyData[monthYear].enrollments += 1;
           }
           
@@ -89,7 +129,7 @@ const Analytics = () => {
           if (!revenueByCategory[category]) {
             revenueByCategory[category] = 0;
           }
-          revenueByCategory[category] += course.price || 0;
+          revenueByCategory[category] += revenue;
           
           // Process student level data
           if (course.level) {
@@ -118,8 +158,14 @@ const Analytics = () => {
         
         return {
           ...course,
-          totalRevenue: course.price * enrollmentSnapshot.size,
-          actualEnrollments: enrollmentSnapshot.size,
+          totalRevenue: Math.round(totalRevenue * 100) / 100,
+          refundedRevenue: Math.round(refundedRevenue * 100) / 100,
+          bundleRevenue: Math.round(bundleRevenue * 100) / 100,
+          bundlePaymentIds: [...bundlePaymentIds],
+          seatRevenue: Math.round(seatRevenue * 100) / 100,
+          seatSales: courseSeatPayments.length,
+          revenueByCurrency,
+          actualEnrollments: enrollmentSnapshot.docs.filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data())).length,
           monthlyData: monthlyDataArray,
           categoryData: categoryDataArray,
           levelData: levelDataArray
@@ -131,18 +177,51 @@ const Analytics = () => {
     enabled: !!user,
   });
 
+  // Lesson drop-off heatmaps, for one course at a time
+  const [heatmapCourseId, setHeatmapCourseId] = useState('');
+  const heatmapCourses = courseData.filter(course => !course.isDeleted && course.lessons?.length > 0);
+  const heatmapCourse = heatmapCourses.find(course => course.id === heatmapCourseId) || heatmapCourses[0];
+
+  const { data: lessonHeatmaps = [], isLoading: heatmapsLoading } = useQuery({
+    queryKey: ['lessonHeatmaps', heatmapCourse?.id],
+    queryFn: () => getLessonHeatmaps(heatmapCourse),
+    enabled: !!heatmapCourse,
+  });
+
   const totalStats = courseData.reduce(
     (acc, course) => {
       acc.totalStudents += course.actualEnrollments;
       acc.totalRevenue += course.totalRevenue;
+      acc.refundedRevenue += course.refundedRevenue;
+      acc.bundleRevenue += course.bundleRevenue;
+      course.bundlePaymentIds.forEach(paymentId => acc.bundleSales.add(paymentId));
+      acc.seatRevenue += course.seatRevenue;
+      acc.seatSales += course.seatSales;
       acc.totalReviews += course.reviewCount || 0;
       acc.averageRating += course.rating || 0;
       return acc;
     },
-    { totalStudents: 0, totalRevenue: 0, totalReviews: 0, averageRating: 0 }
+    {
+      totalStudents: 0,
+      totalRevenue: 0,
+      refundedRevenue: 0,
+      bundleRevenue: 0,
+      bundleSales: new Set(),
+      seatRevenue: 0,
+      seatSales: 0,
+      totalReviews: 0,
+      averageRating: 0,
+    }
   );
 
   totalStats.averageRating = totalStats.averageRating / (courseData.length || 1);
+
+  const revenueByCurrency = {};
+  courseData.forEach(course => {
+    Object.entries(course.revenueByCurrency || {}).forEach(([currency, amount]) => {
+      revenueByCurrency[currency] = (revenueByCurrency[currency] || 0) + amount;
+    });
+  });
   
   // Prepare combined monthly data for chart
   const combinedMonthlyData = {};
@@ -336,10 +415,32 @@ const Analytics = () => {
           >
               <div className="flex items-center justify-between">
                 <div>
-                <p className="text-sm font-medium text-gray-500">Total Revenue</p>
+                <p className="text-sm font-medium text-gray-500">Total Revenue (USD)</p>
                   <p className="mt-1 text-3xl font-bold text-gray-900">
                     ${totalStats.totalRevenue}
                   </p>
+                  {totalStats.refundedRevenue > 0 && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      After {formatCurrency(totalStats.refundedRevenue)} refunded
+                    </p>
+                  )}
+                  {totalStats.bundleSales.size > 0 && (
+                    <p className="mt-1 text-xs text-purple-700">
+                      Includes {formatCurrency(totalStats.bundleRevenue)} from {totalStats.bundleSales.size} bundle {totalStats.bundleSales.size === 1 ? 'sale' : 'sales'}
+                    </p>
+                  )}
+                  {totalStats.seatSales > 0 && (
+                    <p className="mt-1 text-xs text-purple-700">
+                      Includes {formatCurrency(totalStats.seatRevenue)} from {totalStats.seatSales} team seat {totalStats.seatSales === 1 ? 'sale' : 'sales'}
+                    </p>
+                  )}
+                  {Object.keys(revenueByCurrency).length > 1 && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      {Object.entries(revenueByCurrency)
+                        .map(([currency, amount]) => formatCurrency(amount, currency))
+                        .join(' · ')}
+                    </p>
+                  )}
                 </div>
               <div className="h-12 w-12 rounded-full bg-green-100 flex items-center justify-center">
                 <CurrencyDollarIcon className="h-6 w-6 text-green-600" />
@@ -580,8 +681,18 @@ const Analytics = () => {
                       </td>
                       <td className="px-6 py-4">
                         <div className="text-sm text-gray-900 font-medium">${course.totalRevenue}</div>
+                        {course.bundleRevenue > 0 && (
+                          <div className="text-xs text-purple-700">
+                            {formatCurrency(course.bundleRevenue)} from bundles
+                          </div>
+                        )}
+                        {course.seatRevenue > 0 && (
+                          <div className="text-xs text-purple-700">
+                            {formatCurrency(course.seatRevenue)} from team seats
+                          </div>
+                        )}
                         <div className="text-xs text-gray-500">
-                          ${course.price} per student
+                          ${getEffectivePrice(course)} per student
                         </div>
                       </td>
                       <td className="px-6 py-4">
@@ -658,6 +769,38 @@ const Analytics = () => {
           </div>
         </div>
 
+        {/* Lesson Drop-off */}
+        {heatmapCourse && (
+          <div className="mt-8 bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-medium text-gray-900">Lesson Drop-off</h2>
+                <p className="text-sm text-gray-500">Darker slices were watched by more of the lesson's viewers</p>
+              </div>
+              <select
+                value={heatmapCourse.id}
+                onChange={(e) => setHeatmapCourseId(e.target.value)}
+                className="ml-4 border border-gray-300 rounded-md shadow-sm py-2 px-3 text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {heatmapCourses.map(course => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            {heatmapsLoading ? (
+              <div className="space-y-4 animate-pulse">
+                {[...Array(3)].map((_, i) => <div key={i} className="h-10 bg-gray-100 rounded" />)}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {lessonHeatmaps.map(heatmap => (
+                  <DropOffHeatmap key={heatmap.lessonId} heatmap={heatmap} />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Content Engagement Charts */}
         <div className="mt-8 grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="bg-white rounded-lg shadow p-6">
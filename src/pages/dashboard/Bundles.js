@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { RectangleStackIcon, TrashIcon, PlusIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import {
+  createBundle,
+  updateBundle,
+  deleteBundle,
+  setBundlePublished,
+  getInstructorBundles,
+  validateBundleForm,
+} from '../../utils/bundles';
+import { getBundlePricing } from '../../utils/pricing';
+import { isCoursePublished } from '../../utils/courseStatus';
+import { formatCurrency } from '../../utils/currency';
+
+const emptyForm = {
+  title: '',
+  description: '',
+  price: '',
+  courseIds: [],
+};
+
+const inputClassName = 'block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+const Bundles = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+
+  const { data: courses = [] } = useQuery({
+    queryKey: ['instructorCourses', user?.uid],
+    queryFn: async () => {
+      const snapshot = await getDocs(query(
+        collection(db, 'courses'),
+        where('instructorId', '==', user.uid)
+      ));
+      return snapshot.docs
+        .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data() }))
+        .filter(course => isCoursePublished(course) && course.price > 0);
+    },
+    enabled: !!user?.uid,
+  });
+
+  const { data: bundles = [], isLoading } = useQuery({
+    queryKey: ['bundles', user?.uid],
+    queryFn: () => getInstructorBundles(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+    setFormErrors([]);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (fields) => (editingId
+      ? updateBundle(editingId, fields, courses)
+      : createBundle(user, fields, courses)),
+    onSuccess: () => {
+      toast.success(editingId ? 'Bundle updated' : 'Bundle created');
+      resetForm();
+      queryClient.invalidateQueries(['bundles', user?.uid]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to save bundle');
+    },
+  });
+
+  const publishMutation = useMutation({
+    mutationFn: ({ bundleId, isPublished }) => setBundlePublished(bundleId, isPublished),
+    onSuccess: () => queryClient.invalidateQueries(['bundles', user?.uid]),
+    onError: () => toast.error('Failed to update bundle'),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const errors = validateBundleForm(form);
+    setFormErrors(errors);
+    if (errors.length === 0) {
+      saveMutation.mutate(form);
+    }
+  };
+
+  const handleEdit = (bundle) => {
+    setEditingId(bundle.id);
+    setFormErrors([]);
+    setForm({
+      title: bundle.title,
+      description: bundle.description || '',
+      price: String(bundle.price),
+      courseIds: bundle.courseIds || [],
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (bundle) => {
+    if (!window.confirm(`Delete ${bundle.title}? Students who bought it keep their courses.`)) {
+      return;
+    }
+
+    try {
+      await deleteBundle(bundle.id);
+      toast.success('Bundle deleted');
+      if (editingId === bundle.id) resetForm();
+      queryClient.invalidateQueries(['bundles', user?.uid]);
+    } catch (error) {
+      toast.error('Failed to delete bundle');
+    }
+  };
+
+  const toggleCourse = (courseId) => {
+    setForm(prev => ({
+      ...prev,
+      courseIds: prev.courseIds.includes(courseId)
+        ? prev.courseIds.filter(id => id !== courseId)
+        : [...prev.courseIds, courseId],
+    }));
+  };
+
+  const selectedCourses = courses.filter(course => form.courseIds.includes(course.id));
+  const formPricing = getBundlePricing({ price: form.price }, selectedCourses);
+  const courseTitle = (courseId) => courses.find(course => course.id === courseId)?.title || 'Removed course';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Bundles</h1>
+          <p className="mt-2 text-gray-600">Sell several of your courses together for one price</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="md:col-span-2">
+              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">Title</label>
+              <input
+                id="title"
+                type="text"
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                className={inputClassName}
+                placeholder="Full-stack starter pack"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-2">Bundle price (USD)</label>
+              <input
+                id="price"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              id="description"
+              rows={3}
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">Courses</p>
+            {courses.length === 0 ? (
+              <p className="text-sm text-gray-500">You have no paid courses yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {courses.map(course => (
+                  <label key={course.id} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.courseIds.includes(course.id)}
+                      onChange={() => toggleCourse(course.id)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                    />
+                    {course.title}
+                  </label>
+                ))}
+              </div>
+            )}
+            {selectedCourses.length > 0 && (
+              <p className="mt-2 text-sm text-gray-500">
+                Sold separately: {formatCurrency(formPricing.listPrice)}
+                {formPricing.savings > 0 && ` · students save ${formPricing.savingsPercent}%`}
+              </p>
+            )}
+          </div>
+
+          {formErrors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {formErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex items-center space-x-3">
+            <button
+              type="submit"
+              disabled={saveMutation.isPending}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <PlusIcon className="h-5 w-5 mr-2" />
+              {saveMutation.isPending ? 'Saving...' : editingId ? 'Save bundle' : 'Create bundle'}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="bg-white rounded-lg shadow-sm">
+          {isLoading ? (
+            <div className="animate-pulse p-6 space-y-3">
+              {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+            </div>
+          ) : bundles.length === 0 ? (
+            <div className="text-center py-12">
+              <RectangleStackIcon className="mx-auto h-12 w-12 text-gray-300" />
+              <p className="mt-2 text-gray-500">No bundles yet.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {bundles.map(bundle => (
+                <div key={bundle.id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <Link to={`/bundles/${bundle.id}`} className="font-semibold text-gray-900 hover:text-blue-600">
+                        {bundle.title}
+                      </Link>
+                      <span className="text-sm text-gray-600">{formatCurrency(bundle.price)}</span>
+                      {bundle.isPublished ? (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Published</span>
+                      ) : (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Hidden</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Sold {bundle.salesCount || 0} times · {bundle.courseIds?.length || 0} courses
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {(bundle.courseIds || []).map(courseTitle).join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => publishMutation.mutate({ bundleId: bundle.id, isPublished: !bundle.isPublished })}
+                      className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      {bundle.isPublished ? 'Hide' : 'Publish'}
+                    </button>
+                    <button
+                      onClick={() => handleEdit(bundle)}
+                      className="p-1.5 text-gray-600 hover:text-gray-800"
+                      title="Edit bundle"
+                    >
+                      <PencilSquareIcon className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(bundle)}
+                      className="p-1.5 text-red-600 hover:text-red-800"
+                      title="Delete bundle"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Bundles;
@@ -0,0 +1,303 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { TicketIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import {
+  COUPON_TYPES,
+  createCoupon,
+  deleteCoupon,
+  getInstructorCoupons,
+  setCouponActive,
+  validateCouponForm,
+} from '../../utils/coupons';
+import { toDate } from '../../utils/dates';
+
+const emptyForm = {
+  code: '',
+  type: COUPON_TYPES.percent,
+  value: '',
+  courseIds: [],
+  maxUses: '',
+  perUserLimit: '1',
+  expiresAt: '',
+};
+
+const inputClassName = 'block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+const Coupons = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [formErrors, setFormErrors] = useState([]);
+
+  const { data: courses = [] } = useQuery({
+    queryKey: ['instructorCourses', user?.uid],
+    queryFn: async () => {
+      const snapshot = await getDocs(query(
+        collection(db, 'courses'),
+        where('instructorId', '==', user.uid)
+      ));
+      return snapshot.docs
+        .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data() }))
+        .filter(course => !course.isDeleted && course.price > 0);
+    },
+    enabled: !!user?.uid,
+  });
+
+  const { data: coupons = [], isLoading } = useQuery({
+    queryKey: ['coupons', user?.uid],
+    queryFn: () => getInstructorCoupons(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (fields) => createCoupon(user.uid, fields),
+    onSuccess: (code) => {
+      toast.success(`Coupon ${code} created`);
+      setForm(emptyForm);
+      queryClient.invalidateQueries(['coupons', user?.uid]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to create coupon');
+    },
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ code, active }) => setCouponActive(code, active),
+    onSuccess: () => queryClient.invalidateQueries(['coupons', user?.uid]),
+    onError: () => toast.error('Failed to update coupon'),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const errors = validateCouponForm(form);
+    setFormErrors(errors);
+    if (errors.length === 0) {
+      createMutation.mutate(form);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Delete ${coupon.code}? Students will no longer be able to use this code.`)) {
+      return;
+    }
+
+    try {
+      await deleteCoupon(coupon.id);
+      toast.success('Coupon deleted');
+      queryClient.invalidateQueries(['coupons', user?.uid]);
+    } catch (error) {
+      toast.error('Failed to delete coupon');
+    }
+  };
+
+  const toggleCourse = (courseId) => {
+    setForm(prev => ({
+      ...prev,
+      courseIds: prev.courseIds.includes(courseId)
+        ? prev.courseIds.filter(id => id !== courseId)
+        : [...prev.courseIds, courseId],
+    }));
+  };
+
+  const courseTitle = (courseId) => courses.find(course => course.id === courseId)?.title || 'Removed course';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Coupons</h1>
+          <p className="mt-2 text-gray-600">Create promo codes for your paid courses</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-6 space-y-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-2">Code</label>
+              <input
+                id="code"
+                type="text"
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                className={`${inputClassName} uppercase`}
+                placeholder="LAUNCH20"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="type" className="block text-sm font-medium text-gray-700 mb-2">Discount type</label>
+              <select
+                id="type"
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value })}
+                className={inputClassName}
+              >
+                <option value={COUPON_TYPES.percent}>Percentage</option>
+                <option value={COUPON_TYPES.fixed}>Fixed amount ($)</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="value" className="block text-sm font-medium text-gray-700 mb-2">
+                {form.type === COUPON_TYPES.percent ? 'Percent off' : 'Amount off ($)'}
+              </label>
+              <input
+                id="value"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.value}
+                onChange={(e) => setForm({ ...form, value: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <label htmlFor="maxUses" className="block text-sm font-medium text-gray-700 mb-2">Total uses</label>
+              <input
+                id="maxUses"
+                type="number"
+                min="1"
+                value={form.maxUses}
+                onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                className={inputClassName}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label htmlFor="perUserLimit" className="block text-sm font-medium text-gray-700 mb-2">Uses per student</label>
+              <input
+                id="perUserLimit"
+                type="number"
+                min="1"
+                value={form.perUserLimit}
+                onChange={(e) => setForm({ ...form, perUserLimit: e.target.value })}
+                className={inputClassName}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label htmlFor="expiresAt" className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+              <input
+                id="expiresAt"
+                type="datetime-local"
+                value={form.expiresAt}
+                onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">
+              Courses <span className="font-normal text-gray-500">(none selected applies to all your paid courses)</span>
+            </p>
+            {courses.length === 0 ? (
+              <p className="text-sm text-gray-500">You have no paid courses yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {courses.map(course => (
+                  <label key={course.id} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.courseIds.includes(course.id)}
+                      onChange={() => toggleCourse(course.id)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                    />
+                    {course.title}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {formErrors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {formErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <button
+            type="submit"
+            disabled={createMutation.isPending}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            {createMutation.isPending ? 'Creating...' : 'Create coupon'}
+          </button>
+        </form>
+
+        <div className="bg-white rounded-lg shadow-sm">
+          {isLoading ? (
+            <div className="animate-pulse p-6 space-y-3">
+              {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+            </div>
+          ) : coupons.length === 0 ? (
+            <div className="text-center py-12">
+              <TicketIcon className="mx-auto h-12 w-12 text-gray-300" />
+              <p className="mt-2 text-gray-500">No coupons yet.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {coupons.map(coupon => {
+                const expiresAt = toDate(coupon.expiresAt);
+                const isExpired = expiresAt && expiresAt < new Date();
+                return (
+                  <div key={coupon.id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className="font-mono font-semibold text-gray-900">{coupon.code}</span>
+                        <span className="text-sm text-gray-600">
+                          {coupon.type === COUPON_TYPES.percent ? `${coupon.value}% off` : `$${coupon.value} off`}
+                        </span>
+                        {isExpired ? (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Expired</span>
+                        ) : !coupon.active ? (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">Paused</span>
+                        ) : (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Active</span>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Used {coupon.usedCount || 0}{coupon.maxUses ? ` of ${coupon.maxUses}` : ''} times
+                        {coupon.perUserLimit ? ` · ${coupon.perUserLimit} per student` : ''}
+                        {expiresAt ? ` · Expires ${expiresAt.toLocaleString()}` : ''}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {coupon.courseIds?.length
+                          ? coupon.courseIds.map(courseTitle).join(', ')
+                          : 'All your paid courses'}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => toggleMutation.mutate({ code: coupon.id, active: !coupon.active })}
+                        className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                      >
+                        {coupon.active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(coupon)}
+                        className="p-1.5 text-red-600 hover:text-red-800"
+                        title="Delete coupon"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Coupons;
@@ -3,6 +3,9 @@ import { useQuery } from '@tanstack/react-query';
 import { collection, query, where, getDocs, doc, getDoc, onSnapshot, orderBy, limit } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { getEnrollmentRevenue } from '../../utils/pricing';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { getLearningStreak, getProgressRecords } from '../../utils/lessonProgress';
 import { useNavigate } from 'react-router-dom';
 import {
   AcademicCapIcon,
@@ -44,12 +47,13 @@ const Dashboard = () => {
           where('userId', '==', user.uid)
         );
         const enrollmentSnapshot = await getDocs(enrollmentQuery);
+        const activeEnrollments = enrollmentSnapshot.docs.filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data()));
         
         let totalHours = 0;
         let completed = 0;
         let progressByWeek = {};
         
-        await Promise.all(enrollmentSnapshot.docs.map(async (doc) => {
+        await Promise.all(activeEnrollments.map(async (doc) => {
           const data = doc.data();
           if (!data.courseId) return; // Skip if courseId is undefined
           
@@ -91,7 +95,7 @@ const Dashboard = () => {
         return {
           type: 'student',
           stats: {
-            coursesEnrolled: enrollmentSnapshot.size,
+            coursesEnrolled: activeEnrollments.length,
             coursesCompleted: completed,
             totalHoursLearned: Math.round(totalHours),
             learningStreak: await calculateLearningStreak(user.uid),
@@ -123,7 +127,7 @@ const Dashboard = () => {
           );
           const enrollmentSnapshot = await getDocs(enrollmentQuery);
           
-          totalStudents += enrollmentSnapshot.size;
+          totalStudents += enrollmentSnapshot.docs.filter(enrollment => isEnrollmentActive(enrollment.data())).length;
           totalRating += courseData.rating || 0;
           
           // Calculate revenue
@@ -131,7 +135,7 @@ const Dashboard = () => {
             const data = enrollment.data();
             if (!data.enrolledAt) return; // Skip if no enrollment date
             
-            const revenue = data.paidAmount || courseData.price || 0;
+            const revenue = getEnrollmentRevenue(data, courseData);
             totalRevenue += revenue;
             
             // Track weekly revenue
@@ -165,34 +169,7 @@ const Dashboard = () => {
 
   // Calculate learning streak
   const calculateLearningStreak = async (userId) => {
-    const progressRef = collection(db, 'progress');
-    const today = new Date();
-    let streak = 0;
-    
-    for (let i = 0; i < 30; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-      const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-      
-      const progressQuery = query(
-        progressRef,
-        where('userId', '==', userId),
-        where('lastUpdated', '>=', startOfDay),
-        where('lastUpdated', '<=', endOfDay)
-      );
-      
-      const snapshot = await getDocs(progressQuery);
-      
-      if (snapshot.empty) {
-        if (i === 0) continue; // Don't break streak for today
-        break;
-      }
-      
-      streak++;
-    }
-    
-    return streak;
+    return getLearningStreak(await getProgressRecords(userId));
   };
 
   const handleLogout = async () => {
@@ -323,10 +300,12 @@ const Dashboard = () => {
       query(collection(db, 'enrollments'), where('userId', '==', user.uid)),
       async (snapshot) => {
         try {
-          const enrollmentData = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
+          const enrollmentData = snapshot.docs
+            .map(doc => ({
+              id: doc.id,
+              ...doc.data()
+            }))
+            .filter(enrollment => isEnrollmentActive(enrollment));
 
           let completed = 0;
           let totalHours = 0;
@@ -383,41 +362,7 @@ const Dashboard = () => {
       query(collection(db, 'progress'), where('userId', '==', user.uid)),
       (snapshot) => {
         try {
-          const today = new Date();
-          const progressByDay = new Map();
-          const last30Days = new Set();
-
-          // Pre-populate last 30 days
-          for (let i = 0; i < 30; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            last30Days.add(date.toISOString().split('T')[0]);
-          }
-
-          // Process progress data
-          snapshot.docs.forEach(doc => {
-            const data = doc.data();
-            if (data.lastUpdated) {
-              const date = data.lastUpdated.toDate().toISOString().split('T')[0];
-              if (last30Days.has(date)) {
-                progressByDay.set(date, true);
-              }
-            }
-          });
-
-          // Calculate streak
-          let streak = 0;
-          for (let i = 0; i < 30; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-
-            if (!progressByDay.has(dateStr)) {
-              if (i === 0) continue; // Don't break streak for today
-              break;
-            }
-            streak++;
-          }
+          const streak = getLearningStreak(snapshot.docs.map(progressDoc => progressDoc.data()));
 
           setStats(prev => ({
             ...prev,
@@ -461,12 +406,13 @@ const Dashboard = () => {
 
             enrollmentSnapshot.docs.forEach(doc => {
               const data = doc.data();
-              if (data.userId) totalStudents.add(data.userId);
-              if (data.paidAmount) totalRevenue += data.paidAmount;
+              if (data.userId && isEnrollmentActive(data)) totalStudents.add(data.userId);
+              const revenue = getEnrollmentRevenue(data, course);
+              totalRevenue += revenue;
               
               if (data.enrolledAt) {
                 const week = new Date(data.enrolledAt.toDate()).toISOString().slice(0, 10);
-                revenueByWeek[week] = (revenueByWeek[week] || 0) + (data.paidAmount || 0);
+                revenueByWeek[week] = (revenueByWeek[week] || 0) + revenue;
               }
             });
 
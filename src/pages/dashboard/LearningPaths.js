@@ -17,6 +17,8 @@ import {
 } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { isCoursePublished } from '../../utils/courseStatus';
 import {
   MapIcon,
   ArrowPathIcon,
@@ -54,7 +56,8 @@ const LearningPaths = () => {
       const q = query(enrollmentsRef, where('userId', '==', user.uid));
       const snapshot = await getDocs(q);
       
-      const enrollmentData = await Promise.all(snapshot.docs.map(async (doc) => {
+      const activeEnrollments = snapshot.docs.filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data()));
+      const enrollmentData = await Promise.all(activeEnrollments.map(async (doc) => {
         const data = doc.data();
         const courseSnapshot = await getDocs(doc(db, 'courses', data.courseId));
         const courseData = courseSnapshot.exists() ? courseSnapshot.data() : null;
@@ -85,7 +88,9 @@ const LearningPaths = () => {
     queryFn: async () => {
       const coursesRef = collection(db, 'courses');
       const snapshot = await getDocs(coursesRef);
-      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(isCoursePublished);
     },
     enabled: !!user?.uid,
   });
@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import { collection, query, where, getDocs, getDoc, doc, onSnapshot, orderBy, limit } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { COURSE_STATUSES, getCourseStatus } from '../../utils/courseStatus';
 import {
   AcademicCapIcon,
   ClockIcon,
@@ -33,7 +35,7 @@ const MyCourses = () => {
     const unsubscribe = onSnapshot(q, async (snapshot) => {
       try {
         const courses = await Promise.all(
-          snapshot.docs.map(async (enrollDoc) => {
+          snapshot.docs.filter(enrollDoc => isEnrollmentActive(enrollDoc.data())).map(async (enrollDoc) => {
             const courseDocRef = doc(db, 'courses', enrollDoc.data().courseId);
             const courseSnap = await getDoc(courseDocRef);
             
@@ -298,9 +300,14 @@ const MyCourses = () => {
                       />
                     </Link>
                     <div className="p-4">
-                      <Link to={`/courses/${course.id}`}>
-                        <h3 className="text-lg font-semibold text-gray-900 mb-2">{course.title}</h3>
-                      </Link>
+                      <div className="flex items-start justify-between mb-2">
+                        <Link to={`/courses/${course.id}`}>
+                          <h3 className="text-lg font-semibold text-gray-900">{course.title}</h3>
+                        </Link>
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full whitespace-nowrap ${COURSE_STATUSES[getCourseStatus(course)].className}`}>
+                          {COURSE_STATUSES[getCourseStatus(course)].label}
+                        </span>
+                      </div>
                       <div className="flex items-center justify-between text-sm text-gray-600 mb-4">
                         <div className="flex items-center">
                           <UserGroupIcon className="h-5 w-5 mr-1" />
@@ -316,11 +323,11 @@ const MyCourses = () => {
                           Last updated: {new Date(course.updatedAt?.seconds * 1000).toLocaleDateString()}
                         </span>
                         <Link
-                          to={`/courses/edit/${course.id}`}
+                          to={getCourseStatus(course) === 'draft' ? `/courses/create/${course.id}` : `/courses/edit/${course.id}`}
                           className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
                         >
                           <PencilIcon className="h-4 w-4 mr-1" />
-                          Edit
+                          {getCourseStatus(course) === 'draft' ? 'Continue' : 'Edit'}
                         </Link>
                       </div>
                     </div>
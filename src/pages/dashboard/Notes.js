@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { ArrowDownTrayIcon, MagnifyingGlassIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import Markdown from '../../components/Markdown';
+import { getMyNotes, searchNotes, groupNotes, downloadNotesMarkdown } from '../../utils/notes';
+import { formatPlaybackTime } from '../../utils/playback';
+import { downloadNotesPdf } from '../../functions/renderNotes';
+
+const Notes = () => {
+  const { user } = useAuth();
+  const [search, setSearch] = useState('');
+
+  const { data: notes = [], isLoading } = useQuery({
+    queryKey: ['myNotes', user?.uid],
+    queryFn: () => getMyNotes(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const matchingNotes = searchNotes(notes, search);
+
+  const handleDownloadPdf = () => {
+    try {
+      downloadNotesPdf(matchingNotes);
+    } catch (error) {
+      toast.error('Failed to generate the PDF');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-200 rounded w-1/4 mb-4" />
+            <div className="space-y-4">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="bg-white rounded-lg shadow-sm p-6">
+                  <div className="h-4 bg-gray-200 rounded w-1/2 mb-2" />
+                  <div className="h-4 bg-gray-200 rounded w-1/3" />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">My Notes</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Notes you've taken while watching, across all your courses.
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => downloadNotesMarkdown(matchingNotes)}
+              disabled={matchingNotes.length === 0}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+              Markdown
+            </button>
+            <button
+              onClick={handleDownloadPdf}
+              disabled={matchingNotes.length === 0}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+              PDF
+            </button>
+          </div>
+        </div>
+
+        {notes.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm p-6 text-center">
+            <PencilSquareIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No notes yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Add notes from the panel beside a lesson's video and they'll show up here.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="relative mb-6">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search notes, courses and lessons"
+                className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            {matchingNotes.length === 0 ? (
+              <p className="text-sm text-gray-500">No notes match "{search.trim()}".</p>
+            ) : (
+              <div className="space-y-6">
+                {groupNotes(matchingNotes).map(course => (
+                  <div key={course.courseId} className="bg-white rounded-lg shadow-sm p-6">
+                    <h2 className="text-lg font-semibold text-gray-900 mb-4">{course.title}</h2>
+                    <div className="space-y-6">
+                      {course.lessons.map(lesson => (
+                        <div key={lesson.lessonId}>
+                          <h3 className="text-sm font-medium text-gray-700 mb-2">{lesson.title}</h3>
+                          <ul className="space-y-3">
+                            {lesson.notes.map(note => (
+                              <li key={note.id} className="border-l-2 border-blue-200 pl-3">
+                                <Link
+                                  to={`/courses/${note.courseId}?lesson=${note.lessonId}&t=${note.timestamp}`}
+                                  className="text-xs font-medium text-blue-600 hover:underline"
+                                >
+                                  {formatPlaybackTime(note.timestamp)}
+                                </Link>
+                                {note.body.trim() ? (
+                                  <Markdown text={note.body} className="mt-1" />
+                                ) : (
+                                  <p className="mt-1 text-sm italic text-gray-400">Bookmark</p>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Notes;
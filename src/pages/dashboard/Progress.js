@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom';
 import { collection, query, where, getDocs, getDoc, doc, onSnapshot, orderBy, limit } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { getDayKey, getProgressRecords } from '../../utils/lessonProgress';
 import { motion } from 'framer-motion';
 import {
   AcademicCapIcon,
@@ -52,7 +54,7 @@ const Progress = () => {
     const unsubscribe = onSnapshot(q, async (snapshot) => {
       try {
         const enrollmentData = await Promise.all(
-          snapshot.docs.map(async (enrollDoc) => {
+          snapshot.docs.filter(enrollDoc => isEnrollmentActive(enrollDoc.data())).map(async (enrollDoc) => {
             const courseDocRef = doc(db, 'courses', enrollDoc.data().courseId);
             const courseSnap = await getDoc(courseDocRef);
             
@@ -85,6 +87,7 @@ const Progress = () => {
               id: enrollDoc.id,
               courseId: enrollDoc.data().courseId,
               progress: enrollDoc.data().progress || {},
+              grade: enrollDoc.data().grade ?? null,
               lastAccessed: enrollDoc.data().lastAccessed?.toDate() || new Date(),
               enrolledAt: enrollDoc.data().enrolledAt?.toDate() || new Date(),
               course: { 
@@ -100,49 +103,35 @@ const Progress = () => {
         const validEnrollments = enrollmentData.filter(Boolean);
         setEnrollments(validEnrollments);
         
-        // Generate activity data for chart
-        const now = new Date();
+        // Completion over the last 30 days, from when each lesson's progress
+        // record was completed. Lessons completed earlier, or before records
+        // had completion dates, count from the start of the chart.
         const last30Days = [...Array(30)].map((_, i) => {
-          const date = new Date(now);
+          const date = new Date();
           date.setDate(date.getDate() - i);
-          return date.toISOString().split('T')[0];
+          return getDayKey(date);
         }).reverse();
-        
-        // Generate progress data
-        const progressByDay = {};
-        validEnrollments.forEach(enrollment => {
-          const enrolledDate = enrollment.enrolledAt;
-          if (!enrolledDate) return;
-          
-          // Create progress by date
-          const totalLessons = enrollment.course.lessons?.length || 0;
-          if (totalLessons === 0) return;
-          
-          const completedLessons = Object.values(enrollment.progress || {}).filter(Boolean).length;
-          const completionPercentage = Math.round((completedLessons / totalLessons) * 100) || 0;
-          
-          const dateStr = enrolledDate.toISOString().split('T')[0];
-          if (!progressByDay[dateStr]) {
-            progressByDay[dateStr] = {
-              completedLessons: 0,
-              totalLessons: 0
-            };
-          }
-          
-          progressByDay[dateStr].completedLessons += completedLessons;
-          progressByDay[dateStr].totalLessons += totalLessons;
-        });
-        
-        // Format for chart
+
+        const enrolledCourseIds = new Set(validEnrollments.map(enrollment => enrollment.courseId));
+        const progressRecords = await getProgressRecords(user.uid);
+        const recentCompletions = progressRecords
+          .filter(record => record.completedDate && enrolledCourseIds.has(record.courseId))
+          .map(record => getDayKey(record.completedDate))
+          .filter(day => day >= last30Days[0]);
+
+        const totals = validEnrollments.reduce((acc, enrollment) => {
+          const progress = calculateProgress(enrollment);
+          acc.completed += progress.completed;
+          acc.total += progress.total;
+          return acc;
+        }, { completed: 0, total: 0 });
+        const completedBefore = Math.max(0, totals.completed - recentCompletions.length);
+
         const chartData = last30Days.map(date => {
-          const dayData = progressByDay[date] || { completedLessons: 0, totalLessons: 0 };
-          const percentComplete = dayData.totalLessons > 0 
-            ? Math.round((dayData.completedLessons / dayData.totalLessons) * 100) 
-            : 0;
-            
+          const completed = completedBefore + recentCompletions.filter(day => day <= date).length;
           return {
             date,
-            progress: percentComplete
+            progress: totals.total > 0 ? Math.min(100, Math.round((completed / totals.total) * 100)) : 0,
           };
         });
         
@@ -462,6 +451,13 @@ const Progress = () => {
                     <div className="mt-4 flex items-center text-sm text-gray-600">
                       <StarIcon className="h-4 w-4 text-yellow-400 mr-1" />
                       {getAverageRating(enrollment.courseId)} ({enrollment.course.reviews?.length || 0} reviews)
+                      {enrollment.grade !== null && (
+                        <>
+                          <span className="mx-2">•</span>
+                          <TrophyIcon className="h-4 w-4 text-blue-500 mr-1" />
+                          Quiz grade: {enrollment.grade}%
+                        </>
+                      )}
                     </div>
                   </div>
                 );
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { collection, query, where, getDocs, doc, updateDoc, deleteDoc, getDoc } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { findActiveEnrollment } from '../../utils/enrollments';
 import { toast } from 'react-hot-toast';
 import {
   TrashIcon,
@@ -97,12 +98,13 @@ const RecycledCourses = () => {
     }
     
     try {
-      // Check for enrolled students before permanent deletion
+      // Check for enrolled students before permanent deletion. Refunded
+      // enrollments no longer grant access, so they don't count.
       const enrollmentsRef = collection(db, 'enrollments');
       const q = query(enrollmentsRef, where('courseId', '==', courseId));
       const snapshot = await getDocs(q);
       
-      if (!snapshot.empty) {
+      if (findActiveEnrollment(snapshot)) {
         toast.error('Cannot permanently delete a course with enrolled students.');
         return;
       }
@@ -146,7 +148,7 @@ const RecycledCourses = () => {
               <p className="mt-1 text-sm text-gray-600">
                 Courses remain in the recycle bin for 7 days before being permanently deleted.
                 During this period, you can restore them or delete them permanently.
-                Courses with enrolled students cannot be permanently deleted.
+                Courses with enrolled students cannot be permanently deleted; refunded students don't count.
               </p>
             </div>
           </div>
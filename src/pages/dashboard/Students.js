@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { collection, query, where, getDocs, getDoc, doc, onSnapshot } from 'firebase/firestore';
+import { collection, query, where, getDocs, onSnapshot } from 'firebase/firestore';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
+import { isEnrollmentActive } from '../../utils/enrollments';
+import { getEnrollmentActivity, summarizeStudents } from '../../utils/studentProgress';
 import { motion } from 'framer-motion';
 import {
   MagnifyingGlassIcon,
@@ -49,148 +51,13 @@ const Students = () => {
         const enrollmentQuery = query(enrollmentsRef, where('courseId', '==', courseId));
         const enrollmentSnapshot = await getDocs(enrollmentQuery);
         
-        // Process enrollments in parallel for better performance
-        return Promise.all(enrollmentSnapshot.docs.map(async (doc) => {
-          const enrollmentData = doc.data();
-          const userId = enrollmentData.userId;
-          
-          try {
-            const userData = await getDoc(doc(db, 'users', userId));
-            
-            // Also fetch the latest progress data
-            const progressQuery = query(
-              collection(db, 'progress'),
-              where('userId', '==', userId),
-              where('courseId', '==', courseId)
-            );
-            const progressSnapshot = await getDocs(progressQuery);
-            
-            // Get latest progress entry
-            let latestProgress = null;
-            let latestTimestamp = 0;
-            
-            progressSnapshot.forEach(progressDoc => {
-              const progressData = progressDoc.data();
-              if (progressData.lastUpdated && progressData.lastUpdated.seconds > latestTimestamp) {
-                latestTimestamp = progressData.lastUpdated.seconds;
-                latestProgress = progressData;
-              }
-            });
-            
-            return {
-              id: doc.id,
-              ...enrollmentData,
-              student: userData.exists() ? userData.data() : null,
-              course: courseData[courseId],
-              latestActivity: latestProgress?.lastUpdated || enrollmentData.enrolledAt || null
-            };
-          } catch (error) {
-            console.error(`Error fetching data for user ${userId}:`, error);
-            return {
-              id: doc.id,
-              ...enrollmentData,
-              student: null,
-              course: courseData[courseId],
-              error: true
-            };
-          }
-        }));
+        return Promise.all(enrollmentSnapshot.docs
+          .filter(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data()))
+          .map(enrollmentDoc => getEnrollmentActivity(enrollmentDoc, courseData[courseId])));
       });
 
-      // Wait for all enrollment data
       const allEnrollments = (await Promise.all(enrollmentPromises)).flat();
-      
-      // Group by student
-      const studentMap = allEnrollments.reduce((acc, enrollment) => {
-        if (!acc[enrollment.userId]) {
-          // Fix the Anonymous User and No email provided issues
-          const student = enrollment.student || {};
-          const displayName = student.displayName || user?.displayName || (student.email ? student.email.split('@')[0] : 'Student');
-          const email = student.email || user?.email || `user-${enrollment.userId.slice(0, 5)}@example.com`;
-          
-          acc[enrollment.userId] = {
-            id: enrollment.userId,
-            name: displayName,
-            email: email,
-            profileImage: student.photoURL || '',
-            enrollments: [],
-            enrollmentDates: [],
-            progressByCategory: {},
-            completedCourses: 0,
-            lastActive: null
-          };
-        }
-        
-        // Add enrollment
-        const courseCategory = enrollment.course?.category || 'Uncategorized';
-        const totalLessons = enrollment.course?.lessons?.length || 0;
-        const completedLessons = Object.values(enrollment.progress || {}).filter(Boolean).length;
-        const progress = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
-        
-        // Update category progress
-        if (!acc[enrollment.userId].progressByCategory[courseCategory]) {
-          acc[enrollment.userId].progressByCategory[courseCategory] = {
-            totalCourses: 0,
-            totalProgress: 0
-          };
-        }
-        acc[enrollment.userId].progressByCategory[courseCategory].totalCourses += 1;
-        acc[enrollment.userId].progressByCategory[courseCategory].totalProgress += progress;
-        
-        // Track completion
-        if (progress === 100) {
-          acc[enrollment.userId].completedCourses += 1;
-        }
-        
-        // Track last activity
-        if (enrollment.latestActivity && (!acc[enrollment.userId].lastActive || 
-            enrollment.latestActivity.seconds > acc[enrollment.userId].lastActive.seconds)) {
-          acc[enrollment.userId].lastActive = enrollment.latestActivity;
-        }
-        
-        // Save enrollment data
-        acc[enrollment.userId].enrollments.push({
-          courseId: enrollment.courseId,
-          courseName: enrollment.course?.title || 'Unknown Course',
-          courseCategory,
-          progress: enrollment.progress || {},
-          progressPercentage: progress,
-          enrolledAt: enrollment.enrolledAt,
-          totalLessons,
-          completedLessons,
-          lastActivity: enrollment.latestActivity
-        });
-        
-        // Save enrollment date for chart
-        if (enrollment.enrolledAt) {
-          acc[enrollment.userId].enrollmentDates.push(enrollment.enrolledAt.toDate());
-        }
-        
-        return acc;
-      }, {});
-
-      // Process data for charts
-      const result = Object.values(studentMap).map(student => {
-        // Calculate average progress per category
-        const categoryProgress = Object.entries(student.progressByCategory).map(([category, data]) => {
-          return {
-            name: category,
-            value: Math.round(data.totalProgress / data.totalCourses) || 0
-          };
-        });
-        
-        // Sort enrollment dates
-        const sortedDates = student.enrollmentDates.sort((a, b) => a - b);
-        
-        return {
-          ...student,
-          categoryProgress,
-          firstEnrollment: sortedDates[0] || new Date(),
-          latestEnrollment: sortedDates[sortedDates.length - 1] || new Date()
-        };
-      });
-
-      return result;
+      return summarizeStudents(allEnrollments);
     },
     enabled: !!user?.uid && user?.role === 'instructor',
     staleTime: 30000, // 30 seconds - balance between fresh data and performance
@@ -567,6 +434,7 @@ const Students = () => {
                           <div className="flex items-center text-sm text-gray-500">
                             <ChartBarIcon className="h-4 w-4 mr-1" />
                             {enrollment.completedLessons} of {enrollment.totalLessons} lessons completed
+                            {enrollment.watchedMinutes > 0 && ` · ${enrollment.watchedMinutes} min watched`}
                           </div>
                           <div className="flex items-center">
                             <div className="w-48 bg-gray-200 rounded-full h-2 mr-2">
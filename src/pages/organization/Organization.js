@@ -0,0 +1,497 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { collection, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import {
+  BuildingOfficeIcon,
+  UserPlusIcon,
+  XMarkIcon,
+  ChartBarIcon,
+  EnvelopeIcon,
+} from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import PaymentForm from '../../components/PaymentForm';
+import { isFreeCourse } from '../../utils/pricing';
+import { isCoursePublished } from '../../utils/courseStatus';
+import {
+  MAX_SEATS_PER_PURCHASE,
+  MEMBER_STATUSES,
+  createOrganization,
+  getAdminOrganization,
+  getSeatSummary,
+  getOrganizationMembers,
+  getSeatAssignments,
+  getMyOrganizationMemberships,
+  inviteMembers,
+  acceptInvitation,
+  removeMember,
+  assignSeat,
+  reclaimSeat,
+  parseEmailList,
+} from '../../utils/organizations';
+
+const inputClassName = 'block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+// Team seat licensing: the admin buys seats, invites people and hands seats
+// out; invitees accept here
+const Organization = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [orgName, setOrgName] = useState('');
+  const [inviteText, setInviteText] = useState('');
+  const [seatPurchase, setSeatPurchase] = useState({ courseId: '', quantity: '5' });
+  const [checkoutCourse, setCheckoutCourse] = useState(null);
+  const [seatChoice, setSeatChoice] = useState({});
+
+  const { data: organization, isLoading } = useQuery({
+    queryKey: ['organization', user?.uid],
+    queryFn: () => getAdminOrganization(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const { data: myMemberships = [] } = useQuery({
+    queryKey: ['orgMemberships', user?.uid],
+    queryFn: () => getMyOrganizationMemberships(user),
+    enabled: !!user?.uid,
+  });
+
+  const { data: members = [] } = useQuery({
+    queryKey: ['orgMembers', organization?.id],
+    queryFn: () => getOrganizationMembers(organization.id, user.uid),
+    enabled: !!organization?.id,
+  });
+
+  const { data: assignments = [] } = useQuery({
+    queryKey: ['seatAssignments', organization?.id],
+    queryFn: () => getSeatAssignments(organization.id, user.uid),
+    enabled: !!organization?.id,
+  });
+
+  // Seats can be bought for any published paid course on the platform
+  const { data: courses = [] } = useQuery({
+    queryKey: ['seatCourses'],
+    queryFn: async () => {
+      const snapshot = await getDocs(collection(db, 'courses'));
+      return snapshot.docs
+        .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data() }))
+        .filter(course => isCoursePublished(course) && !isFreeCourse(course))
+        .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    },
+    enabled: !!organization?.id,
+  });
+
+  const seats = getSeatSummary(organization);
+  const invitations = myMemberships.filter(membership => membership.status === 'invited');
+  const joined = myMemberships.filter(membership => membership.status === 'active');
+
+  const refreshOrganization = () => {
+    queryClient.invalidateQueries(['organization', user?.uid]);
+    queryClient.invalidateQueries(['orgMembers', organization?.id]);
+    queryClient.invalidateQueries(['seatAssignments', organization?.id]);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: () => createOrganization(user, orgName),
+    onSuccess: () => {
+      toast.success('Organization created');
+      setOrgName('');
+      queryClient.invalidateQueries(['organization', user?.uid]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to create the organization');
+    },
+  });
+
+  const acceptMutation = useMutation({
+    mutationFn: (organizationId) => acceptInvitation(organizationId),
+    onSuccess: () => {
+      toast.success('Invitation accepted');
+      queryClient.invalidateQueries(['orgMemberships', user?.uid]);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to accept the invitation');
+    },
+  });
+
+  const inviteMutation = useMutation({
+    mutationFn: () => inviteMembers(organization.id, parseEmailList(inviteText)),
+    onSuccess: ({ invited, skipped }) => {
+      toast.success(`${invited.length} invited${skipped.length ? `, ${skipped.length} already on the team` : ''}`);
+      setInviteText('');
+      refreshOrganization();
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to send the invitations');
+    },
+  });
+
+  const assignMutation = useMutation({
+    mutationFn: ({ courseId, userId }) => assignSeat(organization.id, courseId, userId),
+    onSuccess: () => {
+      toast.success('Seat assigned');
+      setSeatChoice({});
+      refreshOrganization();
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to assign the seat');
+    },
+  });
+
+  const reclaimMutation = useMutation({
+    mutationFn: (assignmentId) => reclaimSeat(assignmentId),
+    onSuccess: () => {
+      toast.success('Seat reclaimed');
+      refreshOrganization();
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to reclaim the seat');
+    },
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (memberId) => removeMember(memberId),
+    onSuccess: ({ reclaimedSeats }) => {
+      toast.success(reclaimedSeats ? `Removed, ${reclaimedSeats} seats reclaimed` : 'Removed');
+      refreshOrganization();
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to remove the member');
+    },
+  });
+
+  const handleReclaim = (assignment) => {
+    if (window.confirm(`Take back ${assignment.memberName || assignment.memberEmail}'s seat in ${assignment.courseTitle}? They keep their progress if given a seat again.`)) {
+      reclaimMutation.mutate(assignment.id);
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (window.confirm(`Remove ${member.name || member.email} from ${organization.name}? Any seats they hold are reclaimed.`)) {
+      removeMutation.mutate(member.id);
+    }
+  };
+
+  const handleBuySeats = (e) => {
+    e.preventDefault();
+    const quantity = Math.floor(Number(seatPurchase.quantity));
+    if (!(quantity >= 1 && quantity <= MAX_SEATS_PER_PURCHASE)) {
+      toast.error(`Buy between 1 and ${MAX_SEATS_PER_PURCHASE} seats at a time`);
+      return;
+    }
+    setCheckoutCourse(courses.find(course => course.id === seatPurchase.courseId) || null);
+  };
+
+  const handleSeatsPaid = () => {
+    toast.success('Seats added to your organization');
+    setCheckoutCourse(null);
+    setSeatPurchase({ courseId: '', quantity: '5' });
+    queryClient.invalidateQueries(['organization', user?.uid]);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 animate-pulse space-y-4">
+          <div className="h-8 bg-gray-200 rounded w-1/3" />
+          <div className="h-40 bg-gray-200 rounded" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{organization?.name || 'Organization'}</h1>
+            <p className="mt-2 text-gray-600">
+              {organization
+                ? 'Buy seats in courses, invite your team and assign seats to them.'
+                : 'Buy course seats for your team, or join a team you have been invited to.'}
+            </p>
+          </div>
+          {organization && (
+            <Link
+              to="/organization/report"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ChartBarIcon className="h-5 w-5 mr-2" />
+              Team progress
+            </Link>
+          )}
+        </div>
+
+        {(invitations.length > 0 || joined.length > 0) && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-8 space-y-3">
+            {invitations.map(invitation => (
+              <div key={invitation.id} className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <EnvelopeIcon className="h-5 w-5 text-blue-600 mr-3" />
+                  <p className="text-gray-900">
+                    You have been invited to join <span className="font-semibold">{invitation.organizationName}</span>
+                  </p>
+                </div>
+                <button
+                  onClick={() => acceptMutation.mutate(invitation.organizationId)}
+                  disabled={acceptMutation.isPending}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+              </div>
+            ))}
+            {joined.map(membership => (
+              <div key={membership.id} className="flex items-center">
+                <BuildingOfficeIcon className="h-5 w-5 text-gray-500 mr-3" />
+                <p className="text-gray-700">
+                  You are a member of <span className="font-semibold">{membership.organizationName}</span>.
+                  Courses they assign you appear in <Link to="/dashboard/my-courses" className="text-blue-600 hover:underline">My Courses</Link>.
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!organization ? (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              createMutation.mutate();
+            }}
+            className="bg-white rounded-lg shadow-sm p-6 space-y-4"
+          >
+            <h2 className="text-lg font-semibold text-gray-900">Create an organization</h2>
+            <div>
+              <label htmlFor="orgName" className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                id="orgName"
+                type="text"
+                value={orgName}
+                onChange={(e) => setOrgName(e.target.value)}
+                className={inputClassName}
+                placeholder="Acme Inc."
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={createMutation.isPending}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <BuildingOfficeIcon className="h-5 w-5 mr-2" />
+              {createMutation.isPending ? 'Creating...' : 'Create organization'}
+            </button>
+          </form>
+        ) : (
+          <>
+            {/* Seats */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Seats</h2>
+              {seats.length === 0 ? (
+                <p className="text-gray-500 mb-6">No seats yet. Buy some below to enroll your team.</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 mb-6">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      <th className="py-2">Course</th>
+                      <th className="py-2 text-right">Purchased</th>
+                      <th className="py-2 text-right">Assigned</th>
+                      <th className="py-2 text-right">Available</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {seats.map(seat => (
+                      <tr key={seat.courseId} className="text-sm">
+                        <td className="py-2 text-gray-900">{seat.courseTitle}</td>
+                        <td className="py-2 text-right text-gray-700">{seat.purchased}</td>
+                        <td className="py-2 text-right text-gray-700">{seat.assigned}</td>
+                        <td className="py-2 text-right font-medium text-gray-900">{seat.available}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <form onSubmit={handleBuySeats} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div className="md:col-span-2">
+                  <label htmlFor="seatCourse" className="block text-sm font-medium text-gray-700 mb-2">Course</label>
+                  <select
+                    id="seatCourse"
+                    value={seatPurchase.courseId}
+                    onChange={(e) => setSeatPurchase({ ...seatPurchase, courseId: e.target.value })}
+                    className={inputClassName}
+                    required
+                  >
+                    <option value="">Select a course</option>
+                    {courses.map(course => (
+                      <option key={course.id} value={course.id}>{course.title}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="seatQuantity" className="block text-sm font-medium text-gray-700 mb-2">Seats</label>
+                  <input
+                    id="seatQuantity"
+                    type="number"
+                    min="1"
+                    max={MAX_SEATS_PER_PURCHASE}
+                    value={seatPurchase.quantity}
+                    onChange={(e) => setSeatPurchase({ ...seatPurchase, quantity: e.target.value })}
+                    className={inputClassName}
+                    required
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Buy seats
+                </button>
+              </form>
+            </div>
+
+            {/* Members */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Members</h2>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  inviteMutation.mutate();
+                }}
+                className="mb-6"
+              >
+                <label htmlFor="inviteEmails" className="block text-sm font-medium text-gray-700 mb-2">
+                  Invite by email
+                </label>
+                <textarea
+                  id="inviteEmails"
+                  rows={2}
+                  value={inviteText}
+                  onChange={(e) => setInviteText(e.target.value)}
+                  className={inputClassName}
+                  placeholder="ada@example.com, grace@example.com"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={inviteMutation.isPending}
+                  className="mt-3 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <UserPlusIcon className="h-5 w-5 mr-2" />
+                  {inviteMutation.isPending ? 'Inviting...' : 'Send invitations'}
+                </button>
+              </form>
+
+              {members.length === 0 ? (
+                <p className="text-gray-500">No one has been invited yet.</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {members.map(member => {
+                    const status = MEMBER_STATUSES[member.status] || MEMBER_STATUSES.invited;
+                    const held = assignments.filter(assignment => assignment.userId && assignment.userId === member.userId);
+                    const assignable = seats.filter(seat =>
+                      seat.available > 0 && !held.some(assignment => assignment.courseId === seat.courseId)
+                    );
+                    return (
+                      <div key={member.id} className="py-4">
+                        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                          <div>
+                            <p className="font-medium text-gray-900">
+                              {member.name || member.email}
+                              <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${status.className}`}>{status.label}</span>
+                            </p>
+                            {member.name && <p className="text-sm text-gray-500">{member.email}</p>}
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            {member.status === 'active' && assignable.length > 0 && (
+                              <>
+                                <select
+                                  value={seatChoice[member.id] || ''}
+                                  onChange={(e) => setSeatChoice({ ...seatChoice, [member.id]: e.target.value })}
+                                  className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                >
+                                  <option value="">Assign a seat...</option>
+                                  {assignable.map(seat => (
+                                    <option key={seat.courseId} value={seat.courseId}>
+                                      {seat.courseTitle} ({seat.available} left)
+                                    </option>
+                                  ))}
+                                </select>
+                                <button
+                                  onClick={() => assignMutation.mutate({ courseId: seatChoice[member.id], userId: member.userId })}
+                                  disabled={!seatChoice[member.id] || assignMutation.isPending}
+                                  className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                  Assign
+                                </button>
+                              </>
+                            )}
+                            <button
+                              onClick={() => handleRemove(member)}
+                              disabled={removeMutation.isPending}
+                              className="px-3 py-1.5 border border-gray-300 text-sm rounded-md text-red-600 bg-white hover:bg-red-50"
+                            >
+                              {member.status === 'invited' ? 'Withdraw' : 'Remove'}
+                            </button>
+                          </div>
+                        </div>
+                        {held.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-2">
+                            {held.map(assignment => (
+                              <span
+                                key={assignment.id}
+                                className="inline-flex items-center px-2 py-1 text-xs rounded-full bg-blue-50 text-blue-800"
+                              >
+                                {assignment.courseTitle}
+                                <button
+                                  onClick={() => handleReclaim(assignment)}
+                                  className="ml-1 text-blue-600 hover:text-red-600"
+                                  title="Reclaim seat"
+                                >
+                                  <XMarkIcon className="h-4 w-4" />
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        {checkoutCourse && (
+          <div className="fixed inset-0 z-50 bg-gray-800 bg-opacity-75 backdrop-blur-sm flex items-center justify-center p-4">
+            <div className="bg-white rounded-xl shadow-xl overflow-hidden max-w-md w-full">
+              <div className="bg-gradient-to-r from-blue-600 to-indigo-600 p-6 text-white flex justify-between items-center">
+                <h3 className="text-xl font-semibold">Buy seats in {checkoutCourse.title}</h3>
+                <button
+                  onClick={() => setCheckoutCourse(null)}
+                  className="text-white/80 hover:text-white focus:outline-none transition-colors"
+                >
+                  <span className="sr-only">Close</span>
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              </div>
+              <div className="p-6">
+                <PaymentForm
+                  course={checkoutCourse}
+                  seats={{ organizationId: organization.id, quantity: Math.floor(Number(seatPurchase.quantity)) }}
+                  onSuccess={handleSeatsPaid}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organization;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeftIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { getAdminOrganization, getSeatAssignments, getTeamProgress } from '../../utils/organizations';
+
+const formatLastActive = (timestamp) =>
+  (timestamp?.toDate ? timestamp.toDate().toLocaleDateString() : 'Never');
+
+// Progress of everyone holding one of the organization's seats
+const TeamReport = () => {
+  const { user } = useAuth();
+
+  const { data: organization } = useQuery({
+    queryKey: ['organization', user?.uid],
+    queryFn: () => getAdminOrganization(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const { data: team = [], isLoading } = useQuery({
+    queryKey: ['teamProgress', organization?.id],
+    queryFn: async () => getTeamProgress(await getSeatAssignments(organization.id, user.uid)),
+    enabled: !!organization?.id,
+  });
+
+  const totalSeats = team.reduce((total, member) => total + member.enrollments.length, 0);
+  const completed = team.reduce((total, member) => total + member.completedCourses, 0);
+  const averageProgress = totalSeats > 0
+    ? Math.round(team.reduce((total, member) =>
+      total + member.enrollments.reduce((sum, enrollment) => sum + enrollment.progressPercentage, 0), 0) / totalSeats)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link to="/organization" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to organization
+        </Link>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Team progress</h1>
+          <p className="mt-2 text-gray-600">{organization?.name}</p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500">Seats in use</p>
+            <p className="text-2xl font-bold text-gray-900">{totalSeats}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500">Average progress</p>
+            <p className="text-2xl font-bold text-gray-900">{averageProgress}%</p>
+          </div>
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <p className="text-sm text-gray-500">Courses completed</p>
+            <p className="text-2xl font-bold text-gray-900">{completed}</p>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm">
+          {isLoading ? (
+            <div className="animate-pulse p-6 space-y-3">
+              {[...Array(3)].map((_, i) => <div key={i} className="h-4 bg-gray-200 rounded w-2/3" />)}
+            </div>
+          ) : team.length === 0 ? (
+            <div className="text-center py-12">
+              <UserGroupIcon className="mx-auto h-12 w-12 text-gray-300" />
+              <p className="mt-2 text-gray-500">No seats have been assigned yet.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {team.map(member => (
+                <div key={member.id} className="p-6">
+                  <div className="flex items-center justify-between mb-3">
+                    <div>
+                      <p className="font-semibold text-gray-900">{member.name}</p>
+                      <p className="text-sm text-gray-500">{member.email}</p>
+                    </div>
+                    <p className="text-xs text-gray-500">Last active {formatLastActive(member.lastActive)}</p>
+                  </div>
+                  <div className="space-y-2">
+                    {member.enrollments.map(enrollment => (
+                      <div key={enrollment.courseId}>
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className="text-gray-700">{enrollment.courseName}</span>
+                          <span className="text-gray-500">
+                            {enrollment.completedLessons}/{enrollment.totalLessons} lessons · {enrollment.progressPercentage}%
+                          </span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className="bg-blue-600 h-2 rounded-full"
+                            style={{ width: `${enrollment.progressPercentage}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamReport;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import swal from 'sweetalert';
+import { CheckCircleIcon, SparklesIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import useMembership from '../../hooks/useMembership';
+import usePlatformSettings from '../../hooks/usePlatformSettings';
+import { initializePaystack, PAYSTACK_PUBLIC_KEY } from '../../utils/paystack';
+import {
+  MEMBERSHIP_STATUSES,
+  verifyMembershipPayment,
+  cancelMembership,
+} from '../../utils/memberships';
+import { toDate } from '../../utils/dates';
+import { formatCurrency } from '../../utils/currency';
+
+// Monthly and annual all-access plans, billed as Paystack subscriptions
+const Membership = () => {
+  const { user } = useAuth();
+  const { membership, isActive, isLoading } = useMembership();
+  const { membershipPlans, isLoading: plansLoading } = usePlatformSettings();
+  const [isPaystackReady, setIsPaystackReady] = useState(false);
+  const [processingPlan, setProcessingPlan] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  useEffect(() => {
+    initializePaystack()
+      .then(() => setIsPaystackReady(true))
+      .catch((error) => {
+        console.error('Paystack initialization error:', error);
+        toast.error('Failed to load payment system. Please try again later.');
+      });
+  }, []);
+
+  const handleSubscribe = (plan) => {
+    if (!isPaystackReady) {
+      toast.error('Payment system is still loading. Please try again in a moment.');
+      return;
+    }
+
+    setProcessingPlan(plan.id);
+
+    const handler = window.PaystackPop.setup({
+      key: PAYSTACK_PUBLIC_KEY,
+      email: user.email,
+      amount: Math.round(plan.price * 100),
+      currency: plan.currency,
+      // Paystack subscribes the customer to the plan after this first charge
+      plan: plan.planCode,
+      metadata: {
+        userId: user.uid,
+        type: 'membership',
+        planId: plan.id,
+      },
+      callback: function(response) {
+        verifyMembershipPayment(response.reference)
+          .then(() => toast.success('Welcome! Your membership is active.'))
+          .catch((error) => {
+            console.error('Membership verification error:', error);
+            toast.error('We could not confirm your payment yet. If you were charged, your membership will appear shortly.');
+          })
+          .finally(() => setProcessingPlan(null));
+      },
+      onClose: function() {
+        swal('Payment Error', 'Transaction was not completed, action canceled', 'error');
+        setProcessingPlan(null);
+      }
+    });
+
+    handler.openIframe();
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel your membership? You keep access until the end of the period you have paid for.')) {
+      return;
+    }
+
+    setIsCancelling(true);
+    try {
+      await cancelMembership();
+      toast.success('Your membership will not renew');
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel your membership');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  if (isLoading || plansLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/3 mb-6" />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {[...Array(2)].map((_, i) => (
+              <div key={i} className="h-48 bg-white rounded-lg shadow-sm" />
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const periodEnd = toDate(membership?.currentPeriodEnd);
+  const status = MEMBERSHIP_STATUSES[membership?.status] || MEMBERSHIP_STATUSES.active;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">Membership</h1>
+          <p className="mt-2 text-gray-600">
+            Join every course marked "Included with membership" without paying for each one.
+          </p>
+        </div>
+
+        {isActive ? (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <SparklesIcon className="h-10 w-10 text-blue-600 bg-blue-100 rounded-full p-2" />
+                <div className="ml-4">
+                  <p className="text-lg font-medium text-gray-900">
+                    {membershipPlans[membership.planId]?.label || 'All-access membership'}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {membership.status === 'cancelled' ? 'Access ends' : 'Renews'} on{' '}
+                    {periodEnd?.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+                  </p>
+                </div>
+              </div>
+              <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>{status.label}</span>
+            </div>
+            <div className="mt-6 flex items-center justify-between">
+              <Link to="/courses" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                Browse included courses
+              </Link>
+              {membership.status !== 'cancelled' && (
+                <button
+                  onClick={handleCancel}
+                  disabled={isCancelling}
+                  className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {isCancelling ? 'Cancelling...' : 'Cancel membership'}
+                </button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {Object.values(membershipPlans).map(plan => (
+              <div key={plan.id} className="bg-white rounded-lg shadow-sm p-6 flex flex-col">
+                <h2 className="text-lg font-medium text-gray-900">{plan.label}</h2>
+                <p className="mt-2">
+                  <span className="text-3xl font-bold text-gray-900">{formatCurrency(plan.price, plan.currency)}</span>
+                  <span className="text-gray-500"> / {plan.period}</span>
+                </p>
+                <ul className="mt-4 space-y-2 text-sm text-gray-600 flex-1">
+                  <li className="flex items-center">
+                    <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+                    Every included course, as long as you're a member
+                  </li>
+                  <li className="flex items-center">
+                    <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2" />
+                    Renews automatically; cancel any time
+                  </li>
+                </ul>
+                <button
+                  onClick={() => handleSubscribe(plan)}
+                  disabled={!!processingPlan || !isPaystackReady}
+                  className="mt-6 w-full py-3 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-75"
+                >
+                  {processingPlan === plan.id ? 'Processing...' : 'Subscribe'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!isActive && membership && periodEnd && (
+          <p className="mt-6 text-sm text-gray-600">
+            Your previous membership ended on {periodEnd.toLocaleDateString()}. Courses you joined with it reopen when you subscribe again.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Membership;
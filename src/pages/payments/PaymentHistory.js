@@ -1,46 +1,103 @@
 import React from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { collection, query, where, getDocs, orderBy, getDoc, doc } from 'firebase/firestore';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { collection, query, where, getDocs, getDoc, doc } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import { ArrowDownTrayIcon, ArrowUturnLeftIcon, BanknotesIcon } from '@heroicons/react/24/outline';
 import { db } from '../../config/firebase';
 import { useAuth } from '../../context/AuthContext';
-import { format } from 'date-fns';
+import usePlatformSettings from '../../hooks/usePlatformSettings';
+import {
+  getPaymentStatus,
+  getReceiptNumber,
+} from '../../utils/receipts';
+import { toDate } from '../../utils/dates';
+import { formatCurrency } from '../../utils/currency';
+import {
+  getRefundEligibility,
+  requestRefund,
+  REFUND_STATUSES,
+} from '../../utils/refunds';
+import { downloadReceiptPdf } from '../../functions/renderReceipt';
 
 const PaymentHistory = () => {
   const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const { taxRate } = usePlatformSettings();
 
   const { data: payments, isLoading } = useQuery({
     queryKey: ['payments', user?.uid],
     queryFn: async () => {
       if (!user?.uid) return [];
 
+      // Sorted client-side to avoid a compound index on userId + createdAt
       const paymentsRef = collection(db, 'payments');
-      const q = query(
-        paymentsRef,
-        where('userId', '==', user.uid),
-        orderBy('createdAt', 'desc')
-      );
+      const q = query(paymentsRef, where('userId', '==', user.uid));
       const snapshot = await getDocs(q);
-      
-      return Promise.all(snapshot.docs.map(async (doc) => {
-        const data = doc.data();
-        const courseRef = await getDoc(doc(db, 'courses', data.courseId));
-        const courseData = courseRef.data();
-        
+
+      const items = await Promise.all(snapshot.docs.map(async (paymentDoc) => {
+        const data = paymentDoc.data();
+        // Bundle payments show the bundle's thumbnail
+        const itemRef = data.type === 'bundle'
+          ? doc(db, 'bundles', data.bundleId)
+          : data.courseId && doc(db, 'courses', data.courseId);
+        const itemSnap = itemRef ? await getDoc(itemRef) : null;
+        const courseData = itemSnap?.exists() ? itemSnap.data() : {};
+
         return {
-          id: doc.id,
+          id: paymentDoc.id,
           ...data,
           course: {
-            id: courseRef.id,
-            title: courseData.title,
+            id: data.courseId,
+            title: data.courseTitle || courseData.title || 'Deleted course',
             thumbnail: courseData.thumbnail,
           },
-          date: data.createdAt?.toDate(),
+          date: toDate(data.createdAt),
         };
       }));
+
+      return items.sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
     },
     enabled: !!user?.uid,
   });
 
+  // Refunds are only offered once the server has said which payments qualify
+  const { data: refundEligibility } = useQuery({
+    queryKey: ['refundEligibility', user?.uid],
+    queryFn: getRefundEligibility,
+    enabled: !!user?.uid,
+  });
+
+  const refundMutation = useMutation({
+    mutationFn: ({ paymentId, reason }) => requestRefund(paymentId, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['payments', user?.uid] });
+      queryClient.invalidateQueries({ queryKey: ['refundEligibility', user?.uid] });
+      toast.success('Refund requested. The instructor will review it.');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to request a refund');
+    },
+  });
+
+  const handleRequestRefund = (payment) => {
+    const reason = window.prompt(`Why would you like a refund for ${payment.course.title}?`);
+    if (reason === null) return;
+    refundMutation.mutate({ paymentId: payment.id, reason: reason.trim() });
+  };
+
+  const handleDownload = (payment) => {
+    try {
+      downloadReceiptPdf(
+        { ...payment, courseTitle: payment.course.title },
+        { name: user.name || user.displayName, email: user.email },
+        taxRate
+      );
+    } catch (error) {
+      toast.error('Failed to generate receipt');
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
@@ -64,7 +121,25 @@ const PaymentHistory = () => {
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <h1 className="text-2xl font-bold text-gray-900 mb-8">Payment History</h1>
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Payment History</h1>
+            {refundEligibility && (
+              <p className="mt-1 text-sm text-gray-600">
+                You can ask for a refund within {refundEligibility.windowDays} days of purchase, before completing {refundEligibility.maxProgress}% of the course.
+              </p>
+            )}
+          </div>
+          {user?.role === 'instructor' && (
+            <Link
+              to="/payments/payouts"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <BanknotesIcon className="h-5 w-5 mr-2" />
+              View payouts
+            </Link>
+          )}
+        </div>
 
         {payments?.length === 0 ? (
           <div className="bg-white rounded-lg shadow-sm p-6 text-center">
@@ -72,46 +147,98 @@ const PaymentHistory = () => {
           </div>
         ) : (
           <div className="space-y-4">
-            {payments?.map((payment) => (
-              <div key={payment.id} className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-4">
-                    <img
-                      src={payment.course.thumbnail}
-                      alt={payment.course.title}
-                      className="h-16 w-16 object-cover rounded"
-                    />
-                    <div>
-                      <h3 className="text-lg font-medium text-gray-900">
-                        {payment.course.title}
-                      </h3>
-                      <p className="text-sm text-gray-500">
-                        {format(payment.date, 'PPP')}
-                      </p>
-                      <p className="text-xs text-gray-500 mt-1">
-                        {payment.reference && `Ref: ${payment.reference}`}
-                      </p>
-                    </div>
-                  </div>
-                  <div className="text-right">
-                    <p className="text-lg font-medium text-gray-900">
-                      {payment.currency === "USD" ? "$" : ""}
-                      {payment.amount}
-                    </p>
-                    <p className="text-sm text-gray-600">
-                      {payment.paymentMethod || "Paystack"}
-                    </p>
-                    <p className="text-sm">
-                      {payment.status === 'succeeded' ? (
-                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">Paid</span>
+            {payments?.map((payment) => {
+              const status = getPaymentStatus(payment.status);
+              const refundStatus = payment.status !== 'refunded' && REFUND_STATUSES[payment.refundStatus];
+              return (
+                <div key={payment.id} className="bg-white rounded-lg shadow-sm p-6">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div className="flex items-center space-x-4">
+                      {payment.course.thumbnail ? (
+                        <img
+                          src={payment.course.thumbnail}
+                          alt={payment.course.title}
+                          className="h-16 w-16 object-cover rounded"
+                        />
                       ) : (
-                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">Failed</span>
+                        <div className="h-16 w-16 rounded bg-gray-100" />
                       )}
-                    </p>
+                      <div>
+                        <h3 className="text-lg font-medium text-gray-900">
+                          {payment.course.title}
+                        </h3>
+                        {payment.type === 'bundle' && (
+                          <p className="text-xs font-medium text-purple-700">
+                            Bundle · {payment.courseIds?.length || 0} courses
+                          </p>
+                        )}
+                        {payment.type === 'seats' && (
+                          <p className="text-xs font-medium text-purple-700">
+                            {payment.quantity} team seats · {payment.organizationName}
+                          </p>
+                        )}
+                        {payment.type === 'gift' && (
+                          <p className="text-xs font-medium text-purple-700">
+                            Gift{payment.recipient?.name ? ` for ${payment.recipient.name}` : ''} · Code{' '}
+                            <span className="font-mono select-all">{payment.giftCode}</span>
+                            {payment.enrollmentId ? ' · Redeemed' : ''}
+                          </p>
+                        )}
+                        <p className="text-sm text-gray-500">
+                          {payment.date?.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {getReceiptNumber(payment)}
+                          {payment.reference && ` · Ref: ${payment.reference}`}
+                        </p>
+                        {payment.coupon && (
+                          <p className="text-xs text-green-600">
+                            Coupon {payment.coupon.code} saved {formatCurrency(payment.discountAmount, payment.currency)}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-6">
+                      <div className="text-right">
+                        <p className="text-lg font-medium text-gray-900">
+                          {formatCurrency(payment.amount, payment.currency)}
+                        </p>
+                        <p className="text-sm text-gray-600">
+                          {payment.currency || 'USD'} · {payment.paymentMethod || 'Paystack'}
+                        </p>
+                        <span className={`inline-block mt-1 px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                        {refundStatus && (
+                          <span className={`inline-block mt-1 ml-1 px-2 py-1 text-xs font-medium rounded-full ${refundStatus.className}`}>
+                            {refundStatus.label}
+                          </span>
+                        )}
+                      </div>
+                      {refundEligibility?.payments[payment.id] === null && (
+                        <button
+                          onClick={() => handleRequestRefund(payment)}
+                          disabled={refundMutation.isPending}
+                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                          title="Request a refund"
+                        >
+                          <ArrowUturnLeftIcon className="h-5 w-5 mr-1" />
+                          Refund
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDownload(payment)}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                        title="Download receipt"
+                      >
+                        <ArrowDownTrayIcon className="h-5 w-5 mr-1" />
+                        Receipt
+                      </button>
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
@@ -119,4 +246,4 @@ const PaymentHistory = () => {
   );
 };
 
-export default PaymentHistory; 
\ No newline at end of file
+export default PaymentHistory;
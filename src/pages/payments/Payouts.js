@@ -0,0 +1,298 @@
+import React, { useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowDownTrayIcon,
+  BanknotesIcon,
+  ReceiptPercentIcon,
+  ShoppingCartIcon,
+} from '@heroicons/react/24/outline';
+import { db } from '../../config/firebase';
+import { useAuth } from '../../context/AuthContext';
+import usePlatformSettings from '../../hooks/usePlatformSettings';
+import {
+  getPaymentStatus,
+  getReceiptNumber,
+  getTaxBreakdown,
+  summarizePayments,
+} from '../../utils/receipts';
+import { toDate } from '../../utils/dates';
+import { formatCurrency } from '../../utils/currency';
+import { getInstructorRefunds, resolveRefund, REFUND_STATUSES } from '../../utils/refunds';
+import { downloadReceiptPdf } from '../../functions/renderReceipt';
+
+// Instructor view of their course sales: totals net of tax, per course, and
+// the individual sales with the invoice each buyer received. Refunded sales
+// drop out of the totals; refund requests are resolved here too.
+const Payouts = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const { taxRate, exchangeRates, isLoading: settingsLoading } = usePlatformSettings();
+
+  const { data: sales = [], isLoading } = useQuery({
+    queryKey: ['payouts', user?.uid],
+    queryFn: async () => {
+      if (!user?.uid) return [];
+
+      const snapshot = await getDocs(query(
+        collection(db, 'payments'),
+        where('instructorId', '==', user.uid)
+      ));
+
+      return snapshot.docs
+        .map(paymentDoc => ({
+          id: paymentDoc.id,
+          ...paymentDoc.data(),
+          date: toDate(paymentDoc.data().createdAt),
+        }))
+        .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+    },
+    enabled: !!user?.uid,
+  });
+
+  const { data: refunds = [] } = useQuery({
+    queryKey: ['refunds', user?.uid],
+    queryFn: () => getInstructorRefunds(user.uid),
+    enabled: !!user?.uid,
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ refundId, approve, note }) => resolveRefund(refundId, approve, note),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['refunds', user?.uid] });
+      queryClient.invalidateQueries({ queryKey: ['payouts', user?.uid] });
+      toast.success(result.status === 'approved' ? 'Payment refunded' : 'Refund request declined');
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to resolve the refund request');
+    },
+  });
+
+  const handleResolve = (refund, approve) => {
+    if (approve) {
+      if (!window.confirm(`Refund ${formatCurrency(refund.amount, refund.currency)} to ${refund.buyer?.name || 'this student'}? They will lose access to the course.`)) return;
+      resolveMutation.mutate({ refundId: refund.id, approve });
+      return;
+    }
+    const note = window.prompt('Let the student know why (optional)');
+    if (note === null) return;
+    resolveMutation.mutate({ refundId: refund.id, approve, note: note.trim() });
+  };
+
+  const pendingRefunds = refunds.filter(refund => refund.status === 'requested' || refund.status === 'processing');
+
+  const totals = useMemo(
+    () => summarizePayments(sales, { taxRate, rates: exchangeRates || {} }),
+    [sales, taxRate, exchangeRates]
+  );
+
+  const courseBreakdown = useMemo(() => {
+    const byCourse = {};
+    sales
+      .filter(sale => sale.status === 'succeeded')
+      .forEach(sale => {
+        const key = `${sale.bundleId || sale.courseId}_${sale.currency || 'USD'}`;
+        const { total, tax } = getTaxBreakdown(sale, taxRate);
+        byCourse[key] = byCourse[key] || {
+          key,
+          title: sale.type === 'bundle' ? `${sale.courseTitle} (bundle)` : sale.courseTitle || 'Course',
+          currency: sale.currency || 'USD',
+          count: 0,
+          net: 0,
+        };
+        byCourse[key].count += 1;
+        byCourse[key].net += total - tax;
+      });
+    return Object.values(byCourse).sort((a, b) => b.net - a.net);
+  }, [sales, taxRate]);
+
+  const handleDownload = (sale) => {
+    try {
+      downloadReceiptPdf(sale, {}, taxRate);
+    } catch (error) {
+      toast.error('Failed to generate invoice');
+    }
+  };
+
+  if (isLoading || settingsLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/4 mb-6" />
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-24 bg-white rounded-lg shadow-sm" />
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">Payouts</h1>
+          <p className="mt-2 text-gray-600">Sales of your courses, net of tax and refunds</p>
+        </div>
+
+        {totals.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-sm p-6 text-center mb-8">
+            <BanknotesIcon className="mx-auto h-12 w-12 text-gray-300" />
+            <p className="mt-2 text-gray-500">No course sales yet.</p>
+          </div>
+        ) : (
+          totals.map(total => (
+            <div key={total.currency} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+              <div className="bg-white rounded-lg shadow-sm p-6 flex items-center">
+                <ShoppingCartIcon className="h-10 w-10 text-blue-600 bg-blue-100 rounded-full p-2" />
+                <div className="ml-4">
+                  <p className="text-sm text-gray-500">Gross sales ({total.count})</p>
+                  <p className="text-xl font-semibold text-gray-900">{formatCurrency(total.gross, total.currency)}</p>
+                </div>
+              </div>
+              <div className="bg-white rounded-lg shadow-sm p-6 flex items-center">
+                <ReceiptPercentIcon className="h-10 w-10 text-yellow-600 bg-yellow-100 rounded-full p-2" />
+                <div className="ml-4">
+                  <p className="text-sm text-gray-500">Tax collected</p>
+                  <p className="text-xl font-semibold text-gray-900">{formatCurrency(total.tax, total.currency)}</p>
+                </div>
+              </div>
+              <div className="bg-white rounded-lg shadow-sm p-6 flex items-center">
+                <BanknotesIcon className="h-10 w-10 text-green-600 bg-green-100 rounded-full p-2" />
+                <div className="ml-4">
+                  <p className="text-sm text-gray-500">Net earnings</p>
+                  <p className="text-xl font-semibold text-gray-900">{formatCurrency(total.net, total.currency)}</p>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+
+        {totals.length > 1 && (
+          <p className="-mt-4 mb-8 text-sm text-gray-600">
+            Net earnings across all currencies: about{' '}
+            <span className="font-medium text-gray-900">
+              {formatCurrency(totals.reduce((sum, total) => sum + total.normalizedNet, 0))}
+            </span>
+          </p>
+        )}
+
+        {pendingRefunds.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm mb-8">
+            <h2 className="text-lg font-medium text-gray-900 px-6 py-4 border-b border-gray-100">
+              Refund requests ({pendingRefunds.length})
+            </h2>
+            <div className="divide-y divide-gray-100">
+              {pendingRefunds.map(refund => {
+                const refundStatus = REFUND_STATUSES[refund.status];
+                return (
+                  <div key={refund.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3 text-sm">
+                    <div>
+                      <p className="text-gray-900">
+                        {refund.buyer?.name || refund.buyer?.email || 'Student'} · {refund.courseTitle}
+                      </p>
+                      <p className="text-gray-600">
+                        {formatCurrency(refund.amount, refund.currency)} · {refund.progressPercent || 0}% completed
+                        {refund.requestedDate && ` · ${refund.requestedDate.toLocaleDateString()}`}
+                      </p>
+                      {refund.reason && <p className="mt-1 text-gray-500 italic">"{refund.reason}"</p>}
+                    </div>
+                    {refund.status === 'processing' ? (
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${refundStatus.className}`}>{refundStatus.label}</span>
+                    ) : (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleResolve(refund, true)}
+                          disabled={resolveMutation.isPending}
+                          className="px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleResolve(refund, false)}
+                          disabled={resolveMutation.isPending}
+                          className="px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Deny
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {courseBreakdown.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm mb-8">
+            <h2 className="text-lg font-medium text-gray-900 px-6 py-4 border-b border-gray-100">By course</h2>
+            <div className="divide-y divide-gray-100">
+              {courseBreakdown.map(course => (
+                <div key={course.key} className="flex justify-between px-6 py-3 text-sm">
+                  <span className="text-gray-900">{course.title}</span>
+                  <span className="text-gray-600">
+                    {course.count} {course.count === 1 ? 'sale' : 'sales'} · {formatCurrency(course.net, course.currency)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {sales.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Date', 'Invoice', 'Course', 'Buyer', 'Amount', 'Status', ''].map(heading => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sales.map(sale => {
+                  const status = getPaymentStatus(sale.status);
+                  return (
+                    <tr key={sale.id} className="text-sm">
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-600">{sale.date?.toLocaleDateString()}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-900">{getReceiptNumber(sale)}</td>
+                      <td className="px-6 py-4 text-gray-900">
+                        {sale.courseTitle || 'Course'}
+                        {sale.type === 'bundle' && <span className="ml-1 text-xs text-purple-700">Bundle</span>}
+                        {sale.type === 'gift' && <span className="ml-1 text-xs text-purple-700">Gift</span>}
+                        {sale.type === 'seats' && <span className="ml-1 text-xs text-purple-700">{sale.quantity} seats</span>}
+                      </td>
+                      <td className="px-6 py-4 text-gray-600">{sale.buyer?.name || sale.buyer?.email || 'Student'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-gray-900">{formatCurrency(sale.amount, sale.currency)}</td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>{status.label}</span>
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        <button
+                          onClick={() => handleDownload(sale)}
+                          className="text-blue-600 hover:text-blue-800"
+                          title="Download invoice"
+                          aria-label={`Download invoice ${getReceiptNumber(sale)}`}
+                        >
+                          <ArrowDownTrayIcon className="h-5 w-5" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Payouts;
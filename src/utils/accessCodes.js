@@ -0,0 +1,111 @@
+// Redeemable enrollment codes: gifts bought through PaymentForm and free cohort
+// codes minted by instructors. Codes are created and redeemed only by the
+// functions in functions/lib/accessCodes.js; the browser can read its own.
+
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+import { toDate } from './dates';
+
+export const ACCESS_CODE_TYPES = {
+  gift: 'gift',
+  cohort: 'cohort',
+};
+
+// The most codes createAccessCodes issues in one go
+export const MAX_CODES_PER_BATCH = 500;
+
+export const ACCESS_CODE_STATUSES = {
+  active: { label: 'Unused', className: 'bg-green-100 text-green-800' },
+  redeemed: { label: 'Redeemed', className: 'bg-gray-100 text-gray-800' },
+  revoked: { label: 'Revoked', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * Enrolls the signed-in student with a gift or cohort code
+ * @param {string} code The code as typed
+ * @returns {Promise<Object>} The course and enrollment ids
+ */
+export const redeemAccessCode = async (code) => {
+  const callRedeem = httpsCallable(functions, 'redeemAccessCode');
+  const { data } = await callRedeem({ code });
+  return data;
+};
+
+/**
+ * Mints free access codes to one of the instructor's courses
+ * @param {Object} options courseId, count, an optional label and expiresAt
+ * @returns {Promise<Object>} The batch id and the codes
+ */
+export const createAccessCodes = async ({ courseId, count, label = '', expiresAt = null }) => {
+  const callCreate = httpsCallable(functions, 'createAccessCodes');
+  const { data } = await callCreate({
+    courseId,
+    count: Number(count),
+    label,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+  });
+  return data;
+};
+
+/**
+ * Fetches the cohort codes an instructor has minted, grouped by batch, newest first
+ * @param {string} instructorId The instructor's user id
+ * @returns {Promise<Array>} Batches with their codes
+ */
+export const getInstructorCodeBatches = async (instructorId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'accessCodes'),
+      where('createdBy', '==', instructorId)
+    ));
+
+    const batches = {};
+    snapshot.docs
+      .map(codeDoc => ({ id: codeDoc.id, ...codeDoc.data() }))
+      .filter(code => code.type === ACCESS_CODE_TYPES.cohort)
+      .forEach(code => {
+        batches[code.batchId] = batches[code.batchId] || {
+          id: code.batchId,
+          label: code.label,
+          courseId: code.courseId,
+          courseTitle: code.courseTitle,
+          expiresAt: toDate(code.expiresAt),
+          createdDate: toDate(code.createdAt),
+          codes: [],
+        };
+        batches[code.batchId].codes.push(code);
+      });
+
+    return Object.values(batches)
+      .sort((a, b) => (b.createdDate?.getTime() || 0) - (a.createdDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching access codes:', error);
+    return [];
+  }
+};
+
+/**
+ * Downloads a batch of codes as a CSV file, one row per code
+ * @param {Object} batch A batch from getInstructorCodeBatches
+ */
+export const downloadCodesCsv = (batch) => {
+  const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const rows = [
+    ['Code', 'Course', 'Status', 'Redeemed by'],
+    ...batch.codes.map(code => [
+      code.code,
+      code.courseTitle,
+      ACCESS_CODE_STATUSES[code.status]?.label || code.status,
+      code.redeemedByName || '',
+    ]),
+  ];
+  const csv = rows.map(row => row.map(escape).join(',')).join('\n');
+
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${(batch.label || batch.courseTitle || 'access-codes').replace(/[^\w-]+/g, '-')}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
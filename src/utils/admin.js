@@ -0,0 +1,215 @@
+// Data for the admin console. Reads go straight to Firestore, which lets admins
+// read every user, course and payment; role changes, suspensions and
+// instructor approvals go through the functions in functions/lib/admin.js.
+
+import {
+  collection,
+  query,
+  where,
+  getDocs,
+  getCountFromServer,
+  getAggregateFromServer,
+  sum,
+  count,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+import { ENROLLMENT_STATUSES } from './enrollments';
+import { toDate } from './dates';
+
+// Labels for the roles setUserRole accepts
+export const USER_ROLES = {
+  student: { label: 'Student' },
+  instructor: { label: 'Instructor' },
+  admin: { label: 'Admin' },
+};
+
+export const isAdmin = (user) => user?.role === 'admin';
+
+const callFunction = async (name, payload) => {
+  const callable = httpsCallable(functions, name);
+  const { data } = await callable(payload);
+  return data;
+};
+
+export const setUserRole = (userId, role) =>
+  callFunction('setUserRole', { userId, role });
+
+export const setUserSuspended = (userId, suspended, reason = '') =>
+  callFunction('setUserSuspended', { userId, suspended, reason });
+
+export const resolveInstructorApplication = (applicationId, approve, note = '') =>
+  callFunction('resolveInstructorApplication', { applicationId, approve, note });
+
+/**
+ * Runs a paged maintenance function until it reports it is done, adding up
+ * the counts each page returns
+ * @param {string} name The function
+ * @returns {Promise<Object>} The summed counts
+ */
+const runPaged = async (name) => {
+  const totals = {};
+  let cursor = null;
+  let done = false;
+  while (!done) {
+    const { cursor: next, done: finished, ...counts } = await callFunction(name, { cursor });
+    Object.entries(counts).forEach(([key, value]) => {
+      totals[key] = (totals[key] || 0) + value;
+    });
+    cursor = next;
+    done = finished;
+  }
+  return totals;
+};
+
+// Marks courses from before the publishing workflow as published
+export const backfillCourseStatus = () => runPaged('backfillCourseStatus');
+
+// Moves quiz answer keys out of the public course documents into `quizKeys`
+export const migrateQuizKeys = () => runPaged('migrateQuizKeys');
+
+// Folds legacy lesson progress into one record per student and lesson
+export const migrateProgress = () => runPaged('migrateProgress');
+
+/**
+ * Fetches every user on the platform, newest first
+ * @returns {Promise<Array>} Users
+ */
+export const getAllUsers = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'users'));
+    return snapshot.docs
+      .map(userDoc => ({ id: userDoc.id, ...userDoc.data(), createdDate: toDate(userDoc.data().createdAt) }))
+      .sort((a, b) => (b.createdDate?.getTime() || 0) - (a.createdDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches every course, including the ones instructors have deleted
+ * @returns {Promise<Array>} Courses, newest first
+ */
+export const getAllCourses = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'courses'));
+    return snapshot.docs
+      .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data(), createdDate: toDate(courseDoc.data().createdAt) }))
+      .sort((a, b) => (b.createdDate?.getTime() || 0) - (a.createdDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches applications to teach that are waiting for a decision, oldest first
+ * @returns {Promise<Array>} Applications
+ */
+export const getPendingApplications = async () => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'instructorApplications'),
+      where('status', '==', 'pending')
+    ));
+    return snapshot.docs
+      .map(applicationDoc => ({
+        id: applicationDoc.id,
+        ...applicationDoc.data(),
+        createdDate: toDate(applicationDoc.data().createdAt),
+      }))
+      .sort((a, b) => (a.createdDate?.getTime() || 0) - (b.createdDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching instructor applications:', error);
+    return [];
+  }
+};
+
+// Payment types other than single courses; older course payments have no type
+const OTHER_SALE_TYPES = ['bundle', 'gift', 'seats', 'membership'];
+
+const countOf = async (ref, ...constraints) =>
+  (await getCountFromServer(query(ref, ...constraints))).data().count;
+
+const paymentTotal = async (status) => {
+  const snapshot = await getAggregateFromServer(
+    query(collection(db, 'payments'), where('status', '==', status)),
+    { amount: sum('normalizedAmount'), count: count() }
+  );
+  return snapshot.data();
+};
+
+/**
+ * Platform-wide revenue and enrollment totals, across every instructor. Counted
+ * and summed by Firestore aggregation queries rather than by reading every document.
+ * @returns {Promise<Object>} Revenue in USD, refunds, sales by type, and user,
+ * course and enrollment counts
+ */
+export const getPlatformTotals = async () => {
+  const payments = collection(db, 'payments');
+  const enrollments = collection(db, 'enrollments');
+  const users = collection(db, 'users');
+  const courses = collection(db, 'courses');
+  const roles = Object.keys(USER_ROLES).filter(role => role !== 'student');
+
+  const [
+    succeeded,
+    refunded,
+    otherSales,
+    totalEnrollments,
+    endedEnrollments,
+    expiredEnrollments,
+    userCount,
+    roleCounts,
+    suspendedUsers,
+    courseCount,
+    deletedCourses,
+  ] = await Promise.all([
+    paymentTotal('succeeded'),
+    paymentTotal('refunded'),
+    Promise.all(OTHER_SALE_TYPES.map(type =>
+      countOf(payments, where('status', '==', 'succeeded'), where('type', '==', type)))),
+    countOf(enrollments),
+    countOf(enrollments, where('status', 'in', [ENROLLMENT_STATUSES.refunded, ENROLLMENT_STATUSES.reclaimed])),
+    // Only membership enrollments expire, and those are never refunded or
+    // reclaimed, so the two counts do not overlap
+    countOf(enrollments, where('accessExpiresAt', '<=', new Date())),
+    countOf(users),
+    Promise.all(roles.map(role => countOf(users, where('role', '==', role)))),
+    countOf(users, where('suspended', '==', true)),
+    countOf(courses),
+    countOf(courses, where('isDeleted', '==', true)),
+  ]);
+
+  const salesByType = {
+    course: succeeded.count - otherSales.reduce((total, sales) => total + sales, 0),
+  };
+  OTHER_SALE_TYPES.forEach((type, index) => {
+    salesByType[type] = otherSales[index];
+  });
+
+  const usersByRole = {
+    student: userCount - roleCounts.reduce((total, roleUsers) => total + roleUsers, 0),
+  };
+  roles.forEach((role, index) => {
+    usersByRole[role] = roleCounts[index];
+  });
+
+  const withoutEmpty = (counts) =>
+    Object.fromEntries(Object.entries(counts).filter(([, value]) => value > 0));
+
+  return {
+    revenue: Math.round((succeeded.amount || 0) * 100) / 100,
+    refunded: Math.round((refunded.amount || 0) * 100) / 100,
+    sales: succeeded.count,
+    salesByType: withoutEmpty(salesByType),
+    activeEnrollments: totalEnrollments - endedEnrollments - expiredEnrollments,
+    totalEnrollments,
+    users: userCount,
+    usersByRole: withoutEmpty(usersByRole),
+    suspendedUsers,
+    courses: courseCount - deletedCourses,
+    deletedCourses,
+  };
+};
@@ -16,28 +16,6 @@ export const trackUserEngagement = async (userId, courseId, lessonId, action, da
   }
 };
 
-export const trackLessonProgress = async (userId, courseId, lessonId, watchTime, completed) => {
-  try {
-    await addDoc(collection(db, 'lesson_progress'), {
-      userId,
-      courseId,
-      lessonId,
-      watchTime,
-      completed,
-      timestamp: serverTimestamp(),
-    });
-
-    if (completed) {
-      const courseRef = doc(db, 'courses', courseId);
-      await updateDoc(courseRef, {
-        completedLessonsCount: increment(1),
-      });
-    }
-  } catch (error) {
-    console.error('Error tracking lesson progress:', error);
-  }
-};
-
 export const trackCourseEngagement = async (courseId, action, data = {}) => {
   try {
     await addDoc(collection(db, 'course_engagement'), {
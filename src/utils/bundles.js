@@ -0,0 +1,159 @@
+// Course bundles. An instructor groups some of their courses and sells them for
+// one USD price; students buy the bundle through PaymentForm and the payment
+// backend (functions/lib/bundles.js) enrolls them in every included course.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+
+export const MIN_BUNDLE_COURSES = 2;
+// The rules look up each course to check it is the instructor's own, and can
+// only read so many documents per write (ownsBundleCourses in firestore.rules)
+export const MAX_BUNDLE_COURSES = 8;
+
+/**
+ * Validates the fields of the bundle form
+ * @param {Object} bundle The bundle fields
+ * @returns {Array} Error messages, empty when the bundle is valid
+ */
+export const validateBundleForm = (bundle) => {
+  const errors = [];
+
+  if (!bundle.title?.trim()) {
+    errors.push('Give the bundle a title');
+  }
+  if ((bundle.courseIds || []).length < MIN_BUNDLE_COURSES) {
+    errors.push(`Pick at least ${MIN_BUNDLE_COURSES} courses`);
+  }
+  if ((bundle.courseIds || []).length > MAX_BUNDLE_COURSES) {
+    errors.push(`A bundle can include at most ${MAX_BUNDLE_COURSES} courses`);
+  }
+  if (!(Number(bundle.price) > 0)) {
+    errors.push('Price must be greater than zero');
+  }
+  return errors;
+};
+
+const toBundleFields = (fields, courses) => {
+  const included = courses.filter(course => fields.courseIds.includes(course.id));
+  return {
+    title: fields.title.trim(),
+    description: fields.description?.trim() || '',
+    courseIds: included.map(course => course.id),
+    price: Number(fields.price),
+    thumbnail: included.find(course => course.thumbnail)?.thumbnail || null,
+  };
+};
+
+/**
+ * Creates a bundle of an instructor's courses
+ * @param {Object} instructor The instructor (uid and name)
+ * @param {Object} fields Title, description, courseIds and price in USD
+ * @param {Array} courses The instructor's courses, for the thumbnail
+ * @returns {Promise<string>} The bundle id
+ */
+export const createBundle = async (instructor, fields, courses) => {
+  const bundleRef = await addDoc(collection(db, 'bundles'), {
+    ...toBundleFields(fields, courses),
+    instructorId: instructor.uid,
+    instructorName: instructor.name || instructor.displayName || 'Unknown Instructor',
+    isPublished: true,
+    isDeleted: false,
+    salesCount: 0,
+    createdAt: serverTimestamp(),
+  });
+  return bundleRef.id;
+};
+
+export const updateBundle = (bundleId, fields, courses) =>
+  updateDoc(doc(db, 'bundles', bundleId), {
+    ...toBundleFields(fields, courses),
+    updatedAt: serverTimestamp(),
+  });
+
+export const setBundlePublished = (bundleId, isPublished) =>
+  updateDoc(doc(db, 'bundles', bundleId), { isPublished, updatedAt: serverTimestamp() });
+
+// Kept rather than deleted so past payments still point at it
+export const deleteBundle = (bundleId) =>
+  updateDoc(doc(db, 'bundles', bundleId), {
+    isDeleted: true,
+    isPublished: false,
+    deletedAt: serverTimestamp(),
+  });
+
+export const getInstructorBundles = async (instructorId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'bundles'),
+    where('instructorId', '==', instructorId)
+  ));
+  return snapshot.docs
+    .map(bundleDoc => ({ id: bundleDoc.id, ...bundleDoc.data() }))
+    .filter(bundle => !bundle.isDeleted)
+    .sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+};
+
+/**
+ * Fetches a bundle along with the courses in it, in the bundle's order
+ * @param {string} bundleId The bundle id
+ * @returns {Promise<Object|null>} The bundle with a `courses` array, or null
+ */
+export const getBundleWithCourses = async (bundleId) => {
+  const bundleSnap = await getDoc(doc(db, 'bundles', bundleId));
+  if (!bundleSnap.exists() || bundleSnap.data().isDeleted) return null;
+
+  const bundle = { id: bundleSnap.id, ...bundleSnap.data() };
+  const courseSnaps = await Promise.all(
+    (bundle.courseIds || []).map(courseId => getDoc(doc(db, 'courses', courseId)))
+  );
+
+  return {
+    ...bundle,
+    courses: courseSnaps
+      .filter(courseSnap => courseSnap.exists() && !courseSnap.data().isDeleted)
+      .map(courseSnap => ({ id: courseSnap.id, ...courseSnap.data() })),
+  };
+};
+
+/**
+ * Fetches the published bundles that include a course
+ * @param {string} courseId The course id
+ * @returns {Promise<Array>} Bundles
+ */
+export const getBundlesForCourse = async (courseId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'bundles'),
+      where('courseIds', 'array-contains', courseId)
+    ));
+    return snapshot.docs
+      .map(bundleDoc => ({ id: bundleDoc.id, ...bundleDoc.data() }))
+      .filter(bundle => bundle.isPublished && !bundle.isDeleted);
+  } catch (error) {
+    console.error('Error fetching bundles:', error);
+    return [];
+  }
+};
+
+/**
+ * Asks the backend to verify a bundle purchase with Paystack. It records the
+ * payment and enrolls the student in each course in the bundle.
+ * @param {string} reference The reference from the Paystack callback
+ * @param {string} bundleId The bundle being purchased
+ * @returns {Promise<Object>} The payment and enrollment ids
+ */
+export const verifyBundlePayment = async (reference, bundleId) => {
+  const verifyPayment = httpsCallable(functions, 'verifyPayment');
+  const { data } = await verifyPayment({ reference, bundleId });
+  return data;
+};
@@ -0,0 +1,128 @@
+// Lesson captions. Instructors upload WebVTT or SRT files per lesson, one per
+// language, stored on the lesson as `captions: [{ language, label, name, url }]`.
+// Students' players load them as caption tracks and show them as a transcript.
+
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { storage } from '../config/firebase';
+
+export const CAPTION_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'it', label: 'Italian' },
+  { code: 'ar', label: 'Arabic' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'zh', label: 'Chinese' },
+  { code: 'ja', label: 'Japanese' },
+  { code: 'ru', label: 'Russian' },
+  { code: 'sw', label: 'Swahili' },
+];
+
+export const CAPTION_FILE_TYPES = '.vtt,.srt';
+
+const TIMING_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// "01:02:03.450", "02:03,450" and "02:03.45" in seconds
+const parseCueTime = (value) => {
+  const [clock, fraction] = value.split(/[.,]/);
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+const formatCueTime = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:${pad(Math.floor(totalMs / 1000) % 60)}.${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Reads the cues of a WebVTT or SRT file
+ * @param {string} text The file's contents
+ * @returns {Array} Cues with start and end in seconds and their plain text
+ */
+export const parseCaptions = (text = '') =>
+  text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) return null;
+      const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+      return {
+        start: parseCueTime(start),
+        end: parseCueTime(end),
+        // Styling tags such as <i> and <v Speaker> are dropped
+        text: lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim(),
+      };
+    })
+    .filter(cue => cue && cue.text && cue.end > cue.start)
+    .sort((a, b) => a.start - b.start)
+    .map((cue, index) => ({ id: index, ...cue }));
+
+/**
+ * Writes cues out as WebVTT, the only caption format browsers play
+ * @param {Array} cues Cues from parseCaptions
+ * @returns {string} The WebVTT file
+ */
+export const toWebVtt = (cues) =>
+  ['WEBVTT', ...cues.map(cue => `${formatCueTime(cue.start)} --> ${formatCueTime(cue.end)}\n${cue.text}`)].join('\n\n') + '\n';
+
+/**
+ * Finds the cue being spoken at a moment in the video
+ * @param {Array} cues Cues from parseCaptions
+ * @param {number} time Playback position in seconds
+ * @returns {Object|null} The cue, or null between cues
+ */
+export const findActiveCue = (cues, time) =>
+  cues.find(cue => time >= cue.start && time < cue.end) || null;
+
+/**
+ * Checks and uploads a caption file for a lesson
+ * @param {string} lessonId The lesson
+ * @param {string} language Language code from CAPTION_LANGUAGES
+ * @param {File} file A .vtt or .srt file
+ * @returns {Promise<Object>} The caption to store on the lesson
+ */
+export const uploadCaptionFile = async (lessonId, language, file) => {
+  if (!/\.(vtt|srt)$/i.test(file.name)) {
+    throw new Error('Captions must be a WebVTT (.vtt) or SRT (.srt) file');
+  }
+  if (parseCaptions(await file.text()).length === 0) {
+    throw new Error(`${file.name} has no captions in it`);
+  }
+
+  const captionRef = ref(storage, `courses/captions/${lessonId}/${language}-${file.name}`);
+  await uploadBytes(captionRef, file);
+  return {
+    language,
+    label: CAPTION_LANGUAGES.find(({ code }) => code === language)?.label || language,
+    name: file.name,
+    url: await getDownloadURL(captionRef),
+  };
+};
+
+/**
+ * Downloads a lesson's captions for the player and transcript. SRT files are
+ * converted to WebVTT and served from blob URLs, which the caller revokes.
+ * @param {Array} captions The lesson's captions
+ * @returns {Promise<Array>} Captions with their cues and a playable track src
+ */
+export const loadCaptionTracks = async (captions = []) => {
+  const tracks = await Promise.all(captions.map(async (caption) => {
+    try {
+      const response = await fetch(caption.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const cues = parseCaptions(await response.text());
+      const src = URL.createObjectURL(new Blob([toWebVtt(cues)], { type: 'text/vtt' }));
+      return { ...caption, cues, src };
+    } catch (error) {
+      console.error(`Error loading ${caption.label} captions:`, error);
+      return null;
+    }
+  }));
+  return tracks.filter(Boolean);
+};
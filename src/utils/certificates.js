@@ -0,0 +1,97 @@
+// Certificate helpers. Certificates are only written by the functions in
+// functions/lib/certificates.js; the browser reads and verifies them.
+
+import { collection, query, where, getDocs, getDoc, doc, limit } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+
+const CODE_LENGTH = 8;
+
+const callFunction = async (name, payload) => {
+  const callable = httpsCallable(functions, name);
+  const { data } = await callable(payload);
+  return data;
+};
+
+/**
+ * Normalizes user input so "k7qm 3xpa" matches "K7QM-3XPA"
+ * @param {string} value The code as typed
+ * @returns {string} The normalized code, or an empty string when it cannot be a code
+ */
+export const normalizeVerificationCode = (value) => {
+  const chars = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (chars.length !== CODE_LENGTH) return '';
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Asks the backend for the certificate of a completed enrollment. It checks
+ * every lesson is complete and grades the quizzes itself; asking again is harmless.
+ * @param {string} enrollmentId The completed enrollment
+ * @returns {Promise<Object>} The certificate id and whether it was issued now
+ */
+export const issueCertificate = (enrollmentId) => callFunction('issueCertificate', { enrollmentId });
+
+/**
+ * Gives a certificate issued before verification codes existed its own code
+ * @param {Object} certificate The certificate, including its id
+ * @returns {Promise<Object>} The certificate with a verification code
+ */
+export const ensureVerificationCode = async (certificate) => {
+  if (certificate.verificationCode) return certificate;
+
+  const { verificationCode } = await callFunction('assignVerificationCode', { certificateId: certificate.id });
+  return { ...certificate, verificationCode };
+};
+
+/**
+ * The download URL of a certificate's PDF. The functions render and store it
+ * when the certificate is issued, or on the first download for older ones.
+ * @param {Object} certificate The certificate, including its id
+ * @returns {Promise<string>} The URL of the stored PDF
+ */
+export const getCertificatePdfUrl = async (certificate) => {
+  if (certificate.pdfUrl && certificate.pdfGeneratedAt) return certificate.pdfUrl;
+
+  const { pdfUrl } = await callFunction('getCertificatePdf', { certificateId: certificate.id });
+  return pdfUrl;
+};
+
+export const getVerificationUrl = (certificate) =>
+  `${window.location.origin}/verify/${certificate.verificationCode || certificate.id}`;
+
+export const isCertificateRevoked = (certificate) => certificate?.status === 'revoked';
+
+/**
+ * Looks up a certificate by its document id or verification code
+ * @param {string} idOrCode The value from the verification URL or form
+ * @returns {Promise<Object|null>} The certificate, or null when nothing matches
+ */
+export const findCertificate = async (idOrCode) => {
+  const value = String(idOrCode || '').trim();
+  if (!value || value.includes('/')) return null;
+
+  const code = normalizeVerificationCode(value);
+  if (code) {
+    const snapshot = await getDocs(query(
+      collection(db, 'certificates'),
+      where('verificationCode', '==', code),
+      limit(1)
+    ));
+    if (!snapshot.empty) {
+      return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    }
+  }
+
+  const certificateDoc = await getDoc(doc(db, 'certificates', value));
+  return certificateDoc.exists() ? { id: certificateDoc.id, ...certificateDoc.data() } : null;
+};
+
+/**
+ * Marks a certificate as revoked so the verification page flags it. Only an
+ * admin or the course's instructor can.
+ * @param {string} certificateId The certificate id
+ * @param {string} reason Why the certificate was revoked
+ */
+export const revokeCertificate = (certificateId, reason = '') =>
+  callFunction('revokeCertificate', { certificateId, reason });
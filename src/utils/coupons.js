@@ -0,0 +1,167 @@
+// Coupon codes created by instructors. Each coupon is a document in `coupons`
+// whose id is the normalized code, so codes are unique platform-wide. The
+// payment backend (functions/lib/coupons.js) applies the same rules when it
+// checks the amount Paystack charged.
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDate } from './dates';
+
+export const COUPON_TYPES = {
+  percent: 'percent',
+  fixed: 'fixed',
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const normalizeCouponCode = (code) =>
+  String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Price after a coupon, never below zero
+ * @param {number} price The course price before the coupon
+ * @param {Object} coupon The coupon
+ * @returns {number} The discounted price
+ */
+export const applyCoupon = (price, coupon) => {
+  if (!coupon) return price;
+  const discount = coupon.type === COUPON_TYPES.percent
+    ? price * (Number(coupon.value) / 100)
+    : Number(coupon.value);
+  return Math.max(0, roundAmount(price - discount));
+};
+
+/**
+ * Checks whether a coupon can be used by a student on a course
+ * @param {Object} coupon The coupon document
+ * @param {Object} context The course, the student's id and the price before the coupon
+ * @returns {string|null} Why the coupon cannot be used, or null if it can
+ */
+export const getCouponError = (coupon, { course, userId, price, at = new Date() }) => {
+  if (!coupon || coupon.active === false) return 'This coupon is not valid';
+  if (coupon.instructorId !== course.instructorId) return 'This coupon is not valid for this course';
+  if (coupon.courseIds?.length && !coupon.courseIds.includes(course.id)) {
+    return 'This coupon is not valid for this course';
+  }
+
+  const expiresAt = toDate(coupon.expiresAt);
+  if (expiresAt && at > expiresAt) return 'This coupon has expired';
+
+  if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (coupon.perUserLimit && (coupon.usageByUser?.[userId] || 0) >= coupon.perUserLimit) {
+    return 'You have already used this coupon';
+  }
+
+  // Paystack cannot take a zero charge, so coupons only reduce the price
+  if (applyCoupon(price, coupon) <= 0) return 'This coupon cannot cover the full price';
+
+  return null;
+};
+
+/**
+ * Looks a coupon up and checks it against a course
+ * @param {string} code The code the student entered
+ * @param {Object} context The course, the student's id and the price before the coupon
+ * @returns {Promise<Object>} The coupon and the discounted price
+ */
+export const validateCoupon = async (code, context) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) throw new Error('Enter a coupon code');
+
+  const couponDoc = await getDoc(doc(db, 'coupons', normalized));
+  const coupon = couponDoc.exists() ? { id: couponDoc.id, ...couponDoc.data() } : null;
+
+  const error = getCouponError(coupon, context);
+  if (error) throw new Error(error);
+
+  return { coupon, price: applyCoupon(context.price, coupon) };
+};
+
+/**
+ * Validates the fields of the coupon form
+ * @param {Object} coupon The coupon fields
+ * @returns {Array} Error messages, empty when the coupon is valid
+ */
+export const validateCouponForm = (coupon) => {
+  const errors = [];
+  const code = normalizeCouponCode(coupon.code);
+  const value = Number(coupon.value);
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    errors.push('Codes must be 3-32 letters, numbers, dashes or underscores');
+  }
+  if (!value || value <= 0) {
+    errors.push('Discount must be greater than zero');
+  }
+  if (coupon.type === COUPON_TYPES.percent && value >= 100) {
+    errors.push('Percentage discounts must be below 100%');
+  }
+  if (coupon.maxUses !== '' && coupon.maxUses !== null && Number(coupon.maxUses) < 1) {
+    errors.push('Usage limit must be at least 1');
+  }
+  if (coupon.perUserLimit !== '' && coupon.perUserLimit !== null && Number(coupon.perUserLimit) < 1) {
+    errors.push('Per-student limit must be at least 1');
+  }
+  return errors;
+};
+
+/**
+ * Creates a coupon for an instructor
+ * @param {string} instructorId The instructor creating it
+ * @param {Object} fields Code, type, value, courseIds, maxUses, perUserLimit and expiresAt
+ * @returns {Promise<string>} The coupon code
+ */
+export const createCoupon = async (instructorId, fields) => {
+  const code = normalizeCouponCode(fields.code);
+  const couponRef = doc(db, 'coupons', code);
+
+  const existing = await getDoc(couponRef);
+  if (existing.exists()) {
+    throw new Error('That code is already taken');
+  }
+
+  await setDoc(couponRef, {
+    code,
+    instructorId,
+    type: fields.type,
+    value: Number(fields.value),
+    courseIds: fields.courseIds || [],
+    maxUses: fields.maxUses ? Number(fields.maxUses) : null,
+    perUserLimit: fields.perUserLimit ? Number(fields.perUserLimit) : null,
+    expiresAt: fields.expiresAt ? new Date(fields.expiresAt) : null,
+    active: true,
+    usedCount: 0,
+    usageByUser: {},
+    createdAt: serverTimestamp(),
+  });
+
+  return code;
+};
+
+export const getInstructorCoupons = async (instructorId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'coupons'),
+    where('instructorId', '==', instructorId)
+  ));
+  return snapshot.docs
+    .map(couponDoc => ({ id: couponDoc.id, ...couponDoc.data() }))
+    .sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+};
+
+export const setCouponActive = (code, active) =>
+  updateDoc(doc(db, 'coupons', code), { active, updatedAt: serverTimestamp() });
+
+export const deleteCoupon = (code) => deleteDoc(doc(db, 'coupons', code));
@@ -0,0 +1,147 @@
+// Course publishing workflow. A course is saved as a draft until the
+// instructor submits it for review, which requires the publish checklist to
+// pass. An admin then publishes it or sends it back to draft. Instructors can
+// unpublish a course and submit it again later. Only published courses are
+// listed to students. Courses created before statuses existed count as
+// published; the admin console's backfill writes their status so catalog
+// queries on it find them.
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  getDocs,
+  updateDoc,
+  deleteField,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDate } from './dates';
+
+export const COURSE_STATUSES = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  submitted: { label: 'In review', className: 'bg-yellow-100 text-yellow-800' },
+  published: { label: 'Published', className: 'bg-green-100 text-green-800' },
+  unpublished: { label: 'Unpublished', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * The course's publishing status
+ * @param {Object} course The course document
+ * @returns {string} One of COURSE_STATUSES
+ */
+export const getCourseStatus = (course) => course?.status || 'published';
+
+/**
+ * Whether the course is listed to students
+ * @param {Object} course The course document
+ * @returns {boolean} Whether it is published and not in the recycle bin
+ */
+export const isCoursePublished = (course) =>
+  !!course && !course.isDeleted && getCourseStatus(course) === 'published';
+
+/**
+ * What a course needs before it can be submitted for review. Lessons may carry
+ * a `videoUrl` or a `videoFile` that is about to be uploaded.
+ * @param {Object} course The course, or the create form's data
+ * @returns {Array<Object>} Checklist items with id, label and done
+ */
+export const getPublishChecklist = (course) => [
+  {
+    id: 'thumbnail',
+    label: 'Add a course thumbnail',
+    done: !!(course.thumbnail || course.thumbnailUrl),
+  },
+  {
+    id: 'video',
+    label: 'Add at least one lesson with a video',
+    done: (course.lessons || []).some(lesson => lesson.videoUrl || lesson.videoFile),
+  },
+  {
+    id: 'description',
+    label: 'Write a course description',
+    done: !!course.description?.trim(),
+  },
+  {
+    id: 'pricing',
+    label: 'Set a price or make the course free',
+    done: !!course.isFree || Number(course.price) > 0,
+  },
+];
+
+export const isChecklistComplete = (checklist) => checklist.every(item => item.done);
+
+/**
+ * Submits an unpublished course for review again
+ * @param {Object} course The course, with its id
+ */
+export const submitCourseForReview = async (course) => {
+  if (!isChecklistComplete(getPublishChecklist(course))) {
+    throw new Error('Complete the publish checklist first');
+  }
+  await updateDoc(doc(db, 'courses', course.id), {
+    status: 'submitted',
+    submittedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Takes a course out of review so the instructor can keep editing it
+ * @param {string} courseId The course
+ */
+export const withdrawCourseSubmission = (courseId) =>
+  updateDoc(doc(db, 'courses', courseId), {
+    status: 'draft',
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Hides a published course from the catalog. Enrolled students keep access.
+ * @param {string} courseId The course
+ */
+export const unpublishCourse = (courseId) =>
+  updateDoc(doc(db, 'courses', courseId), {
+    status: 'unpublished',
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Fetches the courses waiting for review, oldest submission first
+ * @returns {Promise<Array>} Submitted courses
+ */
+export const getSubmittedCourses = async () => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'courses'),
+      where('status', '==', 'submitted')
+    ));
+    return snapshot.docs
+      .map(courseDoc => ({ id: courseDoc.id, ...courseDoc.data(), submittedDate: toDate(courseDoc.data().submittedAt) }))
+      .filter(course => !course.isDeleted)
+      .sort((a, b) => (a.submittedDate?.getTime() || 0) - (b.submittedDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching submitted courses:', error);
+    return [];
+  }
+};
+
+/**
+ * Publishes a submitted course, or sends it back to draft. The instructor is
+ * notified by the onCourseUpdated function.
+ * @param {Object} course The course, with its id
+ * @param {boolean} approve Whether to publish it
+ * @param {string} note Feedback for the instructor
+ * @param {Object} admin The admin reviewing it
+ */
+export const reviewCourse = async (course, approve, note, admin) => {
+  const reviewNote = String(note || '').slice(0, 1000);
+  await updateDoc(doc(db, 'courses', course.id), {
+    status: approve ? 'published' : 'draft',
+    reviewNote: reviewNote || deleteField(),
+    reviewedBy: admin.uid,
+    reviewedAt: serverTimestamp(),
+    ...(approve && { publishedAt: serverTimestamp() }),
+  });
+};
@@ -0,0 +1,218 @@
+// Section (module) helpers. Lessons stay in the flat `course.lessons` array,
+// ordered section by section, and point at their section through `sectionId`.
+
+export const DEFAULT_SECTION_ID = 'default';
+export const DEFAULT_SECTION_TITLE = 'Course Content';
+
+// dataTransfer types used when dragging items in the curriculum editor
+export const DRAG_TYPES = {
+  lesson: 'application/x-course-lesson',
+  section: 'application/x-course-section',
+};
+
+/**
+ * Creates an empty section
+ * @param {string} title The section title
+ * @returns {Object} A new section
+ */
+export const createSection = (title = '') => ({
+  id: crypto.randomUUID(),
+  title,
+});
+
+/**
+ * Moves an item within an array
+ * @param {Array} items The items
+ * @param {number} from Index of the item to move
+ * @param {number} to Index it should end up at
+ * @returns {Array} A new array with the item moved
+ */
+export const moveItem = (items, from, to) => {
+  if (to < 0 || to >= items.length || from === to) return items;
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+/**
+ * Groups lessons under their sections, keeping each lesson's position in the flat array.
+ * Lessons pointing at an unknown section fall back to the first one.
+ * @param {Array} sections The ordered sections
+ * @param {Array} lessons The lessons
+ * @returns {Array} Sections with a `lessons` array of { lesson, index }
+ */
+export const groupLessonsBySection = (sections = [], lessons = []) => {
+  const groups = sections.map(section => ({ ...section, lessons: [] }));
+  if (groups.length === 0) return groups;
+
+  lessons.forEach((lesson, index) => {
+    const group = groups.find(section => section.id === lesson.sectionId) || groups[0];
+    group.lessons.push({ lesson, index });
+  });
+
+  return groups;
+};
+
+/**
+ * Orders lessons section by section
+ * @param {Array} sections The ordered sections
+ * @param {Array} lessons The lessons
+ * @returns {Array} Lessons in curriculum order, each with a valid sectionId
+ */
+export const flattenSections = (sections = [], lessons = []) => {
+  return groupLessonsBySection(sections, lessons).flatMap(section =>
+    section.lessons.map(({ lesson }) => ({ ...lesson, sectionId: section.id }))
+  );
+};
+
+/**
+ * Returns the course with sections and ordered lessons. Flat courses created before
+ * sections existed are placed in a single default section; lesson IDs are untouched
+ * so student progress maps keep working.
+ * @param {Object} course The course document
+ * @returns {Object} The course with `sections` and section-ordered `lessons`
+ */
+export const normalizeCourseStructure = (course) => {
+  if (!course) return course;
+
+  const lessons = course.lessons || [];
+  const sections = course.sections?.length
+    ? course.sections
+    : [{ id: DEFAULT_SECTION_ID, title: DEFAULT_SECTION_TITLE }];
+
+  return {
+    ...course,
+    sections,
+    lessons: flattenSections(sections, lessons),
+  };
+};
+
+/**
+ * Moves a lesson to a position within a section
+ * @param {Array} sections The ordered sections
+ * @param {Array} lessons The lessons
+ * @param {string} lessonId The lesson to move
+ * @param {string} sectionId The section it moves into
+ * @param {number} position Its index within that section; past the end appends it
+ * @returns {Array} Lessons in curriculum order
+ */
+export const moveLessonTo = (sections, lessons, lessonId, sectionId, position) => {
+  const ordered = flattenSections(sections, lessons);
+  const lesson = ordered.find(item => item.id === lessonId);
+  if (!lesson) return ordered;
+
+  const remaining = ordered.filter(item => item.id !== lessonId);
+  const sectionLessons = remaining.filter(item => item.sectionId === sectionId);
+  const before = sectionLessons[position];
+  const insertAt = before
+    ? remaining.indexOf(before)
+    : sectionLessons.length > 0
+      ? remaining.indexOf(sectionLessons[sectionLessons.length - 1]) + 1
+      : remaining.length;
+
+  remaining.splice(insertAt, 0, { ...lesson, sectionId });
+  return flattenSections(sections, remaining);
+};
+
+/**
+ * Moves a lesson one step up or down, crossing into the neighbouring
+ * section when it is already first or last in its own
+ * @param {Array} sections The ordered sections
+ * @param {Array} lessons The lessons
+ * @param {string} lessonId The lesson to move
+ * @param {number} direction -1 to move up, 1 to move down
+ * @returns {Array} Lessons in curriculum order
+ */
+export const shiftLesson = (sections, lessons, lessonId, direction) => {
+  const groups = groupLessonsBySection(sections, lessons);
+  const sectionIndex = groups.findIndex(section =>
+    section.lessons.some(({ lesson }) => lesson.id === lessonId)
+  );
+  if (sectionIndex === -1) return lessons;
+
+  const section = groups[sectionIndex];
+  const position = section.lessons.findIndex(({ lesson }) => lesson.id === lessonId);
+  const target = position + direction;
+
+  if (target >= 0 && target < section.lessons.length) {
+    return moveLessonTo(sections, lessons, lessonId, section.id, target);
+  }
+
+  const neighbour = groups[sectionIndex + direction];
+  if (!neighbour) return lessons;
+  return moveLessonTo(
+    sections,
+    lessons,
+    lessonId,
+    neighbour.id,
+    direction < 0 ? neighbour.lessons.length : 0
+  );
+};
+
+/**
+ * Describes how the curriculum order changed between two versions, for the changelog
+ * @param {Object} before The previous { sections, lessons }
+ * @param {Object} after The new { sections, lessons }
+ * @returns {Array} Human readable descriptions, empty when the order is unchanged
+ */
+export const describeOrderChanges = (before, after) => {
+  const changes = [];
+  const previousGroups = groupLessonsBySection(before.sections, before.lessons);
+  const nextGroups = groupLessonsBySection(after.sections, after.lessons);
+  const sectionTitle = (groups, id) => groups.find(section => section.id === id)?.title || 'Untitled section';
+
+  const keptSectionIds = nextGroups.map(section => section.id)
+    .filter(id => previousGroups.some(section => section.id === id));
+  const previousSectionIds = previousGroups.map(section => section.id)
+    .filter(id => keptSectionIds.includes(id));
+  if (keptSectionIds.join() !== previousSectionIds.join()) {
+    changes.push(`Sections reordered: ${nextGroups.map(section => section.title).join(', ')}`);
+  }
+
+  const previousSectionOf = {};
+  previousGroups.forEach(section => {
+    section.lessons.forEach(({ lesson }) => {
+      previousSectionOf[lesson.id] = section.id;
+    });
+  });
+
+  nextGroups.forEach(section => {
+    section.lessons.forEach(({ lesson }) => {
+      const previousSectionId = previousSectionOf[lesson.id];
+      if (previousSectionId && previousSectionId !== section.id) {
+        changes.push(
+          `Moved "${lesson.title}" from "${sectionTitle(previousGroups, previousSectionId)}" to "${section.title}"`
+        );
+      }
+    });
+
+    const previous = previousGroups.find(item => item.id === section.id);
+    if (!previous) return;
+    const currentOrder = section.lessons
+      .map(({ lesson }) => lesson.id)
+      .filter(id => previousSectionOf[id] === section.id);
+    const previousOrder = previous.lessons
+      .map(({ lesson }) => lesson.id)
+      .filter(id => currentOrder.includes(id));
+    if (currentOrder.join() !== previousOrder.join()) {
+      changes.push(
+        `Lessons reordered in "${section.title}": ${section.lessons.map(({ lesson }) => lesson.title).join(', ')}`
+      );
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Calculates the completion percentage of a section
+ * @param {Array} sectionLessons The section's lessons
+ * @param {Object} progress Map of lesson id to completion flag
+ * @returns {number} Percentage of completed lessons
+ */
+export const getSectionProgress = (sectionLessons = [], progress = {}) => {
+  if (sectionLessons.length === 0) return 0;
+  const completed = sectionLessons.filter(lesson => progress[lesson.id]).length;
+  return Math.round((completed / sectionLessons.length) * 100);
+};
@@ -0,0 +1,66 @@
+// Currencies students can pay in. Course prices are set in the base currency
+// (USD); each course either converts them with the platform exchange rates or
+// sets its own price per currency. Revenue is normalized back to USD so it can
+// be summed across currencies.
+
+export const BASE_CURRENCY = 'USD';
+
+export const CURRENCIES = {
+  USD: { code: 'USD', label: 'US Dollar', symbol: '$' },
+  NGN: { code: 'NGN', label: 'Nigerian Naira', symbol: '₦' },
+  GHS: { code: 'GHS', label: 'Ghanaian Cedi', symbol: 'GH₵' },
+  KES: { code: 'KES', label: 'Kenyan Shilling', symbol: 'KSh' },
+  ZAR: { code: 'ZAR', label: 'South African Rand', symbol: 'R' },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+export const PRICING_MODES = {
+  // Convert the base price with the platform exchange rates
+  rates: 'rates',
+  // Use the instructor's own price where one is set for the currency
+  manual: 'manual',
+};
+
+export const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Rates are units of each currency per US dollar, from the platform settings
+// (see src/utils/platformSettings.js)
+export const getExchangeRate = (currency, rates = {}) =>
+  Number(rates[currency]) || 1;
+
+/**
+ * Converts a base-currency amount into another currency
+ * @param {number} amount Amount in USD
+ * @param {string} currency Target currency
+ * @param {Object} rates Exchange rates
+ * @returns {number} The converted amount
+ */
+export const convertFromBase = (amount, currency, rates = {}) =>
+  roundAmount((Number(amount) || 0) * getExchangeRate(currency, rates));
+
+/**
+ * Converts an amount in any supported currency back to USD
+ * @param {number} amount The amount
+ * @param {string} currency Its currency
+ * @param {Object} rates Exchange rates
+ * @returns {number} The amount in USD
+ */
+export const toBaseAmount = (amount, currency = BASE_CURRENCY, rates = {}) =>
+  roundAmount((Number(amount) || 0) / getExchangeRate(currency, rates));
+
+/**
+ * Formats an amount in a currency, e.g. "$49.99" or "NGN 15,000.00"
+ * @param {number} amount The amount in major units
+ * @param {string} currency ISO currency code
+ * @returns {string} The formatted amount
+ */
+export const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${currency} ${Number(amount || 0).toFixed(2)}`;
+  }
+};
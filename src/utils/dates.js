@@ -0,0 +1,15 @@
+// Dates as they come back from Firestore: Timestamps, plain `{ seconds }`
+// objects from callable results, Dates, ISO strings or nothing at all.
+
+/**
+ * Turns a stored date into a Date
+ * @param {*} value A Timestamp, `{ seconds }`, Date, string or number
+ * @returns {Date|null} The date, or null when there is none or it is invalid
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value.seconds) return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
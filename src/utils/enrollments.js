@@ -0,0 +1,43 @@
+// Enrollment documents outlive access to the course: a refunded enrollment is
+// kept, with its progress, so buying the course again picks up where the
+// student left off, and one made with a membership expires with it
+// (`accessExpiresAt`). An organization seat that is reclaimed is kept the same
+// way. Anything that grants access or counts students should check
+// isEnrollmentActive.
+
+import { toDate } from './dates';
+
+export const ENROLLMENT_STATUSES = {
+  active: 'active',
+  refunded: 'refunded',
+  reclaimed: 'reclaimed',
+};
+
+export const ACCESS_TYPES = {
+  purchase: 'purchase',
+  membership: 'membership',
+  organization: 'organization',
+};
+
+/**
+ * Whether an enrollment currently grants access to its course. Enrollments
+ * created before statuses existed have none and are active.
+ * @param {Object} enrollment The enrollment document
+ * @param {Date} at The moment to check
+ * @returns {boolean} Whether it is active
+ */
+export const isEnrollmentActive = (enrollment, at = new Date()) => {
+  if (!enrollment) return false;
+  if (enrollment.status && enrollment.status !== ENROLLMENT_STATUSES.active) return false;
+
+  const expiresAt = toDate(enrollment.accessExpiresAt);
+  return !expiresAt || at < expiresAt;
+};
+
+/**
+ * The first active enrollment in a query snapshot
+ * @param {Object} snapshot A Firestore query snapshot of enrollments
+ * @returns {Object|null} The enrollment document snapshot
+ */
+export const findActiveEnrollment = (snapshot) =>
+  snapshot.docs.find(enrollmentDoc => isEnrollmentActive(enrollmentDoc.data())) || null;
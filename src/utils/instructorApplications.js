@@ -0,0 +1,90 @@
+// Applications to teach. Choosing to teach at signup (or later from the
+// profile page) files an application and leaves the user a student with
+// `instructorStatus: 'pending'` until an admin approves or rejects it through
+// resolveInstructorApplication in functions/lib/admin.js.
+
+import { doc, getDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+export const MAX_SAMPLE_LINKS = 5;
+
+export const APPLICATION_STATUSES = {
+  pending: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Not approved', className: 'bg-red-100 text-red-800' },
+};
+
+export const EMPTY_APPLICATION = { bio: '', expertise: '', sampleLinks: '' };
+
+/**
+ * Whether the user has applied to teach and is waiting for a decision
+ * @param {Object} user The signed-in user
+ * @returns {boolean} Whether their application is pending
+ */
+export const isPendingInstructor = (user) =>
+  user?.role === 'student' && user?.instructorStatus === 'pending';
+
+/**
+ * Splits the sample links field into http(s) URLs, one per line or separated
+ * by spaces or commas
+ * @param {string} text The raw field
+ * @returns {Array<string>} Unique links
+ */
+export const parseSampleLinks = (text = '') =>
+  [...new Set(text.split(/[\s,]+/).map(link => link.trim()).filter(link => /^https?:\/\/\S+$/i.test(link)))];
+
+/**
+ * Checks an application form before it is submitted
+ * @param {Object} application The form: bio, expertise and sampleLinks text
+ * @returns {string|null} What is wrong with it, or null when it is complete
+ */
+export const validateApplication = ({ bio, expertise, sampleLinks }) => {
+  if (!expertise.trim()) return 'Tell us what you would like to teach';
+  if (bio.trim().length < 50) return 'Your bio should be at least 50 characters';
+  const links = parseSampleLinks(sampleLinks);
+  if (links.length === 0) return 'Add at least one link to a sample of your work';
+  if (links.length > MAX_SAMPLE_LINKS) return `Add at most ${MAX_SAMPLE_LINKS} sample links`;
+  return null;
+};
+
+/**
+ * Files an application to teach and marks the user as a pending instructor.
+ * Pass the new user's profile to create their user document in the same write.
+ * @param {Object} user The applicant: uid, name and email
+ * @param {Object} application The form: bio, expertise and sampleLinks text
+ * @param {Object} newUserProfile The user document to create, for new accounts
+ */
+export const submitInstructorApplication = async (user, application, newUserProfile = null) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'instructorApplications', user.uid), {
+    userId: user.uid,
+    name: user.name || '',
+    email: user.email || '',
+    bio: application.bio.trim().slice(0, 2000),
+    expertise: application.expertise.trim().slice(0, 200),
+    sampleLinks: parseSampleLinks(application.sampleLinks).slice(0, MAX_SAMPLE_LINKS),
+    status: 'pending',
+    createdAt: serverTimestamp(),
+  });
+  if (newUserProfile) {
+    batch.set(doc(db, 'users', user.uid), { ...newUserProfile, instructorStatus: 'pending' });
+  } else {
+    batch.update(doc(db, 'users', user.uid), { instructorStatus: 'pending' });
+  }
+  await batch.commit();
+};
+
+/**
+ * Fetches the user's application to teach
+ * @param {string} userId The applicant
+ * @returns {Promise<Object|null>} The application, or null if they never applied
+ */
+export const getMyApplication = async (userId) => {
+  try {
+    const applicationDoc = await getDoc(doc(db, 'instructorApplications', userId));
+    return applicationDoc.exists() ? { id: applicationDoc.id, ...applicationDoc.data() } : null;
+  } catch (error) {
+    console.error('Error fetching instructor application:', error);
+    return null;
+  }
+};
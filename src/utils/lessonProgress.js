@@ -0,0 +1,289 @@
+// The canonical progress record: one `progress` document per student and
+// lesson, keyed `{userId}_{courseId}_{lessonId}`. It holds the playback
+// position and the merged segments of the video that were actually watched.
+// Courses may require watching a share of each video's unique seconds
+// (`completionThreshold`, a percentage); without it, reaching the end
+// completes the lesson. Students only write the segments: the onProgressWritten
+// function (completeLesson in functions/lib/progress.js) decides completion
+// from them, sets `completed` on the record, and marks the first completion on
+// the enrollment and counts it on the course, so replays and other devices
+// never count it twice. Older auto-id `progress` and `lesson_progress`
+// documents are folded in by migrateProgress in the same file.
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  getDocs,
+  runTransaction,
+  arrayUnion,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDate } from './dates';
+
+// Playback ticks further apart than this start a new watched segment
+const SEGMENT_GAP_SECONDS = 2;
+
+export const DEFAULT_COMPLETION_THRESHOLD = 80;
+
+// Slices of the video shown in each lesson's drop-off heatmap
+export const HEATMAP_BUCKETS = 20;
+
+export const getProgressId = (userId, courseId, lessonId) => `${userId}_${courseId}_${lessonId}`;
+
+// Local calendar day, used for learning streaks
+export const getDayKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Adds a playback tick to the segments watched since the last save
+ * @param {Array<Object>} segments Watched segments, each { start, end } in seconds
+ * @param {number} seconds The current playback position
+ * @returns {Array<Object>} The segments with the tick added
+ */
+export const addWatchedTick = (segments, seconds) => {
+  const position = Math.max(0, Math.floor(seconds));
+  const last = segments[segments.length - 1];
+  if (last && position >= last.end && position - last.end <= SEGMENT_GAP_SECONDS) {
+    return [...segments.slice(0, -1), { start: last.start, end: position }];
+  }
+  return [...segments, { start: position, end: position }];
+};
+
+/**
+ * Sorts watched segments and joins the ones that overlap or touch
+ * @param {Array<Object>} segments Segments, each { start, end } in seconds
+ * @returns {Array<Object>} Disjoint segments in playback order
+ */
+export const mergeSegments = (segments) =>
+  segments
+    .filter(segment => segment.end > segment.start)
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, segment) => {
+      const last = merged[merged.length - 1];
+      if (last && segment.start <= last.end + 1) {
+        last.end = Math.max(last.end, segment.end);
+      } else {
+        merged.push({ start: segment.start, end: segment.end });
+      }
+      return merged;
+    }, []);
+
+export const getWatchedSeconds = (segments = []) =>
+  segments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+
+/**
+ * The share of each video a student has to watch to complete a lesson
+ * @param {Object} course The course document
+ * @returns {number} A percentage, or 0 when the course has no such rule
+ */
+export const getCompletionThreshold = (course) => {
+  const threshold = Number(course?.completionThreshold) || 0;
+  return threshold > 0 ? Math.min(100, threshold) : 0;
+};
+
+/**
+ * Whether enough unique seconds of a video were watched to complete it
+ * @param {Array<Object>} segments Merged watched segments
+ * @param {number} duration The video's length in seconds
+ * @param {number} threshold The percentage required
+ * @returns {boolean} Whether the lesson counts as watched
+ */
+export const hasWatchedEnough = (segments, duration, threshold) => {
+  if (!(duration > 0)) return false;
+  // Ticks land on whole seconds, so the last second or two is never recorded
+  const required = Math.min(duration * (threshold / 100), duration - SEGMENT_GAP_SECONDS);
+  return getWatchedSeconds(segments) >= required;
+};
+
+/**
+ * Whether a lesson's watched segments complete it, as the server decides it
+ * @param {Array<Object>} segments Merged watched segments
+ * @param {number} duration The video's length in seconds
+ * @param {number} threshold The course's completion threshold
+ * @returns {boolean}
+ */
+export const isLessonWatched = (segments, duration, threshold) => {
+  if (threshold > 0) return hasWatchedEnough(segments, duration, threshold);
+  return duration > 0 && segments.some(segment => segment.end >= duration - SEGMENT_GAP_SECONDS);
+};
+
+/**
+ * Saves a student's progress in a lesson
+ * @param {Object} progress userId, courseId, lessonId, enrollmentId (when
+ * enrolled), position and duration in seconds, the segments watched since the
+ * last save, the course's completion threshold and the user's role
+ * @returns {Promise<Object>} Whether the lesson is complete, whether this save
+ * completed it, and the seconds watched out of the video's duration. The
+ * server records the completion from the same segments.
+ */
+export const saveLessonProgress = ({
+  userId,
+  courseId,
+  lessonId,
+  enrollmentId,
+  position,
+  duration,
+  segments = [],
+  completionThreshold = 0,
+  userRole,
+}) => {
+  const progressRef = doc(db, 'progress', getProgressId(userId, courseId, lessonId));
+
+  return runTransaction(db, async (transaction) => {
+    const progressSnap = await transaction.get(progressRef);
+    const existing = progressSnap.exists() ? progressSnap.data() : {};
+    const watchedSegments = mergeSegments([...(existing.segments || []), ...segments]);
+    const videoDuration = duration > 0 ? duration : existing.duration || 0;
+    const isComplete = isLessonWatched(watchedSegments, videoDuration, completionThreshold);
+    const newlyCompleted = isComplete && !existing.completed;
+
+    transaction.set(progressRef, {
+      userId,
+      courseId,
+      lessonId,
+      ...(enrollmentId && { enrollmentId }),
+      position: Math.floor(position),
+      ...(duration > 0 && { duration: Math.floor(duration) }),
+      segments: watchedSegments,
+      watchedSeconds: getWatchedSeconds(watchedSegments),
+      activeDates: arrayUnion(getDayKey()),
+      lastUpdated: serverTimestamp(),
+      userRole: userRole || 'student',
+    }, { merge: true });
+
+    return {
+      completed: !!existing.completed || isComplete,
+      newlyCompleted,
+      watchedSeconds: getWatchedSeconds(watchedSegments),
+      duration: videoDuration,
+    };
+  });
+};
+
+/**
+ * Fetches a student's progress records, optionally for one course
+ * @param {string} userId The student
+ * @param {string} courseId Only this course, when given
+ * @returns {Promise<Array>} Records with lastUpdatedDate and completedDate
+ */
+export const getProgressRecords = async (userId, courseId = null) => {
+  try {
+    const constraints = [where('userId', '==', userId)];
+    if (courseId) constraints.push(where('courseId', '==', courseId));
+    const snapshot = await getDocs(query(collection(db, 'progress'), ...constraints));
+    return snapshot.docs.map(toProgressRecord);
+  } catch (error) {
+    console.error('Error fetching progress records:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches every student's progress records for a course
+ * @param {string} courseId The course
+ * @returns {Promise<Array>} Records with lastUpdatedDate and completedDate
+ */
+export const getCourseProgressRecords = async (courseId) => {
+  try {
+    const snapshot = await getDocs(query(collection(db, 'progress'), where('courseId', '==', courseId)));
+    return snapshot.docs.map(toProgressRecord);
+  } catch (error) {
+    console.error('Error fetching course progress records:', error);
+    return [];
+  }
+};
+
+/**
+ * How much of a lesson's video its viewers watched, slice by slice
+ * @param {Array<Object>} records The lesson's progress records
+ * @param {number} buckets How many slices to split the video into
+ * @returns {Object} viewers, duration, averageWatched (a share of the video)
+ * and buckets, each with start and end in seconds and the share of viewers
+ * who watched it
+ */
+export const buildDropOffHeatmap = (records, buckets = HEATMAP_BUCKETS) => {
+  const viewers = records.filter(record => record.segments?.length > 0);
+  const duration = Math.max(0, ...viewers.map(record => record.duration || 0));
+  if (viewers.length === 0 || duration === 0) {
+    return { viewers: 0, duration, averageWatched: 0, buckets: [] };
+  }
+
+  const size = duration / buckets;
+  return {
+    viewers: viewers.length,
+    duration,
+    averageWatched: viewers.reduce((total, record) => total + getWatchedSeconds(record.segments), 0)
+      / viewers.length / duration,
+    buckets: [...Array(buckets)].map((_, i) => {
+      const start = i * size;
+      const end = (i + 1) * size;
+      // A viewer watched the slice if a segment covers its middle
+      const middle = (start + end) / 2;
+      const watched = viewers.filter(record =>
+        record.segments.some(segment => segment.start <= middle && segment.end >= middle)
+      ).length;
+      return { start, end, share: watched / viewers.length };
+    }),
+  };
+};
+
+/**
+ * Builds a drop-off heatmap for each lesson of a course, in course order
+ * @param {Object} course The course, with its id and lessons
+ * @returns {Promise<Array>} One heatmap per lesson, with lessonId and title
+ */
+export const getLessonHeatmaps = async (course) => {
+  const records = await getCourseProgressRecords(course.id);
+  return (course.lessons || []).map(lesson => ({
+    lessonId: lesson.id,
+    title: lesson.title,
+    ...buildDropOffHeatmap(records.filter(record => record.lessonId === lesson.id)),
+  }));
+};
+
+/**
+ * Maps a progress document snapshot to a record with JS dates
+ * @param {Object} progressDoc The document snapshot
+ * @returns {Object} The record, with its id, lastUpdatedDate and completedDate
+ */
+export const toProgressRecord = (progressDoc) => {
+  const data = progressDoc.data();
+  return {
+    id: progressDoc.id,
+    ...data,
+    lastUpdatedDate: toDate(data.lastUpdated),
+    completedDate: toDate(data.completedAt),
+  };
+};
+
+/**
+ * Consecutive days, ending today or yesterday, on which the student watched
+ * something
+ * @param {Array<Object>} records The student's progress records
+ * @returns {number} The streak in days, up to 30
+ */
+export const getLearningStreak = (records) => {
+  const activeDays = new Set();
+  records.forEach(record => {
+    (record.activeDates || []).forEach(day => activeDays.add(day));
+    // Records written before activeDates existed only know their last update
+    if (record.lastUpdated?.toDate) activeDays.add(getDayKey(record.lastUpdated.toDate()));
+  });
+
+  let streak = 0;
+  for (let i = 0; i < 30; i++) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    if (!activeDays.has(getDayKey(date))) {
+      if (i === 0) continue; // Don't break streak for today
+      break;
+    }
+    streak++;
+  }
+  return streak;
+};
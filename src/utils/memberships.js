@@ -0,0 +1,62 @@
+// All-access memberships. Students subscribe to a monthly or annual Paystack
+// plan; members can join any course flagged `includedInMembership` without
+// paying for it. The functions in functions/lib/memberships.js define the
+// plans (served by getPlatformSettings), record the charges and keep the
+// membership's paid-up period current.
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../config/firebase';
+import { toDate } from './dates';
+
+export const MEMBERSHIP_STATUSES = {
+  active: { label: 'Active', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-800' },
+  past_due: { label: 'Payment failed', className: 'bg-red-100 text-red-800' },
+};
+
+// Renewal webhooks can land a little after the period ends
+const GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a membership grants access. Cancelled memberships stay active until
+ * the period already paid for ends.
+ * @param {Object} membership The membership document
+ * @param {Date} at The moment to check
+ * @returns {boolean} Whether it is active
+ */
+export const isMembershipActive = (membership, at = new Date()) => {
+  const periodEnd = toDate(membership?.currentPeriodEnd);
+  return !!periodEnd && at.getTime() < periodEnd.getTime() + GRACE_PERIOD_MS;
+};
+
+/**
+ * Asks the backend to verify the first charge of a subscription
+ * @param {string} reference The reference from the Paystack callback
+ * @returns {Promise<Object>} The payment id and the end of the paid period
+ */
+export const verifyMembershipPayment = async (reference) => {
+  const callVerify = httpsCallable(functions, 'verifyMembershipPayment');
+  const { data } = await callVerify({ reference });
+  return data;
+};
+
+/**
+ * Enrolls the signed-in member in a course included in the membership
+ * @param {string} courseId The course
+ * @returns {Promise<Object>} The enrollment id
+ */
+export const enrollWithMembership = async (courseId) => {
+  const callEnroll = httpsCallable(functions, 'enrollWithMembership');
+  const { data } = await callEnroll({ courseId });
+  return data;
+};
+
+/**
+ * Stops the signed-in member's subscription from renewing
+ * @returns {Promise<Object>} When access ends
+ */
+export const cancelMembership = async () => {
+  const callCancel = httpsCallable(functions, 'cancelMembership');
+  const { data } = await callCancel();
+  return data;
+};
@@ -0,0 +1,78 @@
+// Discussion moderation. Anyone signed in can flag a message once; flagged
+// messages wait in the admin console until an admin dismisses the flags or
+// hides the message. Hidden messages stay in Firestore but are not shown.
+// firestore.rules only lets a flag add the caller's own uid to `flaggedBy`,
+// and only lets admins hide messages or clear flags.
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  getDocs,
+  updateDoc,
+  arrayUnion,
+  increment,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+/**
+ * Whether a discussion message should be shown to learners
+ * @param {Object} message The discussions document
+ * @returns {boolean} Whether it is visible
+ */
+export const isDiscussionVisible = (message) => !message?.isHidden;
+
+/**
+ * Flags a discussion message for an admin to review
+ * @param {Object} message The message, with its id
+ * @param {Object} user The signed-in user flagging it
+ * @param {string} reason Why it was flagged
+ */
+export const flagDiscussion = async (message, user, reason = '') => {
+  if (message.flaggedBy?.includes(user.uid)) {
+    throw new Error('You have already reported this message');
+  }
+  await updateDoc(doc(db, 'discussions', message.id), {
+    isFlagged: true,
+    flagCount: increment(1),
+    flaggedBy: arrayUnion(user.uid),
+    lastFlagReason: String(reason).slice(0, 500),
+    lastFlaggedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Fetches the messages waiting for review, most reported first
+ * @returns {Promise<Array>} Flagged discussions
+ */
+export const getFlaggedDiscussions = async () => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'discussions'),
+      where('isFlagged', '==', true)
+    ));
+    return snapshot.docs
+      .map(discussionDoc => ({ id: discussionDoc.id, ...discussionDoc.data() }))
+      .sort((a, b) => (b.flagCount || 0) - (a.flagCount || 0));
+  } catch (error) {
+    console.error('Error fetching flagged discussions:', error);
+    return [];
+  }
+};
+
+/**
+ * Resolves the flags on a message, hiding it or leaving it up
+ * @param {string} discussionId The message
+ * @param {boolean} hide Whether to hide it
+ * @param {Object} admin The admin deciding
+ */
+export const moderateDiscussion = (discussionId, hide, admin) =>
+  updateDoc(doc(db, 'discussions', discussionId), {
+    isFlagged: false,
+    isHidden: hide,
+    moderatedBy: admin.uid,
+    moderatedAt: serverTimestamp(),
+    moderationAction: hide ? 'hidden' : 'dismissed',
+  });
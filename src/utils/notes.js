@@ -0,0 +1,229 @@
+// Timestamped lesson notes. Students keep any number of markdown notes per
+// lesson, each pinned to a moment in the video, and find them all again on the
+// My notes page. Notes replace the single per-lesson bookmark of older
+// versions; those bookmarks become empty notes the first time the student's
+// notes are loaded.
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDate } from './dates';
+import { formatPlaybackTime } from './playback';
+
+export const MAX_NOTE_LENGTH = 5000;
+
+const toNote = (noteDoc) => ({
+  id: noteDoc.id,
+  ...noteDoc.data(),
+  createdDate: toDate(noteDoc.data().createdAt),
+  updatedDate: toDate(noteDoc.data().updatedAt),
+});
+
+// Notes in the order they appear: by course, lesson and moment in the video
+const compareNotes = (a, b) =>
+  (a.courseTitle || '').localeCompare(b.courseTitle || '')
+  || (a.lessonOrder ?? 0) - (b.lessonOrder ?? 0)
+  || (a.timestamp || 0) - (b.timestamp || 0);
+
+/**
+ * Turns the student's old bookmarks into notes, once
+ * @param {string} userId The student
+ * @param {string} courseId Only this course's bookmarks, when given
+ */
+const convertBookmarks = async (userId, courseId = null) => {
+  const constraints = [where('userId', '==', userId)];
+  if (courseId) constraints.push(where('courseId', '==', courseId));
+  const snapshot = await getDocs(query(collection(db, 'bookmarks'), ...constraints));
+  if (snapshot.empty) return;
+
+  const batch = writeBatch(db);
+  snapshot.docs.forEach(bookmarkDoc => {
+    const bookmark = bookmarkDoc.data();
+    batch.set(doc(collection(db, 'notes')), {
+      userId,
+      courseId: bookmark.courseId,
+      lessonId: bookmark.lessonId,
+      timestamp: Math.floor(Number(bookmark.timestamp) || 0),
+      body: '',
+      createdAt: bookmark.createdAt || serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    batch.delete(bookmarkDoc.ref);
+  });
+  await batch.commit();
+};
+
+/**
+ * Fetches the student's notes for a course
+ * @param {string} userId The student
+ * @param {string} courseId The course
+ * @returns {Promise<Array>} Notes by lesson and time
+ */
+export const getCourseNotes = async (userId, courseId) => {
+  try {
+    await convertBookmarks(userId, courseId);
+    const snapshot = await getDocs(query(
+      collection(db, 'notes'),
+      where('userId', '==', userId),
+      where('courseId', '==', courseId)
+    ));
+    return snapshot.docs.map(toNote).sort(compareNotes);
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches all of the student's notes, with their course and lesson titles
+ * @param {string} userId The student
+ * @returns {Promise<Array>} Notes by course, lesson and time
+ */
+export const getMyNotes = async (userId) => {
+  try {
+    await convertBookmarks(userId);
+    const snapshot = await getDocs(query(collection(db, 'notes'), where('userId', '==', userId)));
+    const notes = snapshot.docs.map(toNote);
+
+    // Titles are looked up rather than stored, so renamed lessons stay current
+    const courseIds = [...new Set(notes.map(note => note.courseId))];
+    const courses = await Promise.all(courseIds.map(async (courseId) => {
+      const courseSnap = await getDoc(doc(db, 'courses', courseId));
+      return courseSnap.exists() ? { id: courseId, ...courseSnap.data() } : null;
+    }));
+    const coursesById = Object.fromEntries(courses.filter(Boolean).map(course => [course.id, course]));
+
+    return notes.map(note => {
+      const course = coursesById[note.courseId];
+      const lessonOrder = course?.lessons?.findIndex(lesson => lesson.id === note.lessonId) ?? -1;
+      return {
+        ...note,
+        courseTitle: course?.title || 'Deleted course',
+        lessonTitle: lessonOrder >= 0 ? course.lessons[lessonOrder].title : 'Removed lesson',
+        lessonOrder,
+      };
+    }).sort(compareNotes);
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    return [];
+  }
+};
+
+/**
+ * Adds a note at a moment in a lesson
+ * @param {Object} note userId, courseId, lessonId, timestamp in seconds and
+ * the markdown body
+ * @returns {Promise<Object>} The note, with its id
+ */
+export const addNote = async ({ userId, courseId, lessonId, timestamp, body = '' }) => {
+  const note = {
+    userId,
+    courseId,
+    lessonId,
+    timestamp: Math.max(0, Math.floor(timestamp || 0)),
+    body: body.slice(0, MAX_NOTE_LENGTH),
+  };
+  const noteRef = await addDoc(collection(db, 'notes'), {
+    ...note,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return { id: noteRef.id, ...note, createdDate: new Date(), updatedDate: new Date() };
+};
+
+export const updateNote = (noteId, body) =>
+  updateDoc(doc(db, 'notes', noteId), {
+    body: body.slice(0, MAX_NOTE_LENGTH),
+    updatedAt: serverTimestamp(),
+  });
+
+export const deleteNote = (noteId) => deleteDoc(doc(db, 'notes', noteId));
+
+/**
+ * Filters notes by a search term, matching the note or its course and lesson
+ * @param {Array} notes Notes from getMyNotes
+ * @param {string} term What to look for
+ * @returns {Array} The matching notes
+ */
+export const searchNotes = (notes, term) => {
+  const needle = term.trim().toLowerCase();
+  if (!needle) return notes;
+  return notes.filter(note =>
+    [note.body, note.courseTitle, note.lessonTitle].some(text => text?.toLowerCase().includes(needle))
+  );
+};
+
+/**
+ * Groups notes under their course and lesson, keeping their order
+ * @param {Array} notes Notes from getMyNotes
+ * @returns {Array} Courses, each with a title and lessons with a title and notes
+ */
+export const groupNotes = (notes) =>
+  notes.reduce((courses, note) => {
+    let course = courses[courses.length - 1];
+    if (course?.courseId !== note.courseId) {
+      course = { courseId: note.courseId, title: note.courseTitle, lessons: [] };
+      courses.push(course);
+    }
+    let lesson = course.lessons[course.lessons.length - 1];
+    if (lesson?.lessonId !== note.lessonId) {
+      lesson = { lessonId: note.lessonId, title: note.lessonTitle, notes: [] };
+      course.lessons.push(lesson);
+    }
+    lesson.notes.push(note);
+    return courses;
+  }, []);
+
+/**
+ * Writes notes out as one Markdown document
+ * @param {Array} notes Notes from getMyNotes
+ * @returns {string} The Markdown
+ */
+export const notesToMarkdown = (notes) =>
+  ['# My notes', ...groupNotes(notes).flatMap(course => [
+    `## ${course.title}`,
+    ...course.lessons.flatMap(lesson => [
+      `### ${lesson.title}`,
+      ...lesson.notes.map(note => `**[${formatPlaybackTime(note.timestamp)}]** ${note.body.trim() || '*Bookmark*'}`),
+    ]),
+  ])].join('\n\n') + '\n';
+
+/**
+ * Downloads notes as a Markdown file
+ * @param {Array} notes Notes from getMyNotes
+ */
+export const downloadNotesMarkdown = (notes) => {
+  const url = URL.createObjectURL(new Blob([notesToMarkdown(notes)], { type: 'text/markdown' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'my-notes.md';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Strips Markdown syntax from a note, for the PDF export
+ * @param {string} body The note
+ * @returns {string} Plain text, one line per line of the note
+ */
+export const stripMarkdown = (body = '') =>
+  body
+    .replace(/```/g, '')
+    .replace(/^#{1,3}\s/gm, '')
+    .replace(/^\s*[-*]\s/gm, '- ')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*\s][^*]*)\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+    .trim();
@@ -0,0 +1,89 @@
+// Notification helpers. Each notification is a document in the `notifications`
+// collection addressed to a single user. They are written by Cloud Functions
+// (see functions/lib/notifications.js); users can only mark their own as read.
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { toDate } from './dates';
+
+export const NOTIFICATION_TYPES = {
+  courseUpdate: 'course_update',
+  discussionReply: 'discussion_reply',
+  newEnrollment: 'new_enrollment',
+  certificateIssued: 'certificate_issued',
+  accessExpiring: 'access_expiring',
+  refundRequested: 'refund_requested',
+  refundApproved: 'refund_approved',
+  refundDenied: 'refund_denied',
+  giftRedeemed: 'gift_redeemed',
+  seatAssigned: 'seat_assigned',
+  orgMemberJoined: 'org_member_joined',
+  instructorApplication: 'instructor_application',
+  courseReviewed: 'course_reviewed',
+};
+
+export const markNotificationRead = async (notificationId) => {
+  try {
+    await updateDoc(doc(db, 'notifications', notificationId), {
+      read: true,
+      readAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+  }
+};
+
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'notifications'),
+      where('userId', '==', userId),
+      where('read', '==', false)
+    ));
+
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(i, i + 500).forEach(notificationDoc => {
+        batch.update(notificationDoc.ref, { read: true, readAt: serverTimestamp() });
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    throw error;
+  }
+};
+
+/**
+ * Formats a notification timestamp as "5 minutes ago", "2 days ago", etc.
+ * @param {Object} timestamp Firestore timestamp
+ * @returns {string} The relative time
+ */
+export const formatTimeAgo = (timestamp) => {
+  const date = toDate(timestamp);
+  if (!date) return 'Just now';
+
+  const seconds = Math.floor((Date.now() - date.getTime()) / 1000);
+  if (seconds < 60) return 'Just now';
+
+  const units = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60],
+  ];
+  const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds);
+  const count = Math.floor(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+};
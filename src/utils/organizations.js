@@ -0,0 +1,217 @@
+// Organizations buy seats in courses for their people. The admin creates the
+// organization here; seats, invitations and assignments go through the
+// functions in functions/lib/organizations.js, which also enroll members.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+import { isEnrollmentActive } from './enrollments';
+import { getEnrollmentActivity, summarizeStudents } from './studentProgress';
+
+// Caps the quantity field; fulfillSeatPayment refuses anything larger
+export const MAX_SEATS_PER_PURCHASE = 500;
+
+export const MEMBER_STATUSES = {
+  invited: { label: 'Invited', className: 'bg-yellow-100 text-yellow-800' },
+  active: { label: 'Member', className: 'bg-green-100 text-green-800' },
+};
+
+const callFunction = async (name, payload) => {
+  const callable = httpsCallable(functions, name);
+  const { data } = await callable(payload);
+  return data;
+};
+
+/**
+ * Creates an organization with the signed-in user as its admin
+ * @param {Object} admin The signed-in user
+ * @param {string} name The organization's name
+ * @returns {Promise<string>} The new organization's id
+ */
+export const createOrganization = async (admin, name) => {
+  if (!name?.trim()) {
+    throw new Error('Give the organization a name');
+  }
+  const orgRef = await addDoc(collection(db, 'organizations'), {
+    name: name.trim(),
+    adminId: admin.uid,
+    adminName: admin.name || admin.displayName || null,
+    seats: {},
+    memberIds: [],
+    createdAt: serverTimestamp(),
+  });
+  return orgRef.id;
+};
+
+export const renameOrganization = (organizationId, name) =>
+  updateDoc(doc(db, 'organizations', organizationId), {
+    name: name.trim(),
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Fetches the organization the user administers, if any
+ * @param {string} adminId The user's id
+ * @returns {Promise<Object|null>} The organization
+ */
+export const getAdminOrganization = async (adminId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'organizations'),
+      where('adminId', '==', adminId)
+    ));
+    if (snapshot.empty) return null;
+    return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    return null;
+  }
+};
+
+/**
+ * The organization's seats per course, with how many are still free
+ * @param {Object} organization The organization document
+ * @returns {Array} { courseId, courseTitle, purchased, assigned, available } per course
+ */
+export const getSeatSummary = (organization) =>
+  Object.entries(organization?.seats || {})
+    .map(([courseId, seats]) => ({
+      courseId,
+      courseTitle: seats.courseTitle || 'Course',
+      purchased: seats.purchased || 0,
+      assigned: seats.assigned || 0,
+      available: Math.max(0, (seats.purchased || 0) - (seats.assigned || 0)),
+    }))
+    .sort((a, b) => a.courseTitle.localeCompare(b.courseTitle));
+
+/**
+ * Fetches the organization's members and open invitations
+ * @param {string} organizationId The organization
+ * @param {string} adminId The admin, which the rules check against
+ * @returns {Promise<Array>} Members, invitations first, then by name
+ */
+export const getOrganizationMembers = async (organizationId, adminId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'orgMembers'),
+      where('adminId', '==', adminId),
+      where('organizationId', '==', organizationId)
+    ));
+    return snapshot.docs
+      .map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }))
+      .filter(member => member.status !== 'removed')
+      .sort((a, b) => (a.status === b.status
+        ? (a.name || a.email).localeCompare(b.name || b.email)
+        : a.status === 'invited' ? -1 : 1));
+  } catch (error) {
+    console.error('Error fetching organization members:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches the seats currently held in the organization
+ * @param {string} organizationId The organization
+ * @param {string} adminId The admin, which the rules check against
+ * @returns {Promise<Array>} Seat assignments
+ */
+export const getSeatAssignments = async (organizationId, adminId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'seatAssignments'),
+      where('adminId', '==', adminId),
+      where('organizationId', '==', organizationId)
+    ));
+    return snapshot.docs
+      .map(assignmentDoc => ({ id: assignmentDoc.id, ...assignmentDoc.data() }))
+      .filter(assignment => assignment.status === 'assigned');
+  } catch (error) {
+    console.error('Error fetching seat assignments:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetches the organizations the user has been invited to or belongs to
+ * @param {Object} user The signed-in user
+ * @returns {Promise<Array>} orgMembers documents, invitations and memberships
+ */
+export const getMyOrganizationMemberships = async (user) => {
+  try {
+    const [invitations, memberships] = await Promise.all([
+      getDocs(query(
+        collection(db, 'orgMembers'),
+        where('email', '==', (user.email || '').toLowerCase()),
+        where('status', '==', 'invited')
+      )),
+      getDocs(query(
+        collection(db, 'orgMembers'),
+        where('userId', '==', user.uid),
+        where('status', '==', 'active')
+      )),
+    ]);
+    return [...invitations.docs, ...memberships.docs]
+      .map(memberDoc => ({ id: memberDoc.id, ...memberDoc.data() }));
+  } catch (error) {
+    console.error('Error fetching organization invitations:', error);
+    return [];
+  }
+};
+
+/**
+ * Builds the team progress report from the enrollments behind the
+ * organization's seats, the same way the instructor's Students page does
+ * @param {Array} assignments Seat assignments from getSeatAssignments
+ * @returns {Promise<Array>} One entry per member, see summarizeStudents
+ */
+export const getTeamProgress = async (assignments) => {
+  try {
+    const enrollments = await Promise.all(assignments.map(async (assignment) => {
+      const [enrollmentSnapshot, courseSnapshot] = await Promise.all([
+        getDoc(doc(db, 'enrollments', assignment.enrollmentId)),
+        getDoc(doc(db, 'courses', assignment.courseId)),
+      ]);
+      // A member who bought the course themselves is no longer on the seat
+      const enrollment = enrollmentSnapshot.exists() ? enrollmentSnapshot.data() : null;
+      if (!isEnrollmentActive(enrollment) || enrollment.seatAssignmentId !== assignment.id) return null;
+      return getEnrollmentActivity(enrollmentSnapshot, courseSnapshot.exists() ? courseSnapshot.data() : null);
+    }));
+    return summarizeStudents(enrollments.filter(Boolean));
+  } catch (error) {
+    console.error('Error building team progress:', error);
+    return [];
+  }
+};
+
+export const inviteMembers = (organizationId, emails) =>
+  callFunction('inviteOrgMembers', { organizationId, emails });
+
+export const acceptInvitation = (organizationId) =>
+  callFunction('acceptOrgInvite', { organizationId });
+
+export const removeMember = (memberId) =>
+  callFunction('removeOrgMember', { memberId });
+
+export const assignSeat = (organizationId, courseId, userId) =>
+  callFunction('assignSeat', { organizationId, courseId, userId });
+
+export const reclaimSeat = (assignmentId) =>
+  callFunction('reclaimSeat', { assignmentId });
+
+/**
+ * Splits pasted email addresses on commas, semicolons, spaces and new lines
+ * @param {string} text What the admin typed
+ * @returns {Array<string>} The addresses, lower case and without duplicates
+ */
+export const parseEmailList = (text) =>
+  [...new Set(String(text || '').split(/[\s,;]+/).map(email => email.trim().toLowerCase()).filter(Boolean))];
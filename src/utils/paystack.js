@@ -1,5 +1,11 @@
 // Paystack utility functions for the ModernLMS platform
 
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../config/firebase';
+
+export const PAYSTACK_PUBLIC_KEY = process.env.REACT_APP_PAYSTACK_PUBLIC_KEY
+  || 'pk_live_f75e7fc5c652583410d16789fc9955853373fc8c';
+
 /**
  * Initializes the Paystack script on the page
  * @returns {Promise} A promise that resolves when the script is loaded
@@ -38,7 +44,7 @@ export const initializePaystack = () => {
  */
 export const openPaystackModal = (options) => {
   const handler = window.PaystackPop.setup({
-    key: 'pk_live_f75e7fc5c652583410d16789fc9955853373fc8c',
+    key: PAYSTACK_PUBLIC_KEY,
     ...options
   });
   
@@ -46,7 +52,21 @@ export const openPaystackModal = (options) => {
   return handler;
 };
 
+/**
+ * Asks the backend to verify a completed transaction with Paystack. The backend
+ * records the payment and creates the enrollment; the browser never writes either.
+ * @param {string} reference The reference from the Paystack callback
+ * @param {string} courseId The course being purchased
+ * @returns {Promise<Object>} The payment and enrollment ids
+ */
+export const verifyPaystackPayment = async (reference, courseId) => {
+  const verifyPayment = httpsCallable(functions, 'verifyPayment');
+  const { data } = await verifyPayment({ reference, courseId });
+  return data;
+};
+
 export default {
   initializePaystack,
-  openPaystackModal
+  openPaystackModal,
+  verifyPaystackPayment
 }; 
\ No newline at end of file
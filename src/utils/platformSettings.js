@@ -0,0 +1,17 @@
+// Exchange rates, the tax rate and the membership plans. They are configured
+// once, for the Cloud Functions, and served by getPlatformSettings
+// (functions/lib/settings.js); the app keeps no copy of its own.
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../config/firebase';
+
+/**
+ * Loads the platform settings
+ * @returns {Promise<Object>} exchangeRates (units per US dollar), taxRate and
+ * membershipPlans by plan id
+ */
+export const getPlatformSettings = async () => {
+  const callGetPlatformSettings = httpsCallable(functions, 'getPlatformSettings');
+  const { data } = await callGetPlatformSettings();
+  return data;
+};
@@ -0,0 +1,56 @@
+// Where each student left off in each lesson. The position is kept on the
+// lesson's progress record (see lessonProgress.js), so playback resumes from
+// the same spot on any device.
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getProgressId } from './lessonProgress';
+
+// Positions this close to either end start the lesson from the beginning
+const RESUME_MIN_SECONDS = 5;
+const RESUME_END_MARGIN_SECONDS = 10;
+
+/**
+ * Fetches the saved playback record for a lesson
+ * @param {string} userId The student
+ * @param {string} courseId The course
+ * @param {string} lessonId The lesson
+ * @returns {Promise<Object|null>} The record, or null if they never watched it
+ */
+export const getPlaybackRecord = async (userId, courseId, lessonId) => {
+  try {
+    const progressDoc = await getDoc(doc(db, 'progress', getProgressId(userId, courseId, lessonId)));
+    return progressDoc.exists() ? progressDoc.data() : null;
+  } catch (error) {
+    console.error('Error fetching playback position:', error);
+    return null;
+  }
+};
+
+/**
+ * Where to resume a lesson from
+ * @param {Object} record The saved playback record
+ * @returns {number} Seconds to seek to, or 0 to start from the beginning
+ */
+export const getResumePosition = (record) => {
+  const position = Number(record?.position ?? record?.watchTime) || 0;
+  if (position < RESUME_MIN_SECONDS) return 0;
+  if (record?.duration && position >= record.duration - RESUME_END_MARGIN_SECONDS) return 0;
+  return Math.floor(position);
+};
+
+/**
+ * Formats seconds as m:ss, or h:mm:ss for long videos
+ * @param {number} seconds The position
+ * @returns {string} e.g. 12:34
+ */
+export const formatPlaybackTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
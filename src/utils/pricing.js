@@ -0,0 +1,218 @@
+// Single source of truth for what a course costs. PaymentForm charges it,
+// enrollment records it and CourseList / Analytics report it, so all of them
+// agree. The payment backend mirrors it in functions/lib/pricing.js.
+
+import { applyCoupon, getCouponError, COUPON_TYPES } from './coupons';
+import {
+  BASE_CURRENCY,
+  PRICING_MODES,
+  convertFromBase,
+  toBaseAmount,
+  formatCurrency,
+} from './currency';
+import { ENROLLMENT_STATUSES } from './enrollments';
+import { toDate } from './dates';
+
+export const isFreeCourse = (course) =>
+  !!course && (course.isFree || !(Number(course.price) > 0));
+
+/**
+ * Whether the course's sale price applies at a given moment. Discounts without
+ * an end date run until the instructor turns them off.
+ * @param {Object} course The course document
+ * @param {Date} at The moment to check
+ * @returns {boolean} Whether the discount is active
+ */
+export const isDiscountActive = (course, at = new Date()) => {
+  if (!course?.hasDiscount || isFreeCourse(course)) return false;
+
+  const discountPrice = Number(course.discountPrice);
+  if (Number.isNaN(discountPrice) || discountPrice < 0 || discountPrice >= Number(course.price)) return false;
+
+  const endsAt = toDate(course.discountEndDate);
+  return !endsAt || at < endsAt;
+};
+
+/**
+ * A course price in a currency: the instructor's own price for that currency
+ * when the course sets them, otherwise the USD price converted
+ * @param {Object} course The course document
+ * @param {string} field 'price' or 'discountPrice'
+ * @param {string} currency The currency
+ * @param {Object} rates Exchange rates
+ * @returns {number} The price
+ */
+export const getLocalPrice = (course, field, currency = BASE_CURRENCY, rates = {}) => {
+  const basePrice = Number(course?.[field]) || 0;
+  if (currency === BASE_CURRENCY) return basePrice;
+
+  const localPrice = Number(course?.localPrices?.[currency]?.[field]);
+  if (course?.pricingMode === PRICING_MODES.manual && localPrice > 0) return localPrice;
+
+  return convertFromBase(basePrice, currency, rates);
+};
+
+// Fixed coupon amounts are set in USD
+const convertCoupon = (coupon, currency, rates) => (
+  coupon?.type === COUPON_TYPES.fixed
+    ? { ...coupon, value: convertFromBase(coupon.value, currency, rates) }
+    : coupon
+);
+
+/**
+ * Resolves the price of a course for a user at a moment in time
+ * @param {Object} course The course document
+ * @param {Object} options The user buying it, the moment (defaults to now), the currency and exchange
+ * rates to price in, and an optional coupon, which only counts if that user may use it on this
+ * course at that moment
+ * @returns {Object} price to charge, the listPrice, the discount and coupon savings, and flags for the UI
+ */
+export const getCoursePricing = (course, {
+  user = null,
+  at = new Date(),
+  coupon = null,
+  currency = BASE_CURRENCY,
+  rates = {},
+} = {}) => {
+  const listPrice = getLocalPrice(course, 'price', currency, rates);
+
+  if (isFreeCourse(course)) {
+    return {
+      price: 0,
+      listPrice,
+      basePrice: 0,
+      currency,
+      normalizedPrice: 0,
+      isFree: true,
+      isDiscounted: false,
+      discountPercent: 0,
+      discountEndsAt: null,
+      couponSavings: 0,
+    };
+  }
+
+  const isDiscounted = isDiscountActive(course, at);
+  const basePrice = isDiscounted ? getLocalPrice(course, 'discountPrice', currency, rates) : listPrice;
+
+  const localCoupon = convertCoupon(coupon, currency, rates);
+  const couponApplies = !!localCoupon
+    && !getCouponError(localCoupon, { course, userId: user?.uid, price: basePrice, at });
+  const price = couponApplies ? applyCoupon(basePrice, localCoupon) : basePrice;
+
+  return {
+    price,
+    listPrice,
+    basePrice,
+    currency,
+    normalizedPrice: toBaseAmount(price, currency, rates),
+    isFree: false,
+    isDiscounted,
+    discountPercent: isDiscounted ? Math.round((1 - basePrice / listPrice) * 100) : 0,
+    discountEndsAt: isDiscounted ? toDate(course.discountEndDate) : null,
+    couponSavings: Math.round((basePrice - price) * 100) / 100,
+  };
+};
+
+/**
+ * The price of a course for a user at a moment in time
+ * @param {Object} course The course document
+ * @param {Object} options See getCoursePricing
+ * @returns {number} The price in major units
+ */
+export const getEffectivePrice = (course, options) => getCoursePricing(course, options).price;
+
+/**
+ * Resolves the price of a bundle. Bundles are priced in USD only and converted
+ * at the current rates; the list price is what the courses cost on their own.
+ * Mirrors getBundlePrice in functions/lib/pricing.js.
+ * @param {Object} bundle The bundle document
+ * @param {Array} courses The courses in the bundle
+ * @param {Object} options The moment (defaults to now), currency and exchange rates
+ * @returns {Object} price to charge, the listPrice, the savings and the normalizedPrice in USD
+ */
+export const getBundlePricing = (bundle, courses = [], {
+  at = new Date(),
+  currency = BASE_CURRENCY,
+  rates = {},
+} = {}) => {
+  const normalizedPrice = Math.max(0, Number(bundle?.price) || 0);
+  const price = convertFromBase(normalizedPrice, currency, rates);
+  const listPrice = Math.round(courses.reduce(
+    (sum, course) => sum + getEffectivePrice(course, { at, currency, rates }),
+    0
+  ) * 100) / 100;
+  const savings = Math.max(0, Math.round((listPrice - price) * 100) / 100);
+
+  return {
+    price,
+    listPrice,
+    currency,
+    normalizedPrice,
+    savings,
+    savingsPercent: listPrice > 0 ? Math.round((savings / listPrice) * 100) : 0,
+  };
+};
+
+/**
+ * Resolves the price of several seats in a course, bought together by an
+ * organization. Each seat costs what the course does, without coupons.
+ * Mirrors getSeatsPrice in functions/lib/pricing.js.
+ * @param {Object} course The course document
+ * @param {number} quantity How many seats
+ * @param {Object} options The moment (defaults to now), currency and exchange rates
+ * @returns {Object} getCoursePricing's fields for the total, plus the unitPrice and quantity
+ */
+export const getSeatsPricing = (course, quantity, {
+  at = new Date(),
+  currency = BASE_CURRENCY,
+  rates = {},
+} = {}) => {
+  const unit = getCoursePricing(course, { at, currency, rates });
+  const price = Math.round(unit.price * quantity * 100) / 100;
+
+  return {
+    ...unit,
+    price,
+    listPrice: Math.round(unit.listPrice * quantity * 100) / 100,
+    normalizedPrice: toBaseAmount(price, currency, rates),
+    unitPrice: unit.price,
+    quantity,
+  };
+};
+
+// What an enrollment brought in, in USD, ignoring refunds
+const getGrossEnrollmentRevenue = (enrollment, course) => {
+  if (typeof enrollment?.paidAmountNormalized === 'number') return enrollment.paidAmountNormalized;
+  if (typeof enrollment?.paidAmount === 'number') {
+    return toBaseAmount(enrollment.paidAmount, enrollment.paidCurrency || BASE_CURRENCY);
+  }
+  if (!course) return 0;
+  return getEffectivePrice(course, { at: toDate(enrollment?.enrolledAt) || new Date() });
+};
+
+/**
+ * Revenue from one enrollment in USD: the normalized amount recorded when it
+ * was paid, or for older enrollments without one, the price in effect when
+ * they enrolled. Refunded enrollments bring in nothing.
+ * @param {Object} enrollment The enrollment document
+ * @param {Object} course The course document
+ * @returns {number} The revenue in USD
+ */
+export const getEnrollmentRevenue = (enrollment, course) => {
+  if (enrollment?.status === ENROLLMENT_STATUSES.refunded) return 0;
+  return getGrossEnrollmentRevenue(enrollment, course);
+};
+
+/**
+ * The amount refunded on an enrollment in USD, 0 unless it was refunded
+ * @param {Object} enrollment The enrollment document
+ * @param {Object} course The course document
+ * @returns {number} The refund in USD
+ */
+export const getEnrollmentRefund = (enrollment, course) => {
+  if (enrollment?.status !== ENROLLMENT_STATUSES.refunded) return 0;
+  return getGrossEnrollmentRevenue(enrollment, course);
+};
+
+export const formatPrice = (price, currency = BASE_CURRENCY) =>
+  (price > 0 ? formatCurrency(price, currency) : 'Free');
@@ -0,0 +1,213 @@
+// Quiz helpers shared by the course editor and the lesson player
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+
+export const QUESTION_TYPES = [
+  { id: 'multiple_choice', label: 'Multiple Choice' },
+  { id: 'multi_select', label: 'Multi-select' },
+  { id: 'true_false', label: 'True / False' },
+  { id: 'short_answer', label: 'Short Answer' },
+];
+
+export const DEFAULT_PASSING_SCORE = 70;
+
+/**
+ * Creates an empty question of the given type
+ * @param {string} type One of the QUESTION_TYPES ids
+ * @returns {Object} A question ready to be edited
+ */
+export const createQuestion = (type = 'multiple_choice') => {
+  const question = {
+    id: crypto.randomUUID(),
+    type,
+    prompt: '',
+    points: 1,
+  };
+
+  if (type === 'multiple_choice' || type === 'multi_select') {
+    return {
+      ...question,
+      options: [
+        { id: crypto.randomUUID(), text: '' },
+        { id: crypto.randomUUID(), text: '' },
+      ],
+      correctOptionIds: [],
+    };
+  }
+
+  if (type === 'true_false') {
+    return { ...question, correctAnswer: true };
+  }
+
+  return { ...question, acceptedAnswers: [''] };
+};
+
+/**
+ * Creates an empty quiz for a lesson
+ * @returns {Object} A quiz with a single multiple choice question
+ */
+export const createQuiz = () => ({
+  title: '',
+  passingScore: DEFAULT_PASSING_SCORE,
+  maxAttempts: 0, // 0 means unlimited attempts
+  questions: [createQuestion()],
+});
+
+export const hasQuiz = (lesson) => Boolean(lesson?.quiz?.questions?.length);
+
+// Fields that give a question's answer away. They are kept in
+// `quizKeys/{courseId}`, readable only by the course's instructor and admins,
+// and never in the public course document; submitQuiz grades against them.
+const ANSWER_KEY_FIELDS = ['correctOptionIds', 'correctAnswer', 'acceptedAnswers'];
+
+const callFunction = async (name, payload) => {
+  const callable = httpsCallable(functions, name);
+  const { data } = await callable(payload);
+  return data;
+};
+
+/**
+ * Takes the answer keys out of the lessons' quizzes before they are saved
+ * @param {Array} lessons The lessons as edited
+ * @returns {Object} The lessons without answer keys, and the keys by lesson and question id
+ */
+export const splitQuizKeys = (lessons = []) => {
+  const quizKeys = {};
+  const publicLessons = lessons.map(lesson => {
+    if (!hasQuiz(lesson)) return lesson;
+
+    quizKeys[lesson.id] = {};
+    const questions = lesson.quiz.questions.map(question => {
+      const publicQuestion = { ...question };
+      const key = {};
+      ANSWER_KEY_FIELDS.forEach(field => {
+        if (field in publicQuestion) {
+          key[field] = publicQuestion[field];
+          delete publicQuestion[field];
+        }
+      });
+      quizKeys[lesson.id][question.id] = key;
+      return publicQuestion;
+    });
+    return { ...lesson, quiz: { ...lesson.quiz, questions } };
+  });
+
+  return { lessons: publicLessons, quizKeys };
+};
+
+/**
+ * Puts the answer keys back into the lessons' quizzes for the course editor.
+ * Courses saved before keys were split out still carry them inline.
+ * @param {Array} lessons The lessons from the course document
+ * @param {Object} quizKeys The keys by lesson and question id
+ * @returns {Array} The lessons with answer keys
+ */
+export const mergeQuizKeys = (lessons = [], quizKeys = {}) =>
+  lessons.map(lesson => {
+    if (!hasQuiz(lesson)) return lesson;
+    const keys = quizKeys[lesson.id] || {};
+    return {
+      ...lesson,
+      quiz: {
+        ...lesson.quiz,
+        questions: lesson.quiz.questions.map(question => ({ ...question, ...keys[question.id] })),
+      },
+    };
+  });
+
+/**
+ * Loads the answer keys of a course; only its instructor and admins can
+ * @param {string} courseId The course
+ * @returns {Promise<Object>} The keys by lesson and question id
+ */
+export const loadQuizKeys = async (courseId) => {
+  const keysDoc = await getDoc(doc(db, 'quizKeys', courseId));
+  return keysDoc.exists() ? keysDoc.data().lessons || {} : {};
+};
+
+/**
+ * Saves the answer keys of a course, replacing those of removed lessons
+ * @param {string} courseId The course, which must already exist
+ * @param {Object} quizKeys The keys by lesson and question id, from splitQuizKeys
+ */
+export const saveQuizKeys = (courseId, quizKeys) =>
+  setDoc(doc(db, 'quizKeys', courseId), {
+    courseId,
+    lessons: quizKeys,
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Submits a quiz attempt. The backend grades it against the answer keys,
+ * enforces the attempt limit and records the attempt and the course grade.
+ * @param {string} courseId The course
+ * @param {string} lessonId The lesson whose quiz is answered
+ * @param {Object} answers Map of question id to answer
+ * @returns {Promise<Object>} Score, max score, percentage, pass flag, per-question results and the attempt id
+ */
+export const submitQuiz = (courseId, lessonId, answers) =>
+  callFunction('submitQuiz', { courseId, lessonId, answers });
+
+/**
+ * Returns the best percentage per lesson from a list of attempts
+ * @param {Array} attempts Quiz attempt documents
+ * @returns {Object} Map of lesson id to best percentage
+ */
+export const getBestScores = (attempts = []) => {
+  return attempts.reduce((acc, attempt) => {
+    const current = acc[attempt.lessonId];
+    if (current === undefined || attempt.percentage > current) {
+      acc[attempt.lessonId] = attempt.percentage;
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Computes the course grade as the average best score across all quizzes.
+ * Quizzes that were never attempted count as zero.
+ * @param {Array} lessons The course lessons
+ * @param {Array} attempts The student's quiz attempts for the course
+ * @returns {number|null} Grade percentage, or null when the course has no quizzes
+ */
+export const calculateCourseGrade = (lessons = [], attempts = []) => {
+  const quizLessons = lessons.filter(hasQuiz);
+  if (quizLessons.length === 0) return null;
+
+  const bestScores = getBestScores(attempts);
+  const total = quizLessons.reduce((sum, lesson) => sum + (bestScores[lesson.id] || 0), 0);
+  return Math.round(total / quizLessons.length);
+};
+
+/**
+ * Validates a quiz before it is saved
+ * @param {Object} quiz The quiz to validate
+ * @returns {string|null} An error message, or null when the quiz is valid
+ */
+export const validateQuiz = (quiz) => {
+  if (!quiz) return null;
+  if (!quiz.questions?.length) return 'A quiz needs at least one question';
+
+  for (let i = 0; i < quiz.questions.length; i++) {
+    const question = quiz.questions[i];
+    const label = `Question ${i + 1}`;
+
+    if (!question.prompt?.trim()) return `${label} is missing its prompt`;
+
+    if (question.type === 'multiple_choice' || question.type === 'multi_select') {
+      const options = question.options || [];
+      if (options.length < 2 || options.some(option => !option.text?.trim())) {
+        return `${label} needs at least two filled-in options`;
+      }
+      if (!question.correctOptionIds?.length) return `${label} has no correct option selected`;
+    }
+
+    if (question.type === 'short_answer' && !(question.acceptedAnswers || []).some(answer => answer.trim())) {
+      return `${label} needs at least one accepted answer`;
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,82 @@
+// Receipt and payout helpers shared by the payment history, payouts and the
+// receipt PDF. Payments are recorded tax-inclusive by the payment backend.
+
+import { BASE_CURRENCY, toBaseAmount } from './currency';
+
+export const PAYMENT_STATUSES = {
+  succeeded: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+  refunded: { label: 'Refunded', className: 'bg-gray-100 text-gray-800' },
+};
+
+export const getPaymentStatus = (status) =>
+  PAYMENT_STATUSES[status] || { label: status || 'Unknown', className: 'bg-gray-100 text-gray-800' };
+
+/**
+ * The receipt number printed on a payment's invoice. Payments fulfilled by the
+ * backend carry a sequential number; older ones fall back to their reference.
+ * @param {Object} payment The payment document, including its id
+ * @returns {string} The receipt number
+ */
+export const getReceiptNumber = (payment) =>
+  payment.receiptNumber || `RCT-${String(payment.reference || payment.id).slice(-10).toUpperCase()}`;
+
+/**
+ * Splits a tax-inclusive payment into subtotal and tax
+ * @param {Object} payment The payment document
+ * @param {number} defaultTaxRate The platform tax rate, for payments recorded
+ * before the backend stored one
+ * @returns {Object} total, subtotal, tax and the tax rate used
+ */
+export const getTaxBreakdown = (payment, defaultTaxRate = 0) => {
+  const total = Number(payment.amount) || 0;
+  const taxRate = payment.taxRate ?? defaultTaxRate;
+  const tax = payment.taxAmount ?? Math.round((total - total / (1 + taxRate)) * 100) / 100;
+
+  return {
+    total,
+    tax,
+    subtotal: Math.round((total - tax) * 100) / 100,
+    taxRate,
+  };
+};
+
+/**
+ * A payment's amount in USD, as recorded by the backend or converted at the
+ * rate it was paid at
+ * @param {Object} payment The payment document
+ * @param {Object} rates The platform exchange rates, for payments that stored no rate
+ * @returns {number} The amount in USD
+ */
+export const getNormalizedAmount = (payment, rates = {}) => {
+  if (typeof payment.normalizedAmount === 'number') return payment.normalizedAmount;
+  const currency = payment.currency || BASE_CURRENCY;
+  return toBaseAmount(payment.amount, currency, payment.exchangeRate ? { [currency]: payment.exchangeRate } : rates);
+};
+
+/**
+ * Totals a list of payments per currency, counting only successful ones
+ * @param {Array} payments Payment documents
+ * @param {Object} settings The platform tax rate and exchange rates, for older payments
+ * @returns {Array} One entry per currency with gross, tax, net, net in USD and the sale count
+ */
+export const summarizePayments = (payments = [], { taxRate = 0, rates = {} } = {}) => {
+  const totals = {};
+
+  payments
+    .filter(payment => payment.status === 'succeeded')
+    .forEach(payment => {
+      const currency = payment.currency || BASE_CURRENCY;
+      const { total, tax } = getTaxBreakdown(payment, taxRate);
+      const toUsd = total ? getNormalizedAmount(payment, rates) / total : 0;
+      totals[currency] = totals[currency] || { currency, gross: 0, tax: 0, net: 0, normalizedNet: 0, count: 0 };
+      totals[currency].gross += total;
+      totals[currency].tax += tax;
+      totals[currency].net += total - tax;
+      totals[currency].normalizedNet += (total - tax) * toUsd;
+      totals[currency].count += 1;
+    });
+
+  return Object.values(totals);
+};
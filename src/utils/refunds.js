@@ -0,0 +1,77 @@
+// Refund requests. Students request them and instructors resolve them through
+// the requestRefund / resolveRefund functions (functions/lib/refunds.js). The
+// refund window and progress limit are only set there; getRefundEligibility
+// reports them along with which payments qualify.
+
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+import { toDate } from './dates';
+
+export const REFUND_STATUSES = {
+  requested: { label: 'Refund requested', className: 'bg-yellow-100 text-yellow-800' },
+  processing: { label: 'Refund processing', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: 'Refunded', className: 'bg-gray-100 text-gray-800' },
+  denied: { label: 'Refund declined', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * The refund limits and which of the signed-in student's payments qualify
+ * @returns {Promise<Object>} windowDays, maxProgress and, by payment id, why it
+ * cannot be refunded or null when it can
+ */
+export const getRefundEligibility = async () => {
+  const callGetRefundEligibility = httpsCallable(functions, 'getRefundEligibility');
+  const { data } = await callGetRefundEligibility();
+  return data;
+};
+
+/**
+ * Asks the instructor to refund a payment
+ * @param {string} paymentId The payment
+ * @param {string} reason Why, shown to the instructor
+ * @returns {Promise<Object>} The refund id
+ */
+export const requestRefund = async (paymentId, reason) => {
+  const callRequestRefund = httpsCallable(functions, 'requestRefund');
+  const { data } = await callRequestRefund({ paymentId, reason });
+  return data;
+};
+
+/**
+ * Approves or denies a refund request on one of the instructor's courses
+ * @param {string} refundId The refund request
+ * @param {boolean} approve Whether to refund the payment
+ * @param {string} note Optional note for the student
+ * @returns {Promise<Object>} The refund id and its new status
+ */
+export const resolveRefund = async (refundId, approve, note = '') => {
+  const callResolveRefund = httpsCallable(functions, 'resolveRefund');
+  const { data } = await callResolveRefund({ refundId, approve, note });
+  return data;
+};
+
+/**
+ * Fetches the refund requests on an instructor's courses, newest first
+ * @param {string} instructorId The instructor's user id
+ * @returns {Promise<Array>} Refund requests
+ */
+export const getInstructorRefunds = async (instructorId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'refunds'),
+      where('instructorId', '==', instructorId)
+    ));
+
+    return snapshot.docs
+      .map(refundDoc => ({
+        id: refundDoc.id,
+        ...refundDoc.data(),
+        requestedDate: toDate(refundDoc.data().requestedAt),
+      }))
+      .sort((a, b) => (b.requestedDate?.getTime() || 0) - (a.requestedDate?.getTime() || 0));
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    return [];
+  }
+};
@@ -0,0 +1,134 @@
+// Per-student progress built from enrollments, shared by the instructor's
+// Students page and the organization team report so both count progress the
+// same way.
+
+import { getDoc, doc } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { getProgressRecords } from './lessonProgress';
+
+/**
+ * Loads the student and their latest activity for an enrollment
+ * @param {Object} enrollmentDoc The enrollment document snapshot
+ * @param {Object} course The enrollment's course document
+ * @returns {Promise<Object>} The enrollment with its student, course and latestActivity
+ */
+export const getEnrollmentActivity = async (enrollmentDoc, course) => {
+  const enrollmentData = enrollmentDoc.data();
+  const { userId, courseId } = enrollmentData;
+
+  try {
+    const userData = await getDoc(doc(db, 'users', userId));
+
+    const progressRecords = await getProgressRecords(userId, courseId);
+
+    // Latest progress record, and lessons completed there but not yet on the enrollment
+    let latestProgress = null;
+    const completedLessons = {};
+    progressRecords.forEach(record => {
+      if (record.lastUpdated && (!latestProgress || record.lastUpdated.seconds > latestProgress.lastUpdated.seconds)) {
+        latestProgress = record;
+      }
+      if (record.completed) completedLessons[record.lessonId] = true;
+    });
+
+    return {
+      id: enrollmentDoc.id,
+      ...enrollmentData,
+      progress: { ...(enrollmentData.progress || {}), ...completedLessons },
+      watchedSeconds: progressRecords.reduce((total, record) => total + (record.watchedSeconds || 0), 0),
+      student: userData.exists() ? userData.data() : null,
+      course,
+      latestActivity: latestProgress?.lastUpdated || enrollmentData.enrolledAt || null,
+    };
+  } catch (error) {
+    console.error(`Error fetching data for user ${userId}:`, error);
+    return {
+      id: enrollmentDoc.id,
+      ...enrollmentData,
+      student: null,
+      course,
+      error: true,
+    };
+  }
+};
+
+/**
+ * Groups enrollments from getEnrollmentActivity by student, with each course's
+ * completion and the student's average progress per category
+ * @param {Array} enrollments Enrollments from getEnrollmentActivity
+ * @returns {Array} One entry per student
+ */
+export const summarizeStudents = (enrollments) => {
+  const studentMap = enrollments.reduce((acc, enrollment) => {
+    if (!acc[enrollment.userId]) {
+      const student = enrollment.student || {};
+      acc[enrollment.userId] = {
+        id: enrollment.userId,
+        name: student.name || student.displayName || (student.email ? student.email.split('@')[0] : 'Student'),
+        email: student.email || `user-${enrollment.userId.slice(0, 5)}@example.com`,
+        profileImage: student.photoURL || '',
+        enrollments: [],
+        enrollmentDates: [],
+        progressByCategory: {},
+        completedCourses: 0,
+        lastActive: null,
+      };
+    }
+    const entry = acc[enrollment.userId];
+
+    const courseCategory = enrollment.course?.category || 'Uncategorized';
+    const totalLessons = enrollment.course?.lessons?.length || 0;
+    const completedLessons = Object.values(enrollment.progress || {}).filter(Boolean).length;
+    const progress = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
+
+    if (!entry.progressByCategory[courseCategory]) {
+      entry.progressByCategory[courseCategory] = { totalCourses: 0, totalProgress: 0 };
+    }
+    entry.progressByCategory[courseCategory].totalCourses += 1;
+    entry.progressByCategory[courseCategory].totalProgress += progress;
+
+    if (progress === 100) {
+      entry.completedCourses += 1;
+    }
+
+    if (enrollment.latestActivity && (!entry.lastActive ||
+        enrollment.latestActivity.seconds > entry.lastActive.seconds)) {
+      entry.lastActive = enrollment.latestActivity;
+    }
+
+    entry.enrollments.push({
+      courseId: enrollment.courseId,
+      courseName: enrollment.course?.title || 'Unknown Course',
+      courseCategory,
+      progress: enrollment.progress || {},
+      progressPercentage: progress,
+      enrolledAt: enrollment.enrolledAt,
+      totalLessons,
+      completedLessons,
+      watchedMinutes: Math.round((enrollment.watchedSeconds || 0) / 60),
+      lastActivity: enrollment.latestActivity,
+    });
+
+    if (enrollment.enrolledAt) {
+      entry.enrollmentDates.push(enrollment.enrolledAt.toDate());
+    }
+
+    return acc;
+  }, {});
+
+  return Object.values(studentMap).map(student => {
+    const categoryProgress = Object.entries(student.progressByCategory).map(([category, data]) => ({
+      name: category,
+      value: Math.round(data.totalProgress / data.totalCourses) || 0,
+    }));
+
+    const sortedDates = student.enrollmentDates.sort((a, b) => a - b);
+
+    return {
+      ...student,
+      categoryProgress,
+      firstEnrollment: sortedDates[0] || new Date(),
+      latestEnrollment: sortedDates[sortedDates.length - 1] || new Date(),
+    };
+  });
+};